@@ -0,0 +1,24 @@
+// Staff time clock. Clock-ins are matched to the person's published shift
+// (see config/roster.js); times are compared in server time.
+const attendanceConfig = {
+    // How early before a shift starts a clock-in counts towards it
+    earlyClockInMinutes: parseInt(process.env.ATTENDANCE_EARLY_CLOCK_IN_MINUTES, 10) || 60,
+
+    // Clocking in later than this after the shift start is flagged late
+    lateGraceMinutes: parseInt(process.env.ATTENDANCE_LATE_GRACE_MINUTES, 10) || 5,
+
+    // Clocking out earlier than this before the shift end is flagged
+    earlyLeaveGraceMinutes: 5,
+
+    // A clock-in still open after this long is flagged as a missing clock-out
+    maxOpenHours: 16,
+
+    // Published shifts that ended this long ago without a clock-in are
+    // recorded as missed; older shifts are left alone
+    missedShiftLookbackDays: 7,
+
+    // How often the missed shift and open clock-in checks run
+    checkIntervalMinutes: parseInt(process.env.ATTENDANCE_CHECK_MINUTES, 10) || 15
+};
+
+module.exports = attendanceConfig;
@@ -0,0 +1,55 @@
+// Billing defaults. Tax rules saved in the TaxRule collection take precedence
+// over `defaultTaxRules`; a default only applies to line types that have no
+// active rule configured.
+const billingConfig = {
+    currency: 'INR',
+
+    // Supplier details printed on invoices
+    hotel: {
+        name: process.env.HOTEL_NAME || 'Grand Hotel',
+        address: process.env.HOTEL_ADDRESS || '',
+        phone: process.env.HOTEL_PHONE || '',
+        email: process.env.HOTEL_EMAIL || '',
+        gstin: process.env.HOTEL_GSTIN || '',
+        stateCode: process.env.HOTEL_STATE_CODE || ''
+    },
+
+    // Invoice numbers look like INV/25-26/00042 and restart every financial
+    // year; GST caps them at 16 characters
+    invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+
+    // SAC codes printed against each line type
+    sacCodes: {
+        room: '996311',
+        package: '996311',
+        food: '996331'
+    },
+
+    // Flat fee added to food orders delivered to a room
+    roomServiceFee: Number(process.env.ROOM_SERVICE_FEE || 50),
+
+    // Card orders still unpaid after this long are cancelled and their
+    // coupon and loyalty points given back
+    paymentTimeoutMinutes: Number(process.env.PAYMENT_TIMEOUT_MINUTES || 60),
+
+    defaultTaxRules: [
+        {
+            name: 'GST on accommodation',
+            lineType: 'room',
+            mode: 'exclusive',
+            supplyType: 'intra-state',
+            // Slab picked by the nightly tariff
+            slabs: [
+                { upTo: 1000, rate: 0 },
+                { upTo: 7500, rate: 5 },
+                { upTo: null, rate: 18 }
+            ]
+        },
+        { name: 'GST on packages', lineType: 'package', mode: 'exclusive', supplyType: 'intra-state', rate: 18 },
+        { name: 'GST on services', lineType: 'service', mode: 'exclusive', supplyType: 'intra-state', rate: 18 },
+        { name: 'GST on food and beverage', lineType: 'food', mode: 'exclusive', supplyType: 'intra-state', rate: 5 },
+        { name: 'GST on delivery', lineType: 'delivery', mode: 'exclusive', supplyType: 'intra-state', rate: 18 }
+    ]
+};
+
+module.exports = billingConfig;
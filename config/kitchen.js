@@ -0,0 +1,26 @@
+// Kitchen display settings. Each food category sends its items to a station;
+// a station cooks up to `capacity` orders side by side. Times are minutes.
+const kitchenConfig = {
+    stations: {
+        hot: { name: 'Hot line', capacity: 3 },
+        grill: { name: 'Grill', capacity: 2 },
+        cold: { name: 'Cold & salads', capacity: 2 },
+        pastry: { name: 'Pastry & desserts', capacity: 2 },
+        bar: { name: 'Bar & beverages', capacity: 3 }
+    },
+    defaultStation: 'hot',
+
+    // For menu items without a preparationTime
+    defaultPreparationMinutes: 15,
+
+    // Added to the ready time to promise a delivery time
+    deliveryMinutes: {
+        room_service: 10,
+        pickup: 0,
+        dine_in: 2
+    }
+};
+
+kitchenConfig.stationKeys = Object.keys(kitchenConfig.stations);
+
+module.exports = kitchenConfig;
@@ -0,0 +1,66 @@
+// Loyalty programme rules. Points are earned on what the guest actually
+// spent before tax: the stay at check-out (room, package and services less
+// discounts) and each food order once delivered. Room-charged food earns on
+// the order, not again on the booking.
+const loyaltyConfig = {
+    earning: {
+        stay: { pointsPerUnit: 1, unitAmount: 100 }, // 1 point per 100 spent
+        order: { pointsPerUnit: 1, unitAmount: 100 }
+    },
+
+    redemption: {
+        pointValue: 0.5, // Currency value of one point
+        minimumPoints: 100,
+        // Share of the pre-tax bill (after coupons) that points may cover
+        maxPercentageOfBill: 50
+    },
+
+    // Earned points lapse this many months after they were earned
+    expiryMonths: Number(process.env.LOYALTY_EXPIRY_MONTHS || 24),
+
+    // Tiers are earned on nights stayed (checked-out bookings) over the
+    // qualifying window, checked from the highest threshold down
+    qualifyingMonths: 12,
+    tiers: [
+        {
+            key: 'member',
+            name: 'Member',
+            minNights: 0,
+            perks: { pointsMultiplier: 1, discountPercentage: 0, lateCheckout: null }
+        },
+        {
+            key: 'silver',
+            name: 'Silver',
+            minNights: 10,
+            perks: { pointsMultiplier: 1.25, discountPercentage: 5, lateCheckout: '13:00' }
+        },
+        {
+            key: 'gold',
+            name: 'Gold',
+            minNights: 25,
+            perks: { pointsMultiplier: 1.5, discountPercentage: 10, lateCheckout: '14:00' }
+        },
+        {
+            key: 'platinum',
+            name: 'Platinum',
+            minNights: 50,
+            perks: { pointsMultiplier: 2, discountPercentage: 15, lateCheckout: '16:00' }
+        }
+    ],
+
+    // How often the scheduler expires points and re-rates tiers
+    expiryCheckIntervalMinutes: Number(process.env.LOYALTY_EXPIRY_CHECK_MINUTES || 24 * 60)
+};
+
+loyaltyConfig.tierKeys = loyaltyConfig.tiers.map(tier => tier.key);
+
+loyaltyConfig.getTier = (key) =>
+    loyaltyConfig.tiers.find(tier => tier.key === key) || loyaltyConfig.tiers[0];
+
+// Highest tier whose night threshold is met
+loyaltyConfig.tierForNights = (nights) =>
+    [...loyaltyConfig.tiers]
+        .sort((a, b) => b.minNights - a.minNights)
+        .find(tier => nights >= tier.minNights) || loyaltyConfig.tiers[0];
+
+module.exports = loyaltyConfig;
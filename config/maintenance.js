@@ -0,0 +1,18 @@
+// Maintenance work order settings. SLA targets are in minutes from when the
+// work order is raised: `response` until someone starts on it, `resolution`
+// until it is completed.
+const maintenanceConfig = {
+    categories: [
+        'plumbing', 'electrical', 'hvac', 'carpentry', 'appliance',
+        'furniture', 'painting', 'pest_control', 'it', 'general'
+    ],
+
+    sla: {
+        urgent: { response: 15, resolution: 4 * 60 },
+        high: { response: 60, resolution: 24 * 60 },
+        medium: { response: 4 * 60, resolution: 3 * 24 * 60 },
+        low: { response: 24 * 60, resolution: 7 * 24 * 60 }
+    }
+};
+
+module.exports = maintenanceConfig;
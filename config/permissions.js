@@ -0,0 +1,97 @@
+// Permission registry. Each permission lists the roles that hold it and,
+// optionally, the departments they must belong to. Department limits don't
+// apply to admins and the CEO. Admins can override roles and departments per
+// permission (saved in the Permission collection); anything not overridden
+// uses the defaults below.
+const ALL_ROLES = ['user', 'staff', 'manager', 'admin', 'ceo'];
+const STAFF_ROLES = ['staff', 'manager', 'admin', 'ceo'];
+const MANAGER_ROLES = ['manager', 'admin', 'ceo'];
+const ADMIN_ROLES = ['admin', 'ceo'];
+
+const DEPARTMENTS = ['housekeeping', 'food_service', 'concierge', 'maintenance', 'management', 'administration'];
+
+const defaultPermissions = {
+    // Bookings
+    'booking.create': { description: 'Book a room', roles: ALL_ROLES },
+    'booking.pay': { description: 'Pay for a booking online', roles: ALL_ROLES },
+    'booking.review': { description: 'Review a completed stay', roles: ALL_ROLES },
+    'booking.read.all': { description: 'List all bookings and booking statistics', roles: STAFF_ROLES },
+    'booking.checkin': { description: 'Check guests in', roles: STAFF_ROLES },
+    'booking.checkout': { description: 'Check guests out', roles: STAFF_ROLES },
+    'booking.checkout.override': { description: 'Check out a guest with an outstanding balance', roles: MANAGER_ROLES },
+    'booking.payment.record': { description: 'Record front desk payments', roles: STAFF_ROLES },
+    'booking.refund': { description: 'Record refunds and override cancellation refunds', roles: MANAGER_ROLES },
+    'booking.foodorder.update': { description: 'Update in-stay food order status', roles: STAFF_ROLES },
+    'booking.servicerequest.update': { description: 'Assign and resolve guest service requests', roles: STAFF_ROLES },
+    'servicerequest.read.all': { description: 'View the guest service request queue', roles: STAFF_ROLES },
+    'servicerequest.report': { description: 'View service request response times and SLA breaches', roles: MANAGER_ROLES },
+
+    // Food orders
+    'order.read.all': { description: 'View every food order', roles: STAFF_ROLES },
+    'order.status.update': { description: 'Move food orders through their statuses', roles: STAFF_ROLES },
+    'order.roomcharge.create': { description: 'Charge food orders to a guest room', roles: STAFF_ROLES },
+    'kitchen.queue.read': { description: 'View the kitchen display queue', roles: STAFF_ROLES, departments: ['food_service', 'management'] },
+    'kitchen.station.update': { description: 'Start and bump items on a kitchen station', roles: STAFF_ROLES, departments: ['food_service'] },
+
+    // Housekeeping
+    'housekeeping.board.read': { description: 'View the room status board', roles: STAFF_ROLES },
+    'housekeeping.task.work': { description: 'Clean assigned rooms and update their status', roles: STAFF_ROLES, departments: ['housekeeping'] },
+    'housekeeping.task.manage': { description: 'Create, assign, inspect and release cleaning tasks', roles: MANAGER_ROLES, departments: ['housekeeping', 'management'] },
+
+    // Maintenance
+    'maintenance.workorder.read': { description: 'View maintenance work orders', roles: STAFF_ROLES },
+    'maintenance.workorder.create': { description: 'Raise maintenance work orders', roles: STAFF_ROLES },
+    'maintenance.workorder.work': { description: 'Work assigned work orders and log parts and costs', roles: STAFF_ROLES, departments: ['maintenance'] },
+    'maintenance.workorder.manage': { description: 'Assign, cancel and set rooms out of order', roles: MANAGER_ROLES, departments: ['maintenance', 'management'] },
+
+    // Catalogue
+    'room.manage': { description: 'Create, edit and remove rooms', roles: MANAGER_ROLES },
+    'roomcategory.manage': { description: 'Create, edit and deactivate room categories', roles: MANAGER_ROLES },
+    'roomcategory.delete': { description: 'Permanently delete room categories', roles: ADMIN_ROLES },
+    'menu.manage': { description: 'Create, edit and remove menu items', roles: MANAGER_ROLES },
+    'foodcategory.manage': { description: 'Create, edit and remove food categories', roles: MANAGER_ROLES },
+    'service.manage': { description: 'Create and edit services', roles: MANAGER_ROLES },
+    'service.delete': { description: 'Delete services', roles: ADMIN_ROLES },
+    'package.manage': { description: 'Create and edit packages', roles: MANAGER_ROLES },
+    'package.delete': { description: 'Delete packages', roles: ADMIN_ROLES },
+    'gallery.manage': { description: 'Upload and remove gallery items', roles: ADMIN_ROLES },
+    'media.upload': { description: 'Upload files', roles: ADMIN_ROLES },
+    'testimonial.moderate': { description: 'Review the testimonial queue: approve, reject, edit and feature', roles: STAFF_ROLES, departments: ['concierge', 'management'] },
+    'testimonial.delete': { description: 'Delete testimonials', roles: ADMIN_ROLES },
+    'testimonial.promote': { description: 'Turn a guest review into a testimonial', roles: ADMIN_ROLES },
+    'review.respond': { description: 'Post public responses to guest reviews', roles: MANAGER_ROLES },
+    'review.moderate': { description: 'Hide and restore guest reviews', roles: MANAGER_ROLES },
+
+    // Billing
+    'coupon.manage': { description: 'Manage coupons', roles: ADMIN_ROLES },
+    'taxrule.manage': { description: 'Manage tax rules', roles: ADMIN_ROLES },
+    'loyalty.read.all': { description: 'View loyalty points and tiers for any guest', roles: STAFF_ROLES },
+    'loyalty.adjust': { description: 'Add or remove loyalty points by hand', roles: MANAGER_ROLES },
+
+    // People
+    'profile.phone.update': { description: 'Change own phone number', roles: STAFF_ROLES },
+    'staff.manage': { description: 'Register staff, list users and reset two-factor', roles: ADMIN_ROLES },
+    'employee.manage': { description: 'Create and edit employee records', roles: MANAGER_ROLES },
+    'employee.delete': { description: 'Delete employee records', roles: ADMIN_ROLES },
+    'employee.salary.read': { description: 'View salary for any employee', roles: ADMIN_ROLES },
+    'employee.salary.read.department': { description: 'View salary for employees in own department', roles: ['manager'] },
+    'roster.read': { description: 'View the published shift roster for own department', roles: STAFF_ROLES },
+    'roster.swap': { description: 'Request and accept shift swaps', roles: STAFF_ROLES },
+    'roster.manage': { description: 'Draft and publish shifts and approve swaps for own department', roles: MANAGER_ROLES },
+    'attendance.clock': { description: 'Clock in and out and take breaks', roles: STAFF_ROLES },
+    'attendance.manage': { description: 'View and correct attendance records for own department', roles: MANAGER_ROLES },
+    'attendance.report': { description: 'Run the monthly attendance report for payroll', roles: MANAGER_ROLES },
+    'permission.manage': { description: 'Edit the permission registry', roles: ADMIN_ROLES },
+    'audit.read': { description: 'Search and verify the audit log', roles: ADMIN_ROLES },
+    'realtime.status.read': { description: 'View open real-time event streams', roles: ADMIN_ROLES }
+};
+
+// Roles that department limits never apply to
+const departmentExemptRoles = ADMIN_ROLES;
+
+module.exports = {
+    ALL_ROLES,
+    DEPARTMENTS,
+    defaultPermissions,
+    departmentExemptRoles
+};
@@ -0,0 +1,25 @@
+// Shift rostering rules. Weeks run Monday to Sunday in server time. Hours
+// are paid hours: shift length less the unpaid break.
+const rosterConfig = {
+    // Contracted hours when the employee record has no hoursPerWeek
+    defaultHoursPerWeek: {
+        'full-time': 40,
+        'part-time': 20,
+        contract: 40,
+        temporary: 40
+    },
+
+    // Minimum gap between the end of one shift and the start of the next
+    minRestHours: 11,
+
+    // Longest single shift that can be rostered
+    maxShiftHours: 12,
+
+    // Hours beyond the contract before a week counts as overtime
+    overtimeToleranceHours: 0,
+
+    // Swap requests not approved by the start of the shift lapse
+    swapCutoffHours: 2
+};
+
+module.exports = rosterConfig;
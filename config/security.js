@@ -0,0 +1,16 @@
+// Roles that must use two-factor authentication, e.g. 'manager,admin,ceo'.
+// Set TWO_FACTOR_REQUIRED_ROLES to an empty string to make it optional for everyone.
+const requiredRoles = process.env.TWO_FACTOR_REQUIRED_ROLES !== undefined
+    ? process.env.TWO_FACTOR_REQUIRED_ROLES
+    : 'admin,ceo';
+
+const securityConfig = {
+    twoFactorRequiredRoles: requiredRoles.split(',').map(role => role.trim()).filter(Boolean),
+
+    // Name shown in authenticator apps
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || process.env.HOTEL_NAME || 'Grand Hotel'
+};
+
+securityConfig.isTwoFactorRequired = (role) => securityConfig.twoFactorRequiredRoles.includes(role);
+
+module.exports = securityConfig;
@@ -0,0 +1,44 @@
+// Guest service request routing and SLAs. Targets are minutes from when the
+// request is made: `acknowledge` until staff pick it up (assigned or in
+// progress), `resolve` until it is resolved. A request type can override the
+// targets for any priority.
+const serviceRequestConfig = {
+    // Department that owns each request type; its managers get escalations
+    departments: {
+        housekeeping: 'housekeeping',
+        maintenance: 'maintenance',
+        butler: 'concierge',
+        concierge: 'concierge',
+        complaint: 'management',
+        emergency: 'management'
+    },
+
+    sla: {
+        default: {
+            urgent: { acknowledge: 5, resolve: 60 },
+            high: { acknowledge: 15, resolve: 4 * 60 },
+            medium: { acknowledge: 30, resolve: 12 * 60 },
+            low: { acknowledge: 60, resolve: 24 * 60 }
+        },
+        emergency: {
+            urgent: { acknowledge: 2, resolve: 30 },
+            high: { acknowledge: 2, resolve: 30 },
+            medium: { acknowledge: 5, resolve: 60 },
+            low: { acknowledge: 5, resolve: 60 }
+        },
+        housekeeping: {
+            medium: { acknowledge: 20, resolve: 60 },
+            low: { acknowledge: 30, resolve: 2 * 60 }
+        }
+    },
+
+    // How often the scheduler looks for breaches
+    checkIntervalMinutes: Number(process.env.SERVICE_REQUEST_SLA_CHECK_MINUTES || 5)
+};
+
+serviceRequestConfig.getSla = (type, priority = 'medium') => {
+    const overrides = serviceRequestConfig.sla[type] || {};
+    return overrides[priority] || serviceRequestConfig.sla.default[priority] || serviceRequestConfig.sla.default.medium;
+};
+
+module.exports = serviceRequestConfig;
@@ -0,0 +1,34 @@
+// Spam controls for public testimonial submissions. Throttles count recent
+// submissions from the same IP address or email; a duplicate is the same
+// text (ignoring case, spacing and punctuation) submitted again within the
+// window.
+const testimonialConfig = {
+    throttle: {
+        perIp: { max: 3, windowMinutes: 60 },
+        perEmail: { max: 2, windowMinutes: 24 * 60 }
+    },
+
+    duplicateWindowDays: 90,
+
+    // Whole words, matched case-insensitively; extend with
+    // TESTIMONIAL_BANNED_WORDS=word1,word2
+    bannedWords: [
+        'viagra',
+        'cialis',
+        'casino',
+        'bitcoin',
+        'crypto',
+        'forex',
+        'porn',
+        'escort',
+        'loan'
+    ].concat((process.env.TESTIMONIAL_BANNED_WORDS || '')
+        .split(',')
+        .map(word => word.trim().toLowerCase())
+        .filter(Boolean)),
+
+    // Links in testimonials are almost always spam
+    allowLinks: false
+};
+
+module.exports = testimonialConfig;
@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Shift = require('../models/Shift');
+const { hasPermission } = require('../services/permissionService');
+const { departmentExemptRoles } = require('../config/permissions');
+const {
+    reconcile,
+    findOpenRecord,
+    clockIn: startRecord,
+    clockOut: closeRecord,
+    startBreak: beginBreak,
+    endBreak: finishBreak,
+    monthRange,
+    getMonthlyReport
+} = require('../services/attendanceService');
+
+const ATTENDANCE_POPULATE = [
+    { path: 'user', select: 'firstName lastName employeeId department' },
+    { path: 'shift', select: 'startAt endAt position department' },
+    { path: 'adjustedBy', select: 'firstName lastName' }
+];
+
+const REPORT_COLUMNS = [
+    'employeeId', 'name', 'department', 'position', 'employmentType',
+    'scheduledShifts', 'scheduledHours', 'daysWorked', 'workedHours', 'breakHours',
+    'unscheduledHours', 'hoursOverSchedule', 'lateCount', 'lateMinutes',
+    'leftEarlyCount', 'missedShifts', 'openRecords', 'adjustedRecords'
+];
+
+// Managers see their own department; admins see every department
+const canManageDepartment = async (user, department, permission) =>
+    (await hasPermission(user, permission)) &&
+    (departmentExemptRoles.includes(user.role) || user.department === department);
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return value && !isNaN(date.getTime()) ? date : null;
+};
+
+// A correction may clear a time only with an explicit null; anything else
+// supplied has to parse
+const isBadTime = (value) => value !== undefined && value !== null && !parseDate(value);
+const toTime = (value) => value === null ? null : parseDate(value);
+
+const currentMonth = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const toCsv = (rows) => {
+    const escape = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [REPORT_COLUMNS.join(',')]
+        .concat(rows.map(row => REPORT_COLUMNS.map(column => escape(row[column])).join(',')))
+        .join('\n');
+};
+
+// Service results carry { error, status } on failure
+const sendResult = (res, result, message) => {
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, message, record: result.record });
+};
+
+// Open clock-in (if any) and the next shift today
+const getMyStatus = async (req, res) => {
+    try {
+        const now = new Date();
+        const endOfDay = new Date(now);
+        endOfDay.setHours(23, 59, 59, 999);
+
+        const [record, nextShift] = await Promise.all([
+            findOpenRecord(req.user._id),
+            Shift.findOne({
+                user: req.user._id,
+                status: 'published',
+                endAt: { $gt: now },
+                startAt: { $lte: endOfDay }
+            }).sort({ startAt: 1 })
+        ]);
+
+        res.json({
+            success: true,
+            clockedIn: !!record,
+            onBreak: !!record && record.onBreak,
+            record,
+            nextShift
+        });
+    } catch (error) {
+        console.error('Get attendance status error:', error);
+        res.status(500).json({ error: 'Failed to retrieve attendance status' });
+    }
+};
+
+// Own records for a month (?month=YYYY-MM, default this month)
+const getMyAttendance = async (req, res) => {
+    try {
+        const range = monthRange(req.query.month || currentMonth());
+        if (!range) {
+            return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+        }
+
+        const records = await Attendance.find({
+            user: req.user._id,
+            workDate: { $gte: range.from, $lt: range.to }
+        })
+            .populate('shift', 'startAt endAt position department')
+            .sort({ workDate: -1 });
+
+        const workedMinutes = records.reduce((sum, record) => sum + record.workedMinutes, 0);
+
+        res.json({
+            success: true,
+            from: range.from,
+            to: range.to,
+            records,
+            workedHours: Math.round(workedMinutes / 60 * 100) / 100
+        });
+    } catch (error) {
+        console.error('Get my attendance error:', error);
+        res.status(500).json({ error: 'Failed to retrieve attendance' });
+    }
+};
+
+const clockIn = async (req, res) => {
+    try {
+        const result = await startRecord(req.user, { notes: (req.body || {}).notes });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const { record } = result;
+        const message = !record.shift
+            ? 'Clocked in with no scheduled shift'
+            : record.lateMinutes > 0 ? `Clocked in ${record.lateMinutes} minutes late` : 'Clocked in';
+
+        res.status(201).json({ success: true, message, record });
+    } catch (error) {
+        console.error('Clock in error:', error);
+        res.status(500).json({ error: 'Failed to clock in' });
+    }
+};
+
+const clockOut = async (req, res) => {
+    try {
+        sendResult(res, await closeRecord(req.user, { notes: (req.body || {}).notes }), 'Clocked out');
+    } catch (error) {
+        console.error('Clock out error:', error);
+        res.status(500).json({ error: 'Failed to clock out' });
+    }
+};
+
+const startBreak = async (req, res) => {
+    try {
+        sendResult(res, await beginBreak(req.user), 'Break started');
+    } catch (error) {
+        console.error('Start break error:', error);
+        res.status(500).json({ error: 'Failed to start break' });
+    }
+};
+
+const endBreak = async (req, res) => {
+    try {
+        sendResult(res, await finishBreak(req.user), 'Break ended');
+    } catch (error) {
+        console.error('End break error:', error);
+        res.status(500).json({ error: 'Failed to end break' });
+    }
+};
+
+// Records for a department (?department=, ?user=, ?from=, ?to=, ?status=, ?flag=)
+const getAttendance = async (req, res) => {
+    try {
+        const { user, status, flag, page = 1, limit = 50 } = req.query;
+        const department = req.query.department || req.user.department;
+
+        if (!(await canManageDepartment(req.user, department, 'attendance.manage'))) {
+            return res.status(403).json({ error: 'Not authorized to view attendance for this department' });
+        }
+
+        const query = { department };
+        if (user) query.user = user;
+        if (status) query.status = { $in: status.split(',') };
+        if (flag) query.flags = { $in: flag.split(',') };
+
+        const from = req.query.from ? parseDate(req.query.from) : null;
+        const to = req.query.to ? parseDate(req.query.to) : null;
+        if ((req.query.from && !from) || (req.query.to && !to)) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+        if (from || to) {
+            query.workDate = {};
+            if (from) query.workDate.$gte = from;
+            if (to) query.workDate.$lt = to;
+        }
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+
+        const [records, total] = await Promise.all([
+            Attendance.find(query)
+                .populate(ATTENDANCE_POPULATE)
+                .sort({ workDate: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            Attendance.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            records,
+            pagination: {
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Get attendance error:', error);
+        res.status(500).json({ error: 'Failed to retrieve attendance' });
+    }
+};
+
+// Correct a record's times (body: clockInAt, clockOutAt, breaks, notes).
+// A reason in `notes` is required; the record is flagged as adjusted.
+const adjustAttendance = async (req, res) => {
+    try {
+        const { clockInAt, clockOutAt, breaks, notes } = req.body || {};
+
+        if (!notes || !notes.trim()) {
+            return res.status(400).json({ error: 'A note explaining the correction is required' });
+        }
+        if (isBadTime(clockInAt) || isBadTime(clockOutAt)) {
+            return res.status(400).json({ error: 'Clock-in and clock-out must be valid dates or null' });
+        }
+        if (breaks !== undefined && breaks !== null && (!Array.isArray(breaks) ||
+            breaks.some(entry => !entry || isBadTime(entry.startAt) || isBadTime(entry.endAt)))) {
+            return res.status(400).json({ error: 'Breaks must be a list of valid start and end times' });
+        }
+
+        const record = mongoose.Types.ObjectId.isValid(req.params.id) ? await Attendance.findById(req.params.id) : null;
+        if (!record) {
+            return res.status(404).json({ error: 'Attendance record not found' });
+        }
+
+        if (!(await canManageDepartment(req.user, record.department, 'attendance.manage'))) {
+            return res.status(403).json({ error: 'Not authorized to correct attendance for this department' });
+        }
+
+        if (clockInAt !== undefined) record.clockInAt = toTime(clockInAt);
+        if (clockOutAt !== undefined) record.clockOutAt = toTime(clockOutAt);
+        if (breaks !== undefined) {
+            record.breaks = (breaks || []).map(entry => ({
+                startAt: entry.startAt ? parseDate(entry.startAt) : null,
+                endAt: entry.endAt ? parseDate(entry.endAt) : null
+            }));
+        }
+
+        // A missed shift that was actually worked needs both times
+        if (record.status === 'missed' && (clockInAt !== undefined || clockOutAt !== undefined)) {
+            if (!record.clockInAt || !record.clockOutAt) {
+                return res.status(400).json({ error: 'Both clock-in and clock-out times are needed for a missed shift' });
+            }
+        }
+
+        if (!record.clockInAt && record.status !== 'missed') {
+            return res.status(400).json({ error: 'Clock-in time is required' });
+        }
+        if (record.clockOutAt && record.clockOutAt <= record.clockInAt) {
+            return res.status(400).json({ error: 'Clock-out must be after clock-in' });
+        }
+
+        const end = record.clockOutAt || new Date();
+        const badBreak = record.breaks.some(entry => !entry.startAt ||
+            entry.startAt < record.clockInAt || (entry.endAt && (entry.endAt <= entry.startAt || entry.endAt > end)));
+        if (badBreak) {
+            return res.status(400).json({ error: 'Breaks must fall between clock-in and clock-out' });
+        }
+
+        if (record.clockInAt) {
+            record.workDate = record.clockInAt;
+            record.status = record.clockOutAt ? 'closed' : 'open';
+        }
+        record.flags.push('adjusted');
+        record.notes = record.notes ? `${record.notes}\n${notes.trim()}` : notes.trim();
+        record.adjustedBy = req.user._id;
+        record.adjustedAt = new Date();
+        reconcile(record);
+
+        await record.save();
+        await record.populate(ATTENDANCE_POPULATE);
+
+        res.json({ success: true, message: 'Attendance record corrected', record });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'This person already has an open clock-in' });
+        }
+        console.error('Adjust attendance error:', error);
+        res.status(500).json({ error: 'Failed to correct attendance record' });
+    }
+};
+
+// Monthly hours and exceptions per employee for payroll
+// (?month=YYYY-MM, ?department=, ?format=csv)
+const getAttendanceReport = async (req, res) => {
+    try {
+        const month = req.query.month || currentMonth();
+        const range = monthRange(month);
+        if (!range) {
+            return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+        }
+
+        // Managers report on their own department
+        let { department } = req.query;
+        if (!departmentExemptRoles.includes(req.user.role)) {
+            if (department && department !== req.user.department) {
+                return res.status(403).json({ error: 'Not authorized to report on this department' });
+            }
+            department = req.user.department;
+        }
+
+        const report = await getMonthlyReport(range, { department });
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="attendance-${month}${department ? `-${department}` : ''}.csv"`);
+            return res.send(toCsv(report.employees));
+        }
+
+        res.json({
+            success: true,
+            month,
+            from: range.from,
+            to: range.to,
+            department: department || null,
+            ...report
+        });
+    } catch (error) {
+        console.error('Get attendance report error:', error);
+        res.status(500).json({ error: 'Failed to build attendance report' });
+    }
+};
+
+module.exports = {
+    getMyStatus,
+    getMyAttendance,
+    clockIn,
+    clockOut,
+    startBreak,
+    endBreak,
+    getAttendance,
+    adjustAttendance,
+    getAttendanceReport
+};
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { verifyAuditChain } = require('../services/auditService');
+
+// Search the audit log, newest first
+const getAuditLogs = async (req, res) => {
+    try {
+        const { entity, entityId, actor, action, method, from, to, page = 1, limit = 50 } = req.query;
+
+        const query = {};
+        if (entity) query.entity = entity;
+        if (entityId) query.entityId = entityId;
+        if (action) query.action = action;
+        if (method) query.method = method.toUpperCase();
+
+        if (actor) {
+            if (!mongoose.Types.ObjectId.isValid(actor)) {
+                return res.status(400).json({ error: 'Invalid actor ID' });
+            }
+            query.actor = actor;
+        }
+
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+
+            if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({ error: 'Invalid date range' });
+            }
+        }
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actor', 'firstName lastName email role')
+                .sort({ seq: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            entries,
+            pagination: {
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Failed to retrieve audit log' });
+    }
+};
+
+// Recompute the hash chain to detect edited or removed entries
+const verifyAuditLog = async (req, res) => {
+    try {
+        const result = await verifyAuditChain();
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Verify audit log error:', error);
+        res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+    verifyAuditLog
+};
@@ -1,5 +1,25 @@
 const User = require('../models/User');
-const { generateToken } = require('../services/jwtService');
+const mongoose = require('mongoose');
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    getActiveSessions
+} = require('../services/sessionService');
+const { sendPasswordReset, sendEmailVerification } = require('../services/emailService');
+const { generateChallengeToken, verifyChallengeToken } = require('../services/jwtService');
+const {
+    beginEnrollment,
+    confirmEnrollment,
+    consumeSecondFactor,
+    regenerateRecoveryCodes,
+    getRemainingRecoveryCodes,
+    clearTwoFactor
+} = require('../services/twoFactorService');
+const { isTwoFactorRequired } = require('../config/security');
+const { roleHierarchy } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissionService');
 
 // Public user registration
 const registerUser = async (req, res) => {
@@ -44,15 +64,17 @@ const registerUser = async (req, res) => {
             role: 'user' // Default role for public registration
         });
 
+        const verificationToken = user.createEmailVerificationToken();
         await user.save();
+        await sendEmailVerification(user, verificationToken);
 
-        // Generate token for immediate login
-        const token = generateToken(user._id, user.email, user.role);
+        // Start a session for immediate login
+        const tokens = await createSession(user, req);
 
         res.status(201).json({
             success: true,
             message: 'Registration successful',
-            token,
+            ...tokens,
             user: {
                 id: user._id,
                 firstName: user.firstName,
@@ -60,7 +82,8 @@ const registerUser = async (req, res) => {
                 fullName: user.fullName,
                 email: user.email,
                 phone: user.phone,
-                role: user.role
+                role: user.role,
+                isEmailVerified: user.isEmailVerified
             }
         });
     } catch (error) {
@@ -143,6 +166,33 @@ const registerStaff = async (req, res) => {
     }
 };
 
+const toLoginUser = (user) => ({
+    id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    fullName: user.fullName,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    department: user.department,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+    lastLogin: user.lastLogin
+});
+
+// Reset failed attempts, start a session for this device and respond
+const completeLogin = async (user, req, res, extra = {}) => {
+    await user.resetLoginAttempts();
+    const tokens = await createSession(user, req);
+
+    res.json({
+        success: true,
+        ...tokens,
+        ...extra,
+        user: toLoginUser(user)
+    });
+};
+
 // Login controller (supports email or phone)
 const login = async (req, res) => {
     try {
@@ -184,27 +234,25 @@ const login = async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Reset login attempts on successful login
-        await user.resetLoginAttempts();
+        // Password alone isn't enough for accounts with a second factor.
+        // Failed attempts are only cleared once the whole login succeeds.
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: generateChallengeToken(user._id, '2fa')
+            });
+        }
 
-        // Generate token
-        const token = generateToken(user._id, user.email, user.role);
+        if (isTwoFactorRequired(user.role)) {
+            return res.json({
+                success: true,
+                twoFactorSetupRequired: true,
+                challengeToken: generateChallengeToken(user._id, '2fa-setup')
+            });
+        }
 
-        res.json({
-            success: true,
-            token,
-            user: {
-                id: user._id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                fullName: user.fullName,
-                email: user.email,
-                phone: user.phone,
-                role: user.role,
-                department: user.department,
-                lastLogin: user.lastLogin
-            }
-        });
+        await completeLogin(user, req, res);
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Server error during login' });
@@ -239,8 +287,8 @@ const updateProfile = async (req, res) => {
         ];
 
         // Staff can update additional fields
-        if (['staff', 'manager', 'admin', 'ceo'].includes(req.user.role)) {
-            allowedUpdates.push('phone'); // Staff can update their phone
+        if (await hasPermission(req.user, 'profile.phone.update')) {
+            allowedUpdates.push('phone');
         }
 
         const updates = {};
@@ -294,9 +342,16 @@ const changePassword = async (req, res) => {
         user.password = newPassword;
         await user.save();
 
+        // Sign out every other device; this one gets fresh tokens since
+        // its current access token predates the change
+        await revokeUserSessions(user._id, 'password-changed', { except: req.authSession._id });
+        await revokeSession(req.authSession._id, 'password-changed');
+        const tokens = await createSession(user, req);
+
         res.json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'Password changed successfully',
+            ...tokens
         });
     } catch (error) {
         console.error('Change password error:', error);
@@ -304,11 +359,10 @@ const changePassword = async (req, res) => {
     }
 };
 
-// Logout (invalidate token - would need token blacklisting in production)
+// Logout - revokes this device's session, so its access and refresh tokens stop working
 const logout = async (req, res) => {
     try {
-        // In a stateless JWT system, logout is handled client-side
-        // You could implement token blacklisting here if needed
+        await revokeSession(req.authSession._id, 'logout');
         res.json({ message: 'Logout successful' });
     } catch (error) {
         console.error('Logout error:', error);
@@ -316,6 +370,416 @@ const logout = async (req, res) => {
     }
 };
 
+// Second login step: check the TOTP or recovery code for a login challenge
+const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Challenge token and an authentication code are required' });
+        }
+
+        const decoded = verifyChallengeToken(challengeToken, '2fa');
+        if (!decoded) {
+            return res.status(401).json({ error: 'Login challenge is invalid or expired' });
+        }
+
+        const user = await User.findById(decoded.id);
+        if (!user || !user.isActive) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (user.isLocked) {
+            return res.status(401).json({
+                error: 'Account is temporarily locked due to multiple failed login attempts'
+            });
+        }
+
+        const verified = await consumeSecondFactor(user, { code, recoveryCode });
+        if (!verified) {
+            await user.incLoginAttempts();
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        const extra = recoveryCode
+            ? { recoveryCodesRemaining: getRemainingRecoveryCodes(await User.findById(user._id)) }
+            : {};
+
+        await completeLogin(user, req, res, extra);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+};
+
+// Start TOTP enrollment. Works with an access token, or with the
+// '2fa-setup' challenge from login when the role requires 2FA.
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const enrollment = await beginEnrollment(user);
+
+        res.json({
+            success: true,
+            ...enrollment
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Server error during two-factor setup' });
+    }
+};
+
+// Confirm enrollment with a code from the app; returns recovery codes once
+const enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ error: 'Authentication code is required' });
+        }
+
+        const user = await User.findById(req.user._id);
+
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        // Enrolling mid-login finishes the login
+        if (req.twoFactorChallenge) {
+            return completeLogin(user, req, res, { recoveryCodes });
+        }
+
+        // Other devices signed in with the password alone
+        await revokeUserSessions(user._id, 'revoked', { except: req.authSession._id });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({ error: 'Server error while enabling two-factor authentication' });
+    }
+};
+
+// Turn off 2FA (not allowed for roles that require it)
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body;
+
+        if (isTwoFactorRequired(req.user.role)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await clearTwoFactor(user._id);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({ error: 'Server error while disabling two-factor authentication' });
+    }
+};
+
+// Issue a fresh set of recovery codes, invalidating the old ones
+const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.findById(req.user._id);
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!(await consumeSecondFactor(user, { code }))) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(user);
+
+        res.json({
+            success: true,
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({ error: 'Server error while generating recovery codes' });
+    }
+};
+
+// Remove another user's second factor, e.g. after a lost phone (admin only).
+// They enroll again at their next login if their role requires it.
+const resetUserTwoFactor = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const target = await User.findById(id);
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if ((roleHierarchy[target.role] || 0) > (roleHierarchy[req.user.role] || 0)) {
+            return res.status(403).json({ error: 'Cannot reset two-factor for a higher role' });
+        }
+
+        await clearTwoFactor(target._id);
+        await revokeUserSessions(target._id, 'admin');
+
+        res.json({
+            success: true,
+            message: `Two-factor authentication reset for ${target.email}`
+        });
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({ error: 'Server error while resetting two-factor authentication' });
+    }
+};
+
+// Exchange a refresh token for a new access token; the refresh token rotates
+const refreshSession = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const result = await rotateSession(refreshToken, req);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            ...result.tokens
+        });
+    } catch (error) {
+        console.error('Refresh session error:', error);
+        res.status(500).json({ error: 'Server error during token refresh' });
+    }
+};
+
+// List the signed-in devices for the current user
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await getActiveSessions(req.user._id);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                ...session.toObject(),
+                current: session._id.equals(req.authSession._id)
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+};
+
+// Sign out one of the current user's devices
+const deleteSession = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid session ID' });
+        }
+
+        const sessions = await getActiveSessions(req.user._id);
+        if (!sessions.some(session => session._id.equals(id))) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await revokeSession(id, 'revoked');
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+};
+
+// Sign out every device except this one
+const deleteOtherSessions = async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user._id, 'revoked', { except: req.authSession._id });
+
+        res.json({
+            success: true,
+            message: `${revoked} session(s) revoked`
+        });
+    } catch (error) {
+        console.error('Delete sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+};
+
+// Request a password reset link. The response is the same whether or not
+// the account exists so the endpoint can't be used to probe for emails.
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+        if (user) {
+            const token = user.createPasswordResetToken();
+            await user.save({ validateBeforeSave: false });
+            await sendPasswordReset(user, token);
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Server error during password reset request' });
+    }
+};
+
+// Set a new password with a reset token
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token and new password are required' });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+        }
+
+        // Claim the token atomically so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetToken: User.hashToken(token),
+                passwordResetExpires: { $gt: new Date() }
+            },
+            { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+
+        user.password = password;
+        // The link reached the inbox, which proves the address
+        user.isEmailVerified = true;
+        await user.save();
+        await user.resetLoginAttempts();
+        await revokeUserSessions(user._id, 'password-changed');
+
+        res.json({
+            success: true,
+            message: 'Password has been reset successfully'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Server error during password reset' });
+    }
+};
+
+// Confirm an email address with a verification token
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Verification token is required' });
+        }
+
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationToken: User.hashToken(token),
+                emailVerificationExpires: { $gt: new Date() }
+            },
+            {
+                $set: { isEmailVerified: true },
+                $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+            },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Server error during email verification' });
+    }
+};
+
+// Send a fresh verification link; earlier links stop working
+const resendVerification = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+        if (user && !user.isEmailVerified) {
+            const token = user.createEmailVerificationToken();
+            await user.save({ validateBeforeSave: false });
+            await sendEmailVerification(user, token);
+        }
+
+        res.json({
+            success: true,
+            message: 'If this email needs verifying, a new verification link has been sent'
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Server error while sending verification email' });
+    }
+};
+
 // Get all users (admin only)
 const getAllUsers = async (req, res) => {
     try {
@@ -335,5 +799,19 @@ module.exports = {
     updateProfile,
     changePassword,
     logout,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateTwoFactorRecoveryCodes,
+    resetUserTwoFactor,
+    refreshSession,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     getAllUsers
 };
@@ -1,8 +1,43 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
+const Order = require('../models/Order');
 const Room = require('../models/Room');
+const User = require('../models/User');
 const Package = require('../models/Package');
 const Service = require('../models/Service');
-const { createPaymentIntent } = require('../services/paymentService');
+const RoomCategory = require('../models/RoomCategory');
+const Invoice = require('../models/Invoice');
+const { createPaymentIntent, createRefund } = require('../services/paymentService');
+const { hasPermission } = require('../services/permissionService');
+const { parseStayDates, checkRoomBookable, reserveRoom } = require('../services/availabilityService');
+const { quoteStay } = require('../services/pricingService');
+const { evaluateCoupon, redeemCoupon, releaseCoupon } = require('../services/couponService');
+const { getActiveTaxRules } = require('../services/taxService');
+const {
+    resolveCancellationPolicy,
+    getBookingCancellationPolicy,
+    calculateRefund
+} = require('../services/cancellationService');
+const { buildBookingFolio, buildRunningBalance, loadRoomCharges } = require('../services/folioService');
+const { issueBookingInvoice, sendInvoicePdf } = require('../services/invoiceService');
+const { createCleaningTask } = require('../services/housekeepingService');
+const { createWorkOrder } = require('../services/maintenanceService');
+const { OPEN_STATUSES: OPEN_REQUEST_STATUSES, applySla, markAcknowledged } = require('../services/serviceRequestService');
+const {
+    publishBookingEvent,
+    publishOrderEvent,
+    publishServiceRequestEvent
+} = require('../services/realtimeService');
+const { createRoomChargeOrder, settleCancelledOrder } = require('../services/orderService');
+const { transitionOrder } = require('../services/kitchenService');
+const { recomputeBookingRatings } = require('../services/reviewService');
+const { tierSummary, quoteRedemption, redeemPoints, reverseRedemption, awardStayPoints } = require('../services/loyaltyService');
+const { departments: SERVICE_REQUEST_TYPES } = require('../config/serviceRequests');
+const {
+    sendBookingConfirmation,
+    sendBookingCancellation,
+    sendInvoice
+} = require('../services/emailService');
 const crypto = require('crypto');
 
 // Generate UUID using crypto (Node.js built-in)
@@ -10,6 +45,78 @@ const generateUUID = () => {
     return crypto.randomUUID();
 };
 
+const PAYMENT_METHODS = ['card', 'upi', 'net-banking', 'wallet', 'cash'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Validate payments taken at the front desk, e.g. card plus cash
+const parsePaymentEntries = (payments) => {
+    if (!Array.isArray(payments) || payments.length === 0) {
+        return { error: 'At least one payment is required' };
+    }
+
+    for (const payment of payments) {
+        if (!PAYMENT_METHODS.includes(payment.method)) {
+            return { error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+        }
+        if (!(Number(payment.amount) > 0)) {
+            return { error: 'Payment amount must be greater than 0' };
+        }
+    }
+
+    const entries = payments.map(payment => ({
+        method: payment.method,
+        amount: roundMoney(Number(payment.amount)),
+        reference: payment.reference,
+        note: payment.note
+    }));
+
+    return { entries, total: roundMoney(entries.reduce((sum, entry) => sum + entry.amount, 0)) };
+};
+
+// Refund Stripe payments on a booking, newest first. Whatever Stripe can't
+// cover (cash payments, or a failure after the first refund) is returned as
+// `remaining` for the front desk to settle.
+const refundBookingPayments = async (booking, amount) => {
+    const entries = booking.getPaymentEntries().filter(entry => entry.paymentIntentId);
+
+    const refundable = {};
+    entries.forEach(entry => {
+        refundable[entry.paymentIntentId] = (refundable[entry.paymentIntentId] || 0) +
+            (entry.kind === 'payment' ? entry.amount : -entry.amount);
+    });
+
+    const intentIds = [...new Set(entries
+        .filter(entry => entry.kind === 'payment')
+        .map(entry => entry.paymentIntentId))].reverse();
+
+    const refunds = [];
+    let remaining = roundMoney(amount);
+
+    for (const paymentIntentId of intentIds) {
+        if (remaining <= 0) break;
+
+        const refundAmount = roundMoney(Math.min(remaining, refundable[paymentIntentId]));
+        if (refundAmount <= 0) continue;
+
+        try {
+            const stripeRefund = await createRefund(paymentIntentId, refundAmount, {
+                bookingId: booking._id.toString(),
+                bookingNumber: booking.bookingNumber
+            });
+            refunds.push({ paymentIntentId, refundId: stripeRefund.id, status: stripeRefund.status, amount: refundAmount });
+            remaining = roundMoney(remaining - refundAmount);
+        } catch (error) {
+            // Nothing refunded yet: let the caller abort the cancellation
+            if (refunds.length === 0) throw error;
+            console.error('Partial cancellation refund error:', error);
+            break;
+        }
+    }
+
+    return { refunds, remaining };
+};
+
 // Create new booking
 const createBooking = async (req, res) => {
     try {
@@ -20,42 +127,57 @@ const createBooking = async (req, res) => {
             numberOfGuests,
             selectedPackage,
             additionalServices = [],
-            specialRequests
+            specialRequests,
+            couponCode,
+            pointsToRedeem
         } = req.body;
 
         // Validate dates
-        const checkIn = new Date(checkInDate);
-        const checkOut = new Date(checkOutDate);
+        const stay = parseStayDates(checkInDate, checkOutDate);
+        if (!stay.valid) {
+            return res.status(400).json({ error: stay.error });
+        }
+
+        const { checkIn, checkOut } = stay;
         const today = new Date();
+        today.setHours(0, 0, 0, 0);
 
         if (checkIn < today) {
             return res.status(400).json({ error: 'Check-in date cannot be in the past' });
         }
 
-        if (checkOut <= checkIn) {
-            return res.status(400).json({ error: 'Check-out date must be after check-in date' });
+        const adults = parseInt(numberOfGuests && numberOfGuests.adults);
+        const children = parseInt((numberOfGuests && numberOfGuests.children) || 0);
+        if (isNaN(adults) || adults < 1 || isNaN(children) || children < 0) {
+            return res.status(400).json({ error: 'At least one adult is required and children cannot be negative' });
         }
 
-        // Check if room exists and is available
+        // Check if room exists and can take this party
         const room = await Room.findById(roomId);
         if (!room) {
             return res.status(404).json({ error: 'Room not found' });
         }
 
-        if (room.available < 1) {
-            return res.status(400).json({ error: 'Room is not available' });
+        const bookable = checkRoomBookable(room, adults + children);
+        if (!bookable.bookable) {
+            return res.status(400).json({ error: bookable.reason });
         }
 
-        // Calculate nights
-        const numberOfNights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
+        // Price the stay night by night
+        const quote = await quoteStay(room, checkIn, checkOut);
+        if (!quote.meetsMinimumStay) {
+            return res.status(400).json({
+                error: `This room requires a minimum stay of ${quote.minimumStay} nights for the selected dates`
+            });
+        }
 
-        // Calculate pricing
-        const roomRate = room.price;
+        const numberOfNights = quote.numberOfNights;
         let packagePrice = 0;
         let packageData = null;
+        let packageObj = null;
 
         if (selectedPackage) {
-            const packageObj = await Package.findById(selectedPackage);
+            packageObj = await Package.findById(selectedPackage);
             if (packageObj && packageObj.isAvailable(checkIn)) {
                 packagePrice = packageObj.getSeasonalPrice(checkIn);
                 packageData = {
@@ -65,6 +187,8 @@ const createBooking = async (req, res) => {
                     price: packagePrice,
                     includes: packageObj.includes
                 };
+            } else {
+                packageObj = null;
             }
         }
 
@@ -85,6 +209,49 @@ const createBooking = async (req, res) => {
             }
         }
 
+        // Validate the promo code against the pre-tax subtotal
+        const servicesTotal = servicesWithPricing.reduce((sum, service) =>
+            sum + (service.price * service.quantity), 0);
+        const subtotal = quote.roomTotal + packagePrice + servicesTotal;
+
+        let couponResult = null;
+        if (couponCode) {
+            couponResult = await evaluateCoupon(couponCode, {
+                user: req.user._id,
+                type: 'booking',
+                amount: subtotal,
+                room,
+                packageId: packageData ? packageData.id : null
+            });
+
+            if (!couponResult.valid) {
+                return res.status(400).json({ error: couponResult.error });
+            }
+        }
+        const couponDiscount = couponResult ? couponResult.discountAmount : 0;
+
+        // Tier members get their discount on the room and package
+        const guest = await User.findById(req.user._id).select('loyaltyPoints loyaltyTier');
+        const tier = tierSummary(guest.loyaltyTier);
+        const tierDiscount = roundMoney(Math.min(
+            (quote.roomTotal + packagePrice) * (tier.perks.discountPercentage || 0) / 100,
+            subtotal - couponDiscount
+        ));
+
+        // Points cover part of what is left
+        let pointsRedemption = null;
+        if (pointsToRedeem) {
+            pointsRedemption = quoteRedemption(guest, pointsToRedeem, subtotal - couponDiscount - tierDiscount);
+            if (pointsRedemption.error) {
+                return res.status(pointsRedemption.status).json({ error: pointsRedemption.error });
+            }
+        }
+        const pointsDiscount = pointsRedemption ? pointsRedemption.discountAmount : 0;
+
+        // Snapshot the cancellation policy so later policy edits don't change this stay
+        const roomCategory = await RoomCategory.findById(room.category);
+        const cancellation = resolveCancellationPolicy({ packageObj, roomCategory });
+
         // Create booking
         const booking = new Booking({
             user: req.user._id,
@@ -92,27 +259,96 @@ const createBooking = async (req, res) => {
             checkInDate: checkIn,
             checkOutDate: checkOut,
             numberOfNights,
-            numberOfGuests,
+            numberOfGuests: { adults, children },
             selectedPackage: packageData,
             additionalServices: servicesWithPricing,
             specialRequests: specialRequests || {},
+            cancellationPolicy: cancellation.policy,
+            cancellationPolicySource: cancellation.source,
             pricing: {
-                roomRate,
+                roomRate: quote.averageNightlyRate,
+                nightlyRates: quote.nights,
+                roomSubtotal: quote.subtotal,
+                lengthOfStayDiscount: quote.lengthOfStayDiscount,
+                roomTotal: quote.roomTotal,
                 packagePrice,
+                discountAmount: roundMoney(couponDiscount + tierDiscount + pointsDiscount),
                 totalAmount: 0 // Will be calculated by the method
+            },
+            coupon: couponResult ? {
+                couponId: couponResult.coupon._id,
+                code: couponResult.coupon.code,
+                discountAmount: couponResult.discountAmount
+            } : undefined,
+            loyalty: {
+                tier: tier.key,
+                lateCheckout: tier.perks.lateCheckout || undefined,
+                tierDiscount,
+                pointsRedeemed: pointsRedemption ? pointsRedemption.points : 0,
+                pointsDiscount
             }
         });
 
-        // Calculate total and save
-        booking.calculateTotal();
-        await booking.save();
+        booking.calculateTotal(await getActiveTaxRules());
+
+        // Save under the room lock so overlapping stays are rejected atomically
+        const reservation = await reserveRoom(
+            room._id,
+            checkIn,
+            checkOut,
+            { guests: adults + children },
+            async () => {
+                if (couponResult) {
+                    const redeemed = await redeemCoupon(couponResult.coupon, {
+                        user: req.user._id,
+                        booking: booking._id,
+                        discountAmount: couponResult.discountAmount
+                    });
+                    if (!redeemed) {
+                        return { error: 'Coupon is no longer available' };
+                    }
+                }
+
+                if (pointsRedemption) {
+                    const spent = await redeemPoints(req.user._id, pointsRedemption, {
+                        booking: booking._id,
+                        createdBy: req.user._id
+                    });
+                    if (spent.error) {
+                        if (couponResult) {
+                            await releaseCoupon(couponResult.coupon._id, { booking: booking._id });
+                        }
+                        return { error: spent.error };
+                    }
+                }
+
+                try {
+                    await booking.save();
+                } catch (saveError) {
+                    if (couponResult) {
+                        await releaseCoupon(couponResult.coupon._id, { booking: booking._id });
+                    }
+                    if (pointsRedemption) {
+                        await reverseRedemption({ booking: booking._id });
+                    }
+                    throw saveError;
+                }
+
+                return {};
+            }
+        );
+
+        if (!reservation.reserved) {
+            return res.status(reservation.status).json({ error: reservation.error });
+        }
 
-        // Update room availability
-        room.available -= 1;
-        await room.save();
+        if (reservation.result.error) {
+            return res.status(409).json({ error: reservation.result.error });
+        }
 
         // Populate room and user data for response
         await booking.populate('room user');
+        await sendBookingConfirmation(booking, booking.room);
 
         res.status(201).json({
             success: true,
@@ -242,6 +478,35 @@ const updateBooking = async (req, res) => {
     }
 };
 
+// Preview the refund a cancellation would give right now
+const getCancellationQuote = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        // Check access permissions
+        if (req.user.role === 'user' && booking.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const { source, policy } = await getBookingCancellationPolicy(booking);
+        const refund = calculateRefund(booking, policy);
+
+        res.json({
+            success: true,
+            policy: { ...policy, source },
+            refund,
+            cancellable: ['confirmed', 'checked-in'].includes(booking.status)
+        });
+    } catch (error) {
+        console.error('Get cancellation quote error:', error);
+        res.status(500).json({ error: 'Failed to calculate cancellation refund' });
+    }
+};
+
 // Cancel booking
 const cancelBooking = async (req, res) => {
     try {
@@ -261,19 +526,94 @@ const cancelBooking = async (req, res) => {
             return res.status(400).json({ error: 'Booking cannot be cancelled in current status' });
         }
 
-        booking.status = 'cancelled';
-        await booking.save();
+        // Refund approvers may override the policy's refund percentage
+        const { reason, refundPercentage } = req.body || {};
+        let overridePercentage = null;
+        if (refundPercentage !== undefined && refundPercentage !== null) {
+            if (!(await hasPermission(req.user, 'booking.refund'))) {
+                return res.status(403).json({ error: 'Not authorized to override the refund amount' });
+            }
 
-        // Restore room availability
-        const room = await Room.findById(booking.room);
-        if (room) {
-            room.available += 1;
-            await room.save();
+            overridePercentage = Number(refundPercentage);
+            if (isNaN(overridePercentage) || overridePercentage < 0 || overridePercentage > 100) {
+                return res.status(400).json({ error: 'Refund percentage must be between 0 and 100' });
+            }
         }
 
+        const { policy } = await getBookingCancellationPolicy(booking);
+        const refund = calculateRefund(booking, policy, { refundPercentage: overridePercentage });
+
+        let refundId;
+        let refundDue = 0;
+        let refundStatus = 'none';
+
+        if (refund.refundAmount > 0) {
+            // Issue the refund before cancelling so a failed refund leaves the booking intact
+            let result;
+            try {
+                result = await refundBookingPayments(booking, refund.refundAmount);
+            } catch (refundError) {
+                console.error('Cancellation refund error:', refundError);
+                return res.status(502).json({ error: 'Failed to issue refund, booking was not cancelled' });
+            }
+
+            result.refunds.forEach(stripeRefund => {
+                booking.addPaymentEntry({
+                    kind: 'refund',
+                    method: 'card',
+                    amount: stripeRefund.amount,
+                    paymentIntentId: stripeRefund.paymentIntentId,
+                    refundId: stripeRefund.refundId,
+                    note: 'Cancellation refund',
+                    source: 'online',
+                    recordedBy: req.user._id
+                });
+            });
+
+            if (result.remaining > 0) {
+                // Paid outside Stripe, front desk settles the refund by hand
+                // and records it as a refund payment
+                refundDue = result.remaining;
+                refundStatus = 'manual';
+            } else {
+                refundStatus = result.refunds.every(r => r.status === 'succeeded') ? 'succeeded' : 'pending';
+            }
+
+            refundId = result.refunds.length > 0 ? result.refunds[0].refundId : undefined;
+        }
+
+        booking.status = 'cancelled';
+        if (booking.coupon && booking.coupon.couponId) {
+            await releaseCoupon(booking.coupon.couponId, { booking: booking._id });
+        }
+        if (booking.loyalty && booking.loyalty.pointsRedeemed > 0) {
+            await reverseRedemption({ booking: booking._id }, { createdBy: req.user._id });
+        }
+
+        booking.cancellation = {
+            cancelledAt: new Date(),
+            cancelledBy: req.user._id,
+            reason,
+            hoursBeforeCheckIn: refund.hoursBeforeCheckIn,
+            refundPercentage: refund.refundPercentage,
+            refundAmount: refund.refundAmount,
+            refundDue,
+            refundId,
+            refundStatus,
+            overridden: overridePercentage !== null
+        };
+        await booking.save();
+        await sendBookingCancellation(booking);
+
         res.json({
             success: true,
             message: 'Booking cancelled successfully',
+            refund: {
+                amount: refund.refundAmount,
+                percentage: refund.refundPercentage,
+                status: refundStatus,
+                dueAtFrontDesk: refundDue
+            },
             booking: booking.toJSON()
         });
     } catch (error) {
@@ -282,6 +622,170 @@ const cancelBooking = async (req, res) => {
     }
 };
 
+// Create a Stripe payment intent for a booking (full balance or a deposit)
+const createBookingPaymentIntent = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        // Check access permissions
+        if (booking.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (['cancelled', 'checked-out', 'no-show'].includes(booking.status)) {
+            return res.status(400).json({ error: 'Booking cannot be paid in current status' });
+        }
+
+        const balance = booking.getBalance();
+        if (balance <= 0) {
+            return res.status(400).json({ error: 'Booking is already paid' });
+        }
+
+        const amount = req.body.amount ? Number(req.body.amount) : balance;
+        if (!(amount > 0) || amount > balance) {
+            return res.status(400).json({ error: 'Payment amount must be between 0 and the outstanding balance' });
+        }
+
+        const paymentIntent = await createPaymentIntent(amount, 'inr', {
+            bookingId: booking._id.toString(),
+            bookingNumber: booking.bookingNumber,
+            customerId: req.user._id.toString(),
+            orderType: 'booking'
+        });
+
+        booking.payment.paymentIntentId = paymentIntent.id;
+        await booking.save();
+
+        res.json({
+            success: true,
+            clientSecret: paymentIntent.clientSecret,
+            paymentIntentId: paymentIntent.id,
+            amount,
+            balance
+        });
+    } catch (error) {
+        console.error('Create booking payment intent error:', error);
+        res.status(500).json({ error: 'Failed to create payment intent' });
+    }
+};
+
+// Record payments or a refund taken at the front desk (staff access)
+const recordBookingPayment = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const { kind = 'payment' } = req.body;
+        const payments = Array.isArray(req.body.payments) ? req.body.payments : [req.body];
+
+        const parsed = parsePaymentEntries(payments);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        if (kind === 'refund') {
+            if (!(await hasPermission(req.user, 'booking.refund'))) {
+                return res.status(403).json({ error: 'Not authorized to record refunds' });
+            }
+
+            const refundable = roundMoney((booking.payment.paidAmount || 0) - (booking.payment.refundAmount || 0));
+            if (parsed.total > refundable + 0.01) {
+                return res.status(400).json({ error: 'Refund exceeds the amount paid', refundable });
+            }
+        } else if (kind === 'payment') {
+            if (['cancelled', 'no-show'].includes(booking.status)) {
+                return res.status(400).json({ error: 'Booking cannot be paid in current status' });
+            }
+
+            const balance = booking.getBalance();
+            if (parsed.total > balance + 0.01) {
+                return res.status(400).json({ error: 'Payment exceeds the outstanding balance', balance });
+            }
+        } else {
+            return res.status(400).json({ error: 'Kind must be payment or refund' });
+        }
+
+        const entries = parsed.entries.map(entry => booking.addPaymentEntry({
+            ...entry,
+            kind,
+            source: 'front-desk',
+            recordedBy: req.user._id
+        }));
+
+        // Paying out a cancellation refund owed at the desk settles it
+        if (kind === 'refund' && booking.cancellation && booking.cancellation.refundDue > 0) {
+            booking.cancellation.refundDue = Math.max(roundMoney(booking.cancellation.refundDue - parsed.total), 0);
+            if (booking.cancellation.refundDue === 0 && booking.cancellation.refundStatus === 'manual') {
+                booking.cancellation.refundStatus = 'succeeded';
+            }
+        }
+
+        await booking.save();
+
+        res.status(201).json({
+            success: true,
+            message: kind === 'refund' ? 'Refund recorded successfully' : 'Payment recorded successfully',
+            entries,
+            payment: {
+                status: booking.payment.status,
+                paidAmount: booking.payment.paidAmount,
+                refundAmount: booking.payment.refundAmount,
+                balance: booking.getBalance()
+            }
+        });
+    } catch (error) {
+        console.error('Record booking payment error:', error);
+        res.status(500).json({ error: 'Failed to record payment' });
+    }
+};
+
+// Get the guest folio: charges, payments and refunds with a running balance
+const getBookingFolio = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id)
+            .populate('user room')
+            .populate('payment.entries.recordedBy', 'firstName lastName role');
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        // Check access permissions
+        if (req.user.role === 'user' && booking.user._id.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const folio = buildBookingFolio(booking, await loadRoomCharges(booking._id));
+
+        res.json({
+            success: true,
+            folio: {
+                bookingNumber: booking.bookingNumber,
+                status: booking.status,
+                paymentStatus: booking.payment.status,
+                lines: folio.lines,
+                taxBreakdown: folio.taxBreakdown,
+                subtotal: folio.subtotal,
+                discountAmount: folio.discountAmount,
+                taxAmount: folio.taxAmount,
+                totalAmount: folio.totalAmount,
+                amountPaid: folio.amountPaid,
+                amountRefunded: folio.amountRefunded,
+                balanceDue: folio.balanceDue,
+                ledger: buildRunningBalance(folio, booking)
+            }
+        });
+    } catch (error) {
+        console.error('Get booking folio error:', error);
+        res.status(500).json({ error: 'Failed to retrieve folio' });
+    }
+};
+
 // Add service to booking
 const addServiceToBooking = async (req, res) => {
     try {
@@ -313,7 +817,7 @@ const addServiceToBooking = async (req, res) => {
         };
 
         booking.additionalServices.push(newService);
-        booking.calculateTotal();
+        booking.calculateTotal(await getActiveTaxRules());
         await booking.save();
 
         res.json({
@@ -327,10 +831,17 @@ const addServiceToBooking = async (req, res) => {
     }
 };
 
-// Add food order
+// Legacy booking food order types
+const FOOD_ORDER_TYPES = {
+    'room-service': 'room_service',
+    restaurant: 'dine_in',
+    takeaway: 'pickup'
+};
+
+// Add food order: charged to the room as an Order (see POST /api/orders/room-charge)
 const addFoodOrder = async (req, res) => {
     try {
-        const { items, orderType, deliveryDate, deliveryTime } = req.body;
+        const { items, orderType = 'room-service', deliveryDate, deliveryTime } = req.body;
 
         const booking = await Booking.findById(req.params.id);
         if (!booking) {
@@ -338,30 +849,44 @@ const addFoodOrder = async (req, res) => {
         }
 
         // Check access permissions
-        if (req.user.role === 'user' && booking.user.toString() !== req.user._id.toString()) {
+        if (booking.user.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'order.roomcharge.create'))) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        const totalAmount = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+        const deliveryType = FOOD_ORDER_TYPES[orderType] || orderType;
 
-        const foodOrder = {
-            orderId: generateUUID(),
+        let scheduledFor;
+        if (deliveryDate) {
+            scheduledFor = new Date(deliveryTime ? `${String(deliveryDate).slice(0, 10)}T${deliveryTime}` : deliveryDate);
+            if (isNaN(scheduledFor.getTime())) {
+                return res.status(400).json({ error: 'Invalid delivery date or time' });
+            }
+        }
+
+        const instructions = (items || [])
+            .filter(item => item.specialInstructions)
+            .map(item => `${item.menuItemName || 'Item'}: ${item.specialInstructions}`);
+
+        const result = await createRoomChargeOrder({
+            booking,
             items,
-            orderType,
-            deliveryDate,
-            deliveryTime,
-            totalAmount
-        };
+            deliveryType,
+            scheduledFor,
+            notes: instructions.length > 0 ? instructions.join('; ') : undefined,
+            placedBy: req.user
+        });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
-        booking.foodOrders.push(foodOrder);
-        booking.calculateTotal();
-        await booking.save();
+        publishOrderEvent('order.placed', result.order);
+        const updatedBooking = await Booking.findById(booking._id);
 
         res.json({
             success: true,
             message: 'Food order added successfully',
-            order: foodOrder,
-            booking: booking.toJSON()
+            order: result.order,
+            booking: updatedBooking.toJSON()
         });
     } catch (error) {
         console.error('Add food order error:', error);
@@ -369,7 +894,7 @@ const addFoodOrder = async (req, res) => {
     }
 };
 
-// Update food order status
+// Update the status of a food order charged to this booking
 const updateFoodOrder = async (req, res) => {
     try {
         const { status } = req.body;
@@ -379,18 +904,28 @@ const updateFoodOrder = async (req, res) => {
             return res.status(404).json({ error: 'Booking not found' });
         }
 
-        const order = booking.foodOrders.id(req.params.orderId);
+        if (!(await hasPermission(req.user, 'booking.foodorder.update'))) {
+            return res.status(403).json({ error: 'Not authorized to update food orders' });
+        }
+
+        // Migrated orders keep the id they had on the booking
+        const orderQuery = mongoose.Types.ObjectId.isValid(req.params.orderId)
+            ? { $or: [{ _id: req.params.orderId }, { orderId: req.params.orderId }] }
+            : { orderId: req.params.orderId };
+        const order = await Order.findOne({ ...orderQuery, booking: booking._id });
         if (!order) {
             return res.status(404).json({ error: 'Food order not found' });
         }
 
-        // Only staff can update order status
-        if (!['staff', 'manager', 'admin'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Staff access required' });
+        const result = await transitionOrder(order, status === 'ordered' ? 'confirmed' : status, { user: req.user });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        order.status = status;
-        await booking.save();
+        if (order.status === 'cancelled') {
+            await settleCancelledOrder(order, { user: req.user });
+        }
+        publishOrderEvent('order.status', order);
 
         res.json({
             success: true,
@@ -408,6 +943,10 @@ const createServiceRequest = async (req, res) => {
     try {
         const { type, priority, description } = req.body;
 
+        if (!Object.keys(SERVICE_REQUEST_TYPES).includes(type)) {
+            return res.status(400).json({ error: 'Invalid service request type' });
+        }
+
         const booking = await Booking.findById(req.params.id);
         if (!booking) {
             return res.status(404).json({ error: 'Booking not found' });
@@ -422,11 +961,36 @@ const createServiceRequest = async (req, res) => {
             requestId: generateUUID(),
             type,
             priority: priority || 'medium',
-            description
+            description,
+            requestDate: new Date()
         };
+        applySla(serviceRequest);
 
         booking.serviceRequests.push(serviceRequest);
         await booking.save();
+        publishServiceRequestEvent('servicerequest.created', booking, booking.serviceRequests[booking.serviceRequests.length - 1]);
+
+        // Maintenance problems go to the maintenance team as a work order
+        if (type === 'maintenance') {
+            try {
+                const workOrder = await createWorkOrder({
+                    room: booking.room,
+                    priority: serviceRequest.priority,
+                    title: `Guest request: ${(description || 'maintenance').slice(0, 80)}`,
+                    description,
+                    booking: booking._id,
+                    serviceRequestId: serviceRequest.requestId
+                }, { user: req.user });
+
+                serviceRequest.workOrder = workOrder._id;
+                await Booking.updateOne(
+                    { _id: booking._id, 'serviceRequests.requestId': serviceRequest.requestId },
+                    { $set: { 'serviceRequests.$.workOrder': workOrder._id } }
+                );
+            } catch (workOrderError) {
+                console.error('Create work order error:', workOrderError);
+            }
+        }
 
         res.json({
             success: true,
@@ -455,12 +1019,20 @@ const updateServiceRequest = async (req, res) => {
         }
 
         // Staff can assign and update status
-        if (['staff', 'manager', 'admin'].includes(req.user.role)) {
+        if (await hasPermission(req.user, 'booking.servicerequest.update')) {
+            const wasResolved = !OPEN_REQUEST_STATUSES.includes(request.status);
+
             if (assignedStaff) request.assignedStaff = assignedStaff;
             if (status) request.status = status;
-            if (resolution) {
-                request.resolution = resolution;
-                request.resolvedDate = new Date();
+            if (request.status !== 'open') markAcknowledged(request, req.user);
+            if (resolution) request.resolution = resolution;
+
+            // Resolution time is when the request first reached resolved or
+            // closed; reopening it clears the time
+            if (!OPEN_REQUEST_STATUSES.includes(request.status)) {
+                if (!wasResolved || !request.resolvedDate) request.resolvedDate = new Date();
+            } else {
+                request.resolvedDate = undefined;
             }
         }
 
@@ -470,6 +1042,7 @@ const updateServiceRequest = async (req, res) => {
         }
 
         await booking.save();
+        publishServiceRequestEvent('servicerequest.updated', booking, request);
 
         res.json({
             success: true,
@@ -485,7 +1058,12 @@ const updateServiceRequest = async (req, res) => {
 // Add review to booking
 const addReview = async (req, res) => {
     try {
-        const { rating, comment } = req.body;
+        const { rating, title, comment } = req.body;
+
+        const stars = Number(rating);
+        if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+            return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+        }
 
         const booking = await Booking.findById(req.params.id);
         if (!booking) {
@@ -502,20 +1080,40 @@ const addReview = async (req, res) => {
             return res.status(400).json({ error: 'Can only review completed stays' });
         }
 
+        // A hidden review stays hidden; the guest can't republish it by editing
+        const existing = booking.review && booking.review.rating ? booking.review : null;
+        if (existing && existing.status === 'hidden') {
+            return res.status(400).json({ error: 'This review has been removed and can no longer be edited' });
+        }
+
+        const room = await Room.findById(booking.room).select('category');
+        const packageId = booking.selectedPackage && booking.selectedPackage.id;
+        const now = new Date();
+
         booking.review = {
-            rating,
+            rating: stars,
+            title,
             comment,
-            reviewDate: new Date()
+            reviewDate: existing ? existing.reviewDate : now,
+            editedAt: existing ? now : undefined,
+            roomCategory: room ? room.category : undefined,
+            package: mongoose.Types.ObjectId.isValid(packageId) ? packageId : undefined,
+            status: 'published',
+            response: existing ? existing.response : undefined
         };
 
         await booking.save();
+        await recomputeBookingRatings(booking);
 
         res.json({
             success: true,
-            message: 'Review added successfully',
+            message: existing ? 'Review updated successfully' : 'Review added successfully',
             review: booking.review
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Add review error:', error);
         res.status(500).json({ error: 'Failed to add review' });
     }
@@ -590,6 +1188,7 @@ const checkInBooking = async (req, res) => {
         booking.status = 'checked-in';
         booking.actualCheckIn = new Date();
         await booking.save();
+        publishBookingEvent('booking.checked_in', booking);
 
         res.json({
             success: true,
@@ -614,21 +1213,107 @@ const checkOutBooking = async (req, res) => {
             return res.status(400).json({ error: 'Guest must be checked in to check out' });
         }
 
+        // Payments taken at the desk as part of check-out, e.g. card plus cash
+        const { payments, overrideBalance = false, overrideReason } = req.body || {};
+        let parsed = null;
+        if (payments) {
+            parsed = parsePaymentEntries(payments);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+        }
+
+        const checkOutTime = new Date();
+
+        // Settle the final bill with the tax rules in force at check-out
+        const taxRules = await getActiveTaxRules(checkOutTime);
+        booking.calculateTotal(taxRules);
+
+        if (parsed) {
+            if (parsed.total > booking.getBalance() + 0.01) {
+                return res.status(400).json({ error: 'Payment exceeds the outstanding balance', balance: booking.getBalance() });
+            }
+
+            parsed.entries.forEach(entry => booking.addPaymentEntry({
+                ...entry,
+                kind: 'payment',
+                source: 'front-desk',
+                recordedBy: req.user._id
+            }));
+        }
+
+        const balance = booking.getBalance();
+        if (balance > 0.01) {
+            if (!overrideBalance) {
+                return res.status(400).json({ error: 'Outstanding balance must be settled before check-out', balance });
+            }
+            if (!(await hasPermission(req.user, 'booking.checkout.override'))) {
+                return res.status(403).json({ error: 'Not authorized to check out a guest with an outstanding balance' });
+            }
+
+            booking.checkoutOverride = {
+                overriddenBy: req.user._id,
+                overriddenAt: checkOutTime,
+                outstandingBalance: balance,
+                reason: overrideReason
+            };
+        }
+
         booking.status = 'checked-out';
-        booking.actualCheckOut = new Date();
+        booking.actualCheckOut = checkOutTime;
         await booking.save();
+        publishBookingEvent('booking.checked_out', booking);
+
+        // Points for the stay; a retry later can't earn them twice
+        let pointsEarned = 0;
+        try {
+            const earned = await awardStayPoints(booking);
+            pointsEarned = earned ? earned.points : 0;
+        } catch (loyaltyError) {
+            console.error('Award loyalty points error:', loyaltyError);
+        }
+
+        const bookingData = booking.toJSON();
+
+        // The room needs turning over before it can be sold again
+        let housekeepingTask = null;
+        try {
+            ({ task: housekeepingTask } = await createCleaningTask({
+                room: booking.room,
+                booking: booking._id,
+                type: 'checkout',
+                createdBy: req.user._id
+            }));
+        } catch (housekeepingError) {
+            console.error('Create cleaning task error:', housekeepingError);
+        }
 
-        // Restore room availability
-        const room = await Room.findById(booking.room);
-        if (room) {
-            room.available += 1;
-            await room.save();
+        // The stay is closed even if invoicing fails; GET /:id/invoice issues it later
+        let invoice = null;
+        try {
+            await booking.populate('user room');
+            invoice = await issueBookingInvoice(booking, { issuedBy: req.user._id });
+            await sendInvoice(invoice);
+        } catch (invoiceError) {
+            console.error('Issue invoice error:', invoiceError);
         }
 
         res.json({
             success: true,
             message: 'Guest checked out successfully',
-            booking: booking.toJSON()
+            booking: bookingData,
+            invoice: invoice ? {
+                id: invoice._id,
+                invoiceNumber: invoice.invoiceNumber,
+                totalAmount: invoice.totalAmount,
+                balanceDue: invoice.balanceDue
+            } : null,
+            pointsEarned,
+            housekeepingTask: housekeepingTask ? {
+                id: housekeepingTask._id,
+                status: housekeepingTask.status,
+                priority: housekeepingTask.priority
+            } : null
         });
     } catch (error) {
         console.error('Check-out error:', error);
@@ -636,6 +1321,50 @@ const checkOutBooking = async (req, res) => {
     }
 };
 
+// Get the invoice for a booking as a PDF (or JSON with ?format=json).
+// Before check-out this is a proforma of the running folio.
+const getBookingInvoice = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id).populate('user room');
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        // Check access permissions
+        if (req.user.role === 'user' && booking.user._id.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const asJson = req.query.format === 'json';
+
+        let invoice = await Invoice.findOne({ booking: booking._id });
+        if (!invoice && booking.status === 'checked-out') {
+            invoice = await issueBookingInvoice(booking, { issuedBy: req.user._id });
+        }
+
+        if (invoice) {
+            return asJson
+                ? res.json({ success: true, proforma: false, invoice })
+                : sendInvoicePdf(res, invoice);
+        }
+
+        if (['cancelled', 'no-show'].includes(booking.status)) {
+            return res.status(400).json({ error: 'No invoice is available for this booking' });
+        }
+
+        const folio = buildBookingFolio(booking, await loadRoomCharges(booking._id));
+
+        if (asJson) {
+            return res.json({ success: true, proforma: true, invoice: folio });
+        }
+        await sendInvoicePdf(res, folio, { proforma: true });
+    } catch (error) {
+        console.error('Get booking invoice error:', error);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+};
+
 // Get booking statistics (management access)
 const getBookingStats = async (req, res) => {
     try {
@@ -711,7 +1440,11 @@ module.exports = {
     getUserBookings,
     getBookingById,
     updateBooking,
+    getCancellationQuote,
     cancelBooking,
+    createBookingPaymentIntent,
+    recordBookingPayment,
+    getBookingFolio,
     addServiceToBooking,
     addFoodOrder,
     updateFoodOrder,
@@ -721,5 +1454,6 @@ module.exports = {
     getAllBookings,
     checkInBooking,
     checkOutBooking,
+    getBookingInvoice,
     getBookingStats
 };
@@ -0,0 +1,240 @@
+const Coupon = require('../models/Coupon');
+const Room = require('../models/Room');
+const MenuItem = require('../models/MenuItem');
+const { evaluateCoupon } = require('../services/couponService');
+
+// Get all coupons (admin only)
+const getAllCoupons = async (req, res) => {
+    try {
+        const { isActive, search, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+        if (search) query.code = { $regex: search, $options: 'i' };
+
+        const coupons = await Coupon.find(query)
+            .select('-redemptions')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        const total = await Coupon.countDocuments(query);
+
+        res.json({
+            success: true,
+            coupons,
+            pagination: {
+                page: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({ error: 'Failed to retrieve coupons' });
+    }
+};
+
+// Get coupon by ID with redemption history (admin only)
+const getCouponById = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate('redemptions.user', 'firstName lastName email');
+
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        res.json({
+            success: true,
+            coupon
+        });
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({ error: 'Failed to retrieve coupon' });
+    }
+};
+
+// Create coupon (admin only)
+const createCoupon = async (req, res) => {
+    try {
+        const { code, discountType, value } = req.body;
+
+        if (!code || !discountType || value === undefined) {
+            return res.status(400).json({ error: 'Code, discount type and value are required' });
+        }
+
+        if (discountType === 'percentage' && (value <= 0 || value > 100)) {
+            return res.status(400).json({ error: 'Percentage discount must be between 0 and 100' });
+        }
+
+        // Usage is tracked by the server only
+        const { usageCount, redemptions, ...couponData } = req.body;
+
+        const coupon = new Coupon({
+            ...couponData,
+            createdBy: req.user._id
+        });
+        await coupon.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            coupon
+        });
+    } catch (error) {
+        console.error('Create coupon error:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A coupon with this code already exists' });
+        }
+
+        res.status(500).json({ error: 'Failed to create coupon' });
+    }
+};
+
+// Update coupon (admin only)
+const updateCoupon = async (req, res) => {
+    try {
+        const { usageCount, redemptions, createdBy, ...updates } = req.body;
+
+        // Check the percentage limit against the coupon as it will be saved
+        if (updates.discountType !== undefined || updates.value !== undefined) {
+            const current = await Coupon.findById(req.params.id).select('discountType value');
+            if (!current) {
+                return res.status(404).json({ error: 'Coupon not found' });
+            }
+
+            const discountType = updates.discountType !== undefined ? updates.discountType : current.discountType;
+            const value = updates.value !== undefined ? updates.value : current.value;
+            if (discountType === 'percentage' && (value <= 0 || value > 100)) {
+                return res.status(400).json({ error: 'Percentage discount must be between 0 and 100' });
+            }
+        }
+
+        const coupon = await Coupon.findByIdAndUpdate(
+            req.params.id,
+            updates,
+            { new: true, runValidators: true }
+        ).select('-redemptions');
+
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Coupon updated successfully',
+            coupon
+        });
+    } catch (error) {
+        console.error('Update coupon error:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({ error: 'A coupon with this code already exists' });
+        }
+
+        res.status(500).json({ error: 'Failed to update coupon' });
+    }
+};
+
+// Delete coupon (admin only) - deactivates coupons that have been used
+const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        if (coupon.usageCount > 0) {
+            coupon.isActive = false;
+            await coupon.save();
+
+            return res.json({
+                success: true,
+                message: 'Coupon has redemptions and was deactivated instead of deleted'
+            });
+        }
+
+        await coupon.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({ error: 'Failed to delete coupon' });
+    }
+};
+
+// Preview a coupon against a booking or order before checkout
+const validateCoupon = async (req, res) => {
+    try {
+        const { code, type = 'booking', amount, roomId, packageId, items = [] } = req.body;
+
+        if (!['booking', 'order'].includes(type)) {
+            return res.status(400).json({ error: 'Type must be booking or order' });
+        }
+
+        let room = null;
+        if (type === 'booking' && roomId) {
+            room = await Room.findById(roomId).select('category');
+        }
+
+        // Price order items from the menu, not the client
+        const orderItems = [];
+        if (type === 'order') {
+            for (const item of items) {
+                const menuItem = await MenuItem.findById(item.id);
+                if (menuItem) {
+                    orderItems.push({
+                        category: menuItem.category,
+                        subtotal: menuItem.price * (item.quantity || 1)
+                    });
+                }
+            }
+        }
+
+        const subtotal = type === 'order'
+            ? orderItems.reduce((sum, item) => sum + item.subtotal, 0)
+            : Number(amount) || 0;
+
+        const result = await evaluateCoupon(code, {
+            user: req.user._id,
+            type,
+            amount: subtotal,
+            room,
+            packageId,
+            items: orderItems
+        });
+
+        if (!result.valid) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            coupon: {
+                code: result.coupon.code,
+                description: result.coupon.description,
+                discountType: result.coupon.discountType,
+                value: result.coupon.value
+            },
+            discountAmount: result.discountAmount
+        });
+    } catch (error) {
+        console.error('Validate coupon error:', error);
+        res.status(500).json({ error: 'Failed to validate coupon' });
+    }
+};
+
+module.exports = {
+    getAllCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    validateCoupon
+};
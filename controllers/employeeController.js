@@ -1,5 +1,6 @@
 const Employee = require('../models/Employee');
 const User = require('../models/User');
+const { hasPermission } = require('../services/permissionService');
 
 // Get all employees with user details
 const getAllEmployees = async (req, res) => {
@@ -263,21 +264,17 @@ const getSalaryInfo = async (req, res) => {
         const { id } = req.params;
         const requestingUser = req.user;
 
-        // Check permissions
-        if (requestingUser.role === 'staff' && requestingUser._id.toString() !== id) {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. You can only view your own salary information.'
-            });
-        }
+        // Everyone may see their own record; wider access comes from permissions
+        if (!(await hasPermission(requestingUser, 'employee.salary.read'))) {
+            const record = await Employee.findById(id).populate('user', 'department');
+            const isOwnRecord = record && record.user && record.user._id.toString() === requestingUser._id.toString();
+            const inDepartment = record && record.user && record.user.department === requestingUser.department &&
+                await hasPermission(requestingUser, 'employee.salary.read.department');
 
-        if (requestingUser.role === 'manager') {
-            // Managers can only see staff in their department
-            const employee = await Employee.findById(id).populate('user');
-            if (!employee || (employee.user.department !== requestingUser.department && employee.user.role !== 'staff')) {
+            if (!isOwnRecord && !inDepartment) {
                 return res.status(403).json({
                     success: false,
-                    message: 'Access denied. You can only view salary information for staff in your department.'
+                    message: 'Access denied. You can only view salary information you have been granted.'
                 });
             }
         }
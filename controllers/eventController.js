@@ -0,0 +1,46 @@
+const { STREAM_TICKET_TTL_SECONDS } = require('../services/jwtService');
+const { issueStreamTicket } = require('../services/sessionService');
+const { openStream, getConnectionStats } = require('../services/realtimeService');
+
+// Short-lived, single-use ticket for opening the event stream with EventSource
+const createStreamTicket = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ticket: await issueStreamTicket(req.user, req.authSession),
+            expiresIn: STREAM_TICKET_TTL_SECONDS
+        });
+    } catch (error) {
+        console.error('Create stream ticket error:', error);
+        res.status(500).json({ error: 'Failed to create stream ticket' });
+    }
+};
+
+// Server-Sent Events stream of orders, service requests, check-ins/outs and
+// housekeeping updates the user is allowed to see
+const streamEvents = async (req, res) => {
+    try {
+        await openStream(req, res);
+    } catch (error) {
+        console.error('Open event stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to open event stream' });
+        } else {
+            res.end();
+        }
+    }
+};
+
+// Connected clients on this instance
+const getStreamStatus = (req, res) => {
+    res.json({
+        success: true,
+        ...getConnectionStats()
+    });
+};
+
+module.exports = {
+    createStreamTicket,
+    streamEvents,
+    getStreamStatus
+};
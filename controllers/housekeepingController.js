@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const HousekeepingTask = require('../models/HousekeepingTask');
+const { hasPermission } = require('../services/permissionService');
+const { publishHousekeepingEvent } = require('../services/realtimeService');
+const {
+    OPEN_STATUSES,
+    isSupervisorTransition,
+    createCleaningTask,
+    transitionTask,
+    getFloorBoard
+} = require('../services/housekeepingService');
+
+const TASK_POPULATE = [
+    { path: 'room', select: 'roomNumber name floor' },
+    { path: 'assignedTo', select: 'firstName lastName employeeId' },
+    { path: 'assignedBy', select: 'firstName lastName' }
+];
+
+// Floor-by-floor status of every room
+const getBoard = async (req, res) => {
+    try {
+        let floor;
+        if (req.query.floor !== undefined) {
+            floor = parseInt(req.query.floor);
+            if (isNaN(floor)) {
+                return res.status(400).json({ error: 'Invalid floor' });
+            }
+        }
+
+        const board = await getFloorBoard({ floor });
+
+        res.json({
+            success: true,
+            ...board
+        });
+    } catch (error) {
+        console.error('Get housekeeping board error:', error);
+        res.status(500).json({ error: 'Failed to retrieve housekeeping board' });
+    }
+};
+
+// List tasks. Housekeepers only see tasks assigned to them.
+const getTasks = async (req, res) => {
+    try {
+        const { status, assignedTo, floor, includeClosed } = req.query;
+        const canManage = await hasPermission(req.user, 'housekeeping.task.manage');
+
+        const query = {};
+        if (status) {
+            query.status = { $in: status.split(',') };
+        } else if (includeClosed !== 'true') {
+            query.status = { $in: OPEN_STATUSES };
+        }
+
+        if (!canManage) {
+            query.assignedTo = req.user._id;
+        } else if (assignedTo) {
+            query.assignedTo = assignedTo === 'none' ? null : assignedTo;
+        }
+
+        if (floor !== undefined) {
+            const rooms = await Room.find({ floor: parseInt(floor) }).select('_id');
+            query.room = { $in: rooms.map(room => room._id) };
+        }
+
+        const tasks = await HousekeepingTask.find(query)
+            .populate(TASK_POPULATE)
+            .sort({ createdAt: 1 })
+            .limit(500);
+
+        // Most urgent first, oldest first within a priority
+        const priorityOrder = { urgent: 0, high: 1, normal: 2, low: 3 };
+        tasks.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
+
+        res.json({
+            success: true,
+            tasks
+        });
+    } catch (error) {
+        console.error('Get housekeeping tasks error:', error);
+        res.status(500).json({ error: 'Failed to retrieve housekeeping tasks' });
+    }
+};
+
+// Open a task by hand, e.g. a stayover or deep clean
+const createTask = async (req, res) => {
+    try {
+        const { roomId, type = 'stayover', priority, notes } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(roomId)) {
+            return res.status(400).json({ error: 'Valid room ID is required' });
+        }
+
+        const room = await Room.findById(roomId).select('_id');
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+
+        const { task, created } = await createCleaningTask({
+            room,
+            type,
+            priority,
+            notes,
+            createdBy: req.user._id
+        });
+
+        if (!created) {
+            return res.status(409).json({ error: 'Room already has an open cleaning task', task });
+        }
+
+        await task.populate(TASK_POPULATE);
+
+        res.status(201).json({
+            success: true,
+            message: 'Cleaning task created',
+            task
+        });
+    } catch (error) {
+        console.error('Create housekeeping task error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.status(500).json({ error: 'Failed to create housekeeping task' });
+    }
+};
+
+// Give a task to a member of the housekeeping department
+const assignTask = async (req, res) => {
+    try {
+        const { staffId, priority } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(staffId)) {
+            return res.status(400).json({ error: 'Valid staff ID is required' });
+        }
+
+        const staff = await User.findById(staffId).select('role department isActive');
+        if (!staff || !staff.isActive || !['staff', 'manager'].includes(staff.role) || staff.department !== 'housekeeping') {
+            return res.status(400).json({ error: 'Tasks can only be assigned to active housekeeping staff' });
+        }
+
+        const task = await HousekeepingTask.findOne({ _id: req.params.id, status: { $in: OPEN_STATUSES } });
+        if (!task) {
+            return res.status(404).json({ error: 'Open task not found' });
+        }
+
+        task.assignedTo = staff._id;
+        task.assignedBy = req.user._id;
+        task.assignedAt = new Date();
+        if (priority) task.priority = priority;
+        await task.save();
+        publishHousekeepingEvent(task);
+        await task.populate(TASK_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Task assigned',
+            task
+        });
+    } catch (error) {
+        console.error('Assign housekeeping task error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.status(500).json({ error: 'Failed to assign housekeeping task' });
+    }
+};
+
+// Move a room along dirty -> cleaning -> inspected -> ready.
+// Housekeepers work their own tasks; releasing a room or failing its
+// inspection is for supervisors.
+const updateTaskStatus = async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        if (!status) {
+            return res.status(400).json({ error: 'Status is required' });
+        }
+
+        const task = await HousekeepingTask.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const canManage = await hasPermission(req.user, 'housekeeping.task.manage');
+        if (!canManage) {
+            if (!(await hasPermission(req.user, 'housekeeping.task.work'))) {
+                return res.status(403).json({ error: 'Not authorized to update housekeeping tasks' });
+            }
+
+            // Unassigned rooms can be picked up by starting them
+            const isOwnTask = task.assignedTo
+                ? task.assignedTo.toString() === req.user._id.toString()
+                : status === 'cleaning';
+            if (!isOwnTask) {
+                return res.status(403).json({ error: 'This task is assigned to someone else' });
+            }
+
+            if (isSupervisorTransition(task.status, status)) {
+                return res.status(403).json({ error: 'Only a supervisor can release or reject an inspected room' });
+            }
+        }
+
+        const result = await transitionTask(task, status, { user: req.user, note });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await result.task.populate(TASK_POPULATE);
+
+        res.json({
+            success: true,
+            message: `Room marked ${status}`,
+            task: result.task
+        });
+    } catch (error) {
+        console.error('Update housekeeping task error:', error);
+        res.status(500).json({ error: 'Failed to update housekeeping task' });
+    }
+};
+
+module.exports = {
+    getBoard,
+    getTasks,
+    createTask,
+    assignTask,
+    updateTaskStatus
+};
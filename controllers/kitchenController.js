@@ -0,0 +1,87 @@
+const Order = require('../models/Order');
+const { stations, stationKeys, defaultPreparationMinutes, deliveryMinutes } = require('../config/kitchen');
+const { ACTIVE_STATUSES, getKitchenQueue, updateStation } = require('../services/kitchenService');
+const { publishOrderEvent, publishKitchenStationEvent } = require('../services/realtimeService');
+
+// Stations and timing settings for the kitchen display
+const getStations = (req, res) => {
+    res.json({
+        success: true,
+        stations: stationKeys.map(key => ({ key, ...stations[key] })),
+        defaultPreparationMinutes,
+        deliveryMinutes
+    });
+};
+
+// Orders to cook, soonest promised first (?station=grill, ?status=confirmed,preparing,ready)
+const getQueue = async (req, res) => {
+    try {
+        const { station, status } = req.query;
+
+        if (station && !stationKeys.includes(station)) {
+            return res.status(400).json({ error: 'Unknown station' });
+        }
+
+        const statuses = status ? status.split(',') : ACTIVE_STATUSES;
+        const orders = await getKitchenQueue({ station, statuses });
+
+        res.json({
+            success: true,
+            station: station || null,
+            count: orders.length,
+            late: orders.filter(order => order.isLate).length,
+            orders
+        });
+    } catch (error) {
+        console.error('Get kitchen queue error:', error);
+        res.status(500).json({ error: 'Failed to retrieve kitchen queue' });
+    }
+};
+
+const changeStation = (action) => async (req, res) => {
+    try {
+        const { orderId, station } = req.params;
+
+        if (!stationKeys.includes(station)) {
+            return res.status(400).json({ error: 'Unknown station' });
+        }
+
+        const order = await Order.findOne({ orderId });
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const previousStatus = order.status;
+        const result = await updateStation(order, station, action, { user: req.user });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        publishKitchenStationEvent(result.order, station);
+        if (result.order.status !== previousStatus) {
+            publishOrderEvent('order.status', result.order);
+        }
+
+        res.json({
+            success: true,
+            message: action === 'ready' ? 'Station items ready' : 'Station started',
+            order: result.order
+        });
+    } catch (error) {
+        console.error(`Kitchen station ${action} error:`, error);
+        res.status(500).json({ error: 'Failed to update kitchen station' });
+    }
+};
+
+// A station starts cooking its items on an order
+const startStation = changeStation('start');
+
+// A station bumps its finished items; the last station makes the order ready
+const readyStation = changeStation('ready');
+
+module.exports = {
+    getStations,
+    getQueue,
+    startStation,
+    readyStation
+};
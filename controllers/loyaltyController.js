@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { tiers, earning, redemption, expiryMonths, qualifyingMonths } = require('../config/loyalty');
+const { getLoyaltySummary, adjustPoints: adjustUserPoints } = require('../services/loyaltyService');
+
+const listTransactions = async (userId, { type, page = 1, limit = 20 }) => {
+    const query = { user: userId };
+    if (type) query.type = { $in: type.split(',') };
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [transactions, total] = await Promise.all([
+        LoyaltyTransaction.find(query)
+            .select('-consumed')
+            .populate('booking', 'bookingNumber')
+            .populate('order', 'orderId')
+            .sort({ createdAt: -1 })
+            .limit(limitNum)
+            .skip((pageNum - 1) * limitNum),
+        LoyaltyTransaction.countDocuments(query)
+    ]);
+
+    return {
+        transactions,
+        pagination: {
+            page: pageNum,
+            pages: Math.ceil(total / limitNum),
+            total
+        }
+    };
+};
+
+const findGuest = async (userId) => {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+    return User.findById(userId).select('firstName lastName email loyaltyPoints loyaltyTier qualifyingNights');
+};
+
+// Programme rules: tiers, perks and how points are earned and used
+const getProgramme = async (req, res) => {
+    res.json({
+        success: true,
+        tiers: tiers.map(tier => ({ key: tier.key, name: tier.name, minNights: tier.minNights, perks: tier.perks })),
+        earning,
+        redemption,
+        expiryMonths,
+        qualifyingMonths
+    });
+};
+
+// Own balance, tier and points about to expire
+const getMyLoyalty = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('loyaltyPoints loyaltyTier qualifyingNights');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ success: true, loyalty: await getLoyaltySummary(user) });
+    } catch (error) {
+        console.error('Get loyalty error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loyalty points' });
+    }
+};
+
+// Own points history
+const getMyTransactions = async (req, res) => {
+    try {
+        res.json({ success: true, ...(await listTransactions(req.user._id, req.query)) });
+    } catch (error) {
+        console.error('Get loyalty transactions error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loyalty transactions' });
+    }
+};
+
+// A guest's loyalty account (staff)
+const getGuestLoyalty = async (req, res) => {
+    try {
+        const user = await findGuest(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const history = await listTransactions(user._id, req.query);
+
+        res.json({
+            success: true,
+            guest: { _id: user._id, name: `${user.firstName} ${user.lastName}`, email: user.email },
+            loyalty: await getLoyaltySummary(user),
+            ...history
+        });
+    } catch (error) {
+        console.error('Get guest loyalty error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loyalty account' });
+    }
+};
+
+// Add or remove points by hand, e.g. a goodwill gesture
+const adjustPoints = async (req, res) => {
+    try {
+        const { points, reason } = req.body;
+
+        const amount = Number(points);
+        if (!Number.isInteger(amount) || amount === 0) {
+            return res.status(400).json({ error: 'Points must be a whole number other than zero' });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ error: 'A reason is required' });
+        }
+
+        const user = await findGuest(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await adjustUserPoints(user._id, amount, { reason: reason.trim(), createdBy: req.user._id });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Loyalty points adjusted',
+            transaction: result.transaction
+        });
+    } catch (error) {
+        console.error('Adjust loyalty points error:', error);
+        res.status(500).json({ error: 'Failed to adjust loyalty points' });
+    }
+};
+
+module.exports = {
+    getProgramme,
+    getMyLoyalty,
+    getMyTransactions,
+    getGuestLoyalty,
+    adjustPoints
+};
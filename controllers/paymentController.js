@@ -0,0 +1,202 @@
+const Order = require('../models/Order');
+const Booking = require('../models/Booking');
+const PaymentEvent = require('../models/PaymentEvent');
+const { constructWebhookEvent } = require('../services/paymentService');
+const { publishOrderEvent } = require('../services/realtimeService');
+const { confirmPaidOrder } = require('../services/kitchenService');
+const { abandonUnpaidOrder, settleCancelledOrder } = require('../services/orderService');
+
+// Stripe amounts are in the smallest currency unit (paisa)
+const fromMinorUnits = (amount) => (amount || 0) / 100;
+
+// Find the order or booking a payment intent was created for
+const findPaymentTarget = async (paymentIntentId, metadata = {}) => {
+    if (metadata.orderType === 'restaurant' && metadata.orderId) {
+        const order = await Order.findOne({ orderId: metadata.orderId });
+        if (order) return { kind: 'order', doc: order };
+    }
+
+    if (metadata.bookingId) {
+        const booking = await Booking.findById(metadata.bookingId);
+        if (booking) return { kind: 'booking', doc: booking };
+    }
+
+    const order = await Order.findOne({ paymentIntentId });
+    if (order) return { kind: 'order', doc: order };
+
+    const booking = await Booking.findOne({ 'payment.paymentIntentId': paymentIntentId });
+    if (booking) return { kind: 'booking', doc: booking };
+
+    return { kind: 'none', doc: null };
+};
+
+const handlePaymentSucceeded = async (intent, target) => {
+    if (target.kind === 'order') {
+        const order = target.doc;
+        if (order.paymentStatus === 'completed' || order.paymentStatus === 'refunded') {
+            return;
+        }
+        // Cancelled while the payment was still going through: give it back
+        if (order.status === 'cancelled') {
+            order.paymentStatus = 'completed';
+            order.stripePaymentId = intent.id;
+            await order.save();
+            await settleCancelledOrder(order);
+            return;
+        }
+        await confirmPaidOrder(order, intent.id, intent.latest_charge || intent.id);
+        publishOrderEvent('order.placed', order);
+        return;
+    }
+
+    if (target.kind === 'booking') {
+        const booking = target.doc;
+
+        const alreadyRecorded = booking.getPaymentEntries().some(entry =>
+            entry.kind === 'payment' && entry.paymentIntentId === intent.id
+        );
+        if (alreadyRecorded) {
+            return;
+        }
+
+        booking.addPaymentEntry({
+            kind: 'payment',
+            method: 'card',
+            amount: fromMinorUnits(intent.amount_received),
+            reference: intent.latest_charge || intent.id,
+            paymentIntentId: intent.id,
+            note: 'Online payment',
+            source: 'online',
+            recordedAt: new Date(intent.created * 1000)
+        });
+
+        await booking.save();
+    }
+};
+
+const handlePaymentFailed = async (intent, target) => {
+    if (target.kind === 'order') {
+        await abandonUnpaidOrder(target.doc, 'Payment failed');
+        return;
+    }
+
+    if (target.kind === 'booking') {
+        const booking = target.doc;
+        if (booking.payment.status === 'pending') {
+            booking.payment.status = 'failed';
+            await booking.save();
+        }
+    }
+};
+
+const handlePaymentCanceled = async (intent, target) => {
+    if (target.kind === 'order') {
+        await abandonUnpaidOrder(target.doc, 'Payment cancelled', { cancelIntent: false });
+        return;
+    }
+
+    await handlePaymentFailed(intent, target);
+};
+
+const handleChargeRefunded = async (charge, target) => {
+    const refundedAmount = fromMinorUnits(charge.amount_refunded);
+
+    if (target.kind === 'order') {
+        const order = target.doc;
+        if (charge.refunded && order.paymentStatus !== 'refunded') {
+            order.paymentStatus = 'refunded';
+            await order.save();
+        }
+        return;
+    }
+
+    if (target.kind === 'booking') {
+        const booking = target.doc;
+        const paymentIntentId = charge.payment_intent;
+
+        // amount_refunded is cumulative per charge; only record what the
+        // ledger doesn't already have (refunds issued on cancellation are
+        // recorded when they are made)
+        const recorded = booking.getPaymentEntries()
+            .filter(entry => entry.kind === 'refund' && entry.paymentIntentId === paymentIntentId)
+            .reduce((sum, entry) => sum + entry.amount, 0);
+        const unrecorded = Math.round((refundedAmount - recorded) * 100) / 100;
+
+        if (unrecorded > 0) {
+            booking.addPaymentEntry({
+                kind: 'refund',
+                method: 'card',
+                amount: unrecorded,
+                reference: charge.id,
+                paymentIntentId,
+                note: 'Refunded in Stripe',
+                source: 'online'
+            });
+            await booking.save();
+        }
+    }
+};
+
+// Stripe webhook (signature-verified, idempotent per event id)
+const handleStripeWebhook = async (req, res) => {
+    let event;
+
+    try {
+        event = constructWebhookEvent(req.body, req.headers['stripe-signature']);
+    } catch (error) {
+        console.error('Stripe webhook signature error:', error.message);
+        return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    const handlers = {
+        'payment_intent.succeeded': handlePaymentSucceeded,
+        'payment_intent.payment_failed': handlePaymentFailed,
+        'payment_intent.canceled': handlePaymentCanceled,
+        'charge.refunded': handleChargeRefunded
+    };
+
+    const handler = handlers[event.type];
+    if (!handler) {
+        return res.json({ received: true, ignored: true });
+    }
+
+    const object = event.data.object;
+    const paymentIntentId = event.type === 'charge.refunded' ? object.payment_intent : object.id;
+
+    let record;
+    try {
+        // Claim the event first; a duplicate key means it was already handled
+        record = await PaymentEvent.create({
+            eventId: event.id,
+            type: event.type,
+            paymentIntentId
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.json({ received: true, duplicate: true });
+        }
+        console.error('Stripe webhook error:', error);
+        return res.status(500).json({ error: 'Failed to record webhook event' });
+    }
+
+    try {
+        const target = await findPaymentTarget(paymentIntentId, object.metadata || {});
+
+        await handler(object, target);
+
+        record.target = { kind: target.kind, id: target.doc ? target.doc._id : undefined };
+        await record.save();
+
+        res.json({ received: true });
+    } catch (error) {
+        console.error(`Stripe webhook ${event.type} error:`, error);
+
+        // Release the claim so Stripe's retry can process the event again
+        await PaymentEvent.deleteOne({ _id: record._id });
+        res.status(500).json({ error: 'Failed to process webhook event' });
+    }
+};
+
+module.exports = {
+    handleStripeWebhook
+};
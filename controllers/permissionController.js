@@ -0,0 +1,116 @@
+const Permission = require('../models/Permission');
+const { ALL_ROLES, DEPARTMENTS, defaultPermissions } = require('../config/permissions');
+const { getPermissions, clearPermissionCache, getUserPermissions } = require('../services/permissionService');
+
+// Get the registry with overrides applied
+const getAllPermissions = async (req, res) => {
+    try {
+        const permissions = await getPermissions({ refresh: true });
+
+        res.json({
+            success: true,
+            roles: ALL_ROLES,
+            departments: DEPARTMENTS,
+            permissions: Object.values(permissions)
+        });
+    } catch (error) {
+        console.error('Get permissions error:', error);
+        res.status(500).json({ error: 'Failed to retrieve permissions' });
+    }
+};
+
+// Permissions held by the current user, e.g. to shape a dashboard
+const getMyPermissions = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            role: req.user.role,
+            department: req.user.department,
+            permissions: await getUserPermissions(req.user)
+        });
+    } catch (error) {
+        console.error('Get my permissions error:', error);
+        res.status(500).json({ error: 'Failed to retrieve permissions' });
+    }
+};
+
+// Change which roles and departments hold a permission
+const updatePermission = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { roles, departments = [] } = req.body;
+
+        if (!defaultPermissions[key]) {
+            return res.status(404).json({ error: 'Permission not found' });
+        }
+
+        if (!Array.isArray(roles) || !Array.isArray(departments)) {
+            return res.status(400).json({ error: 'Roles and departments must be arrays' });
+        }
+
+        const invalidRole = roles.find(role => !ALL_ROLES.includes(role));
+        if (invalidRole) {
+            return res.status(400).json({ error: `Unknown role: ${invalidRole}` });
+        }
+
+        const invalidDepartment = departments.find(department => !DEPARTMENTS.includes(department));
+        if (invalidDepartment) {
+            return res.status(400).json({ error: `Unknown department: ${invalidDepartment}` });
+        }
+
+        // Don't let admins lock themselves out of the registry
+        if (key === 'permission.manage' && !roles.includes('admin')) {
+            return res.status(400).json({ error: 'Admins must keep permission.manage' });
+        }
+
+        await Permission.findOneAndUpdate(
+            { key },
+            { roles: [...new Set(roles)], departments: [...new Set(departments)], updatedBy: req.user._id },
+            { upsert: true, new: true, runValidators: true }
+        );
+
+        clearPermissionCache();
+        const permissions = await getPermissions({ refresh: true });
+
+        res.json({
+            success: true,
+            message: 'Permission updated successfully',
+            permission: permissions[key]
+        });
+    } catch (error) {
+        console.error('Update permission error:', error);
+        res.status(500).json({ error: 'Failed to update permission' });
+    }
+};
+
+// Drop an override so the permission uses its default roles again
+const resetPermission = async (req, res) => {
+    try {
+        const { key } = req.params;
+
+        if (!defaultPermissions[key]) {
+            return res.status(404).json({ error: 'Permission not found' });
+        }
+
+        await Permission.deleteOne({ key });
+
+        clearPermissionCache();
+        const permissions = await getPermissions({ refresh: true });
+
+        res.json({
+            success: true,
+            message: 'Permission reset to default',
+            permission: permissions[key]
+        });
+    } catch (error) {
+        console.error('Reset permission error:', error);
+        res.status(500).json({ error: 'Failed to reset permission' });
+    }
+};
+
+module.exports = {
+    getAllPermissions,
+    getMyPermissions,
+    updatePermission,
+    resetPermission
+};
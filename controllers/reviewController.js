@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const {
+    TARGETS,
+    summariseRatings,
+    recomputeBookingRatings,
+    formatReview,
+    listReviews
+} = require('../services/reviewService');
+
+// Pick the room, roomCategory and package filters out of the query string
+const parseTargets = (query) => {
+    const filters = {};
+
+    for (const target of Object.keys(TARGETS)) {
+        if (!query[target]) continue;
+        if (!mongoose.Types.ObjectId.isValid(query[target])) {
+            return { error: `Invalid ${target} ID` };
+        }
+        filters[target] = query[target];
+    }
+
+    if (query.rating) {
+        const rating = Number(query.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return { error: 'Rating must be a whole number from 1 to 5' };
+        }
+        filters.rating = rating;
+    }
+
+    return { filters };
+};
+
+const findReviewedBooking = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const booking = await Booking.findById(id)
+        .populate('user', 'firstName lastName')
+        .populate('room', 'name');
+    return booking && booking.review && booking.review.rating ? booking : null;
+};
+
+// Published reviews from verified stays (?room=, ?roomCategory=, ?package=, ?rating=, ?sort=recent|highest|lowest)
+const getReviews = async (req, res) => {
+    try {
+        const { filters, error } = parseTargets(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { sort, page, limit } = req.query;
+        const result = await listReviews(filters, { sort, page, limit });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({ error: 'Failed to retrieve reviews' });
+    }
+};
+
+// Average, count and star distribution for a room, category or package
+const getReviewSummary = async (req, res) => {
+    try {
+        const { filters, error } = parseTargets(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const match = {};
+        Object.keys(TARGETS).forEach(target => {
+            if (filters[target]) match[TARGETS[target].field] = new mongoose.Types.ObjectId(filters[target]);
+        });
+
+        res.json({ success: true, rating: await summariseRatings(match) });
+    } catch (error) {
+        console.error('Get review summary error:', error);
+        res.status(500).json({ error: 'Failed to retrieve review summary' });
+    }
+};
+
+// All reviews including hidden ones (?status=hidden|published)
+const getAllReviews = async (req, res) => {
+    try {
+        const { filters, error } = parseTargets(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { sort, page, limit, status } = req.query;
+        const result = await listReviews(filters, { sort, page, limit, status, staff: true });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Get all reviews error:', error);
+        res.status(500).json({ error: 'Failed to retrieve reviews' });
+    }
+};
+
+// Post, edit or (with empty text) remove the hotel's public response
+const respondToReview = async (req, res) => {
+    try {
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (text.length > 2000) {
+            return res.status(400).json({ error: 'Response cannot be longer than 2000 characters' });
+        }
+
+        const booking = await findReviewedBooking(req.params.bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        booking.review.response = text
+            ? { text, respondedBy: req.user._id, respondedAt: new Date() }
+            : undefined;
+        await booking.save();
+
+        res.json({
+            success: true,
+            message: text ? 'Response posted' : 'Response removed',
+            review: formatReview(booking, { staff: true })
+        });
+    } catch (error) {
+        console.error('Respond to review error:', error);
+        res.status(500).json({ error: 'Failed to respond to review' });
+    }
+};
+
+// Hide an abusive review from the public list and ratings, or restore it
+const setReviewVisibility = async (req, res) => {
+    try {
+        const { hidden, reason } = req.body;
+
+        if (typeof hidden !== 'boolean') {
+            return res.status(400).json({ error: 'hidden must be true or false' });
+        }
+
+        if (hidden && (!reason || !reason.trim())) {
+            return res.status(400).json({ error: 'A reason is required to hide a review' });
+        }
+
+        const booking = await findReviewedBooking(req.params.bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        if (hidden) {
+            booking.review.status = 'hidden';
+            booking.review.hiddenReason = reason.trim();
+            booking.review.hiddenBy = req.user._id;
+            booking.review.hiddenAt = new Date();
+        } else {
+            booking.review.status = 'published';
+            booking.review.hiddenReason = undefined;
+            booking.review.hiddenBy = undefined;
+            booking.review.hiddenAt = undefined;
+        }
+
+        await booking.save();
+        await recomputeBookingRatings(booking);
+
+        res.json({
+            success: true,
+            message: hidden ? 'Review hidden' : 'Review restored',
+            review: formatReview(booking, { staff: true })
+        });
+    } catch (error) {
+        console.error('Set review visibility error:', error);
+        res.status(500).json({ error: 'Failed to update review' });
+    }
+};
+
+module.exports = {
+    getReviews,
+    getReviewSummary,
+    getAllReviews,
+    respondToReview,
+    setReviewVisibility
+};
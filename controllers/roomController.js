@@ -1,5 +1,8 @@
+const mongoose = require('mongoose');
 const Room = require('../models/Room');
 const RoomCategory = require('../models/RoomCategory');
+const { parseStayDates, searchAvailableRooms, getNightlyOccupancy } = require('../services/availabilityService');
+const { quoteStay } = require('../services/pricingService');
 
 // Get all rooms with category details
 const getAllRooms = async (req, res) => {
@@ -72,6 +75,123 @@ const getRoomById = async (req, res) => {
     }
 };
 
+// Search rooms free for a date range
+const checkAvailability = async (req, res) => {
+    try {
+        const { checkIn, checkOut, adults = 1, children = 0, category } = req.query;
+
+        const stay = parseStayDates(checkIn, checkOut);
+        if (!stay.valid) {
+            return res.status(400).json({
+                success: false,
+                message: stay.error
+            });
+        }
+
+        const adultCount = parseInt(adults);
+        const childCount = parseInt(children);
+        if (isNaN(adultCount) || adultCount < 1 || isNaN(childCount) || childCount < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one adult is required and children cannot be negative'
+            });
+        }
+
+        if (category && !mongoose.Types.ObjectId.isValid(category)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid room category'
+            });
+        }
+
+        const rooms = await searchAvailableRooms({
+            checkIn: stay.checkIn,
+            checkOut: stay.checkOut,
+            adults: adultCount,
+            children: childCount,
+            category
+        });
+
+        // Quote each room; occupancy is shared by all rooms of a category
+        const occupancyByCategory = {};
+        const data = [];
+        for (const room of rooms) {
+            const categoryId = room.category._id.toString();
+            if (!occupancyByCategory[categoryId]) {
+                occupancyByCategory[categoryId] = await getNightlyOccupancy({
+                    checkIn: stay.checkIn,
+                    checkOut: stay.checkOut,
+                    category: room.category._id
+                });
+            }
+
+            const quote = await quoteStay(room, stay.checkIn, stay.checkOut, {
+                roomCategory: room.category,
+                occupancy: occupancyByCategory[categoryId]
+            });
+
+            data.push({ ...room.toJSON(), quote });
+        }
+
+        res.json({
+            success: true,
+            data,
+            search: {
+                checkIn: stay.checkIn,
+                checkOut: stay.checkOut,
+                adults: adultCount,
+                children: childCount,
+                category: category || null
+            },
+            total: data.length
+        });
+    } catch (error) {
+        console.error('Error checking room availability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check room availability',
+            error: error.message
+        });
+    }
+};
+
+// Get a nightly price breakdown for a stay in a room
+const getRoomQuote = async (req, res) => {
+    try {
+        const { checkIn, checkOut } = req.query;
+
+        const stay = parseStayDates(checkIn, checkOut);
+        if (!stay.valid) {
+            return res.status(400).json({
+                success: false,
+                message: stay.error
+            });
+        }
+
+        const room = await Room.findById(req.params.id);
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        const quote = await quoteStay(room, stay.checkIn, stay.checkOut);
+
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        console.error('Error quoting room:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to quote room',
+            error: error.message
+        });
+    }
+};
+
 // Create new room (admin only)
 const createRoom = async (req, res) => {
     try {
@@ -186,6 +306,8 @@ const deleteRoom = async (req, res) => {
 module.exports = {
     getAllRooms,
     getRoomById,
+    checkAvailability,
+    getRoomQuote,
     createRoom,
     updateRoom,
     deleteRoom
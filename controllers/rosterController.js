@@ -0,0 +1,512 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Shift = require('../models/Shift');
+const ShiftSwap = require('../models/ShiftSwap');
+const { hasPermission } = require('../services/permissionService');
+const { departmentExemptRoles } = require('../config/permissions');
+const { swapCutoffHours } = require('../config/roster');
+const {
+    weekStartOf,
+    paidHours,
+    checkShiftChanges,
+    splitIssues,
+    getRoster: buildRoster,
+    publishWeek,
+    applySwap
+} = require('../services/rosterService');
+
+const STAFF_ROLES = ['staff', 'manager', 'admin', 'ceo'];
+const OPEN_SWAP_STATUSES = ['pending', 'accepted'];
+const SWAP_STATUSES = ShiftSwap.schema.path('status').enumValues;
+
+// Fields a manager may set when drafting or editing a shift
+const EDITABLE_FIELDS = ['startAt', 'endAt', 'breakMinutes', 'position', 'notes'];
+
+const SWAP_POPULATE = [
+    { path: 'shift', select: 'startAt endAt position department' },
+    { path: 'targetShift', select: 'startAt endAt position department' },
+    { path: 'requestedBy', select: 'firstName lastName employeeId' },
+    { path: 'targetUser', select: 'firstName lastName employeeId' },
+    { path: 'reviewedBy', select: 'firstName lastName' }
+];
+
+const isSameUser = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Managers run their own department's roster; admins run every roster
+const canManageDepartment = async (user, department) =>
+    (await hasPermission(user, 'roster.manage')) &&
+    (departmentExemptRoles.includes(user.role) || user.department === department);
+
+const parseWeek = (week) => {
+    const date = week ? new Date(week) : new Date();
+    return isNaN(date.getTime()) ? null : weekStartOf(date);
+};
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return value && !isNaN(date.getTime()) ? date : null;
+};
+
+const findStaffMember = async (userId) => {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+
+    const user = await User.findById(userId).select('firstName lastName role department isActive');
+    return user && user.isActive && STAFF_ROLES.includes(user.role) ? user : null;
+};
+
+// Own published shifts (?from=, ?to=; defaults to this week and next) and open swaps
+const getMySchedule = async (req, res) => {
+    try {
+        const from = req.query.from ? parseDate(req.query.from) : weekStartOf(new Date());
+        const to = req.query.to ? parseDate(req.query.to) : new Date(weekStartOf(new Date()).getTime() + 14 * 24 * 60 * 60 * 1000);
+        if (!from || !to || to <= from) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        const [shifts, swaps] = await Promise.all([
+            Shift.find({
+                user: req.user._id,
+                status: 'published',
+                startAt: { $lt: to },
+                endAt: { $gt: from }
+            }).sort({ startAt: 1 }),
+            ShiftSwap.find({
+                $or: [{ requestedBy: req.user._id }, { targetUser: req.user._id }],
+                status: { $in: OPEN_SWAP_STATUSES }
+            }).populate(SWAP_POPULATE)
+        ]);
+
+        // Paid hours per week
+        const weeks = {};
+        shifts.forEach(shift => {
+            const week = weekStartOf(shift.startAt).toISOString();
+            weeks[week] = Math.round(((weeks[week] || 0) + paidHours(shift)) * 100) / 100;
+        });
+
+        res.json({ success: true, from, to, shifts, hoursByWeek: weeks, swaps });
+    } catch (error) {
+        console.error('Get my schedule error:', error);
+        res.status(500).json({ error: 'Failed to retrieve schedule' });
+    }
+};
+
+// A department's roster for one week (?department=, ?week=any date in it).
+// Managers also see drafts, conflicts and warnings.
+const getRoster = async (req, res) => {
+    try {
+        const department = req.query.department || req.user.department;
+        const weekStart = parseWeek(req.query.week);
+        if (!department || !weekStart) {
+            return res.status(400).json({ error: 'Department and a valid week are required' });
+        }
+
+        const manages = await canManageDepartment(req.user, department);
+        if (!manages && department !== req.user.department && !departmentExemptRoles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'You can only view your own department\'s roster' });
+        }
+
+        const roster = await buildRoster(department, weekStart, { includeDrafts: manages });
+
+        res.json({ success: true, ...roster });
+    } catch (error) {
+        console.error('Get roster error:', error);
+        res.status(500).json({ error: 'Failed to retrieve roster' });
+    }
+};
+
+// Draft a shift. Double-booking is refused; rest and overtime warnings are
+// returned with the shift.
+const createShift = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { userId, department: requestedDepartment } = body;
+
+        const staffMember = await findStaffMember(userId);
+        if (!staffMember) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+
+        // Staff can cover another department's shift
+        const department = requestedDepartment || staffMember.department;
+        if (!(await canManageDepartment(req.user, department))) {
+            return res.status(403).json({ error: 'Not authorized to roster this department' });
+        }
+
+        const startAt = parseDate(body.startAt);
+        const endAt = parseDate(body.endAt);
+        if (!startAt || !endAt || endAt <= startAt) {
+            return res.status(400).json({ error: 'Shift needs a valid start and an end after it' });
+        }
+
+        const shift = new Shift({
+            user: staffMember._id,
+            department,
+            weekStart: weekStartOf(startAt),
+            startAt,
+            endAt,
+            breakMinutes: body.breakMinutes,
+            position: body.position,
+            notes: body.notes,
+            createdBy: req.user._id
+        });
+
+        const { conflicts, warnings } = splitIssues(await checkShiftChanges([shift]));
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: 'This shift overlaps another shift for the same person', conflicts });
+        }
+
+        await shift.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Shift drafted',
+            shift,
+            warnings
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create shift error:', error);
+        res.status(500).json({ error: 'Failed to create shift' });
+    }
+};
+
+// Edit or reassign a shift. Published shifts stay published.
+const updateShift = async (req, res) => {
+    try {
+        const shift = mongoose.Types.ObjectId.isValid(req.params.id) ? await Shift.findById(req.params.id) : null;
+        if (!shift || shift.status === 'cancelled') {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+
+        if (!(await canManageDepartment(req.user, shift.department))) {
+            return res.status(403).json({ error: 'Not authorized to roster this department' });
+        }
+
+        const updates = req.body || {};
+        if (updates.userId !== undefined && !isSameUser(updates.userId, shift.user)) {
+            const staffMember = await findStaffMember(updates.userId);
+            if (!staffMember) {
+                return res.status(404).json({ error: 'Staff member not found' });
+            }
+            shift.user = staffMember._id;
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) shift[field] = updates[field];
+        });
+        shift.weekStart = weekStartOf(shift.startAt);
+
+        // A swap agreed for the old times or person no longer holds
+        const swapsStale = shift.isModified('user') || shift.isModified('startAt') || shift.isModified('endAt');
+
+        const validationError = shift.validateSync();
+        if (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const { conflicts, warnings } = splitIssues(await checkShiftChanges([shift]));
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: 'This shift overlaps another shift for the same person', conflicts });
+        }
+
+        await shift.save();
+
+        if (swapsStale) {
+            await ShiftSwap.updateMany(
+                { $or: [{ shift: shift._id }, { targetShift: shift._id }], status: { $in: OPEN_SWAP_STATUSES } },
+                { $set: { status: 'cancelled', reviewNote: 'Shift was changed by a manager' } }
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'Shift updated',
+            shift,
+            warnings
+        });
+    } catch (error) {
+        console.error('Update shift error:', error);
+        res.status(500).json({ error: 'Failed to update shift' });
+    }
+};
+
+// Drafts are removed; published shifts are kept as cancelled
+const cancelShift = async (req, res) => {
+    try {
+        const shift = mongoose.Types.ObjectId.isValid(req.params.id) ? await Shift.findById(req.params.id) : null;
+        if (!shift || shift.status === 'cancelled') {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+
+        if (!(await canManageDepartment(req.user, shift.department))) {
+            return res.status(403).json({ error: 'Not authorized to roster this department' });
+        }
+
+        if (shift.status === 'draft') {
+            await shift.deleteOne();
+        } else {
+            shift.status = 'cancelled';
+            await shift.save();
+        }
+
+        await ShiftSwap.updateMany(
+            { $or: [{ shift: shift._id }, { targetShift: shift._id }], status: { $in: OPEN_SWAP_STATUSES } },
+            { $set: { status: 'cancelled', reviewNote: 'Shift was cancelled' } }
+        );
+
+        res.json({ success: true, message: 'Shift cancelled' });
+    } catch (error) {
+        console.error('Cancel shift error:', error);
+        res.status(500).json({ error: 'Failed to cancel shift' });
+    }
+};
+
+// Publish the week's drafts (body: department, week, force)
+const publishRoster = async (req, res) => {
+    try {
+        const { department, week, force = false } = req.body || {};
+
+        const weekStart = parseWeek(week);
+        if (!department || !weekStart) {
+            return res.status(400).json({ error: 'Department and a valid week are required' });
+        }
+
+        if (!(await canManageDepartment(req.user, department))) {
+            return res.status(403).json({ error: 'Not authorized to roster this department' });
+        }
+
+        const result = await publishWeek(department, weekStart, req.user, { force: force === true });
+        if (result.error) {
+            return res.status(result.status).json({
+                error: result.error,
+                conflicts: result.conflicts,
+                warnings: result.warnings
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Published ${result.shifts.length} shifts`,
+            weekStart,
+            published: result.shifts.length,
+            warnings: result.warnings
+        });
+    } catch (error) {
+        console.error('Publish roster error:', error);
+        res.status(500).json({ error: 'Failed to publish roster' });
+    }
+};
+
+// Ask a colleague to take a published shift, optionally for one of theirs
+const requestSwap = async (req, res) => {
+    try {
+        const { shiftId, targetUserId, targetShiftId, reason } = req.body || {};
+
+        const shift = mongoose.Types.ObjectId.isValid(shiftId) ? await Shift.findById(shiftId) : null;
+        if (!shift || shift.status !== 'published' || !isSameUser(shift.user, req.user._id)) {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+
+        const cutoff = new Date(Date.now() + swapCutoffHours * 60 * 60 * 1000);
+        if (shift.startAt <= cutoff) {
+            return res.status(400).json({ error: `Swaps must be requested at least ${swapCutoffHours} hours before the shift` });
+        }
+
+        const targetUser = await findStaffMember(targetUserId);
+        if (!targetUser || isSameUser(targetUser._id, req.user._id)) {
+            return res.status(404).json({ error: 'Colleague not found' });
+        }
+
+        if (targetUser.department !== shift.department) {
+            return res.status(400).json({ error: 'Shifts can only be swapped within the department' });
+        }
+
+        let targetShift = null;
+        if (targetShiftId) {
+            targetShift = mongoose.Types.ObjectId.isValid(targetShiftId) ? await Shift.findById(targetShiftId) : null;
+            if (!targetShift || targetShift.status !== 'published' || !isSameUser(targetShift.user, targetUser._id)) {
+                return res.status(404).json({ error: 'Colleague\'s shift not found' });
+            }
+            if (targetShift.startAt <= cutoff || targetShift.department !== shift.department) {
+                return res.status(400).json({ error: 'That shift cannot be swapped' });
+            }
+        }
+
+        // Neither shift can be in two open swaps at once
+        const shiftIds = targetShift ? [shift._id, targetShift._id] : [shift._id];
+        const open = await ShiftSwap.exists({
+            $or: [{ shift: { $in: shiftIds } }, { targetShift: { $in: shiftIds } }],
+            status: { $in: OPEN_SWAP_STATUSES }
+        });
+        if (open) {
+            return res.status(409).json({ error: 'There is already an open swap request for this shift' });
+        }
+
+        const swap = await ShiftSwap.create({
+            shift: shift._id,
+            requestedBy: req.user._id,
+            targetUser: targetUser._id,
+            targetShift: targetShift ? targetShift._id : undefined,
+            department: shift.department,
+            reason
+        });
+        await swap.populate(SWAP_POPULATE);
+
+        res.status(201).json({ success: true, message: 'Swap request sent', swap });
+    } catch (error) {
+        console.error('Request swap error:', error);
+        res.status(500).json({ error: 'Failed to request swap' });
+    }
+};
+
+// Own swap requests; managers see their department's (?status=, ?department=)
+const getSwaps = async (req, res) => {
+    try {
+        const { status, department } = req.query;
+
+        const query = {};
+        if (status !== undefined) {
+            const statuses = typeof status === 'string' ? status.split(',') : [];
+            if (statuses.length === 0 || !statuses.every(value => SWAP_STATUSES.includes(value))) {
+                return res.status(400).json({ error: `status must be a comma-separated list of: ${SWAP_STATUSES.join(', ')}` });
+            }
+            query.status = { $in: statuses };
+        }
+
+        const managedDepartment = department || req.user.department;
+        if (await canManageDepartment(req.user, managedDepartment)) {
+            query.department = managedDepartment;
+        } else {
+            query.$or = [{ requestedBy: req.user._id }, { targetUser: req.user._id }];
+        }
+
+        const swaps = await ShiftSwap.find(query)
+            .populate(SWAP_POPULATE)
+            .sort({ createdAt: -1 })
+            .limit(100);
+
+        res.json({ success: true, swaps });
+    } catch (error) {
+        console.error('Get swaps error:', error);
+        res.status(500).json({ error: 'Failed to retrieve swap requests' });
+    }
+};
+
+// The colleague accepts or declines (body: accept)
+const respondToSwap = async (req, res) => {
+    try {
+        const { accept } = req.body || {};
+        if (typeof accept !== 'boolean') {
+            return res.status(400).json({ error: 'accept must be true or false' });
+        }
+
+        const swap = mongoose.Types.ObjectId.isValid(req.params.id) ? await ShiftSwap.findOneAndUpdate(
+            { _id: req.params.id, targetUser: req.user._id, status: 'pending' },
+            { $set: { status: accept ? 'accepted' : 'declined', respondedAt: new Date() } },
+            { new: true }
+        ).populate(SWAP_POPULATE) : null;
+
+        if (!swap) {
+            return res.status(404).json({ error: 'Swap request not found or already answered' });
+        }
+
+        res.json({
+            success: true,
+            message: accept ? 'Swap accepted, waiting for manager approval' : 'Swap declined',
+            swap
+        });
+    } catch (error) {
+        console.error('Respond to swap error:', error);
+        res.status(500).json({ error: 'Failed to respond to swap request' });
+    }
+};
+
+// A manager approves (shifts change hands) or rejects an accepted swap
+// (body: approve, note, force)
+const reviewSwap = async (req, res) => {
+    try {
+        const { approve, note, force = false } = req.body || {};
+        if (typeof approve !== 'boolean') {
+            return res.status(400).json({ error: 'approve must be true or false' });
+        }
+
+        const swap = mongoose.Types.ObjectId.isValid(req.params.id) ? await ShiftSwap.findById(req.params.id) : null;
+        if (!swap) {
+            return res.status(404).json({ error: 'Swap request not found' });
+        }
+
+        if (!(await canManageDepartment(req.user, swap.department))) {
+            return res.status(403).json({ error: 'Not authorized to review swaps for this department' });
+        }
+
+        if (swap.status !== 'accepted') {
+            return res.status(400).json({ error: 'Only swaps accepted by the colleague can be reviewed' });
+        }
+
+        let warnings = [];
+        if (approve) {
+            const result = await applySwap(swap, { force: force === true });
+            if (result.error) {
+                return res.status(result.status).json({
+                    error: result.error,
+                    conflicts: result.conflicts,
+                    warnings: result.warnings
+                });
+            }
+            warnings = result.warnings;
+        }
+
+        swap.status = approve ? 'approved' : 'rejected';
+        swap.reviewedBy = req.user._id;
+        swap.reviewedAt = new Date();
+        swap.reviewNote = note;
+        await swap.save();
+        await swap.populate(SWAP_POPULATE);
+
+        res.json({
+            success: true,
+            message: approve ? 'Swap approved' : 'Swap rejected',
+            swap,
+            warnings
+        });
+    } catch (error) {
+        console.error('Review swap error:', error);
+        res.status(500).json({ error: 'Failed to review swap request' });
+    }
+};
+
+// The requester withdraws a swap that hasn't been decided
+const cancelSwap = async (req, res) => {
+    try {
+        const swap = mongoose.Types.ObjectId.isValid(req.params.id) ? await ShiftSwap.findOneAndUpdate(
+            { _id: req.params.id, requestedBy: req.user._id, status: { $in: OPEN_SWAP_STATUSES } },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        ) : null;
+
+        if (!swap) {
+            return res.status(404).json({ error: 'Swap request not found or already decided' });
+        }
+
+        res.json({ success: true, message: 'Swap request cancelled', swap });
+    } catch (error) {
+        console.error('Cancel swap error:', error);
+        res.status(500).json({ error: 'Failed to cancel swap request' });
+    }
+};
+
+module.exports = {
+    getMySchedule,
+    getRoster,
+    createShift,
+    updateShift,
+    cancelShift,
+    publishRoster,
+    requestSwap,
+    getSwaps,
+    respondToSwap,
+    reviewSwap,
+    cancelSwap
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { OPEN_STATUSES, getServiceRequestReport: buildServiceRequestReport } = require('../services/serviceRequestService');
+
+// Service request queue across all bookings, most urgent deadline first
+const getServiceRequests = async (req, res) => {
+    try {
+        const { status, type, priority, department, assignedTo, breached, page = 1, limit = 20 } = req.query;
+
+        const match = {
+            'serviceRequests.status': status ? { $in: status.split(',') } : { $in: OPEN_STATUSES }
+        };
+        if (type) match['serviceRequests.type'] = type;
+        if (priority) match['serviceRequests.priority'] = priority;
+        if (department) match['serviceRequests.department'] = department;
+
+        if (assignedTo) {
+            const staffId = assignedTo === 'me' ? req.user._id.toString() : assignedTo;
+            if (!mongoose.Types.ObjectId.isValid(staffId)) {
+                return res.status(400).json({ error: 'Invalid staff ID' });
+            }
+            match['serviceRequests.assignedStaff'] = new mongoose.Types.ObjectId(staffId);
+        }
+
+        // Open requests past either SLA deadline
+        if (breached === 'true') {
+            const now = new Date();
+            match['serviceRequests.status'] = { $in: OPEN_STATUSES };
+            match.$or = [
+                { 'serviceRequests.acknowledgedAt': null, 'serviceRequests.sla.acknowledgeDueAt': { $lt: now } },
+                { 'serviceRequests.sla.resolveDueAt': { $lt: now } }
+            ];
+        }
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [result] = await Booking.aggregate([
+            { $match: { 'serviceRequests.0': { $exists: true } } },
+            { $unwind: '$serviceRequests' },
+            { $match: match },
+            {
+                $facet: {
+                    requests: [
+                        { $sort: { 'serviceRequests.sla.resolveDueAt': 1, 'serviceRequests.requestDate': 1 } },
+                        { $skip: (pageNum - 1) * limitNum },
+                        { $limit: limitNum },
+                        {
+                            $lookup: {
+                                from: 'rooms',
+                                localField: 'room',
+                                foreignField: '_id',
+                                pipeline: [{ $project: { roomNumber: 1, name: 1, floor: 1 } }],
+                                as: 'room'
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                booking: { _id: '$_id', bookingNumber: '$bookingNumber', status: '$status' },
+                                room: { $first: '$room' },
+                                request: '$serviceRequests'
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+
+        res.json({
+            success: true,
+            requests: result.requests,
+            pagination: {
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Get service requests error:', error);
+        res.status(500).json({ error: 'Failed to retrieve service requests' });
+    }
+};
+
+// Response times, SLA breaches and guest ratings per department
+const getServiceRequestReport = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        const range = {};
+        if (from) range.from = new Date(from);
+        if (to) range.to = new Date(to);
+
+        if (Object.values(range).some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        const departments = await buildServiceRequestReport(range);
+
+        res.json({
+            success: true,
+            from: range.from || null,
+            to: range.to || null,
+            departments
+        });
+    } catch (error) {
+        console.error('Get service request report error:', error);
+        res.status(500).json({ error: 'Failed to build service request report' });
+    }
+};
+
+module.exports = {
+    getServiceRequests,
+    getServiceRequestReport
+};
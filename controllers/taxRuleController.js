@@ -0,0 +1,136 @@
+const TaxRule = require('../models/TaxRule');
+const { getActiveTaxRules } = require('../services/taxService');
+
+// Get configured tax rules
+const getAllTaxRules = async (req, res) => {
+    try {
+        const { lineType, isActive } = req.query;
+
+        const query = {};
+        if (lineType) query.lineType = lineType;
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const taxRules = await TaxRule.find(query).sort({ lineType: 1, priority: -1 });
+
+        res.json({
+            success: true,
+            taxRules
+        });
+    } catch (error) {
+        console.error('Get tax rules error:', error);
+        res.status(500).json({ error: 'Failed to retrieve tax rules' });
+    }
+};
+
+// Get the rules in force right now, including built-in defaults
+const getEffectiveTaxRules = async (req, res) => {
+    try {
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+        if (isNaN(date.getTime())) {
+            return res.status(400).json({ error: 'Invalid date' });
+        }
+
+        const taxRules = await getActiveTaxRules(date);
+
+        res.json({
+            success: true,
+            date,
+            taxRules: taxRules.map(rule => ({ ...rule, isDefault: !rule._id }))
+        });
+    } catch (error) {
+        console.error('Get effective tax rules error:', error);
+        res.status(500).json({ error: 'Failed to retrieve tax rules' });
+    }
+};
+
+const validateRuleRates = (data) => {
+    const hasSlabs = Array.isArray(data.slabs) && data.slabs.length > 0;
+    if (!hasSlabs && (data.rate === undefined || data.rate === null)) {
+        return 'Either a flat rate or rate slabs are required';
+    }
+    return null;
+};
+
+// Create tax rule
+const createTaxRule = async (req, res) => {
+    try {
+        const { name, lineType } = req.body;
+
+        if (!name || !lineType) {
+            return res.status(400).json({ error: 'Name and line type are required' });
+        }
+
+        const rateError = validateRuleRates(req.body);
+        if (rateError) {
+            return res.status(400).json({ error: rateError });
+        }
+
+        const taxRule = new TaxRule(req.body);
+        await taxRule.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Tax rule created successfully',
+            taxRule
+        });
+    } catch (error) {
+        console.error('Create tax rule error:', error);
+        res.status(500).json({ error: 'Failed to create tax rule' });
+    }
+};
+
+// Update tax rule
+const updateTaxRule = async (req, res) => {
+    try {
+        const taxRule = await TaxRule.findById(req.params.id);
+
+        if (!taxRule) {
+            return res.status(404).json({ error: 'Tax rule not found' });
+        }
+
+        taxRule.set(req.body);
+
+        const rateError = validateRuleRates(taxRule);
+        if (rateError) {
+            return res.status(400).json({ error: rateError });
+        }
+
+        await taxRule.save();
+
+        res.json({
+            success: true,
+            message: 'Tax rule updated successfully',
+            taxRule
+        });
+    } catch (error) {
+        console.error('Update tax rule error:', error);
+        res.status(500).json({ error: 'Failed to update tax rule' });
+    }
+};
+
+// Delete tax rule - bookings and orders keep their stored breakdowns
+const deleteTaxRule = async (req, res) => {
+    try {
+        const taxRule = await TaxRule.findByIdAndDelete(req.params.id);
+
+        if (!taxRule) {
+            return res.status(404).json({ error: 'Tax rule not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tax rule deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete tax rule error:', error);
+        res.status(500).json({ error: 'Failed to delete tax rule' });
+    }
+};
+
+module.exports = {
+    getAllTaxRules,
+    getEffectiveTaxRules,
+    createTaxRule,
+    updateTaxRule,
+    deleteTaxRule
+};
@@ -0,0 +1,438 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const WorkOrder = require('../models/WorkOrder');
+const { hasPermission } = require('../services/permissionService');
+const { parseStayDates } = require('../services/availabilityService');
+const {
+    CLOSED_STATUSES,
+    canTransition,
+    createWorkOrder: createWorkOrderRecord,
+    setOutOfOrder: setRoomOutOfOrder,
+    releaseOutOfOrder: releaseRoomOutOfOrder,
+    syncRoomMaintenance,
+    syncServiceRequest
+} = require('../services/maintenanceService');
+
+const WORK_ORDER_POPULATE = [
+    { path: 'room', select: 'roomNumber name floor maintenanceStatus' },
+    { path: 'assignedTo', select: 'firstName lastName employeeId' },
+    { path: 'reportedBy', select: 'firstName lastName role' }
+];
+
+// Fields anyone raising or editing a work order may set
+const EDITABLE_FIELDS = ['category', 'priority', 'title', 'description'];
+
+const pick = (source, fields) => {
+    const result = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) result[field] = source[field];
+    });
+    return result;
+};
+
+const isAssignee = (workOrder, user) =>
+    !!workOrder.assignedTo && workOrder.assignedTo.toString() === user._id.toString();
+
+// List work orders
+const getWorkOrders = async (req, res) => {
+    try {
+        const { status, priority, category, room, assignedTo, breached, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (status) {
+            query.status = { $in: status.split(',') };
+        } else {
+            query.status = { $nin: CLOSED_STATUSES };
+        }
+        if (priority) query.priority = priority;
+        if (category) query.category = category;
+        if (room) query.room = room;
+        if (assignedTo) query.assignedTo = assignedTo === 'me' ? req.user._id : assignedTo;
+
+        // Open work orders past either SLA deadline
+        if (breached === 'true') {
+            const now = new Date();
+            query.status = { $nin: CLOSED_STATUSES };
+            query.$or = [
+                { startedAt: null, 'sla.responseDueAt': { $lt: now } },
+                { 'sla.resolutionDueAt': { $lt: now } }
+            ];
+        }
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+
+        const [workOrders, total] = await Promise.all([
+            WorkOrder.find(query)
+                .populate(WORK_ORDER_POPULATE)
+                .sort({ 'sla.resolutionDueAt': 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            WorkOrder.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            workOrders,
+            pagination: {
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Get work orders error:', error);
+        res.status(500).json({ error: 'Failed to retrieve work orders' });
+    }
+};
+
+// Bookings whose room has been taken out of order over their stay
+const getConflictingBookings = async (req, res) => {
+    try {
+        const bookings = await Booking.find({
+            'roomConflict.workOrder': { $exists: true },
+            status: { $in: ['confirmed', 'checked-in'] }
+        })
+            .populate('room', 'roomNumber name floor')
+            .populate('user', 'firstName lastName email phone')
+            .populate('roomConflict.workOrder', 'workOrderNumber title outOfOrder.from outOfOrder.to')
+            .select('bookingNumber room user checkInDate checkOutDate status roomConflict')
+            .sort({ checkInDate: 1 });
+
+        res.json({
+            success: true,
+            bookings
+        });
+    } catch (error) {
+        console.error('Get conflicting bookings error:', error);
+        res.status(500).json({ error: 'Failed to retrieve conflicting bookings' });
+    }
+};
+
+// Get a single work order
+const getWorkOrderById = async (req, res) => {
+    try {
+        const workOrder = await WorkOrder.findById(req.params.id)
+            .populate(WORK_ORDER_POPULATE)
+            .populate('outOfOrder.conflictingBookings.booking', 'bookingNumber status roomConflict');
+
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        res.json({
+            success: true,
+            workOrder
+        });
+    } catch (error) {
+        console.error('Get work order error:', error);
+        res.status(500).json({ error: 'Failed to retrieve work order' });
+    }
+};
+
+// Raise a work order against a room
+const createWorkOrder = async (req, res) => {
+    try {
+        const { roomId, title } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(roomId) || !title) {
+            return res.status(400).json({ error: 'Room and title are required' });
+        }
+
+        const room = await Room.findById(roomId).select('_id');
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+
+        const workOrder = await createWorkOrderRecord(
+            { ...pick(req.body, EDITABLE_FIELDS), room: room._id },
+            { user: req.user }
+        );
+        await workOrder.populate(WORK_ORDER_POPULATE);
+
+        res.status(201).json({
+            success: true,
+            message: 'Work order created',
+            workOrder
+        });
+    } catch (error) {
+        console.error('Create work order error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.status(500).json({ error: 'Failed to create work order' });
+    }
+};
+
+// Edit the description, category or priority. A new priority resets the SLA.
+const updateWorkOrder = async (req, res) => {
+    try {
+        const workOrder = await WorkOrder.findById(req.params.id);
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        if (CLOSED_STATUSES.includes(workOrder.status)) {
+            return res.status(400).json({ error: 'Closed work orders cannot be edited' });
+        }
+
+        const previousPriority = workOrder.priority;
+        workOrder.set(pick(req.body, EDITABLE_FIELDS));
+        if (workOrder.priority !== previousPriority) {
+            workOrder.applySla();
+        }
+        await workOrder.save();
+        await workOrder.populate(WORK_ORDER_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Work order updated',
+            workOrder
+        });
+    } catch (error) {
+        console.error('Update work order error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.status(500).json({ error: 'Failed to update work order' });
+    }
+};
+
+// Assign to a member of the maintenance department
+const assignWorkOrder = async (req, res) => {
+    try {
+        const { staffId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(staffId)) {
+            return res.status(400).json({ error: 'Valid staff ID is required' });
+        }
+
+        const staff = await User.findById(staffId).select('role department isActive');
+        if (!staff || !staff.isActive || !['staff', 'manager'].includes(staff.role) || staff.department !== 'maintenance') {
+            return res.status(400).json({ error: 'Work orders can only be assigned to active maintenance staff' });
+        }
+
+        const workOrder = await WorkOrder.findById(req.params.id);
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        if (CLOSED_STATUSES.includes(workOrder.status)) {
+            return res.status(400).json({ error: 'Closed work orders cannot be assigned' });
+        }
+
+        workOrder.assignedTo = staff._id;
+        workOrder.assignedBy = req.user._id;
+        workOrder.assignedAt = new Date();
+        if (workOrder.status === 'open') {
+            workOrder.status = 'assigned';
+        }
+        workOrder.history.push({ status: workOrder.status, changedBy: req.user._id, note: 'Assigned' });
+        await workOrder.save();
+
+        await syncServiceRequest(workOrder);
+        await workOrder.populate(WORK_ORDER_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Work order assigned',
+            workOrder
+        });
+    } catch (error) {
+        console.error('Assign work order error:', error);
+        res.status(500).json({ error: 'Failed to assign work order' });
+    }
+};
+
+// Start, pause, complete or cancel a work order
+const updateWorkOrderStatus = async (req, res) => {
+    try {
+        const { status, resolution, note } = req.body;
+
+        const workOrder = await WorkOrder.findById(req.params.id);
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        const canManage = await hasPermission(req.user, 'maintenance.workorder.manage');
+        if (!canManage) {
+            if (!(await hasPermission(req.user, 'maintenance.workorder.work'))) {
+                return res.status(403).json({ error: 'Not authorized to update work orders' });
+            }
+            if (status === 'cancelled') {
+                return res.status(403).json({ error: 'Only a supervisor can cancel a work order' });
+            }
+            // Unassigned work can be picked up by starting it
+            if (!isAssignee(workOrder, req.user) && !(workOrder.status === 'open' && status === 'in_progress')) {
+                return res.status(403).json({ error: 'This work order is assigned to someone else' });
+            }
+        }
+
+        if (!canTransition(workOrder.status, status)) {
+            return res.status(400).json({ error: `Cannot move a ${workOrder.status} work order to ${status}` });
+        }
+
+        if (status === 'completed' && !resolution) {
+            return res.status(400).json({ error: 'Resolution is required to complete a work order' });
+        }
+
+        const now = new Date();
+        workOrder.status = status;
+
+        if (status === 'in_progress') {
+            if (!workOrder.startedAt) workOrder.startedAt = now;
+            if (!workOrder.assignedTo) {
+                workOrder.assignedTo = req.user._id;
+                workOrder.assignedAt = now;
+            }
+        }
+        if (status === 'completed') {
+            workOrder.completedAt = now;
+            workOrder.resolution = resolution;
+        }
+        workOrder.history.push({ status, changedBy: req.user._id, note: note || resolution });
+        await workOrder.save();
+
+        // Finishing early gives the room back for the rest of the range
+        if (CLOSED_STATUSES.includes(status)) {
+            await releaseRoomOutOfOrder(workOrder, { at: now });
+            await syncRoomMaintenance(workOrder.room);
+        }
+        await syncServiceRequest(workOrder);
+        await workOrder.populate(WORK_ORDER_POPULATE);
+
+        res.json({
+            success: true,
+            message: `Work order ${status.replace('_', ' ')}`,
+            workOrder
+        });
+    } catch (error) {
+        console.error('Update work order status error:', error);
+        res.status(500).json({ error: 'Failed to update work order status' });
+    }
+};
+
+// Record parts used, labour cost and notes
+const updateWorkOrderCosts = async (req, res) => {
+    try {
+        const { parts, labourCost, costNotes } = req.body;
+
+        const workOrder = await WorkOrder.findById(req.params.id);
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        const canManage = await hasPermission(req.user, 'maintenance.workorder.manage');
+        if (!canManage && !isAssignee(workOrder, req.user)) {
+            return res.status(403).json({ error: 'Only the assignee or a supervisor can record costs' });
+        }
+
+        if (parts !== undefined) {
+            if (!Array.isArray(parts)) {
+                return res.status(400).json({ error: 'Parts must be an array' });
+            }
+            workOrder.parts = parts;
+        }
+        if (labourCost !== undefined) workOrder.labourCost = labourCost;
+        if (costNotes !== undefined) workOrder.costNotes = costNotes;
+
+        await workOrder.save();
+        await workOrder.populate(WORK_ORDER_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Costs updated',
+            workOrder
+        });
+    } catch (error) {
+        console.error('Update work order costs error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.status(500).json({ error: 'Failed to update work order costs' });
+    }
+};
+
+// Take the room out of order for a date range; overlapping bookings are flagged
+const setOutOfOrder = async (req, res) => {
+    try {
+        const { from, to, reason } = req.body;
+
+        const dates = parseStayDates(from, to);
+        if (!dates.valid) {
+            return res.status(400).json({ error: 'Valid from and to dates are required, with to after from' });
+        }
+
+        const workOrder = await WorkOrder.findById(req.params.id);
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        if (CLOSED_STATUSES.includes(workOrder.status)) {
+            return res.status(400).json({ error: 'Closed work orders cannot take a room out of order' });
+        }
+
+        const conflicts = await setRoomOutOfOrder(workOrder, {
+            from: dates.checkIn,
+            to: dates.checkOut,
+            reason,
+            user: req.user
+        });
+        await workOrder.populate(WORK_ORDER_POPULATE);
+
+        res.json({
+            success: true,
+            message: conflicts.length > 0
+                ? `Room set out of order; ${conflicts.length} booking(s) need to be moved`
+                : 'Room set out of order',
+            workOrder,
+            conflicts
+        });
+    } catch (error) {
+        console.error('Set out of order error:', error);
+        res.status(500).json({ error: 'Failed to set room out of order' });
+    }
+};
+
+// Return the room to service now
+const releaseOutOfOrder = async (req, res) => {
+    try {
+        const workOrder = await WorkOrder.findById(req.params.id);
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        await releaseRoomOutOfOrder(workOrder);
+        await workOrder.populate(WORK_ORDER_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Room returned to service',
+            workOrder
+        });
+    } catch (error) {
+        console.error('Release out of order error:', error);
+        res.status(500).json({ error: 'Failed to release room' });
+    }
+};
+
+module.exports = {
+    getWorkOrders,
+    getConflictingBookings,
+    getWorkOrderById,
+    createWorkOrder,
+    updateWorkOrder,
+    assignWorkOrder,
+    updateWorkOrderStatus,
+    updateWorkOrderCosts,
+    setOutOfOrder,
+    releaseOutOfOrder
+};
@@ -7,6 +7,7 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 require('dotenv').config();
+const { auditContext } = require('./middleware/audit');
 
 // Validate required environment variables
 const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET'];
@@ -38,6 +39,9 @@ app.set('trust proxy', 1);
 let server;
 const gracefulShutdown = (signal) => {
     console.log(`Received ${signal}. Starting graceful shutdown...`);
+    require('./services/scheduler').stopScheduler();
+    // Open event streams would otherwise hold server.close() until the timeout
+    require('./services/realtimeService').closeAllStreams();
 
     if (server) {
         server.close(() => {
@@ -98,7 +102,9 @@ app.use(helmet({
 // Compression middleware for better performance
 app.use(compression());
 
-// Logging middleware
+// Logging middleware. Stream tickets travel in ?ticket= and must not end up
+// in access logs.
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]ticket=)[^&]*/g, '$1[redacted]'));
 if (process.env.NODE_ENV === 'production') {
     app.use(morgan('combined'));
 } else {
@@ -171,10 +177,16 @@ app.use(cors({
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+// Stripe webhooks are verified against the exact raw payload, so keep it unparsed
+app.use('/api/payments/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
+
 // Body parsing middleware with size limits
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Attribute model changes made by write requests in the audit log
+app.use(auditContext);
+
 // Health check route (must be early)
 app.get('/health', (req, res) => {
     res.status(200).json({
@@ -260,7 +272,21 @@ async function initializeApp() {
             { name: 'utilRoutes', path: './routes/utilRoutes', endpoint: '/api/utils' },
             { name: 'bookingRoutes', path: './routes/bookingRoutes', endpoint: '/api/bookings' },
             { name: 'orderRoutes', path: './routes/orderRoutes', endpoint: '/api/orders' },
-            { name: 'employeeRoutes', path: './routes/employeeRoutes', endpoint: '/api/employees' }
+            { name: 'paymentRoutes', path: './routes/paymentRoutes', endpoint: '/api/payments' },
+            { name: 'couponRoutes', path: './routes/couponRoutes', endpoint: '/api/coupons' },
+            { name: 'taxRuleRoutes', path: './routes/taxRuleRoutes', endpoint: '/api/tax-rules' },
+            { name: 'employeeRoutes', path: './routes/employeeRoutes', endpoint: '/api/employees' },
+            { name: 'permissionRoutes', path: './routes/permissionRoutes', endpoint: '/api/permissions' },
+            { name: 'auditRoutes', path: './routes/auditRoutes', endpoint: '/api/audit' },
+            { name: 'housekeepingRoutes', path: './routes/housekeepingRoutes', endpoint: '/api/housekeeping' },
+            { name: 'workOrderRoutes', path: './routes/workOrderRoutes', endpoint: '/api/work-orders' },
+            { name: 'serviceRequestRoutes', path: './routes/serviceRequestRoutes', endpoint: '/api/service-requests' },
+            { name: 'eventRoutes', path: './routes/eventRoutes', endpoint: '/api/events' },
+            { name: 'kitchenRoutes', path: './routes/kitchenRoutes', endpoint: '/api/kitchen' },
+            { name: 'loyaltyRoutes', path: './routes/loyaltyRoutes', endpoint: '/api/loyalty' },
+            { name: 'reviewRoutes', path: './routes/reviewRoutes', endpoint: '/api/reviews' },
+            { name: 'rosterRoutes', path: './routes/rosterRoutes', endpoint: '/api/roster' },
+            { name: 'attendanceRoutes', path: './routes/attendanceRoutes', endpoint: '/api/attendance' }
         ];
 
         for (const route of routesToLoad) {
@@ -302,6 +328,21 @@ async function initializeApp() {
             console.error('Database connection failed, but continuing with routes:', dbError.message);
         }
 
+        // Background jobs
+        const { registerJob, startScheduler } = require('./services/scheduler');
+        const { escalateServiceRequestBreaches } = require('./services/serviceRequestService');
+        const { checkIntervalMinutes } = require('./config/serviceRequests');
+        registerJob('service-request-sla', checkIntervalMinutes * 60 * 1000, escalateServiceRequestBreaches);
+        const { processLoyaltyExpiry } = require('./services/loyaltyService');
+        const { expiryCheckIntervalMinutes } = require('./config/loyalty');
+        registerJob('loyalty-expiry', expiryCheckIntervalMinutes * 60 * 1000, processLoyaltyExpiry);
+        const { expireUnpaidOrders } = require('./services/orderService');
+        registerJob('unpaid-order-expiry', 15 * 60 * 1000, expireUnpaidOrders);
+        const { flagAttendanceIssues } = require('./services/attendanceService');
+        const attendanceConfig = require('./config/attendance');
+        registerJob('attendance-checks', attendanceConfig.checkIntervalMinutes * 60 * 1000, flagAttendanceIssues);
+        startScheduler();
+
         // API health endpoint
         app.get('/api/health', (req, res) => {
             res.status(200).json({
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const { runWithAuditContext } = require('../services/auditService');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Run write requests inside an audit context so model changes made while
+// handling them are logged against the request (actor, IP, route).
+// The actor is read when the change is recorded, after `auth` has run.
+const auditContext = (req, res, next) => {
+    if (!WRITE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    runWithAuditContext({ req, requestId: crypto.randomUUID() }, () => next());
+};
+
+module.exports = {
+    auditContext
+};
@@ -1,7 +1,45 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyChallengeToken } = require('../services/jwtService');
+const { consumeStreamTicket } = require('../services/sessionService');
+const { hasPermission } = require('../services/permissionService');
+const { defaultPermissions } = require('../config/permissions');
 require('dotenv').config();
 
+// Check the session and account behind a verified token. Returns the user
+// and session, or the error to send.
+const loadSessionUser = async (decoded) => {
+    // Every access token belongs to a session that can be revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        return { error: 'Session has expired, please log in again' };
+    }
+
+    // Find user by id
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user) {
+        return { error: 'User not found' };
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+        return { error: 'Password was changed, please log in again' };
+    }
+
+    // Check if account is active
+    if (!user.isActive) {
+        return { error: 'Account is deactivated' };
+    }
+
+    // Check if account is locked
+    if (user.isLocked) {
+        return { error: 'Account is temporarily locked due to multiple failed login attempts' };
+    }
+
+    return { user, session };
+};
+
 const auth = async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
@@ -12,146 +50,162 @@ const auth = async (req, res, next) => {
 
         const token = authHeader.split(' ')[1];
 
+        let decoded;
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Find user by id
-            const user = await User.findById(decoded.id).select('-password');
-
-            if (!user) {
-                return res.status(401).json({ error: 'User not found' });
-            }
-
-            // Check if account is active
-            if (!user.isActive) {
-                return res.status(401).json({ error: 'Account is deactivated' });
-            }
-
-            // Check if account is locked
-            if (user.isLocked) {
-                return res.status(401).json({ error: 'Account is temporarily locked due to multiple failed login attempts' });
-            }
-
-            req.user = user;
-            next();
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
         } catch (error) {
             return res.status(401).json({ error: 'Token is invalid or expired' });
         }
+
+        // Login challenges and stream tickets are not access tokens
+        if (decoded.purpose) {
+            return res.status(401).json({ error: 'Token is invalid or expired' });
+        }
+
+        const { user, session, error } = await loadSessionUser(decoded);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+
+        req.user = user;
+        req.authSession = session;
+        next();
     } catch (error) {
         console.error('Auth error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 };
 
-// Role hierarchy for permission checking
-const roleHierarchy = {
-    'user': 1,
-    'staff': 2,
-    'manager': 3,
-    'admin': 4,
-    'ceo': 5
+// Runs `auth` when a token is sent, otherwise carries on without req.user
+const optionalAuth = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return next();
+    }
+    return auth(req, res, next);
 };
 
-// Middleware to check roles with hierarchy support
-const authorize = (roles = []) => {
-    return (req, res, next) => {
-        if (!req.user) {
-            return res.status(401).json({ error: 'Authentication required' });
-        }
-
-        // If roles is a string, convert to array
-        const allowedRoles = Array.isArray(roles) ? roles : [roles];
+// Like `auth`, but also accepts a single-use stream ticket in ?ticket= for
+// browsers' EventSource, which can't set headers
+const authEventStream = async (req, res, next) => {
+    const ticket = req.query.ticket;
+    if (!ticket) {
+        return auth(req, res, next);
+    }
 
-        // Check if user's role is in allowed roles
-        const hasDirectRole = allowedRoles.includes(req.user.role);
+    try {
+        const decoded = verifyChallengeToken(ticket, 'event-stream');
+        if (!decoded) {
+            return res.status(401).json({ error: 'Stream ticket is invalid or expired' });
+        }
 
-        // Check if user has higher role (for hierarchy)
-        const userRoleLevel = roleHierarchy[req.user.role] || 0;
-        const hasHigherRole = allowedRoles.some(role => {
-            const requiredLevel = roleHierarchy[role] || 0;
-            return userRoleLevel >= requiredLevel;
-        });
+        if (!(await consumeStreamTicket(decoded))) {
+            return res.status(401).json({ error: 'Stream ticket has already been used' });
+        }
 
-        if (!hasDirectRole && !hasHigherRole) {
-            return res.status(403).json({
-                error: 'Not authorized to access this resource',
-                required: allowedRoles,
-                current: req.user.role
-            });
+        const { user, session, error } = await loadSessionUser(decoded);
+        if (error) {
+            return res.status(401).json({ error });
         }
 
+        req.user = user;
+        req.authSession = session;
         next();
-    };
+    } catch (error) {
+        console.error('Event stream auth error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
 };
 
-// Middleware for department-based access
-const authorizeDepartment = (departments = []) => {
-    return (req, res, next) => {
-        if (!req.user) {
-            return res.status(401).json({ error: 'Authentication required' });
-        }
+// Like `auth`, but also accepts the '2fa-setup' challenge token from login
+// (in the body) so users whose role requires 2FA can enroll before they
+// have a session
+const authOrTwoFactorChallenge = async (req, res, next) => {
+    const challengeToken = req.body && req.body.challengeToken;
+    if (!challengeToken) {
+        return auth(req, res, next);
+    }
 
-        // Users don't have departments, only staff and above
-        if (req.user.role === 'user') {
-            return res.status(403).json({ error: 'Staff access required' });
+    try {
+        const decoded = verifyChallengeToken(challengeToken, '2fa-setup');
+        if (!decoded) {
+            return res.status(401).json({ error: 'Login challenge is invalid or expired' });
         }
 
-        const allowedDepartments = Array.isArray(departments) ? departments : [departments];
-
-        if (!allowedDepartments.includes(req.user.department)) {
-            return res.status(403).json({
-                error: 'Department access denied',
-                required: allowedDepartments,
-                current: req.user.department
-            });
+        const user = await User.findById(decoded.id).select('-password');
+        if (!user || !user.isActive) {
+            return res.status(401).json({ error: 'Authentication required' });
         }
 
+        req.user = user;
+        req.twoFactorChallenge = true;
         next();
-    };
+    } catch (error) {
+        console.error('Two-factor challenge error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
 };
 
-// Middleware to check if user can access specific user data
-const authorizeUserAccess = (req, res, next) => {
-    const targetUserId = req.params.userId || req.params.id;
+// Role seniority, e.g. to stop users acting on someone above them
+const roleHierarchy = {
+    'user': 1,
+    'staff': 2,
+    'manager': 3,
+    'admin': 4,
+    'ceo': 5
+};
 
-    // Users can only access their own data
-    if (req.user.role === 'user' && req.user._id.toString() !== targetUserId) {
-        return res.status(403).json({ error: 'Can only access your own data' });
+// Allow the request only if the user holds `permission` from the registry
+// (config/permissions.js, with admin overrides)
+const requirePermission = (permission) => {
+    // Catch typos when the routes load rather than with a 403 at runtime
+    if (!defaultPermissions[permission]) {
+        throw new Error(`Unknown permission: ${permission}`);
     }
 
-    // Staff can access user data but not other staff data
-    if (req.user.role === 'staff') {
-        // Staff can access if it's a user or themselves
-        if (req.user._id.toString() === targetUserId) {
-            return next(); // Can access own data
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
         }
-        // Additional check would be needed to verify target is a user, not staff
-    }
 
-    // Managers and above can access all data
-    if (['manager', 'admin', 'ceo'].includes(req.user.role)) {
-        return next();
-    }
+        try {
+            if (!(await hasPermission(req.user, permission))) {
+                return res.status(403).json({
+                    error: 'Not authorized to access this resource',
+                    required: permission
+                });
+            }
 
-    next();
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
 };
 
-// Middleware for financial data access (CEO only)
-const authorizeFinancialAccess = authorize(['ceo']);
+// Block guests who haven't verified their email, when REQUIRE_EMAIL_VERIFICATION is on
+const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+        return next();
+    }
 
-// Middleware for operational data access (Manager and above)
-const authorizeOperationalAccess = authorize(['manager', 'admin', 'ceo']);
+    if (req.user && req.user.role === 'user' && !req.user.isEmailVerified) {
+        return res.status(403).json({
+            error: 'Please verify your email address to continue',
+            code: 'EMAIL_NOT_VERIFIED'
+        });
+    }
 
-// Middleware for staff management (Admin and above)
-const authorizeStaffManagement = authorize(['admin', 'ceo']);
+    next();
+};
 
 module.exports = {
     auth,
-    authorize,
-    authorizeDepartment,
-    authorizeUserAccess,
-    authorizeFinancialAccess,
-    authorizeOperationalAccess,
-    authorizeStaffManagement,
+    optionalAuth,
+    authOrTwoFactorChallenge,
+    authEventStream,
+    requirePermission,
+    requireVerifiedEmail,
     roleHierarchy
 };
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// One stretch of work: a clock-in to a clock-out, reconciled against the
+// shift it was matched to. Shifts nobody clocked in for get a `missed`
+// record so they show up on the monthly report.
+const AttendanceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    department: {
+        type: String,
+        enum: ['housekeeping', 'food_service', 'concierge', 'maintenance', 'management', 'administration']
+    },
+    // No shift means an unscheduled clock-in
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift'
+    },
+    scheduledStartAt: Date,
+    scheduledEndAt: Date,
+    // The day the work counts towards; clock-in time, or shift start if missed
+    workDate: {
+        type: Date,
+        required: true
+    },
+    clockInAt: Date,
+    clockOutAt: Date,
+    breaks: [{
+        startAt: { type: Date, required: true },
+        endAt: Date
+    }],
+    status: {
+        type: String,
+        enum: ['open', 'closed', 'missed'],
+        default: 'open'
+    },
+    flags: [{
+        type: String,
+        enum: ['late', 'left_early', 'missed', 'unscheduled', 'no_clock_out', 'adjusted']
+    }],
+    lateMinutes: {
+        type: Number,
+        default: 0
+    },
+    earlyLeaveMinutes: {
+        type: Number,
+        default: 0
+    },
+    breakMinutes: {
+        type: Number,
+        default: 0
+    },
+    workedMinutes: {
+        type: Number,
+        default: 0
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    adjustedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    adjustedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// At most one record per shift, and one open clock-in per person
+AttendanceSchema.index({ shift: 1 }, { unique: true, sparse: true });
+AttendanceSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+AttendanceSchema.index({ user: 1, workDate: -1 });
+AttendanceSchema.index({ department: 1, workDate: -1 });
+AttendanceSchema.index({ flags: 1, workDate: -1 });
+
+AttendanceSchema.virtual('onBreak').get(function () {
+    const last = this.breaks && this.breaks[this.breaks.length - 1];
+    return this.status === 'open' && !!last && !last.endAt;
+});
+
+AttendanceSchema.virtual('workedHours').get(function () {
+    return Math.round((this.workedMinutes || 0) / 60 * 100) / 100;
+});
+
+AttendanceSchema.plugin(auditTrail, { entity: 'Attendance' });
+
+module.exports = mongoose.model('Attendance', AttendanceSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a change to a sensitive document. Entries form a
+// hash chain: each `hash` covers the entry and the previous entry's hash, so
+// editing or removing one breaks every hash after it.
+const AuditLogSchema = new mongoose.Schema({
+    seq: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: String,
+    ip: String,
+    userAgent: String,
+    requestId: String,
+    method: String,
+    path: String,
+    entity: {
+        type: String,
+        required: true
+    },
+    entityId: {
+        type: String,
+        required: true
+    },
+    // e.g. 'booking.update', 'roomcategory.delete'
+    action: {
+        type: String,
+        required: true
+    },
+    // Changed fields as dotted paths; `before` is missing on create and
+    // `after` on delete
+    changes: [{
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    prevHash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    // Keep empty objects in `changes` so the stored entry still matches its hash
+    minimize: false
+});
+
+AuditLogSchema.index({ entity: 1, entityId: 1, seq: -1 });
+AuditLogSchema.index({ actor: 1, seq: -1 });
+AuditLogSchema.index({ action: 1, seq: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// Entries can only be inserted
+const rejectChange = function () {
+    throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+AuditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('Audit log entries cannot be modified or deleted'));
+    next();
+});
+
+[
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+    AuditLogSchema.pre(operation, rejectChange);
+});
+AuditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const CancellationPolicySchema = require('./schemas/cancellationPolicy');
+const TaxBreakdownSchema = require('./schemas/taxBreakdown');
+const { computeTaxes } = require('../services/taxService');
+const { defaultTaxRules } = require('../config/billing');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
 
 const BookingSchema = new mongoose.Schema({
     // Guest Information
@@ -72,42 +79,57 @@ const BookingSchema = new mongoose.Schema({
         }
     }],
 
-    // Food Orders (separate from packages)
-    foodOrders: [{
-        orderId: String,
-        items: [{
-            menuItemId: mongoose.Schema.Types.ObjectId,
-            menuItemName: String,
-            quantity: Number,
-            price: Number,
-            specialInstructions: String
-        }],
-        orderType: {
-            type: String,
-            enum: ['room-service', 'restaurant', 'takeaway']
-        },
-        orderDate: { type: Date, default: Date.now },
-        deliveryDate: Date,
-        deliveryTime: String,
-        status: {
-            type: String,
-            enum: ['ordered', 'preparing', 'ready', 'delivered', 'cancelled'],
-            default: 'ordered'
-        },
-        totalAmount: Number
-    }],
-
     // Pricing
     pricing: {
-        roomRate: { type: Number, required: true },
+        roomRate: { type: Number, required: true }, // Average nightly rate
+        nightlyRates: [{
+            _id: false,
+            date: Date,
+            baseRate: Number,
+            rate: Number,
+            weekend: Boolean,
+            season: String,
+            occupancyPercentage: Number,
+            surchargePercentage: Number
+        }],
+        roomSubtotal: Number,
+        lengthOfStayDiscount: {
+            percentage: { type: Number, default: 0 },
+            amount: { type: Number, default: 0 }
+        },
+        roomTotal: Number,
         packagePrice: { type: Number, default: 0 },
         servicesTotal: { type: Number, default: 0 },
+        // Food orders charged to the room (Order with paymentMethod
+        // 'room_charge'), tax included; kept in step by orderService
         foodTotal: { type: Number, default: 0 },
         taxAmount: { type: Number, default: 0 },
+        taxBreakdown: [TaxBreakdownSchema],
         discountAmount: { type: Number, default: 0 },
         totalAmount: { type: Number, required: true }
     },
 
+    // Promo code applied at booking time
+    coupon: {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        discountAmount: Number
+    },
+
+    // Loyalty tier discount and points used at booking time, points earned
+    // at check-out. Both discounts are included in pricing.discountAmount.
+    loyalty: {
+        tier: String,
+        lateCheckout: String, // Latest check-out time the tier allows, e.g. '14:00'
+        tierDiscount: { type: Number, default: 0 },
+        pointsRedeemed: { type: Number, default: 0 },
+        pointsDiscount: { type: Number, default: 0 },
+        pointsEarned: { type: Number, default: 0 }
+    },
+
     // Payment Information
     payment: {
         status: {
@@ -120,10 +142,87 @@ const BookingSchema = new mongoose.Schema({
             enum: ['card', 'upi', 'net-banking', 'wallet', 'cash']
         },
         transactionId: String,
+        paymentIntentId: String,
+        // Summary of `entries`, kept in sync by syncPaymentSummary()
         paidAmount: { type: Number, default: 0 },
         paymentDate: Date,
         refundAmount: { type: Number, default: 0 },
-        refundDate: Date
+        refundDate: Date,
+
+        // Ledger of every payment and refund taken against the stay
+        entries: [{
+            kind: {
+                type: String,
+                enum: ['payment', 'refund'],
+                required: true
+            },
+            method: {
+                type: String,
+                enum: ['card', 'upi', 'net-banking', 'wallet', 'cash']
+            },
+            amount: { type: Number, required: true, min: 0 },
+            reference: String, // Card slip, UPI reference or Stripe charge
+            paymentIntentId: String,
+            refundId: String,
+            note: String,
+            source: {
+                type: String,
+                enum: ['front-desk', 'online', 'system'],
+                default: 'front-desk'
+            },
+            recordedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            recordedAt: { type: Date, default: Date.now }
+        }]
+    },
+
+    // Notification bookkeeping so scheduled emails go out once
+    reminders: {
+        checkInSentAt: Date
+    },
+
+    // Set when a manager lets a guest check out with a balance outstanding
+    checkoutOverride: {
+        overriddenBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        overriddenAt: Date,
+        outstandingBalance: Number,
+        reason: String
+    },
+
+    // Cancellation policy in force when the booking was made
+    cancellationPolicy: {
+        type: CancellationPolicySchema,
+        default: null
+    },
+    cancellationPolicySource: {
+        type: String,
+        enum: ['package', 'room-category', 'default']
+    },
+
+    cancellation: {
+        cancelledAt: Date,
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: String,
+        hoursBeforeCheckIn: Number,
+        refundPercentage: Number,
+        refundAmount: Number,
+        // Part of the refund still to be paid back at the front desk; the
+        // ledger gets the refund entry when it is actually paid out
+        refundDue: { type: Number, default: 0 },
+        refundId: String,
+        refundStatus: {
+            type: String,
+            enum: ['none', 'pending', 'succeeded', 'manual']
+        },
+        overridden: { type: Boolean, default: false }
     },
 
     // Special Requests
@@ -159,9 +258,33 @@ const BookingSchema = new mongoose.Schema({
         },
         resolution: String,
         resolvedDate: Date,
-        rating: { type: Number, min: 1, max: 5 }
+        rating: { type: Number, min: 1, max: 5 },
+        // Maintenance requests are tracked as work orders
+        workOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkOrder' },
+        // SLA tracking (config/serviceRequests.js)
+        department: String,
+        acknowledgedAt: Date,
+        acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        sla: {
+            acknowledgeDueAt: Date,
+            resolveDueAt: Date
+        },
+        escalations: [{
+            _id: false,
+            kind: { type: String, enum: ['acknowledge', 'resolve'] },
+            escalatedAt: Date,
+            escalatedTo: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+        }]
     }],
 
+    // Set when the room is taken out of order over the stay; the front desk
+    // needs to move the guest
+    roomConflict: {
+        workOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkOrder' },
+        reason: String,
+        flaggedAt: Date
+    },
+
     // Booking Status
     status: {
         type: String,
@@ -174,10 +297,29 @@ const BookingSchema = new mongoose.Schema({
     actualCheckOut: Date,
 
     // Reviews and Feedback
+    // Guest review of a checked-out stay. Published reviews feed the room,
+    // room category and package ratings (see reviewService).
     review: {
         rating: { type: Number, min: 1, max: 5 },
-        comment: String,
-        reviewDate: Date
+        title: { type: String, trim: true, maxlength: 120 },
+        comment: { type: String, trim: true, maxlength: 2000 },
+        reviewDate: Date,
+        editedAt: Date,
+        // Snapshot of what was stayed in, so later catalogue edits don't move ratings
+        roomCategory: { type: mongoose.Schema.Types.ObjectId, ref: 'RoomCategory' },
+        package: { type: mongoose.Schema.Types.ObjectId, ref: 'Package' },
+        status: {
+            type: String,
+            enum: ['published', 'hidden'] // Set when the review is written
+        },
+        hiddenReason: String,
+        hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        hiddenAt: Date,
+        response: {
+            text: { type: String, trim: true, maxlength: 2000 },
+            respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            respondedAt: Date
+        }
     },
 
     // Timestamps
@@ -230,27 +372,179 @@ BookingSchema.pre('save', function (next) {
     next();
 });
 
+// Charge lines that make up the bill, before discounts and tax. Room-charged
+// food orders are taxed on their own and added through pricing.foodTotal.
+BookingSchema.methods.getChargeLines = function () {
+    const lines = [];
+
+    if (this.pricing.nightlyRates && this.pricing.nightlyRates.length > 0) {
+        // Spread any length-of-stay discount over the nights; the slab still
+        // follows the published nightly tariff
+        const subtotal = this.pricing.roomSubtotal || 0;
+        const roomTotal = typeof this.pricing.roomTotal === 'number' ? this.pricing.roomTotal : subtotal;
+        const ratio = subtotal > 0 ? roomTotal / subtotal : 1;
+
+        this.pricing.nightlyRates.forEach(night => {
+            lines.push({
+                lineType: 'room',
+                description: `Room night ${night.date.toISOString().slice(0, 10)}`,
+                date: night.date,
+                amount: night.rate * ratio,
+                unitAmount: night.rate
+            });
+        });
+    } else {
+        lines.push({
+            lineType: 'room',
+            description: 'Room charges',
+            date: this.checkInDate,
+            quantity: this.numberOfNights,
+            amount: this.pricing.roomRate * this.numberOfNights,
+            unitAmount: this.pricing.roomRate
+        });
+    }
+
+    if (this.pricing.packagePrice) {
+        lines.push({
+            lineType: 'package',
+            description: this.selectedPackage ? this.selectedPackage.name : 'Package',
+            date: this.checkInDate,
+            amount: this.pricing.packagePrice
+        });
+    }
+
+    this.additionalServices.forEach(service => {
+        lines.push({
+            lineType: 'service',
+            description: service.serviceName,
+            date: service.scheduledDate || this.checkInDate,
+            quantity: service.quantity,
+            amount: service.price * service.quantity,
+            unitAmount: service.price
+        });
+    });
+
+    return lines;
+};
+
 // Methods
-BookingSchema.methods.calculateTotal = function () {
-    const roomTotal = this.pricing.roomRate * this.numberOfNights;
-    const packageTotal = this.pricing.packagePrice || 0;
-    const servicesTotal = this.additionalServices.reduce((sum, service) =>
+// `taxRules` comes from taxService.getActiveTaxRules(); the configured
+// defaults are used when it isn't passed
+BookingSchema.methods.calculateTotal = function (taxRules = defaultTaxRules) {
+    const lines = this.getChargeLines();
+
+    this.pricing.servicesTotal = this.additionalServices.reduce((sum, service) =>
         sum + (service.price * service.quantity), 0);
-    const foodTotal = this.foodOrders.reduce((sum, order) => sum + order.totalAmount, 0);
 
-    this.pricing.servicesTotal = servicesTotal;
-    this.pricing.foodTotal = foodTotal;
+    const taxes = computeTaxes(lines, taxRules, {
+        discountAmount: this.pricing.discountAmount || 0
+    });
+
+    this.pricing.taxAmount = taxes.totalTax;
+    this.pricing.taxBreakdown = taxes.breakdown;
+    this.pricing.totalAmount = roundMoney(taxes.grandTotal + (this.pricing.foodTotal || 0));
+
+    // A new charge can turn a paid booking back into a partially paid one
+    this.syncPaymentSummary();
+
+    return this.pricing.totalAmount;
+};
 
-    const subtotal = roomTotal + packageTotal + servicesTotal + foodTotal;
-    const taxAmount = subtotal * 0.18; // 18% GST
-    const discountAmount = this.pricing.discountAmount || 0;
+// Change the room-charged food on the bill without repricing the stay, so
+// the room, package and service taxes stay as they were charged
+BookingSchema.methods.setFoodTotal = function (foodTotal) {
+    const stayTotal = (this.pricing.totalAmount || 0) - (this.pricing.foodTotal || 0);
 
-    this.pricing.taxAmount = taxAmount;
-    this.pricing.totalAmount = subtotal + taxAmount - discountAmount;
+    this.pricing.foodTotal = roundMoney(foodTotal);
+    this.pricing.totalAmount = roundMoney(stayTotal + this.pricing.foodTotal);
+    this.syncPaymentSummary();
 
     return this.pricing.totalAmount;
 };
 
+// Payment ledger entries. Bookings paid before the ledger existed only have
+// the summary fields, so those are turned into entries on the fly.
+BookingSchema.methods.getPaymentEntries = function () {
+    if (this.payment.entries.length > 0 || (!this.payment.paidAmount && !this.payment.refundAmount)) {
+        return this.payment.entries;
+    }
+
+    const entries = [];
+    if (this.payment.paidAmount > 0) {
+        entries.push({
+            kind: 'payment',
+            method: this.payment.method,
+            amount: this.payment.paidAmount,
+            reference: this.payment.transactionId,
+            paymentIntentId: this.payment.paymentIntentId,
+            note: 'Carried over from payment summary',
+            source: 'system',
+            recordedAt: this.payment.paymentDate || this.createdAt
+        });
+    }
+    if (this.payment.refundAmount > 0) {
+        entries.push({
+            kind: 'refund',
+            method: this.payment.method,
+            amount: this.payment.refundAmount,
+            reference: this.cancellation && this.cancellation.refundId,
+            paymentIntentId: this.payment.paymentIntentId,
+            note: 'Carried over from payment summary',
+            source: 'system',
+            recordedAt: this.payment.refundDate || this.updatedAt
+        });
+    }
+    return entries;
+};
+
+// Add a payment or refund to the ledger and refresh the summary fields
+BookingSchema.methods.addPaymentEntry = function (entry) {
+    if (this.payment.entries.length === 0) {
+        this.payment.entries = this.getPaymentEntries();
+    }
+
+    this.payment.entries.push(entry);
+    this.syncPaymentSummary();
+
+    return this.payment.entries[this.payment.entries.length - 1];
+};
+
+// Recompute paid/refunded totals, status and latest method from the ledger
+BookingSchema.methods.syncPaymentSummary = function () {
+    const entries = this.getPaymentEntries();
+    const payments = entries.filter(entry => entry.kind === 'payment');
+    const refunds = entries.filter(entry => entry.kind === 'refund');
+
+    const paidAmount = roundMoney(payments.reduce((sum, entry) => sum + entry.amount, 0));
+    const refundAmount = roundMoney(refunds.reduce((sum, entry) => sum + entry.amount, 0));
+
+    this.payment.paidAmount = paidAmount;
+    this.payment.refundAmount = refundAmount;
+
+    const lastPayment = payments[payments.length - 1];
+    if (lastPayment) {
+        this.payment.method = lastPayment.method;
+        this.payment.transactionId = lastPayment.reference;
+        this.payment.paymentDate = lastPayment.recordedAt;
+    }
+    if (refunds.length > 0) {
+        this.payment.refundDate = refunds[refunds.length - 1].recordedAt;
+    }
+
+    if (paidAmount <= 0) {
+        if (this.payment.status !== 'failed') this.payment.status = 'pending';
+    } else if (refundAmount >= paidAmount) {
+        this.payment.status = 'refunded';
+    } else {
+        this.payment.status = paidAmount - refundAmount >= this.pricing.totalAmount - 0.01 ? 'paid' : 'partially-paid';
+    }
+};
+
+// Amount still owed on the stay
+BookingSchema.methods.getBalance = function () {
+    return roundMoney(this.pricing.totalAmount - (this.payment.paidAmount || 0) + (this.payment.refundAmount || 0));
+};
+
 // Virtual for days until checkin
 BookingSchema.virtual('daysUntilCheckIn').get(function () {
     const today = new Date();
@@ -276,8 +570,15 @@ BookingSchema.virtual('currentStatus').get(function () {
 // Indexes for better performance (unique indexes already defined in schema)
 BookingSchema.index({ user: 1, createdAt: -1 });
 BookingSchema.index({ checkInDate: 1, checkOutDate: 1 });
+BookingSchema.index({ room: 1, status: 1, checkInDate: 1, checkOutDate: 1 });
 BookingSchema.index({ status: 1 });
+BookingSchema.index({ 'roomConflict.workOrder': 1 }, { sparse: true });
+BookingSchema.index({ 'serviceRequests.status': 1, 'serviceRequests.sla.resolveDueAt': 1 });
 BookingSchema.index({ 'payment.status': 1 });
+BookingSchema.index({ 'payment.paymentIntentId': 1 }, { sparse: true });
+BookingSchema.index({ room: 1, 'review.status': 1, 'review.reviewDate': -1 });
+BookingSchema.index({ 'review.roomCategory': 1, 'review.status': 1, 'review.reviewDate': -1 });
+BookingSchema.index({ 'review.package': 1, 'review.status': 1, 'review.reviewDate': -1 });
 
 // Ensure virtual fields are serialized
 BookingSchema.set('toJSON', {
@@ -288,4 +589,6 @@ BookingSchema.set('toJSON', {
     }
 });
 
+BookingSchema.plugin(auditTrail, { entity: 'Booking', ignore: ['reminders'] });
+
 module.exports = mongoose.model('Booking', BookingSchema);
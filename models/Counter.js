@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Named sequences for document numbers. Numbers are only gap-free when taken
+// in the same transaction as the document that uses them.
+const CounterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+// Atomically take the next number in a sequence, creating it on first use
+CounterSchema.statics.next = async function (name, { session = null } = {}) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const CouponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    maxDiscountAmount: {
+        type: Number,
+        min: 0 // Cap for percentage coupons, unlimited when not set
+    },
+    minimumSpend: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    validFrom: Date,
+    validUntil: Date,
+    usageLimit: {
+        type: Number,
+        min: 1 // Total redemptions across all guests, unlimited when not set
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    // Empty lists mean "no restriction"
+    scope: {
+        appliesTo: {
+            type: [String],
+            enum: ['booking', 'order'],
+            default: ['booking', 'order']
+        },
+        rooms: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Room' }],
+        roomCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'RoomCategory' }],
+        packages: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Package' }],
+        menuCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'FoodCategory' }]
+    },
+    redemptions: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+        order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        discountAmount: Number,
+        redeemedAt: { type: Date, default: Date.now }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+CouponSchema.index({ isActive: 1, validUntil: 1 });
+CouponSchema.index({ 'redemptions.user': 1 });
+
+// Check the validity window and active flag
+CouponSchema.methods.isCurrentlyValid = function (date = new Date()) {
+    if (!this.isActive) return false;
+    if (this.validFrom && date < this.validFrom) return false;
+    if (this.validUntil && date > this.validUntil) return false;
+    return true;
+};
+
+// Number of times a user has redeemed this coupon
+CouponSchema.methods.redemptionsByUser = function (userId) {
+    return this.redemptions.filter(r => r.user.toString() === userId.toString()).length;
+};
+
+CouponSchema.virtual('remainingUses').get(function () {
+    return this.usageLimit ? Math.max(0, this.usageLimit - this.usageCount) : null;
+});
+
+CouponSchema.plugin(auditTrail, { entity: 'Coupon' });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
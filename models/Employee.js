@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const EmployeeSchema = new mongoose.Schema({
     user: {
@@ -92,4 +93,6 @@ EmployeeSchema.virtual('employmentDuration').get(function () {
 EmployeeSchema.index({ isActive: 1 });
 EmployeeSchema.index({ 'salary.base': 1 });
 
+EmployeeSchema.plugin(auditTrail, { entity: 'Employee' });
+
 module.exports = mongoose.model('Employee', EmployeeSchema);
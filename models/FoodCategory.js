@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { stationKeys, defaultStation } = require('../config/kitchen');
 
 const FoodCategorySchema = new mongoose.Schema({
     name: {
@@ -30,6 +32,12 @@ const FoodCategorySchema = new mongoose.Schema({
     availableTime: {
         start: { type: String }, // Format: "HH:mm"
         end: { type: String }     // Format: "HH:mm"
+    },
+    // Kitchen station that prepares items in this category
+    station: {
+        type: String,
+        enum: stationKeys,
+        default: defaultStation
     }
 }, {
     timestamps: true,
@@ -48,4 +56,6 @@ FoodCategorySchema.virtual('totalItems', {
 // Index for better performance (name already has unique index)
 FoodCategorySchema.index({ isActive: 1, priority: -1 });
 
+FoodCategorySchema.plugin(auditTrail, { entity: 'FoodCategory' });
+
 module.exports = mongoose.model('FoodCategory', FoodCategorySchema);
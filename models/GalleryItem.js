@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const GalleryItemSchema = new mongoose.Schema({
     type: {
@@ -24,4 +25,6 @@ const GalleryItemSchema = new mongoose.Schema({
     }
 });
 
+GalleryItemSchema.plugin(auditTrail, { entity: 'GalleryItem' });
+
 module.exports = mongoose.model('GalleryItem', GalleryItemSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// A room's trip from dirty back to sellable. Status follows the room:
+// dirty -> cleaning -> inspected (cleaned and checked) -> ready (released
+// to the front desk by a supervisor). A failed check sends it back to dirty.
+const HousekeepingTaskSchema = new mongoose.Schema({
+    room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        required: true
+    },
+    // Departure that caused the task, if any
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    type: {
+        type: String,
+        enum: ['checkout', 'stayover', 'deep_clean', 'touch_up'],
+        default: 'checkout'
+    },
+    priority: {
+        type: String,
+        enum: ['low', 'normal', 'high', 'urgent'],
+        default: 'normal'
+    },
+    status: {
+        type: String,
+        enum: ['dirty', 'cleaning', 'inspected', 'ready'],
+        default: 'dirty'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedAt: Date,
+    startedAt: Date,
+    inspectedAt: Date,
+    inspectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    readyAt: Date,
+    releasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    history: [{
+        _id: false,
+        status: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedAt: { type: Date, default: Date.now },
+        note: String
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+HousekeepingTaskSchema.index({ room: 1, status: 1 });
+// One open task per room
+HousekeepingTaskSchema.index(
+    { room: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['dirty', 'cleaning', 'inspected'] } } }
+);
+HousekeepingTaskSchema.index({ assignedTo: 1, status: 1 });
+HousekeepingTaskSchema.index({ status: 1, priority: 1, createdAt: 1 });
+
+HousekeepingTaskSchema.plugin(auditTrail, { entity: 'HousekeepingTask' });
+
+module.exports = mongoose.model('HousekeepingTask', HousekeepingTaskSchema);
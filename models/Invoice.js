@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const TaxBreakdownSchema = require('./schemas/taxBreakdown');
+
+const InvoiceLineSchema = new mongoose.Schema({
+    lineType: {
+        type: String,
+        enum: ['room', 'package', 'service', 'food', 'delivery'],
+        required: true
+    },
+    description: String,
+    date: Date,
+    sacCode: String,
+    quantity: { type: Number, default: 1 },
+    unitAmount: Number,
+    amount: Number, // Before discount
+    discountAmount: Number,
+    taxableAmount: Number,
+    taxRate: Number,
+    taxMode: String,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    taxAmount: Number,
+    total: Number
+}, { _id: false });
+
+// Issued invoices are a snapshot of the folio; they are never recalculated
+const InvoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    financialYear: String,
+    type: {
+        type: String,
+        enum: ['booking', 'order'],
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    reference: String, // Booking number or order ID
+    customer: {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        name: String,
+        email: String,
+        phone: String,
+        address: String,
+        gstin: String
+    },
+    supplier: {
+        name: String,
+        address: String,
+        phone: String,
+        email: String,
+        gstin: String,
+        stateCode: String
+    },
+    stay: {
+        roomNumber: String,
+        checkInDate: Date,
+        checkOutDate: Date,
+        numberOfNights: Number
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    lines: [InvoiceLineSchema],
+    taxBreakdown: [TaxBreakdownSchema],
+    subtotal: Number,
+    discountAmount: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    totalAmount: Number,
+    payments: [{
+        _id: false,
+        date: Date,
+        method: String,
+        reference: String,
+        amount: Number
+    }],
+    refunds: [{
+        _id: false,
+        date: Date,
+        reference: String,
+        amount: Number
+    }],
+    amountPaid: { type: Number, default: 0 },
+    amountRefunded: { type: Number, default: 0 },
+    balanceDue: { type: Number, default: 0 },
+    status: {
+        type: String,
+        enum: ['issued', 'void'],
+        default: 'issued'
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// One invoice per booking or order
+InvoiceSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { booking: { $type: 'objectId' } } });
+InvoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { order: { $type: 'objectId' } } });
+InvoiceSchema.index({ 'customer.user': 1, issuedAt: -1 });
+
+InvoiceSchema.plugin(auditTrail, { entity: 'Invoice' });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// One entry in a guest's points ledger. `points` is signed: earn and
+// positive adjust entries add, redeem, expire and negative adjust entries
+// take away. Earned points are spent and expired oldest first, tracked
+// through `remainingPoints` on the entries that added them.
+const LoyaltyTransactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['earn', 'redeem', 'expire', 'reverse', 'adjust'],
+        required: true
+    },
+    points: {
+        type: Number,
+        required: true
+    },
+    balanceAfter: Number,
+    description: {
+        type: String,
+        trim: true
+    },
+
+    // What the points were earned or spent on
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    // Keeps earning and redemption idempotent, e.g. 'earn:booking:<id>'
+    reference: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+
+    // Entries that add points
+    remainingPoints: {
+        type: Number,
+        min: 0
+    },
+    expiresAt: Date,
+    tier: String, // Tier the points were earned at
+    multiplier: Number,
+
+    // Redemptions: which entries the points came from, so a reversal can
+    // put them back
+    consumed: [{
+        _id: false,
+        transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'LoyaltyTransaction' },
+        points: Number
+    }],
+    discountAmount: Number,
+    reversedAt: Date,
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+LoyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+LoyaltyTransactionSchema.index({ user: 1, remainingPoints: 1, expiresAt: 1 });
+LoyaltyTransactionSchema.index({ expiresAt: 1, remainingPoints: 1 });
+
+LoyaltyTransactionSchema.plugin(auditTrail, { entity: 'LoyaltyTransaction' });
+
+module.exports = mongoose.model('LoyaltyTransaction', LoyaltyTransactionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const MenuItemSchema = new mongoose.Schema({
     name: {
@@ -103,4 +104,6 @@ MenuItemSchema.index({ isVegetarian: 1 });
 MenuItemSchema.index({ isVegan: 1 });
 MenuItemSchema.index({ isGlutenFree: 1 });
 
+MenuItemSchema.plugin(auditTrail, { entity: 'MenuItem' });
+
 module.exports = mongoose.model('MenuItem', MenuItemSchema);
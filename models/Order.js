@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const TaxBreakdownSchema = require('./schemas/taxBreakdown');
+
+// Timeline field stamped when an order enters each status
+const STATUS_TIMESTAMPS = {
+    confirmed: 'confirmedAt',
+    preparing: 'preparingAt',
+    ready: 'readyAt',
+    out_for_delivery: 'outForDeliveryAt',
+    delivered: 'deliveredAt',
+    cancelled: 'cancelledAt'
+};
 
 const orderSchema = new mongoose.Schema({
     orderId: {
@@ -49,18 +61,42 @@ const orderSchema = new mongoose.Schema({
             type: Number,
             required: true,
             min: 0
-        }
+        },
+        // Kitchen routing, copied from the menu when the order is placed
+        station: String,
+        preparationTime: Number, // in minutes
+        startedAt: Date,
+        readyAt: Date
     }],
     totalAmount: {
         type: Number,
         required: true,
         min: 0
     },
-    tax: {
+    discountAmount: {
         type: Number,
         default: 0,
         min: 0
     },
+    coupon: {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String
+    },
+    // Points used at checkout (part of discountAmount) and earned on delivery
+    loyalty: {
+        pointsRedeemed: { type: Number, default: 0 },
+        pointsDiscount: { type: Number, default: 0 },
+        pointsEarned: { type: Number, default: 0 }
+    },
+    tax: {
+        type: Number, // Tax added on top of prices (exclusive rules)
+        default: 0,
+        min: 0
+    },
+    taxBreakdown: [TaxBreakdownSchema],
     deliveryFee: {
         type: Number,
         default: 0,
@@ -78,18 +114,27 @@ const orderSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+        // charged_to_room: settled with the booking's folio at check-out
+        enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'charged_to_room'],
         default: 'pending'
     },
     paymentMethod: {
         type: String,
-        enum: ['stripe', 'cash', 'card'],
+        enum: ['stripe', 'cash', 'card', 'room_charge'],
         default: 'stripe'
     },
     paymentIntentId: {
         type: String,
-        required: true,
-        unique: true
+        required: function () {
+            return this.paymentMethod !== 'room_charge';
+        },
+        unique: true,
+        sparse: true
+    },
+    // In-house stay the order is charged to (paymentMethod 'room_charge')
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
     },
     stripePaymentId: String,
     transactionId: String,
@@ -104,8 +149,27 @@ const orderSchema = new mongoose.Schema({
         building: String,
         specialInstructions: String
     },
+    // Promised to the kitchen display; estimatedDeliveryTime adds delivery
+    estimatedReadyTime: Date,
+    // Requested delivery time for orders placed ahead
+    scheduledFor: Date,
     estimatedDeliveryTime: Date,
     actualDeliveryTime: Date,
+    timeline: {
+        confirmedAt: Date,
+        preparingAt: Date,
+        readyAt: Date,
+        outForDeliveryAt: Date,
+        deliveredAt: Date,
+        cancelledAt: Date
+    },
+    statusHistory: [{
+        _id: false,
+        status: String,
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        note: String
+    }],
     preparationTime: {
         type: Number, // in minutes
         default: 30
@@ -123,12 +187,14 @@ const orderSchema = new mongoose.Schema({
 // Indexes for better performance
 orderSchema.index({ customerId: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ status: 1, estimatedReadyTime: 1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ booking: 1, status: 1 }, { sparse: true });
 // paymentIntentId index is already created by unique: true in schema definition
 
 // Virtual for order total with tax
 orderSchema.virtual('orderTotal').get(function () {
-    return this.totalAmount + this.tax + this.deliveryFee;
+    return this.totalAmount - this.discountAmount + this.tax + this.deliveryFee;
 });
 
 // Pre-save middleware to calculate subtotals and final amount
@@ -141,8 +207,8 @@ orderSchema.pre('save', function (next) {
     // Calculate total from items
     this.totalAmount = this.items.reduce((total, item) => total + item.subtotal, 0);
 
-    // Calculate final amount including tax and delivery
-    this.finalAmount = this.totalAmount + this.tax + this.deliveryFee;
+    // Calculate final amount including discount, tax and delivery
+    this.finalAmount = this.totalAmount - this.discountAmount + this.tax + this.deliveryFee;
 
     next();
 });
@@ -152,14 +218,28 @@ orderSchema.statics.generateOrderId = function () {
     return 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
 };
 
-// Instance method to update status with timestamp
-orderSchema.methods.updateStatus = function (newStatus) {
+// Set the status and stamp it on the timeline and history (without saving)
+orderSchema.methods.recordStatus = function (newStatus, { user, note, at = new Date() } = {}) {
     this.status = newStatus;
 
+    if (STATUS_TIMESTAMPS[newStatus]) {
+        this.set(`timeline.${STATUS_TIMESTAMPS[newStatus]}`, at);
+    }
     if (newStatus === 'delivered') {
-        this.actualDeliveryTime = new Date();
+        this.actualDeliveryTime = at;
     }
 
+    this.statusHistory.push({
+        status: newStatus,
+        changedAt: at,
+        changedBy: user ? user._id : undefined,
+        note
+    });
+};
+
+// Instance method to update status with timestamp
+orderSchema.methods.updateStatus = function (newStatus, options) {
+    this.recordStatus(newStatus, options);
     return this.save();
 };
 
@@ -168,9 +248,11 @@ orderSchema.methods.completePayment = function (stripePaymentId, transactionId)
     this.paymentStatus = 'completed';
     this.stripePaymentId = stripePaymentId;
     this.transactionId = transactionId;
-    this.status = 'confirmed';
+    this.recordStatus('confirmed', { note: 'Payment received' });
 
     return this.save();
 };
 
+orderSchema.plugin(auditTrail, { entity: 'Order' });
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const CancellationPolicySchema = require('./schemas/cancellationPolicy');
+const RatingSummarySchema = require('./schemas/ratingSummary');
 
 const PackageSchema = new mongoose.Schema({
     name: {
@@ -65,10 +68,14 @@ const PackageSchema = new mongoose.Schema({
         maxBookings: { type: Number, default: 100 }
     },
     terms: {
-        cancellationPolicy: String,
+        cancellationPolicy: String, // Human-readable summary shown to guests
         refundPolicy: String,
         additionalTerms: [String]
     },
+    cancellationRules: {
+        type: CancellationPolicySchema,
+        default: null
+    },
     images: [String],
     isActive: {
         type: Boolean,
@@ -83,8 +90,8 @@ const PackageSchema = new mongoose.Schema({
         default: 0
     },
     rating: {
-        average: { type: Number, default: 0, min: 0, max: 5 },
-        count: { type: Number, default: 0 }
+        type: RatingSummarySchema,
+        default: () => ({})
     },
     createdAt: {
         type: Date,
@@ -146,4 +153,6 @@ PackageSchema.set('toJSON', {
     }
 });
 
+PackageSchema.plugin(auditTrail, { entity: 'Package' });
+
 module.exports = mongoose.model('Package', PackageSchema);
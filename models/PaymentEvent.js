@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Stripe webhook events that have already been applied, so retries are no-ops
+const PaymentEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    paymentIntentId: String,
+    target: {
+        kind: {
+            type: String,
+            enum: ['order', 'booking', 'none'],
+            default: 'none'
+        },
+        id: mongoose.Schema.Types.ObjectId
+    },
+    processedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+PaymentEventSchema.index({ paymentIntentId: 1 });
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { ALL_ROLES, DEPARTMENTS } = require('../config/permissions');
+
+// Admin override for one permission in the registry (config/permissions.js)
+const PermissionSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    roles: {
+        type: [String],
+        enum: ALL_ROLES,
+        default: []
+    },
+    // Empty means any department
+    departments: {
+        type: [String],
+        enum: DEPARTMENTS,
+        default: []
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+PermissionSchema.plugin(auditTrail, { entity: 'Permission' });
+
+module.exports = mongoose.model('Permission', PermissionSchema);
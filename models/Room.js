@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const RateRulesSchema = require('./schemas/rateRules');
+const RatingSummarySchema = require('./schemas/ratingSummary');
 
 const RoomSchema = new mongoose.Schema({
     category: {
@@ -26,6 +29,10 @@ const RoomSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    rateRules: {
+        type: RateRulesSchema,
+        default: null
+    },
     isAvailable: {
         type: Boolean,
         default: true,
@@ -85,9 +92,20 @@ const RoomSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
-    lastCleaned: {
-        type: Date,
-        default: Date.now
+    // Set by the housekeeping board (see HousekeepingTask)
+    housekeepingStatus: {
+        type: String,
+        enum: ['dirty', 'cleaning', 'inspected', 'ready'],
+        default: 'ready'
+    },
+    housekeepingUpdatedAt: Date,
+    rating: {
+        type: RatingSummarySchema,
+        default: () => ({})
+    },
+    // Short-lived lock held while a booking for this room is being created
+    reservationLockedUntil: {
+        type: Date
     },
     createdAt: {
         type: Date,
@@ -109,6 +127,7 @@ RoomSchema.index({ category: 1, isAvailable: -1 });
 RoomSchema.index({ price: 1, category: 1 });
 RoomSchema.index({ isAvailable: -1, price: 1 });
 RoomSchema.index({ floor: 1, roomNumber: 1 });
+RoomSchema.index({ housekeepingStatus: 1 });
 
 // Pre-save middleware to update the updatedAt field
 RoomSchema.pre('save', function (next) {
@@ -124,4 +143,6 @@ RoomSchema.virtual('bookingStatus').get(function () {
     return 'available';
 });
 
+RoomSchema.plugin(auditTrail, { entity: 'Room', ignore: ['reservationLockedUntil'] });
+
 module.exports = mongoose.model('Room', RoomSchema);
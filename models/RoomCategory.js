@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const CancellationPolicySchema = require('./schemas/cancellationPolicy');
+const RateRulesSchema = require('./schemas/rateRules');
+const RatingSummarySchema = require('./schemas/ratingSummary');
 
 const RoomCategorySchema = new mongoose.Schema({
     name: {
@@ -16,6 +20,10 @@ const RoomCategorySchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    rateRules: {
+        type: RateRulesSchema,
+        default: null
+    },
     maxOccupancy: {
         type: Number,
         required: true,
@@ -35,6 +43,10 @@ const RoomCategorySchema = new mongoose.Schema({
         cloudinaryId: { type: String, required: true },
         caption: { type: String, default: '' }
     }],
+    cancellationRules: {
+        type: CancellationPolicySchema,
+        default: null
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -42,6 +54,10 @@ const RoomCategorySchema = new mongoose.Schema({
     priority: {
         type: Number,
         default: 0 // For ordering categories
+    },
+    rating: {
+        type: RatingSummarySchema,
+        default: () => ({})
     }
 }, {
     timestamps: true,
@@ -66,4 +82,6 @@ RoomCategorySchema.virtual('availableRooms').get(function () {
 // Index for better performance (name already has unique index)
 RoomCategorySchema.index({ isActive: 1, priority: -1 });
 
+RoomCategorySchema.plugin(auditTrail, { entity: 'RoomCategory' });
+
 module.exports = mongoose.model('RoomCategory', RoomCategorySchema);
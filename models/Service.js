@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const ServiceSchema = new mongoose.Schema({
     name: {
@@ -74,4 +75,6 @@ ServiceSchema.pre('save', function (next) {
     next();
 });
 
+ServiceSchema.plugin(auditTrail, { entity: 'Service' });
+
 module.exports = mongoose.model('Service', ServiceSchema);
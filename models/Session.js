@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The refresh token is `<session id>.<secret>` and only
+// the secret's hash is kept; it changes on every refresh.
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Hashes of refresh tokens already rotated out; presenting one again
+    // means the token was stolen, so the session is revoked
+    rotatedTokenHashes: {
+        type: [String],
+        default: []
+    },
+    deviceName: String,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Unused event stream tickets; each is removed when first presented
+    streamTickets: [{
+        _id: false,
+        jti: { type: String, required: true },
+        expiresAt: { type: Date, required: true }
+    }],
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'password-changed', 'token-reuse', 'admin']
+    }
+}, {
+    timestamps: true
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Drop sessions a week after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+SessionSchema.methods.isActive = function (date = new Date()) {
+    return !this.revokedAt && this.expiresAt > date;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
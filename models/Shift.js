@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// One rostered shift. Shifts are drafted by a department manager and only
+// show on staff schedules once their week is published.
+const ShiftSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    department: {
+        type: String,
+        enum: ['housekeeping', 'food_service', 'concierge', 'maintenance', 'management', 'administration'],
+        required: true
+    },
+    weekStart: {
+        type: Date, // Monday 00:00 of the week the shift starts in
+        required: true
+    },
+    startAt: {
+        type: Date,
+        required: true
+    },
+    endAt: {
+        type: Date,
+        required: true
+    },
+    breakMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    position: {
+        type: String,
+        trim: true // e.g. 'Front desk', 'Line cook'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'published', 'cancelled'],
+        default: 'draft'
+    },
+    publishedAt: Date,
+    publishedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set when the shift changed hands through an approved swap
+    swappedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+ShiftSchema.index({ department: 1, weekStart: 1, status: 1 });
+ShiftSchema.index({ user: 1, startAt: 1, endAt: 1 });
+
+// Paid hours
+ShiftSchema.virtual('hours').get(function () {
+    if (!this.startAt || !this.endAt) return 0;
+    const minutes = (this.endAt - this.startAt) / 60000 - (this.breakMinutes || 0);
+    return Math.round(Math.max(minutes, 0) / 60 * 100) / 100;
+});
+
+ShiftSchema.pre('validate', function (next) {
+    if (this.startAt && this.endAt && this.endAt <= this.startAt) {
+        this.invalidate('endAt', 'Shift must end after it starts');
+    }
+    next();
+});
+
+ShiftSchema.plugin(auditTrail, { entity: 'Shift' });
+
+module.exports = mongoose.model('Shift', ShiftSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// A request to hand a published shift to a colleague, optionally taking one
+// of theirs in return. The colleague accepts first, then a manager approves:
+//   pending -> accepted -> approved
+//   pending -> declined | cancelled, accepted -> rejected | cancelled
+const ShiftSwapSchema = new mongoose.Schema({
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        required: true
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    targetUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The colleague's shift taken in exchange; none means a straight hand-over
+    targetShift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift'
+    },
+    department: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    respondedAt: Date,
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+ShiftSwapSchema.index({ department: 1, status: 1, createdAt: -1 });
+ShiftSwapSchema.index({ requestedBy: 1, status: 1 });
+ShiftSwapSchema.index({ targetUser: 1, status: 1 });
+ShiftSwapSchema.index({ shift: 1, status: 1 });
+
+ShiftSwapSchema.plugin(auditTrail, { entity: 'ShiftSwap' });
+
+module.exports = mongoose.model('ShiftSwap', ShiftSwapSchema);
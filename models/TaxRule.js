@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const TaxRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    lineType: {
+        type: String,
+        enum: ['room', 'package', 'service', 'food', 'delivery'],
+        required: true
+    },
+    // Flat rate in percent, used when no slabs are defined
+    rate: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    // Rate by unit price (e.g. nightly tariff); `upTo: null` is the open top slab
+    slabs: [{
+        _id: false,
+        upTo: { type: Number, min: 0, default: null },
+        rate: { type: Number, required: true, min: 0, max: 100 }
+    }],
+    // Inclusive prices already contain the tax, exclusive prices get it added
+    mode: {
+        type: String,
+        enum: ['exclusive', 'inclusive'],
+        default: 'exclusive'
+    },
+    // Intra-state supplies split into CGST + SGST, inter-state supplies are IGST
+    supplyType: {
+        type: String,
+        enum: ['intra-state', 'inter-state'],
+        default: 'intra-state'
+    },
+    effectiveFrom: Date,
+    effectiveTo: Date,
+    priority: {
+        type: Number,
+        default: 0 // Highest priority wins when several rules match a line type
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+TaxRuleSchema.index({ lineType: 1, isActive: 1, priority: -1 });
+
+TaxRuleSchema.plugin(auditTrail, { entity: 'TaxRule' });
+
+module.exports = mongoose.model('TaxRule', TaxRuleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const testimonialSchema = new mongoose.Schema({
     name: {
@@ -23,6 +24,17 @@ const testimonialSchema = new mongoose.Schema({
         trim: true,
         lowercase: true
     },
+
+    // Moderation queue. `approved` is what the public list reads and is kept
+    // in step with `status`.
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        // Testimonials from before the queue only have `approved`
+        default: function () {
+            return this.approved ? 'approved' : 'pending';
+        }
+    },
     approved: {
         type: Boolean,
         default: false
@@ -31,6 +43,35 @@ const testimonialSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    moderation: {
+        moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        moderatedAt: Date,
+        reason: String // Why it was rejected
+    },
+
+    // Linked to a checked-out stay for the "verified guest" badge
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    verifiedGuest: {
+        type: Boolean,
+        default: false
+    },
+    source: {
+        type: String,
+        enum: ['submission', 'review'], // 'review' when promoted from a booking review
+        default: 'submission'
+    },
+
+    // Spam controls (see config/testimonials)
+    ipHash: String,
+    contentHash: String,
+
     date: {
         type: Date,
         default: Date.now
@@ -41,5 +82,21 @@ const testimonialSchema = new mongoose.Schema({
 
 // Index for faster queries
 testimonialSchema.index({ approved: 1, featured: 1, createdAt: -1 });
+testimonialSchema.index({ status: 1, createdAt: 1 });
+testimonialSchema.index({ ipHash: 1, createdAt: -1 });
+testimonialSchema.index({ email: 1, createdAt: -1 });
+testimonialSchema.index({ contentHash: 1, createdAt: -1 });
+// One testimonial per stay
+testimonialSchema.index({ booking: 1 }, { unique: true, sparse: true });
+
+testimonialSchema.pre('validate', function (next) {
+    this.approved = this.status === 'approved';
+    if (!this.approved) {
+        this.featured = false;
+    }
+    next();
+});
+
+testimonialSchema.plugin(auditTrail, { entity: 'Testimonial' });
 
 module.exports = mongoose.model('Testimonial', testimonialSchema);
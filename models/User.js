@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const auditTrail = require('./plugins/auditTrail');
+const { tierKeys } = require('../config/loyalty');
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 const userSchema = new mongoose.Schema({
     firstName: {
@@ -99,9 +105,21 @@ const userSchema = new mongoose.Schema({
     },
 
     // Loyalty and preferences
+    // Balance kept in step with the LoyaltyTransaction ledger by services/loyaltyService
     loyaltyPoints: {
         type: Number,
-        default: 0
+        default: 0,
+        min: 0
+    },
+    loyaltyTier: {
+        type: String,
+        enum: tierKeys,
+        default: tierKeys[0]
+    },
+    loyaltyTierUpdatedAt: Date,
+    qualifyingNights: {
+        type: Number,
+        default: 0 // Nights stayed in the tier qualifying window
     },
     preferences: {
         notifications: {
@@ -119,12 +137,27 @@ const userSchema = new mongoose.Schema({
         }
     },
 
-    // Security
+    // Security - tokens are stored as SHA-256 hashes
+    passwordChangedAt: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
     emailVerificationToken: String,
     emailVerificationExpires: Date,
 
+    // TOTP second factor; secrets are encrypted by services/totpService
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: String,
+        pendingSecret: String, // Awaiting confirmation during enrollment
+        lastUsedCounter: { type: Number, default: 0 }, // Blocks code replay
+        recoveryCodes: [{
+            _id: false,
+            hash: String,
+            usedAt: Date
+        }],
+        enabledAt: Date
+    },
+
     // Profile image
     profileImage: {
         type: String
@@ -138,6 +171,9 @@ const userSchema = new mongoose.Schema({
 // Additional indexes (unique indexes are already defined in schema)
 userSchema.index({ role: 1 });
 userSchema.index({ department: 1 });
+userSchema.index({ loyaltyTier: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function () {
@@ -153,6 +189,11 @@ userSchema.pre('save', async function (next) {
         // Hash password with cost of 12
         const salt = await bcrypt.genSalt(12);
         this.password = await bcrypt.hash(this.password, salt);
+
+        // Access tokens issued before this moment stop working
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+        }
         next();
     } catch (error) {
         next(error);
@@ -246,12 +287,6 @@ userSchema.methods.resetLoginAttempts = function () {
     });
 };
 
-// Instance method to add loyalty points
-userSchema.methods.addLoyaltyPoints = function (points) {
-    this.loyaltyPoints += points;
-    return this.save();
-};
-
 // Instance method to check if user can access resource
 userSchema.methods.canAccess = function (requiredRole, requiredDepartment = null) {
     const roleHierarchy = {
@@ -278,15 +313,58 @@ userSchema.methods.canAccess = function (requiredRole, requiredDepartment = null
     return this.isActive;
 };
 
+// True if the password changed after a token issued at `issuedAt` (seconds)
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+    if (!this.passwordChangedAt) return false;
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
+// Account tokens are emailed in the clear; only their hash is stored
+userSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Generate a password reset token, replacing any earlier one
+userSchema.methods.createPasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = this.constructor.hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+    return token;
+};
+
+// Generate an email verification token, replacing any earlier one
+userSchema.methods.createEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationToken = this.constructor.hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+    return token;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
     const user = this.toObject();
     delete user.password;
+    delete user.passwordChangedAt;
     delete user.passwordResetToken;
     delete user.passwordResetExpires;
     delete user.emailVerificationToken;
     delete user.emailVerificationExpires;
+    user.twoFactor = {
+        enabled: !!(this.twoFactor && this.twoFactor.enabled),
+        enabledAt: this.twoFactor && this.twoFactor.enabledAt
+    };
     return user;
 };
 
+// Login bookkeeping is left out; secrets are logged as changed without values
+userSchema.plugin(auditTrail, {
+    entity: 'User',
+    ignore: ['lastLogin', 'loginAttempts', 'lockUntil', 'twoFactor.lastUsedCounter'],
+    redact: [
+        'password', 'passwordResetToken', 'passwordResetExpires',
+        'emailVerificationToken', 'emailVerificationExpires',
+        'twoFactor.secret', 'twoFactor.pendingSecret', 'twoFactor.recoveryCodes'
+    ]
+});
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { categories, sla } = require('../config/maintenance');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const WorkOrderSchema = new mongoose.Schema({
+    workOrderNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        required: true
+    },
+    category: {
+        type: String,
+        enum: categories,
+        default: 'general'
+    },
+    priority: {
+        type: String,
+        enum: PRIORITIES,
+        default: 'medium'
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'assigned', 'in_progress', 'on_hold', 'completed', 'cancelled'],
+        default: 'open'
+    },
+    reportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Guest request the work order was raised from, if any
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    serviceRequestId: String,
+
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    resolution: {
+        type: String,
+        trim: true
+    },
+
+    // Parts and labour
+    parts: [{
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        quantity: { type: Number, default: 1, min: 0 },
+        unitCost: { type: Number, default: 0, min: 0 }
+    }],
+    labourCost: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    costNotes: {
+        type: String,
+        trim: true
+    },
+
+    sla: {
+        responseDueAt: Date,
+        resolutionDueAt: Date
+    },
+
+    // Dates the room can't be sold. The range is cut short when the work
+    // order is completed or cancelled early.
+    outOfOrder: {
+        from: Date,
+        to: Date,
+        reason: String,
+        setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        // Bookings that overlapped the range when it was set
+        conflictingBookings: [{
+            _id: false,
+            booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+            bookingNumber: String,
+            checkInDate: Date,
+            checkOutDate: Date
+        }]
+    },
+
+    history: [{
+        _id: false,
+        status: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedAt: { type: Date, default: Date.now },
+        note: String
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+WorkOrderSchema.index({ status: 1, priority: 1, createdAt: 1 });
+WorkOrderSchema.index({ room: 1, status: 1 });
+WorkOrderSchema.index({ assignedTo: 1, status: 1 });
+WorkOrderSchema.index({ room: 1, 'outOfOrder.from': 1, 'outOfOrder.to': 1 });
+
+// Set the SLA deadlines from the priority, counted from when it was raised
+WorkOrderSchema.methods.applySla = function () {
+    const target = sla[this.priority] || sla.medium;
+    const raisedAt = this.createdAt || new Date();
+
+    this.sla = {
+        responseDueAt: new Date(raisedAt.getTime() + target.response * 60 * 1000),
+        resolutionDueAt: new Date(raisedAt.getTime() + target.resolution * 60 * 1000)
+    };
+};
+
+WorkOrderSchema.virtual('totalCost').get(function () {
+    const partsCost = (this.parts || []).reduce((sum, part) => sum + part.quantity * part.unitCost, 0);
+    return Math.round((partsCost + (this.labourCost || 0)) * 100) / 100;
+});
+
+// Where the work order stands against its SLA right now
+WorkOrderSchema.virtual('slaStatus').get(function () {
+    if (!this.sla || !this.sla.responseDueAt) return null;
+
+    const now = new Date();
+    const respondedAt = this.startedAt || this.completedAt;
+    const closed = ['completed', 'cancelled'].includes(this.status);
+
+    return {
+        responseBreached: (respondedAt || now) > this.sla.responseDueAt && !(closed && !respondedAt),
+        resolutionBreached: closed
+            ? !!this.completedAt && this.completedAt > this.sla.resolutionDueAt
+            : now > this.sla.resolutionDueAt,
+        minutesToResolution: closed ? null : Math.round((this.sla.resolutionDueAt - now) / 60000)
+    };
+});
+
+WorkOrderSchema.plugin(auditTrail, { entity: 'WorkOrder' });
+
+module.exports = mongoose.model('WorkOrder', WorkOrderSchema);
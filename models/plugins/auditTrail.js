@@ -0,0 +1,102 @@
+const { getAuditContext, toSnapshot, diffSnapshots, recordAudit } = require('../../services/auditService');
+
+// Fields that change on every write and say nothing about who did what
+const ALWAYS_IGNORED = ['__v', 'updatedAt'];
+
+const UPDATE_OPERATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_OPERATIONS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const SINGLE_OPERATIONS = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete'];
+
+// Mongoose plugin that writes an AuditLog entry for every create, update and
+// delete made while handling a request (see middleware/audit.js).
+// Options: `entity` (name in the log), `ignore` and `redact` field paths.
+const auditTrail = (schema, { entity, ignore = [], redact = [] }) => {
+    const action = (verb) => `${entity.toLowerCase()}.${verb}`;
+    const diffOptions = { ignore: [...ALWAYS_IGNORED, ...ignore], redact };
+
+    const record = (entityId, verb, before, after) => recordAudit({
+        entity,
+        entityId,
+        action: action(verb),
+        changes: diffSnapshots(before, after, diffOptions)
+    });
+
+    const snapshotDocument = (doc) => toSnapshot(doc.toObject({ depopulate: true, virtuals: false, transform: false }));
+
+    // Remember how loaded documents looked so a later save can be diffed
+    schema.post('init', function () {
+        if (getAuditContext()) {
+            this.$locals.auditSnapshot = snapshotDocument(this);
+        }
+    });
+
+    schema.pre('save', function () {
+        this.$locals.auditIsNew = this.isNew;
+    });
+
+    schema.post('save', async function () {
+        if (!getAuditContext()) return;
+
+        const before = this.$locals.auditIsNew ? null : this.$locals.auditSnapshot || null;
+        const after = snapshotDocument(this);
+        this.$locals.auditSnapshot = after;
+
+        await record(this._id, this.$locals.auditIsNew ? 'create' : 'update', before, after);
+    });
+
+    schema.pre('deleteOne', { document: true, query: false }, function () {
+        if (getAuditContext()) {
+            this.$locals.auditSnapshot = this.$locals.auditSnapshot || snapshotDocument(this);
+        }
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function () {
+        if (!getAuditContext()) return;
+        await record(this._id, 'delete', this.$locals.auditSnapshot, null);
+    });
+
+    // Query writes: load the matching documents before and after
+    const loadMatching = (query) => SINGLE_OPERATIONS.includes(query.op)
+        ? query.model.findOne(query.getFilter()).lean().then(doc => doc ? [doc] : [])
+        : query.model.find(query.getFilter()).lean();
+
+    schema.pre([...UPDATE_OPERATIONS, ...DELETE_OPERATIONS], { document: false, query: true }, async function () {
+        if (!getAuditContext()) return;
+
+        const docs = await loadMatching(this);
+        this._auditBefore = docs.map(toSnapshot);
+    });
+
+    schema.post(UPDATE_OPERATIONS, { document: false, query: true }, async function () {
+        if (!this._auditBefore) return;
+
+        const ids = this._auditBefore.map(doc => doc._id);
+        const after = ids.length > 0
+            ? await this.model.find({ _id: { $in: ids } }).lean()
+            : this.getOptions().upsert
+                ? await this.model.find(this.getFilter()).limit(1).lean()
+                : [];
+        const afterById = new Map(after.map(doc => [doc._id.toString(), toSnapshot(doc)]));
+
+        for (const before of this._auditBefore) {
+            await record(before._id, 'update', before, afterById.get(before._id) || null);
+        }
+
+        // Upserted documents
+        if (ids.length === 0) {
+            for (const doc of afterById.values()) {
+                await record(doc._id, 'create', null, doc);
+            }
+        }
+    });
+
+    schema.post(DELETE_OPERATIONS, { document: false, query: true }, async function () {
+        if (!this._auditBefore) return;
+
+        for (const before of this._auditBefore) {
+            await record(before._id, 'delete', before, null);
+        }
+    });
+};
+
+module.exports = auditTrail;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Tiered cancellation policy shared by packages, room categories and bookings.
+// A cancellation gets the refund of the first tier whose notice period it meets,
+// checking tiers from the longest notice down; no matching tier means no refund.
+const CancellationPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    tiers: [{
+        hoursBeforeCheckIn: { type: Number, required: true, min: 0 },
+        refundPercentage: { type: Number, required: true, min: 0, max: 100 }
+    }],
+    nonRefundable: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+module.exports = CancellationPolicySchema;
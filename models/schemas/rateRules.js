@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Revenue rules layered on top of a room's base nightly price.
+// Set on a room category and optionally overridden per room; any rule
+// left empty on the room falls back to the category's.
+const RateRulesSchema = new mongoose.Schema({
+    // Nightly rate for weekend nights instead of the base price
+    weekendRate: {
+        type: Number,
+        min: 0
+    },
+    // Nights (by check-in weekday, 0 = Sunday) that count as weekend
+    weekendDays: {
+        type: [Number],
+        default: undefined
+    },
+    seasons: [{
+        name: { type: String, trim: true },
+        startDate: { type: Date, required: true },
+        endDate: { type: Date, required: true },
+        rate: { type: Number, min: 0 }, // Fixed nightly rate for the season
+        multiplier: { type: Number, min: 0 } // Or a multiplier on the weekday/weekend rate
+    }],
+    lengthOfStayDiscounts: [{
+        minNights: { type: Number, required: true, min: 1 },
+        discountPercentage: { type: Number, required: true, min: 0, max: 100 }
+    }],
+    occupancySurges: [{
+        minOccupancyPercentage: { type: Number, required: true, min: 0, max: 100 },
+        surchargePercentage: { type: Number, required: true, min: 0 }
+    }],
+    minimumStay: {
+        type: Number,
+        min: 1
+    },
+    // Stricter minimum stays for arrivals within a date range (e.g. festivals)
+    minimumStayRules: [{
+        startDate: { type: Date, required: true },
+        endDate: { type: Date, required: true },
+        minNights: { type: Number, required: true, min: 1 }
+    }]
+}, { _id: false });
+
+module.exports = RateRulesSchema;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Rolled-up guest ratings for a room, room category or package, kept in
+// step with published booking reviews by reviewService.recomputeRating
+const RatingSummarySchema = new mongoose.Schema({
+    average: { type: Number, default: 0, min: 0, max: 5 },
+    count: { type: Number, default: 0 },
+    // Number of reviews at each star rating
+    distribution: {
+        1: { type: Number, default: 0 },
+        2: { type: Number, default: 0 },
+        3: { type: Number, default: 0 },
+        4: { type: Number, default: 0 },
+        5: { type: Number, default: 0 }
+    },
+    updatedAt: Date
+}, { _id: false });
+
+module.exports = RatingSummarySchema;
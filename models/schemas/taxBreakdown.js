@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One row of an itemised tax summary, as produced by taxService.computeTaxes.
+// Stored on bookings and orders so invoices can be reproduced exactly later.
+const TaxBreakdownSchema = new mongoose.Schema({
+    lineType: {
+        type: String,
+        enum: ['room', 'package', 'service', 'food', 'delivery'],
+        required: true
+    },
+    rate: { type: Number, required: true },
+    mode: {
+        type: String,
+        enum: ['exclusive', 'inclusive'],
+        default: 'exclusive'
+    },
+    supplyType: {
+        type: String,
+        enum: ['intra-state', 'inter-state'],
+        default: 'intra-state'
+    },
+    taxableAmount: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+module.exports = TaxBreakdownSchema;
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+    getMyStatus,
+    getMyAttendance,
+    clockIn,
+    clockOut,
+    startBreak,
+    endBreak,
+    getAttendance,
+    adjustAttendance,
+    getAttendanceReport
+} = require('../controllers/attendanceController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(auth);
+
+// Staff routes
+router.get('/me/status', requirePermission('attendance.clock'), getMyStatus); // Open clock-in and next shift
+router.get('/me', requirePermission('attendance.clock'), getMyAttendance); // Own records (?month=YYYY-MM)
+router.post('/clock-in', requirePermission('attendance.clock'), clockIn); // Matched to the current shift
+router.post('/clock-out', requirePermission('attendance.clock'), clockOut);
+router.post('/break/start', requirePermission('attendance.clock'), startBreak);
+router.post('/break/end', requirePermission('attendance.clock'), endBreak);
+
+// Manager routes
+router.get('/report', requirePermission('attendance.report'), getAttendanceReport); // Monthly per employee (?month=, ?department=, ?format=csv)
+router.get('/', requirePermission('attendance.manage'), getAttendance); // Department records (?flag=late,missed, ?from=, ?to=)
+router.put('/:id', requirePermission('attendance.manage'), adjustAttendance); // Correct times with a note
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const {
+    getAuditLogs,
+    verifyAuditLog
+} = require('../controllers/auditController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admin routes
+router.get('/', auth, requirePermission('audit.read'), getAuditLogs); // Search entries
+router.get('/verify', auth, requirePermission('audit.read'), verifyAuditLog); // Check the hash chain
+
+module.exports = router;
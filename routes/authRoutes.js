@@ -7,24 +7,52 @@ const {
     updateProfile,
     changePassword,
     logout,
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateTwoFactorRecoveryCodes,
+    resetUserTwoFactor,
+    refreshSession,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     getAllUsers
 } = require('../controllers/authController');
-const { auth, authorizeStaffManagement } = require('../middleware/auth');
+const { auth, authOrTwoFactorChallenge, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', registerUser); // Public user registration
 router.post('/login', login); // Login with email or phone
+router.post('/2fa/verify', verifyTwoFactorLogin); // Second login step with TOTP or recovery code
+router.post('/2fa/setup', authOrTwoFactorChallenge, setupTwoFactor); // Start TOTP enrollment
+router.post('/2fa/enable', authOrTwoFactorChallenge, enableTwoFactor); // Confirm enrollment
+router.post('/refresh', refreshSession); // Rotate refresh token for a new access token
+router.post('/forgot-password', forgotPassword); // Email a password reset link
+router.post('/reset-password', resetPassword); // Set a new password with a reset token
+router.post('/verify-email', verifyEmail); // Confirm email with a verification token
+router.post('/resend-verification', resendVerification); // Email a new verification link
 
 // Protected routes
 router.get('/me', auth, getCurrentUser); // Get current user profile
 router.put('/profile', auth, updateProfile); // Update user profile
 router.put('/change-password', auth, changePassword); // Change password
-router.post('/logout', auth, logout); // Logout
+router.post('/logout', auth, logout); // Logout (revokes this session)
+router.get('/sessions', auth, getSessions); // Signed-in devices
+router.delete('/sessions', auth, deleteOtherSessions); // Sign out all other devices
+router.delete('/sessions/:id', auth, deleteSession); // Sign out one device
+router.post('/2fa/disable', auth, disableTwoFactor); // Turn off 2FA (where the role allows)
+router.post('/2fa/recovery-codes', auth, regenerateTwoFactorRecoveryCodes); // New recovery codes
 
 // Admin routes
-router.post('/register-staff', auth, authorizeStaffManagement, registerStaff); // Admin only staff registration
-router.get('/users', auth, authorizeStaffManagement, getAllUsers); // Admin/Manager get all users
+router.post('/register-staff', auth, requirePermission('staff.manage'), registerStaff); // Admin only staff registration
+router.get('/users', auth, requirePermission('staff.manage'), getAllUsers); // Admin/Manager get all users
+router.delete('/users/:id/2fa', auth, requirePermission('staff.manage'), resetUserTwoFactor); // Reset a user's second factor
 
 module.exports = router;
@@ -4,7 +4,11 @@ const {
     getUserBookings,
     getBookingById,
     updateBooking,
+    getCancellationQuote,
     cancelBooking,
+    createBookingPaymentIntent,
+    recordBookingPayment,
+    getBookingFolio,
     addServiceToBooking,
     addFoodOrder,
     updateFoodOrder,
@@ -14,38 +18,42 @@ const {
     getAllBookings,
     getBookingStats,
     checkInBooking,
-    checkOutBooking
+    checkOutBooking,
+    getBookingInvoice
 } = require('../controllers/bookingController');
 
 const {
     auth,
-    authorize,
-    authorizeUserAccess,
-    authorizeOperationalAccess,
-    authorizeFinancialAccess
+    requirePermission,
+    requireVerifiedEmail
 } = require('../middleware/auth');
 
 const router = express.Router();
 
 // User routes
-router.post('/', auth, authorize(['user']), createBooking); // Create new booking
-router.get('/my-bookings', auth, authorize(['user']), getUserBookings); // Get user's bookings
+router.post('/', auth, requirePermission('booking.create'), requireVerifiedEmail, createBooking); // Create new booking
+router.get('/my-bookings', auth, getUserBookings); // Get user's bookings
 
-// Staff/Manager routes (put these before /:id to avoid conflicts)
-router.get('/stats', auth, authorize(['staff', 'manager', 'admin', 'ceo']), getBookingStats); // Booking statistics
-router.get('/', auth, authorize(['staff', 'manager', 'admin', 'ceo']), getAllBookings); // Get all bookings
+// Staff routes (put these before /:id to avoid conflicts)
+router.get('/stats', auth, requirePermission('booking.read.all'), getBookingStats); // Booking statistics
+router.get('/', auth, requirePermission('booking.read.all'), getAllBookings); // Get all bookings
 
 // Routes with ID parameters (put these after specific routes)
 router.get('/:id', auth, getBookingById); // Get specific booking (with access control)
 router.put('/:id', auth, updateBooking); // Update booking (with access control)
+router.get('/:id/cancellation-quote', auth, getCancellationQuote); // Preview cancellation refund
 router.put('/:id/cancel', auth, cancelBooking); // Cancel booking
+router.get('/:id/folio', auth, getBookingFolio); // Folio with running balance
+router.post('/:id/payments', auth, requirePermission('booking.payment.record'), recordBookingPayment); // Front desk payments and refunds
+router.get('/:id/invoice', auth, getBookingInvoice); // Invoice PDF (proforma before check-out)
+router.post('/:id/payment-intent', auth, requirePermission('booking.pay'), createBookingPaymentIntent); // Pay booking via Stripe
 router.post('/:id/services', auth, addServiceToBooking); // Add service to booking
 router.post('/:id/food-orders', auth, addFoodOrder); // Add food order
 router.put('/:id/food-orders/:orderId', auth, updateFoodOrder); // Update food order
 router.post('/:id/service-requests', auth, createServiceRequest); // Create service request
 router.put('/:id/service-requests/:requestId', auth, updateServiceRequest); // Update service request
-router.post('/:id/review', auth, authorize(['user']), addReview); // Add review
-router.put('/:id/check-in', auth, authorize(['staff', 'manager', 'admin']), checkInBooking); // Check-in
-router.put('/:id/check-out', auth, authorize(['staff', 'manager', 'admin']), checkOutBooking); // Check-out
+router.post('/:id/review', auth, requirePermission('booking.review'), addReview); // Add review
+router.put('/:id/check-in', auth, requirePermission('booking.checkin'), checkInBooking); // Check-in
+router.put('/:id/check-out', auth, requirePermission('booking.checkout'), checkOutBooking); // Check-out
 
 module.exports = router;
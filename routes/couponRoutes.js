@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+    getAllCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    validateCoupon
+} = require('../controllers/couponController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Authenticated guests
+router.post('/validate', auth, validateCoupon); // Preview a coupon's discount
+
+// Admin routes
+router.get('/', auth, requirePermission('coupon.manage'), getAllCoupons); // Get all coupons
+router.get('/:id', auth, requirePermission('coupon.manage'), getCouponById); // Get coupon with redemptions
+router.post('/', auth, requirePermission('coupon.manage'), createCoupon); // Create coupon
+router.put('/:id', auth, requirePermission('coupon.manage'), updateCoupon); // Update coupon
+router.delete('/:id', auth, requirePermission('coupon.manage'), deleteCoupon); // Delete or deactivate coupon
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const employeeController = require('../controllers/employeeController');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(auth);
@@ -15,9 +15,9 @@ router.get('/:id', employeeController.getEmployee);
 // Get salary information (restricted access)
 router.get('/:id/salary', employeeController.getSalaryInfo);
 
-// Admin/Manager/CEO only routes
-router.post('/', authorize(['admin', 'manager', 'ceo']), employeeController.createEmployee);
-router.put('/:id', authorize(['admin', 'manager', 'ceo']), employeeController.updateEmployee);
-router.delete('/:id', authorize(['admin', 'ceo']), employeeController.deleteEmployee); // Only admin/CEO can delete
+// Employee record management
+router.post('/', requirePermission('employee.manage'), employeeController.createEmployee);
+router.put('/:id', requirePermission('employee.manage'), employeeController.updateEmployee);
+router.delete('/:id', requirePermission('employee.delete'), employeeController.deleteEmployee);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+    createStreamTicket,
+    streamEvents,
+    getStreamStatus
+} = require('../controllers/eventController');
+
+const { auth, authEventStream, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Authenticated routes
+router.post('/ticket', auth, createStreamTicket); // Ticket for EventSource (?ticket=)
+router.get('/stream', authEventStream, streamEvents); // Server-Sent Events (Bearer header or ?ticket=)
+
+// Admin routes
+router.get('/status', auth, requirePermission('realtime.status.read'), getStreamStatus); // Open streams on this instance
+
+module.exports = router;
@@ -1,18 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const foodCategoryController = require('../controllers/foodCategoryController');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 // Public routes (for viewing categories)
 router.get('/', foodCategoryController.getAllCategories);
 router.get('/:id', foodCategoryController.getCategory);
 
-// Protected routes (admin/manager/ceo only)
-router.use(auth);
-router.use(authorize(['admin', 'manager', 'ceo']));
-
-router.post('/', foodCategoryController.createCategory);
-router.put('/:id', foodCategoryController.updateCategory);
-router.delete('/:id', foodCategoryController.deleteCategory);
+// Protected routes
+router.post('/', auth, requirePermission('foodcategory.manage'), foodCategoryController.createCategory);
+router.put('/:id', auth, requirePermission('foodcategory.manage'), foodCategoryController.updateCategory);
+router.delete('/:id', auth, requirePermission('foodcategory.manage'), foodCategoryController.deleteCategory);
 
 module.exports = router;
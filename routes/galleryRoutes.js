@@ -1,13 +1,13 @@
 const express = require('express');
 const { getAllGalleryItems, createGalleryItem, deleteGalleryItem } = require('../controllers/galleryController');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const { upload, uploadToCloudinary } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Gallery routes
 router.get('/', getAllGalleryItems);
-router.post('/', auth, authorize(['admin']), upload.single('file'), uploadToCloudinary, createGalleryItem);
-router.delete('/:id', auth, authorize(['admin']), deleteGalleryItem);
+router.post('/', auth, requirePermission('gallery.manage'), upload.single('file'), uploadToCloudinary, createGalleryItem);
+router.delete('/:id', auth, requirePermission('gallery.manage'), deleteGalleryItem);
 
 module.exports = router;
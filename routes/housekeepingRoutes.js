@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+    getBoard,
+    getTasks,
+    createTask,
+    assignTask,
+    updateTaskStatus
+} = require('../controllers/housekeepingController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Staff routes
+router.get('/board', auth, requirePermission('housekeeping.board.read'), getBoard); // Room status by floor
+router.get('/tasks', auth, requirePermission('housekeeping.board.read'), getTasks); // Open tasks (own tasks for housekeepers)
+router.put('/tasks/:id/status', auth, updateTaskStatus); // Move a room through dirty/cleaning/inspected/ready
+
+// Supervisor routes
+router.post('/tasks', auth, requirePermission('housekeeping.task.manage'), createTask); // Stayover or deep clean
+router.put('/tasks/:id/assign', auth, requirePermission('housekeeping.task.manage'), assignTask); // Assign to a housekeeper
+
+module.exports = router;
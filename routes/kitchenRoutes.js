@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+    getStations,
+    getQueue,
+    startStation,
+    readyStation
+} = require('../controllers/kitchenController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Kitchen display routes
+router.get('/stations', auth, requirePermission('kitchen.queue.read'), getStations); // Stations and timing settings
+router.get('/queue', auth, requirePermission('kitchen.queue.read'), getQueue); // Orders by promised time (?station=)
+router.put('/orders/:orderId/stations/:station/start', auth, requirePermission('kitchen.station.update'), startStation); // Station starts its items
+router.put('/orders/:orderId/stations/:station/ready', auth, requirePermission('kitchen.station.update'), readyStation); // Station bumps its items
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+    getProgramme,
+    getMyLoyalty,
+    getMyTransactions,
+    getGuestLoyalty,
+    adjustPoints
+} = require('../controllers/loyaltyController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/programme', getProgramme); // Tiers, perks, earning and redemption rules
+
+// Guest routes
+router.get('/me', auth, getMyLoyalty); // Balance, tier and points expiring soon
+router.get('/me/transactions', auth, getMyTransactions); // Points history
+
+// Staff routes
+router.get('/users/:userId', auth, requirePermission('loyalty.read.all'), getGuestLoyalty); // A guest's account and history
+
+// Manager routes
+router.post('/users/:userId/adjust', auth, requirePermission('loyalty.adjust'), adjustPoints); // Add or remove points with a reason
+
+module.exports = router;
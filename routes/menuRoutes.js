@@ -1,14 +1,14 @@
 const express = require('express');
 const { getAllMenuItems, createMenuItem, updateMenuItem, deleteMenuItem } = require('../controllers/menuController');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const { upload, uploadToCloudinary } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Menu routes
 router.get('/', getAllMenuItems);
-router.post('/', auth, authorize(['admin', 'manager', 'ceo']), upload.single('image'), uploadToCloudinary, createMenuItem);
-router.put('/:id', auth, authorize(['admin', 'manager', 'ceo']), updateMenuItem);
-router.delete('/:id', auth, authorize(['admin', 'manager', 'ceo']), deleteMenuItem);
+router.post('/', auth, requirePermission('menu.manage'), upload.single('image'), uploadToCloudinary, createMenuItem);
+router.put('/:id', auth, requirePermission('menu.manage'), updateMenuItem);
+router.delete('/:id', auth, requirePermission('menu.manage'), deleteMenuItem);
 
 module.exports = router;
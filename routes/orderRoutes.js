@@ -2,9 +2,18 @@ const express = require('express');
 const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const User = require('../models/User');
-const MenuItem = require('../models/MenuItem');
-const { createPaymentIntent, confirmPayment } = require('../services/paymentService');
-const { auth } = require('../middleware/auth');
+const Booking = require('../models/Booking');
+const { createPaymentIntent, confirmPayment, cancelPaymentIntent } = require('../services/paymentService');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissionService');
+const { redeemCoupon, releaseCoupon } = require('../services/couponService');
+const { redeemPoints, reverseRedemption } = require('../services/loyaltyService');
+const Invoice = require('../models/Invoice');
+const { issueOrderInvoice, sendInvoicePdf } = require('../services/invoiceService');
+const { sendOrderStatusUpdate } = require('../services/emailService');
+const { publishOrderEvent } = require('../services/realtimeService');
+const { estimateOrderTimes, transitionOrder } = require('../services/kitchenService');
+const { priceOrder, createRoomChargeOrder, settleCancelledOrder } = require('../services/orderService');
 const router = express.Router();
 
 // Middleware to ensure database connection
@@ -18,7 +27,7 @@ const ensureDbConnection = (req, res, next) => {
 // Create payment intent for restaurant order
 router.post('/create-payment-intent', ensureDbConnection, auth, async (req, res) => {
     try {
-        const { items, totalAmount, customerInfo, deliveryType = 'room_service' } = req.body;
+        const { items, totalAmount, customerInfo, deliveryType = 'room_service', couponCode, pointsToRedeem } = req.body;
         const userId = req.user.id;
 
         // Validate input
@@ -36,42 +45,22 @@ router.post('/create-payment-intent', ensureDbConnection, auth, async (req, res)
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Validate menu items exist and calculate total
-        let calculatedTotal = 0;
-        const orderItems = [];
-
-        for (const item of items) {
-            const menuItem = await MenuItem.findById(item.id);
-            if (!menuItem) {
-                return res.status(400).json({ error: `Menu item ${item.name} not found` });
-            }
-
-            const subtotal = menuItem.price * item.quantity;
-            calculatedTotal += subtotal;
-
-            orderItems.push({
-                menuItemId: menuItem._id,
-                name: menuItem.name,
-                price: menuItem.price,
-                quantity: item.quantity,
-                category: menuItem.category,
-                subtotal
-            });
+        // Validate menu items, coupon, loyalty points and taxes
+        const priced = await priceOrder({ items, deliveryType, couponCode, pointsToRedeem, user: userId });
+        if (priced.error) {
+            return res.status(priced.status).json({ error: priced.error });
         }
 
         // Verify calculated total matches frontend total
-        if (Math.abs(calculatedTotal - totalAmount) > 0.01) {
+        if (Math.abs(priced.subtotal - totalAmount) > 0.01) {
             return res.status(400).json({ error: 'Total amount mismatch' });
         }
 
+        const { couponResult, pointsRedemption, discountAmount, tax, taxBreakdown, deliveryFee, finalAmount } = priced;
+
         // Generate order ID
         const orderId = Order.generateOrderId();
 
-        // Calculate tax and delivery fee
-        const tax = Math.round(totalAmount * 0.1); // 10% tax
-        const deliveryFee = deliveryType === 'room_service' ? 50 : 0; // 50 INR for room service
-        const finalAmount = totalAmount + tax + deliveryFee;
-
         // Create order in database
         const order = new Order({
             orderId,
@@ -80,33 +69,89 @@ router.post('/create-payment-intent', ensureDbConnection, auth, async (req, res)
                 email: user.email,
                 name: `${user.firstName} ${user.lastName}`,
                 phone: user.phone,
-                roomNumber: customerInfo.roomNumber
+                roomNumber: customerInfo && customerInfo.roomNumber
             },
-            items: orderItems,
-            totalAmount: calculatedTotal,
+            items: priced.items,
+            totalAmount: priced.subtotal,
+            discountAmount,
+            coupon: couponResult ? {
+                couponId: couponResult.coupon._id,
+                code: couponResult.coupon.code
+            } : undefined,
+            loyalty: pointsRedemption ? {
+                pointsRedeemed: pointsRedemption.points,
+                pointsDiscount: pointsRedemption.discountAmount
+            } : undefined,
             tax,
+            taxBreakdown,
             deliveryFee,
             finalAmount,
-            deliveryType,
-            paymentIntentId: '', // Will be updated after Stripe response
-            estimatedDeliveryTime: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes from now
+            deliveryType
+            // paymentIntentId is set once Stripe has created the intent
         });
 
-        // Create Stripe payment intent
-        const paymentIntent = await createPaymentIntent(
-            finalAmount,
-            'inr',
-            {
-                orderId,
-                customerEmail: user.email,
-                customerId: userId,
-                orderType: 'restaurant'
+        // Quote times against today's queue; promised again once paid
+        await estimateOrderTimes(order);
+
+        if (couponResult) {
+            const redeemed = await redeemCoupon(couponResult.coupon, {
+                user: userId,
+                order: order._id,
+                discountAmount
+            });
+            if (!redeemed) {
+                return res.status(409).json({ error: 'Coupon is no longer available' });
+            }
+        }
+
+        if (pointsRedemption) {
+            const spent = await redeemPoints(userId, pointsRedemption, { order: order._id, createdBy: userId });
+            if (spent.error) {
+                if (couponResult) {
+                    await releaseCoupon(couponResult.coupon._id, { order: order._id });
+                }
+                return res.status(spent.status).json({ error: spent.error });
+            }
+        }
+
+        // Give back the coupon and points if the order can't be placed
+        const undoRedemptions = async () => {
+            if (couponResult) {
+                await releaseCoupon(couponResult.coupon._id, { order: order._id });
+            }
+            if (pointsRedemption) {
+                await reverseRedemption({ order: order._id });
             }
-        );
+        };
+
+        // Create Stripe payment intent
+        let paymentIntent;
+        try {
+            paymentIntent = await createPaymentIntent(
+                finalAmount,
+                'inr',
+                {
+                    orderId,
+                    customerEmail: user.email,
+                    customerId: userId,
+                    orderType: 'restaurant'
+                }
+            );
+        } catch (paymentError) {
+            await undoRedemptions();
+            throw paymentError;
+        }
 
         // Update order with payment intent ID
         order.paymentIntentId = paymentIntent.id;
-        await order.save();
+        try {
+            await order.save();
+        } catch (saveError) {
+            // No order to pay for: void the intent and give back what it used
+            await cancelPaymentIntent(paymentIntent.id);
+            await undoRedemptions();
+            throw saveError;
+        }
 
         res.json({
             clientSecret: paymentIntent.clientSecret,
@@ -115,7 +160,10 @@ router.post('/create-payment-intent', ensureDbConnection, auth, async (req, res)
             orderTotal: finalAmount,
             breakdown: {
                 subtotal: totalAmount,
+                discount: discountAmount,
+                pointsRedeemed: pointsRedemption ? pointsRedemption.points : 0,
                 tax,
+                taxBreakdown,
                 deliveryFee,
                 total: finalAmount
             }
@@ -127,7 +175,65 @@ router.post('/create-payment-intent', ensureDbConnection, auth, async (req, res)
     }
 });
 
-// Confirm payment and update order status
+// Charge an order to an in-house stay instead of paying by card. Guests
+// order onto their own booking; staff with permission can order for them.
+router.post('/room-charge', ensureDbConnection, auth, async (req, res) => {
+    try {
+        const { bookingId, items, deliveryType = 'room_service', notes, scheduledFor } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({ error: 'Valid booking ID is required' });
+        }
+
+        const validDeliveryTypes = ['room_service', 'pickup', 'dine_in'];
+        if (!validDeliveryTypes.includes(deliveryType)) {
+            return res.status(400).json({ error: 'Invalid delivery type' });
+        }
+
+        let scheduledDate;
+        if (scheduledFor) {
+            scheduledDate = new Date(scheduledFor);
+            if (isNaN(scheduledDate.getTime())) {
+                return res.status(400).json({ error: 'Invalid scheduled time' });
+            }
+        }
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const isOwnBooking = booking.user.toString() === req.user._id.toString();
+        if (!isOwnBooking && !(await hasPermission(req.user, 'order.roomcharge.create'))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const result = await createRoomChargeOrder({
+            booking,
+            items,
+            deliveryType,
+            notes,
+            scheduledFor: scheduledDate,
+            placedBy: req.user
+        });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        publishOrderEvent('order.placed', result.order);
+
+        res.status(201).json({
+            success: true,
+            message: 'Order charged to your room',
+            order: result.order
+        });
+    } catch (error) {
+        console.error('Create room charge order error:', error);
+        res.status(500).json({ error: 'Failed to place order' });
+    }
+});
+
+// Check a payment after the guest completes checkout; the webhook confirms the order
 router.post('/confirm-payment', ensureDbConnection, auth, async (req, res) => {
     try {
         const { paymentIntentId, orderId } = req.body;
@@ -147,18 +253,21 @@ router.post('/confirm-payment', ensureDbConnection, auth, async (req, res) => {
             return res.status(404).json({ error: 'Order not found or access denied' });
         }
 
-        // Verify payment with Stripe
-        const paymentSucceeded = await confirmPayment(paymentIntentId);
+        if (order.paymentMethod === 'room_charge') {
+            return res.status(400).json({ error: 'Order is charged to a room' });
+        }
+
+        if (paymentIntentId !== order.paymentIntentId) {
+            return res.status(400).json({ error: 'Payment does not belong to this order' });
+        }
 
+        // Only the signed Stripe webhook marks an order paid; this just tells
+        // the guest whether their payment went through
+        const paymentSucceeded = order.paymentStatus === 'completed' || await confirmPayment(paymentIntentId);
         if (!paymentSucceeded) {
-            order.paymentStatus = 'failed';
-            await order.save();
             return res.status(400).json({ error: 'Payment verification failed' });
         }
 
-        // Update order status
-        await order.completePayment(paymentIntentId, `txn_${Date.now()}`);
-
         // Populate order details for response
         const populatedOrder = await Order.findById(order._id)
             .populate('customerId', 'firstName lastName email phone')
@@ -167,7 +276,9 @@ router.post('/confirm-payment', ensureDbConnection, auth, async (req, res) => {
         res.json({
             success: true,
             order: populatedOrder,
-            message: 'Payment successful! Your order has been confirmed.'
+            message: populatedOrder.paymentStatus === 'completed'
+                ? 'Payment successful! Your order has been confirmed.'
+                : 'Payment successful! Your order will be confirmed in a moment.'
         });
 
     } catch (error) {
@@ -201,6 +312,45 @@ router.get('/:orderId', ensureDbConnection, auth, async (req, res) => {
     }
 });
 
+// Get the tax invoice for a paid order as a PDF (or JSON with ?format=json)
+router.get('/:orderId/invoice', ensureDbConnection, auth, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const isStaff = await hasPermission(req.user, 'order.read.all');
+
+        const query = { orderId };
+        if (!isStaff) {
+            query.customerId = req.user.id;
+        }
+
+        const order = await Order.findOne(query);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Room charges are billed on the booking's invoice
+        if (order.paymentMethod === 'room_charge') {
+            return res.status(400).json({ error: 'Order is billed on the booking invoice', booking: order.booking });
+        }
+
+        let invoice = await Invoice.findOne({ order: order._id });
+        if (!invoice) {
+            if (order.paymentStatus !== 'completed') {
+                return res.status(400).json({ error: 'Invoice is available once the order is paid' });
+            }
+            invoice = await issueOrderInvoice(order, { issuedBy: isStaff ? req.user._id : null });
+        }
+
+        if (req.query.format === 'json') {
+            return res.json({ success: true, invoice });
+        }
+        await sendInvoicePdf(res, invoice);
+    } catch (error) {
+        console.error('Get order invoice error:', error);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+});
+
 // Get user's orders with pagination
 router.get('/', ensureDbConnection, auth, async (req, res) => {
     try {
@@ -235,13 +385,8 @@ router.get('/', ensureDbConnection, auth, async (req, res) => {
 });
 
 // Admin routes - Get all orders
-router.get('/admin/all', ensureDbConnection, auth, async (req, res) => {
+router.get('/admin/all', ensureDbConnection, auth, requirePermission('order.read.all'), async (req, res) => {
     try {
-        // Check if user is admin/staff
-        if (!['admin', 'staff', 'manager'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
-
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 20;
         const status = req.query.status;
@@ -252,6 +397,15 @@ router.get('/admin/all', ensureDbConnection, auth, async (req, res) => {
         if (status && status !== 'all') {
             query.status = status;
         }
+        if (req.query.paymentMethod) {
+            query.paymentMethod = req.query.paymentMethod;
+        }
+        if (req.query.bookingId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.bookingId)) {
+                return res.status(400).json({ error: 'Invalid booking ID' });
+            }
+            query.booking = new mongoose.Types.ObjectId(req.query.bookingId);
+        }
         if (startDate && endDate) {
             query.createdAt = {
                 $gte: new Date(startDate),
@@ -295,13 +449,8 @@ router.get('/admin/all', ensureDbConnection, auth, async (req, res) => {
 });
 
 // Update order status (admin/staff only)
-router.put('/:orderId/status', ensureDbConnection, auth, async (req, res) => {
+router.put('/:orderId/status', ensureDbConnection, auth, requirePermission('order.status.update'), async (req, res) => {
     try {
-        // Check if user is admin/staff
-        if (!['admin', 'staff', 'manager'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
-
         const { orderId } = req.params;
         const { status, staffNotes } = req.body;
 
@@ -315,14 +464,22 @@ router.put('/:orderId/status', ensureDbConnection, auth, async (req, res) => {
             return res.status(404).json({ error: 'Order not found' });
         }
 
-        await order.updateStatus(status);
-
         if (staffNotes) {
             order.staffNotes = staffNotes;
         }
-
         order.assignedStaff = req.user.id;
-        await order.save();
+
+        const result = await transitionOrder(order, status, { user: req.user, note: staffNotes });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        if (status === 'cancelled') {
+            await settleCancelledOrder(order, { user: req.user });
+        }
+
+        publishOrderEvent('order.status', order);
+        await sendOrderStatusUpdate(order);
 
         const updatedOrder = await Order.findById(order._id)
             .populate('customerId', 'firstName lastName email phone')
@@ -360,13 +517,18 @@ router.delete('/:orderId', ensureDbConnection, auth, async (req, res) => {
             return res.status(400).json({ error: 'Cannot cancel order in current status' });
         }
 
-        order.status = 'cancelled';
-        order.paymentStatus = 'refunded'; // This would trigger refund process
+        order.recordStatus('cancelled', { user: req.user, note: 'Cancelled by guest' });
         await order.save();
 
+        const payment = await settleCancelledOrder(order, { user: req.user });
+        publishOrderEvent('order.status', order);
+
         res.json({
             success: true,
-            message: 'Order cancelled successfully'
+            message: payment === 'refund_failed'
+                ? 'Order cancelled; the refund could not be issued and will be handled by our staff'
+                : 'Order cancelled successfully',
+            payment
         });
 
     } catch (error) {
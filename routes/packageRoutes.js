@@ -11,9 +11,7 @@ const {
 
 const {
     auth,
-    authorize,
-    authorizeOperationalAccess,
-    authorizeStaffManagement
+    requirePermission
 } = require('../middleware/auth');
 
 const router = express.Router();
@@ -25,8 +23,8 @@ router.get('/:id', getPackageById); // Get specific package
 router.get('/:id/availability', checkPackageAvailability); // Check package availability
 
 // Manager/Admin routes
-router.post('/', auth, authorizeOperationalAccess, createPackage); // Create package
-router.put('/:id', auth, authorizeOperationalAccess, updatePackage); // Update package
-router.delete('/:id', auth, authorizeStaffManagement, deletePackage); // Delete package
+router.post('/', auth, requirePermission('package.manage'), createPackage); // Create package
+router.put('/:id', auth, requirePermission('package.manage'), updatePackage); // Update package
+router.delete('/:id', auth, requirePermission('package.delete'), deletePackage); // Delete package
 
 module.exports = router;
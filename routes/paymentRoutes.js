@@ -0,0 +1,9 @@
+const express = require('express');
+const { handleStripeWebhook } = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Stripe webhook - authenticated by signature, body is kept raw in index.js
+router.post('/webhook', handleStripeWebhook);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+    getAllPermissions,
+    getMyPermissions,
+    updatePermission,
+    resetPermission
+} = require('../controllers/permissionController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Any signed-in user
+router.get('/me', auth, getMyPermissions); // Permissions held by the current user
+
+// Admin routes
+router.get('/', auth, requirePermission('permission.manage'), getAllPermissions); // Registry with overrides
+router.put('/:key', auth, requirePermission('permission.manage'), updatePermission); // Change roles/departments
+router.delete('/:key', auth, requirePermission('permission.manage'), resetPermission); // Back to default
+
+module.exports = router;
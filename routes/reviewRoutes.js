@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+    getReviews,
+    getReviewSummary,
+    getAllReviews,
+    respondToReview,
+    setReviewVisibility
+} = require('../controllers/reviewController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getReviews); // Verified-stay reviews (?room=, ?roomCategory=, ?package=, ?rating=, ?sort=)
+router.get('/summary', getReviewSummary); // Average and star distribution
+
+// Management routes
+router.get('/all', auth, requirePermission('review.moderate'), getAllReviews); // Including hidden reviews
+router.put('/:bookingId/response', auth, requirePermission('review.respond'), respondToReview); // Public reply from the hotel
+router.put('/:bookingId/visibility', auth, requirePermission('review.moderate'), setReviewVisibility); // Hide or restore
+
+module.exports = router;
@@ -1,15 +1,17 @@
 const express = require('express');
-const { getAllRooms, getRoomById, createRoom, updateRoom, deleteRoom } = require('../controllers/roomController');
-const { auth, authorize } = require('../middleware/auth');
+const { getAllRooms, getRoomById, checkAvailability, getRoomQuote, createRoom, updateRoom, deleteRoom } = require('../controllers/roomController');
+const { auth, requirePermission } = require('../middleware/auth');
 const { upload } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Room routes
 router.get('/', getAllRooms);
+router.get('/availability', checkAvailability); // Must stay before /:id
 router.get('/:id', getRoomById);
-router.post('/', auth, authorize(['admin', 'manager', 'ceo']), upload.array('images', 5), createRoom);
-router.put('/:id', auth, authorize(['admin', 'manager', 'ceo']), updateRoom);
-router.delete('/:id', auth, authorize(['admin', 'manager', 'ceo']), deleteRoom);
+router.get('/:id/quote', getRoomQuote);
+router.post('/', auth, requirePermission('room.manage'), upload.array('images', 5), createRoom);
+router.put('/:id', auth, requirePermission('room.manage'), updateRoom);
+router.delete('/:id', auth, requirePermission('room.manage'), deleteRoom);
 
 module.exports = router;
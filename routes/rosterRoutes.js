@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+    getMySchedule,
+    getRoster,
+    createShift,
+    updateShift,
+    cancelShift,
+    publishRoster,
+    requestSwap,
+    getSwaps,
+    respondToSwap,
+    reviewSwap,
+    cancelSwap
+} = require('../controllers/rosterController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(auth);
+
+// Staff routes
+router.get('/me', requirePermission('roster.read'), getMySchedule); // Own published shifts (?from=, ?to=)
+router.get('/', requirePermission('roster.read'), getRoster); // Department week (?department=, ?week=)
+router.get('/swaps', requirePermission('roster.swap'), getSwaps); // Own swaps, or the department's for managers
+router.post('/swaps', requirePermission('roster.swap'), requestSwap); // Offer a shift to a colleague
+router.put('/swaps/:id/respond', requirePermission('roster.swap'), respondToSwap); // Colleague accepts or declines
+router.put('/swaps/:id/cancel', requirePermission('roster.swap'), cancelSwap); // Requester withdraws
+
+// Manager routes
+router.post('/shifts', requirePermission('roster.manage'), createShift); // Draft a shift
+router.put('/shifts/:id', requirePermission('roster.manage'), updateShift); // Edit or reassign a shift
+router.delete('/shifts/:id', requirePermission('roster.manage'), cancelShift); // Remove a draft or cancel a published shift
+router.post('/publish', requirePermission('roster.manage'), publishRoster); // Publish the week's drafts
+router.put('/swaps/:id/review', requirePermission('roster.manage'), reviewSwap); // Approve or reject an accepted swap
+
+module.exports = router;
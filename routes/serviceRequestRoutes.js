@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+    getServiceRequests,
+    getServiceRequestReport
+} = require('../controllers/serviceRequestController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Staff routes
+router.get('/', auth, requirePermission('servicerequest.read.all'), getServiceRequests); // Request queue (filters, ?breached=true)
+
+// Manager routes
+router.get('/report', auth, requirePermission('servicerequest.report'), getServiceRequestReport); // Response times per department
+
+module.exports = router;
@@ -10,9 +10,7 @@ const {
 
 const {
     auth,
-    authorize,
-    authorizeOperationalAccess,
-    authorizeStaffManagement
+    requirePermission
 } = require('../middleware/auth');
 
 const router = express.Router();
@@ -23,8 +21,8 @@ router.get('/category/:category', getServicesByCategory); // Get services by cat
 router.get('/:id', getServiceById); // Get specific service
 
 // Manager/Admin routes
-router.post('/', auth, authorizeOperationalAccess, createService); // Create service
-router.put('/:id', auth, authorizeOperationalAccess, updateService); // Update service
-router.delete('/:id', auth, authorizeStaffManagement, deleteService); // Delete service
+router.post('/', auth, requirePermission('service.manage'), createService); // Create service
+router.put('/:id', auth, requirePermission('service.manage'), updateService); // Update service
+router.delete('/:id', auth, requirePermission('service.delete'), deleteService); // Delete service
 
 module.exports = router;
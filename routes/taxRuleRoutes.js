@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+    getAllTaxRules,
+    getEffectiveTaxRules,
+    createTaxRule,
+    updateTaxRule,
+    deleteTaxRule
+} = require('../controllers/taxRuleController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Finance routes (admin and CEO)
+router.get('/', auth, requirePermission('taxrule.manage'), getAllTaxRules); // Configured tax rules
+router.get('/effective', auth, requirePermission('taxrule.manage'), getEffectiveTaxRules); // Rules in force, with defaults
+router.post('/', auth, requirePermission('taxrule.manage'), createTaxRule); // Create tax rule
+router.put('/:id', auth, requirePermission('taxrule.manage'), updateTaxRule); // Update tax rule
+router.delete('/:id', auth, requirePermission('taxrule.manage'), deleteTaxRule); // Delete tax rule
+
+module.exports = router;
@@ -1,33 +1,85 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Testimonial = require('../models/Testimonial');
+const Booking = require('../models/Booking');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { hashIp, contentHash, checkSubmission } = require('../services/testimonialService');
+
+// Fields moderators may correct, e.g. a typo or a surname to remove
+const EDITABLE_FIELDS = ['name', 'rating', 'comment'];
+
+const MODERATION_QUEUES = {
+    // Testimonials from before the queue have no status yet
+    pending: { approved: false, status: { $ne: 'rejected' } },
+    approved: { approved: true },
+    rejected: { status: 'rejected' }
+};
+
+// What the public site shows; email, IP and moderation stay private
+const toPublic = (testimonial) => ({
+    _id: testimonial._id,
+    name: testimonial.name,
+    rating: testimonial.rating,
+    comment: testimonial.comment,
+    featured: testimonial.featured,
+    verifiedGuest: testimonial.verifiedGuest,
+    date: testimonial.date,
+    createdAt: testimonial.createdAt
+});
+
+const findTestimonial = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Testimonial.findById(id);
+};
+
+const moderate = (testimonial, status, user, reason) => {
+    testimonial.status = status;
+    testimonial.moderation = {
+        moderatedBy: user._id,
+        moderatedAt: new Date(),
+        reason
+    };
+};
 
 // Get all approved testimonials (public)
 router.get('/', async (req, res) => {
     try {
-        const { featured, limit = 10 } = req.query;
+        const { featured, verified, limit = 10 } = req.query;
 
         let query = { approved: true };
         if (featured === 'true') {
             query.featured = true;
         }
+        if (verified === 'true') {
+            query.verifiedGuest = true;
+        }
 
         const testimonials = await Testimonial.find(query)
             .sort({ featured: -1, createdAt: -1 })
-            .limit(parseInt(limit));
+            .limit(Math.min(parseInt(limit) || 10, 50));
 
-        res.json(testimonials);
+        res.json(testimonials.map(toPublic));
     } catch (error) {
         console.error('Error fetching testimonials:', error);
         res.status(500).json({ error: 'Failed to fetch testimonials' });
     }
 });
 
-// Get all testimonials (admin only)
-router.get('/admin', async (req, res) => {
+// Moderation queue (?status=pending|approved|rejected, oldest pending first)
+router.get('/admin', auth, requirePermission('testimonial.moderate'), async (req, res) => {
     try {
-        const testimonials = await Testimonial.find()
-            .sort({ createdAt: -1 });
+        const { status } = req.query;
+
+        if (status && !MODERATION_QUEUES[status]) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const testimonials = await Testimonial.find(status ? MODERATION_QUEUES[status] : {})
+            .select('-ipHash -contentHash')
+            .populate('booking', 'bookingNumber checkInDate checkOutDate')
+            .populate('moderation.moderatedBy', 'firstName lastName')
+            .sort(status === 'pending' ? { createdAt: 1 } : { createdAt: -1 });
 
         res.json(testimonials);
     } catch (error) {
@@ -36,68 +88,171 @@ router.get('/admin', async (req, res) => {
     }
 });
 
-// Create new testimonial
-router.post('/', async (req, res) => {
+// Create new testimonial. Signed-in guests may pass a checked-out bookingId
+// for the verified guest badge.
+router.post('/', optionalAuth, async (req, res) => {
     try {
-        const { name, rating, comment, email } = req.body;
+        const { name, rating, comment, email, bookingId } = req.body;
 
         if (!name || !rating || !comment) {
             return res.status(400).json({ error: 'Name, rating, and comment are required' });
         }
 
+        if (typeof name !== 'string' || typeof comment !== 'string' || (email && typeof email !== 'string')) {
+            return res.status(400).json({ error: 'Invalid testimonial' });
+        }
+
         if (rating < 1 || rating > 5) {
             return res.status(400).json({ error: 'Rating must be between 1 and 5' });
         }
 
+        let booking = null;
+        if (bookingId) {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Sign in to link a testimonial to your stay' });
+            }
+
+            booking = mongoose.Types.ObjectId.isValid(bookingId) ? await Booking.findById(bookingId) : null;
+            if (!booking || booking.user.toString() !== req.user._id.toString()) {
+                return res.status(404).json({ error: 'Booking not found' });
+            }
+
+            if (booking.status !== 'checked-out') {
+                return res.status(400).json({ error: 'Only completed stays can be linked to a testimonial' });
+            }
+
+            if (await Testimonial.exists({ booking: booking._id })) {
+                return res.status(409).json({ error: 'A testimonial has already been submitted for this stay' });
+            }
+        }
+
+        const senderEmail = email || (req.user ? req.user.email : undefined);
+        const refused = await checkSubmission({ name, comment, email: senderEmail, ip: req.ip });
+        if (refused) {
+            return res.status(refused.status).json({ error: refused.error });
+        }
+
         const testimonial = new Testimonial({
             name,
             rating,
             comment,
-            email
+            email: senderEmail,
+            user: req.user ? req.user._id : undefined,
+            booking: booking ? booking._id : undefined,
+            verifiedGuest: !!booking,
+            ipHash: hashIp(req.ip),
+            contentHash: contentHash(comment)
         });
 
         const savedTestimonial = await testimonial.save();
-        res.status(201).json(savedTestimonial);
+        res.status(201).json({
+            ...toPublic(savedTestimonial),
+            status: savedTestimonial.status,
+            message: 'Thank you! Your testimonial will appear once it has been reviewed.'
+        });
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A testimonial has already been submitted for this stay' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error creating testimonial:', error);
         res.status(500).json({ error: 'Failed to create testimonial' });
     }
 });
 
-// Update testimonial (admin only)
-router.put('/:id', async (req, res) => {
+// Turn a guest's booking review into an approved testimonial
+router.post('/from-review/:bookingId', auth, requirePermission('testimonial.promote'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const updates = req.body;
+        const { bookingId } = req.params;
+
+        const booking = mongoose.Types.ObjectId.isValid(bookingId)
+            ? await Booking.findById(bookingId).populate('user', 'firstName lastName email')
+            : null;
+        if (!booking || !booking.review || !booking.review.rating) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        if (booking.review.status === 'hidden') {
+            return res.status(400).json({ error: 'Hidden reviews cannot be promoted' });
+        }
+
+        if (!booking.review.comment) {
+            return res.status(400).json({ error: 'Only reviews with a comment can be promoted' });
+        }
 
-        const testimonial = await Testimonial.findByIdAndUpdate(
-            id,
-            updates,
-            { new: true, runValidators: true }
-        );
+        if (await Testimonial.exists({ booking: booking._id })) {
+            return res.status(409).json({ error: 'This stay already has a testimonial' });
+        }
+
+        const guest = booking.user;
+        const testimonial = new Testimonial({
+            name: guest ? `${guest.firstName} ${guest.lastName ? `${guest.lastName.charAt(0)}.` : ''}`.trim() : 'Guest',
+            rating: booking.review.rating,
+            comment: booking.review.comment.slice(0, 1000),
+            email: guest ? guest.email : undefined,
+            user: guest ? guest._id : undefined,
+            booking: booking._id,
+            verifiedGuest: true,
+            source: 'review',
+            featured: !!(req.body && req.body.featured),
+            date: booking.review.reviewDate,
+            contentHash: contentHash(booking.review.comment)
+        });
+        moderate(testimonial, 'approved', req.user);
+
+        await testimonial.save();
+        res.status(201).json(testimonial);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'This stay already has a testimonial' });
+        }
+        console.error('Error promoting review:', error);
+        res.status(500).json({ error: 'Failed to promote review' });
+    }
+});
+
+// Update testimonial (moderators)
+router.put('/:id', auth, requirePermission('testimonial.moderate'), async (req, res) => {
+    try {
+        const testimonial = await findTestimonial(req.params.id);
 
         if (!testimonial) {
             return res.status(404).json({ error: 'Testimonial not found' });
         }
 
+        const updates = req.body || {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) testimonial[field] = updates[field];
+        });
+        // Keep duplicate detection matching the text as edited
+        if (testimonial.isModified('comment')) {
+            testimonial.contentHash = contentHash(testimonial.comment);
+        }
+        await testimonial.save();
+
         res.json(testimonial);
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error updating testimonial:', error);
         res.status(500).json({ error: 'Failed to update testimonial' });
     }
 });
 
 // Delete testimonial (admin only)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auth, requirePermission('testimonial.delete'), async (req, res) => {
     try {
-        const { id } = req.params;
-
-        const testimonial = await Testimonial.findByIdAndDelete(id);
+        const testimonial = await findTestimonial(req.params.id);
 
         if (!testimonial) {
             return res.status(404).json({ error: 'Testimonial not found' });
         }
 
+        await testimonial.deleteOne();
+
         res.json({ message: 'Testimonial deleted successfully' });
     } catch (error) {
         console.error('Error deleting testimonial:', error);
@@ -105,21 +260,18 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
-// Approve testimonial (admin only)
-router.patch('/:id/approve', async (req, res) => {
+// Approve testimonial (moderators)
+router.patch('/:id/approve', auth, requirePermission('testimonial.moderate'), async (req, res) => {
     try {
-        const { id } = req.params;
-
-        const testimonial = await Testimonial.findByIdAndUpdate(
-            id,
-            { approved: true },
-            { new: true }
-        );
+        const testimonial = await findTestimonial(req.params.id);
 
         if (!testimonial) {
             return res.status(404).json({ error: 'Testimonial not found' });
         }
 
+        moderate(testimonial, 'approved', req.user);
+        await testimonial.save();
+
         res.json(testimonial);
     } catch (error) {
         console.error('Error approving testimonial:', error);
@@ -127,22 +279,43 @@ router.patch('/:id/approve', async (req, res) => {
     }
 });
 
-// Toggle featured status (admin only)
-router.patch('/:id/featured', async (req, res) => {
+// Reject testimonial (moderators); it stays on record for duplicate checks
+router.patch('/:id/reject', auth, requirePermission('testimonial.moderate'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { featured } = req.body;
+        const testimonial = await findTestimonial(req.params.id);
 
-        const testimonial = await Testimonial.findByIdAndUpdate(
-            id,
-            { featured: !!featured },
-            { new: true }
-        );
+        if (!testimonial) {
+            return res.status(404).json({ error: 'Testimonial not found' });
+        }
+
+        moderate(testimonial, 'rejected', req.user, (req.body || {}).reason);
+        await testimonial.save();
+
+        res.json(testimonial);
+    } catch (error) {
+        console.error('Error rejecting testimonial:', error);
+        res.status(500).json({ error: 'Failed to reject testimonial' });
+    }
+});
+
+// Toggle featured status (moderators, approved testimonials only)
+router.patch('/:id/featured', auth, requirePermission('testimonial.moderate'), async (req, res) => {
+    try {
+        const { featured } = req.body || {};
+
+        const testimonial = await findTestimonial(req.params.id);
 
         if (!testimonial) {
             return res.status(404).json({ error: 'Testimonial not found' });
         }
 
+        if (featured && !testimonial.approved) {
+            return res.status(400).json({ error: 'Only approved testimonials can be featured' });
+        }
+
+        testimonial.featured = !!featured;
+        await testimonial.save();
+
         res.json(testimonial);
     } catch (error) {
         console.error('Error updating featured status:', error);
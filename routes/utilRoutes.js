@@ -1,13 +1,13 @@
 const express = require('express');
 const { uploadToCloudinary, upload } = require('../middleware/upload');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const { sendContactFormNotification } = require('../services/emailService');
 const { createPaymentIntent } = require('../services/paymentService');
 
 const router = express.Router();
 
 // Upload route - with authentication for admin users
-router.post('/upload', auth, authorize(['admin']), upload.single('file'), uploadToCloudinary, (req, res) => {
+router.post('/upload', auth, requirePermission('media.upload'), upload.single('file'), uploadToCloudinary, (req, res) => {
     res.json({ success: true, fileUrl: req.fileUrl, url: req.fileUrl });
 });
 
@@ -23,7 +23,7 @@ router.post('/contact', async (req, res) => {
     try {
         const { name, email, phone, subject, message } = req.body;
 
-        // Send email notification (placeholder function)
+        // Forward the enquiry to the front office
         const emailSent = await sendContactFormNotification({
             name, email, phone, subject, message
         });
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+    getWorkOrders,
+    getConflictingBookings,
+    getWorkOrderById,
+    createWorkOrder,
+    updateWorkOrder,
+    assignWorkOrder,
+    updateWorkOrderStatus,
+    updateWorkOrderCosts,
+    setOutOfOrder,
+    releaseOutOfOrder
+} = require('../controllers/workOrderController');
+
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Staff routes
+router.get('/', auth, requirePermission('maintenance.workorder.read'), getWorkOrders); // Open work orders (filters, ?breached=true)
+router.get('/conflicts', auth, requirePermission('maintenance.workorder.read'), getConflictingBookings); // Bookings clashing with out-of-order rooms
+router.get('/:id', auth, requirePermission('maintenance.workorder.read'), getWorkOrderById); // Work order details
+router.post('/', auth, requirePermission('maintenance.workorder.create'), createWorkOrder); // Raise a work order
+router.put('/:id/status', auth, updateWorkOrderStatus); // Start, pause, complete or cancel
+router.put('/:id/costs', auth, requirePermission('maintenance.workorder.work'), updateWorkOrderCosts); // Parts and labour
+
+// Supervisor routes
+router.put('/:id', auth, requirePermission('maintenance.workorder.manage'), updateWorkOrder); // Edit details or priority
+router.put('/:id/assign', auth, requirePermission('maintenance.workorder.manage'), assignWorkOrder); // Assign to maintenance staff
+router.put('/:id/out-of-order', auth, requirePermission('maintenance.workorder.manage'), setOutOfOrder); // Block the room for a date range
+router.delete('/:id/out-of-order', auth, requirePermission('maintenance.workorder.manage'), releaseOutOfOrder); // Return the room to service
+
+module.exports = router;
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Booking = require('../models/Booking');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const MenuItem = require('../models/MenuItem');
+const { getActiveTaxRules, computeOrderTaxes } = require('../services/taxService');
+const { routeOrderItems } = require('../services/kitchenService');
+const { BILLABLE_STATUSES } = require('../services/orderService');
+
+// Moves food orders embedded in bookings (Booking.foodOrders) into the Order
+// collection as room charges. Safe to run again: orders already moved are
+// skipped, and a booking's embedded orders are only removed once all of them
+// have moved. Pass --dry-run to report without writing.
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const STATUS_MAP = {
+    ordered: 'confirmed',
+    preparing: 'preparing',
+    ready: 'ready',
+    delivered: 'delivered',
+    cancelled: 'cancelled'
+};
+
+// Orders still open on the booking are only sent to the kitchen for a live
+// stay and if they are this recent; the rest were served or dropped long ago
+const STALE_ORDER_HOURS = 24;
+
+const OPEN_LEGACY_STATUSES = ['ordered', 'preparing', 'ready'];
+
+// Kitchen status for a moved order. Open orders on a stay that is over, or
+// too old to still be cooking, are closed: served if the stay went ahead,
+// cancelled if it never did.
+const toOrderStatus = (booking, legacy, orderDate) => {
+    const status = STATUS_MAP[legacy.status] || 'confirmed';
+    if (STATUS_MAP[legacy.status] && !OPEN_LEGACY_STATUSES.includes(legacy.status)) return status;
+
+    if (['cancelled', 'no-show'].includes(booking.status)) return 'cancelled';
+
+    const stale = Date.now() - new Date(orderDate).getTime() > STALE_ORDER_HOURS * 60 * 60 * 1000;
+    if (booking.status === 'checked-out' || stale) return 'delivered';
+
+    return status;
+};
+
+const ORDER_TYPE_MAP = {
+    'room-service': 'room_service',
+    restaurant: 'dine_in',
+    takeaway: 'pickup'
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Before the move a booking billed its food orders inside the stay:
+// pricing.foodTotal held them before tax and the total added a flat 18% GST
+const LEGACY_FOOD_TAX_RATE = 0.18;
+
+// Swap the legacy food line on the bill for the moved orders, leaving the
+// room, package and service charges as they were priced. Settled stays are
+// only changed if their total stays the same; otherwise the new total is
+// returned for someone to review.
+async function billMovedOrders(booking) {
+    const [food] = await Order.aggregate([
+        { $match: { booking: booking._id, paymentMethod: 'room_charge', status: { $in: BILLABLE_STATUSES } } },
+        { $group: { _id: null, total: { $sum: '$finalAmount' } } }
+    ]);
+    const foodTotal = food ? roundMoney(food.total) : 0;
+
+    const legacyFood = booking.pricing.foodTotal || 0;
+    const legacyFoodTax = roundMoney(legacyFood * LEGACY_FOOD_TAX_RATE);
+    const previousTotal = booking.pricing.totalAmount || 0;
+    const newTotal = roundMoney(previousTotal - legacyFood - legacyFoodTax + foodTotal);
+
+    if (!['confirmed', 'checked-in'].includes(booking.status) && Math.abs(newTotal - previousTotal) > 0.01) {
+        return { changed: false, previousTotal, newTotal };
+    }
+
+    booking.pricing.taxAmount = roundMoney((booking.pricing.taxAmount || 0) - legacyFoodTax);
+    booking.pricing.totalAmount = roundMoney(previousTotal - legacyFoodTax);
+    booking.setFoodTotal(foodTotal);
+    await booking.save();
+
+    return { changed: true, previousTotal, newTotal: booking.pricing.totalAmount };
+}
+
+// Room charges have no payment intent, so the unique index must skip them
+async function ensureSparsePaymentIntentIndex() {
+    const indexes = await Order.collection.indexes();
+    const index = indexes.find(existing => existing.name === 'paymentIntentId_1');
+
+    if (index && !index.sparse) {
+        console.log('Rebuilding paymentIntentId index as sparse');
+        if (!DRY_RUN) {
+            await Order.collection.dropIndex('paymentIntentId_1');
+            await Order.collection.createIndex({ paymentIntentId: 1 }, { unique: true, sparse: true });
+        }
+    }
+}
+
+const toScheduledFor = (legacy) => {
+    if (!legacy.deliveryDate) return undefined;
+
+    const date = new Date(legacy.deliveryTime
+        ? `${new Date(legacy.deliveryDate).toISOString().slice(0, 10)}T${legacy.deliveryTime}`
+        : legacy.deliveryDate);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Build the Order for one embedded food order, or return why it can't be moved
+async function buildOrder(booking, guest, room, legacy) {
+    if (!legacy.items || legacy.items.length === 0) {
+        return { error: 'has no items' };
+    }
+
+    const items = [];
+    for (const item of legacy.items) {
+        if (!item.menuItemId) {
+            return { error: `item "${item.menuItemName}" has no menu item id` };
+        }
+        const menuItem = await MenuItem.findById(item.menuItemId);
+
+        const price = item.price || 0;
+        const quantity = item.quantity || 1;
+        items.push({
+            menuItemId: item.menuItemId,
+            name: item.menuItemName || (menuItem && menuItem.name) || 'Menu item',
+            price,
+            quantity,
+            category: menuItem ? menuItem.category : undefined,
+            subtotal: price * quantity,
+            preparationTime: menuItem ? menuItem.preparationTime : undefined
+        });
+    }
+    await routeOrderItems(items);
+
+    const orderDate = legacy.orderDate || booking.createdAt || new Date();
+    const status = toOrderStatus(booking, legacy, orderDate);
+    const taxes = computeOrderTaxes({ items, deliveryFee: 0 }, await getActiveTaxRules(orderDate));
+    const subtotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+    const notes = legacy.items
+        .filter(item => item.specialInstructions)
+        .map(item => `${item.menuItemName || 'Item'}: ${item.specialInstructions}`)
+        .join('; ');
+
+    const order = new Order({
+        _id: legacy._id,
+        orderId: legacy.orderId || Order.generateOrderId(),
+        customerId: guest._id,
+        customerInfo: {
+            email: guest.email,
+            name: `${guest.firstName} ${guest.lastName}`,
+            phone: guest.phone,
+            roomNumber: room && room.roomNumber
+        },
+        booking: booking._id,
+        items,
+        totalAmount: subtotal,
+        tax: taxes.exclusiveTax,
+        taxBreakdown: taxes.breakdown,
+        deliveryFee: 0,
+        finalAmount: roundMoney(subtotal + taxes.exclusiveTax),
+        paymentMethod: 'room_charge',
+        paymentStatus: 'charged_to_room',
+        deliveryType: ORDER_TYPE_MAP[legacy.orderType] || 'room_service',
+        deliveryAddress: { roomNumber: room && room.roomNumber },
+        scheduledFor: toScheduledFor(legacy),
+        notes: notes || undefined,
+        estimatedReadyTime: ['confirmed', 'preparing'].includes(status) ? toScheduledFor(legacy) || orderDate : undefined,
+        createdAt: orderDate
+    });
+    order.recordStatus(status, { note: `Moved from booking ${booking.bookingNumber}`, at: orderDate });
+
+    return { order };
+}
+
+async function migrateBookingFoodOrders() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/grand_hotel');
+        console.log(`Connected to MongoDB${DRY_RUN ? ' (dry run)' : ''}`);
+
+        await ensureSparsePaymentIntentIndex();
+
+        // Read the raw documents: foodOrders is no longer in the schema
+        const cursor = Booking.collection.find({ 'foodOrders.0': { $exists: true } });
+
+        let bookingsDone = 0;
+        let moved = 0;
+        let skipped = 0;
+        let failed = 0;
+        let needsReview = 0;
+
+        for await (const raw of cursor) {
+            const guest = await User.findById(raw.user).select('firstName lastName email phone');
+            const booking = await Booking.findById(raw._id).populate('room', 'roomNumber');
+            if (!guest || !booking) {
+                console.warn(`Booking ${raw.bookingNumber}: guest or booking not found, left as is`);
+                failed += raw.foodOrders.length;
+                continue;
+            }
+
+            let complete = true;
+            for (const legacy of raw.foodOrders) {
+                const exists = await Order.exists(legacy.orderId
+                    ? { $or: [{ _id: legacy._id }, { orderId: legacy.orderId }] }
+                    : { _id: legacy._id });
+                if (exists) {
+                    skipped++;
+                    continue;
+                }
+
+                const { order, error } = await buildOrder(booking, guest, booking.room, legacy);
+                if (error) {
+                    console.warn(`Booking ${raw.bookingNumber}, order ${legacy.orderId}: ${error}`);
+                    complete = false;
+                    failed++;
+                    continue;
+                }
+
+                if (!DRY_RUN) {
+                    await order.save();
+                }
+                moved++;
+            }
+
+            // The bill moves over once, with the last of the booking's orders;
+            // the embedded orders are cleared at the same time
+            if (DRY_RUN || !complete) continue;
+
+            const billed = await billMovedOrders(booking);
+            if (!billed.changed) {
+                console.warn(`Booking ${raw.bookingNumber} (${booking.status}): total would change from ` +
+                    `${billed.previousTotal} to ${billed.newTotal}; bill and embedded orders left for review`);
+                needsReview++;
+                continue;
+            }
+
+            await Booking.collection.updateOne({ _id: raw._id }, { $unset: { foodOrders: 1 } });
+            bookingsDone++;
+        }
+
+        console.log(`Moved ${moved} orders, ${skipped} already moved, ${failed} need attention; ` +
+            `${bookingsDone} bookings cleared, ${needsReview} settled bookings need their bill reviewed`);
+        process.exit(failed > 0 || needsReview > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('Error migrating booking food orders:', error);
+        process.exit(1);
+    }
+}
+
+migrateBookingFoodOrders();
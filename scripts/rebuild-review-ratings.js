@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RoomCategory = require('../models/RoomCategory');
+const Package = require('../models/Package');
+const { recomputeRating } = require('../services/reviewService');
+
+// Fills in the room category and package snapshot on reviews written before
+// ratings were aggregated, then recomputes every room, category and package
+// rating from scratch. Safe to run again.
+async function rebuildReviewRatings() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/grand_hotel');
+        console.log('Connected to MongoDB');
+
+        let backfilled = 0;
+        const reviewed = Booking.find({ 'review.rating': { $gte: 1 }, 'review.status': { $exists: false } })
+            .select('room selectedPackage review')
+            .cursor();
+
+        for await (const booking of reviewed) {
+            const room = await Room.findById(booking.room).select('category');
+            const packageId = booking.selectedPackage && booking.selectedPackage.id;
+
+            await Booking.updateOne({ _id: booking._id }, {
+                $set: {
+                    'review.status': 'published',
+                    'review.roomCategory': room ? room.category : null,
+                    'review.package': mongoose.Types.ObjectId.isValid(packageId) ? packageId : null
+                }
+            });
+            backfilled++;
+        }
+        console.log(`Backfilled ${backfilled} reviews`);
+
+        const targets = [
+            ['room', Room],
+            ['roomCategory', RoomCategory],
+            ['package', Package]
+        ];
+
+        for (const [target, model] of targets) {
+            const ids = await model.distinct('_id');
+            for (const id of ids) {
+                await recomputeRating(target, id);
+            }
+            console.log(`Recomputed ${ids.length} ${target} ratings`);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('Error rebuilding review ratings:', error);
+        process.exit(1);
+    }
+}
+
+rebuildReviewRatings();
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Booking = require('../models/Booking');
+const { sendCheckInReminder } = require('../services/emailService');
+
+// Remind guests arriving this many days from today; run once a day from cron
+const DAYS_AHEAD = Number(process.env.CHECKIN_REMINDER_DAYS_AHEAD || 1);
+
+async function sendCheckInReminders() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/grand_hotel');
+        console.log('Connected to MongoDB');
+
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() + DAYS_AHEAD);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+
+        const bookings = await Booking.find({
+            status: 'confirmed',
+            checkInDate: { $gte: start, $lt: end },
+            'reminders.checkInSentAt': null
+        }).populate('room', 'name roomNumber');
+
+        console.log(`Found ${bookings.length} arrivals on ${start.toISOString().slice(0, 10)}`);
+
+        let sent = 0;
+        for (const booking of bookings) {
+            // Failed sends are left unmarked so the next run retries them
+            if (await sendCheckInReminder(booking)) {
+                booking.reminders = { checkInSentAt: new Date() };
+                await booking.save();
+                sent++;
+            }
+        }
+
+        console.log(`Sent ${sent} check-in reminders`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error sending check-in reminders:', error);
+        process.exit(1);
+    }
+}
+
+sendCheckInReminders();
@@ -0,0 +1,337 @@
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
+const { paidHours } = require('./rosterService');
+const {
+    earlyClockInMinutes,
+    lateGraceMinutes,
+    earlyLeaveGraceMinutes,
+    maxOpenHours,
+    missedShiftLookbackDays
+} = require('../config/attendance');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const minutesBetween = (from, to) => Math.max(Math.round((to - from) / MINUTE), 0);
+
+// Flags set by hand or at clock-in that recalculating must not drop
+const KEPT_FLAGS = ['unscheduled', 'adjusted'];
+
+// Recalculate break and worked minutes and the late, left early and missing
+// clock-out flags from the record's times. Mutates and returns the record.
+const reconcile = (record) => {
+    const flags = new Set((record.flags || []).filter(flag => KEPT_FLAGS.includes(flag)));
+
+    if (record.status === 'missed') {
+        flags.add('missed');
+        record.flags = [...flags];
+        record.lateMinutes = 0;
+        record.earlyLeaveMinutes = 0;
+        record.breakMinutes = 0;
+        record.workedMinutes = 0;
+        return record;
+    }
+
+    const lateMinutes = record.scheduledStartAt ? minutesBetween(record.scheduledStartAt, record.clockInAt) : 0;
+    record.lateMinutes = lateMinutes > lateGraceMinutes ? lateMinutes : 0;
+    if (record.lateMinutes > 0) flags.add('late');
+
+    const earlyLeaveMinutes = record.scheduledEndAt && record.clockOutAt ? minutesBetween(record.clockOutAt, record.scheduledEndAt) : 0;
+    record.earlyLeaveMinutes = earlyLeaveMinutes > earlyLeaveGraceMinutes ? earlyLeaveMinutes : 0;
+    if (record.earlyLeaveMinutes > 0) flags.add('left_early');
+
+    record.breakMinutes = (record.breaks || [])
+        .filter(entry => entry.endAt)
+        .reduce((sum, entry) => sum + minutesBetween(entry.startAt, entry.endAt), 0);
+
+    if (record.status === 'closed') {
+        record.workedMinutes = Math.max(minutesBetween(record.clockInAt, record.clockOutAt) - record.breakMinutes, 0);
+    } else {
+        record.workedMinutes = 0;
+        if (Date.now() - record.clockInAt >= maxOpenHours * 60 * MINUTE) flags.add('no_clock_out');
+    }
+
+    record.flags = [...flags];
+    return record;
+};
+
+const findOpenRecord = (userId) => Attendance.findOne({ user: userId, status: 'open' });
+
+// The published shift a clock-in at `at` belongs to: one that has started
+// or starts within the early window, hasn't ended and has no record yet
+const findShiftForClockIn = async (userId, at) => {
+    const shifts = await Shift.find({
+        user: userId,
+        status: 'published',
+        startAt: { $lte: new Date(at.getTime() + earlyClockInMinutes * MINUTE) },
+        endAt: { $gt: at }
+    }).sort({ startAt: 1 });
+
+    if (shifts.length === 0) return null;
+
+    const recorded = await Attendance.distinct('shift', { shift: { $in: shifts.map(shift => shift._id) } });
+    return shifts.find(shift => !recorded.some(id => id.toString() === shift._id.toString())) || null;
+};
+
+// An unscheduled record by the shift's owner whose times overlap the shift,
+// e.g. a clock-in taken before the early window opened
+const findOverlappingRecord = (shift) => Attendance.findOne({
+    user: shift.user,
+    shift: null,
+    status: { $in: ['open', 'closed'] },
+    clockInAt: { $lt: shift.endAt },
+    $or: [{ clockOutAt: null }, { clockOutAt: { $gt: shift.startAt } }]
+}).sort({ clockInAt: 1 });
+
+// Attach a record to the shift it was worked against and recalculate it
+// against the schedule. Returns false if the shift already has a record.
+const linkToShift = async (record, shift) => {
+    record.shift = shift._id;
+    record.department = shift.department;
+    record.scheduledStartAt = shift.startAt;
+    record.scheduledEndAt = shift.endAt;
+    record.flags = record.flags.filter(flag => flag !== 'unscheduled');
+    reconcile(record);
+
+    try {
+        await record.save();
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+    return true;
+};
+
+// Start a record for the user. Returns { record } or { error, status }.
+const clockIn = async (user, { notes } = {}) => {
+    const now = new Date();
+
+    if (await findOpenRecord(user._id)) {
+        return { error: 'You are already clocked in', status: 409 };
+    }
+
+    const [shift, employee] = await Promise.all([
+        findShiftForClockIn(user._id, now),
+        Employee.findOne({ user: user._id }).select('_id')
+    ]);
+
+    const record = new Attendance({
+        user: user._id,
+        employee: employee ? employee._id : undefined,
+        department: shift ? shift.department : user.department,
+        shift: shift ? shift._id : undefined,
+        scheduledStartAt: shift ? shift.startAt : undefined,
+        scheduledEndAt: shift ? shift.endAt : undefined,
+        workDate: now,
+        clockInAt: now,
+        flags: shift ? [] : ['unscheduled'],
+        notes
+    });
+    reconcile(record);
+
+    try {
+        await record.save();
+    } catch (error) {
+        // Lost a race with another clock-in or the missed shift check
+        if (error.code === 11000) {
+            return { error: 'You are already clocked in for this shift', status: 409 };
+        }
+        throw error;
+    }
+
+    return { record };
+};
+
+// Close the user's open record, ending any break in progress
+const clockOut = async (user, { notes } = {}) => {
+    const record = await findOpenRecord(user._id);
+    if (!record) {
+        return { error: 'You are not clocked in', status: 400 };
+    }
+
+    const now = new Date();
+    record.breaks.forEach(entry => {
+        if (!entry.endAt) entry.endAt = now;
+    });
+    record.clockOutAt = now;
+    record.status = 'closed';
+    if (notes) record.notes = record.notes ? `${record.notes}\n${notes}` : notes;
+    reconcile(record);
+
+    await record.save();
+    return { record };
+};
+
+const startBreak = async (user) => {
+    const record = await findOpenRecord(user._id);
+    if (!record) {
+        return { error: 'You are not clocked in', status: 400 };
+    }
+    if (record.onBreak) {
+        return { error: 'You are already on a break', status: 409 };
+    }
+
+    record.breaks.push({ startAt: new Date() });
+    await record.save();
+    return { record };
+};
+
+const endBreak = async (user) => {
+    const record = await findOpenRecord(user._id);
+    if (!record || !record.onBreak) {
+        return { error: 'You are not on a break', status: 400 };
+    }
+
+    record.breaks[record.breaks.length - 1].endAt = new Date();
+    reconcile(record);
+
+    await record.save();
+    return { record };
+};
+
+// Background check: record published shifts that ended without a clock-in
+// as missed, and flag clock-ins left open too long. A shift worked on an
+// unscheduled clock-in is linked to that record instead of being missed.
+const flagAttendanceIssues = async (now = new Date()) => {
+    const shifts = await Shift.find({
+        status: 'published',
+        endAt: { $lte: now, $gte: new Date(now.getTime() - missedShiftLookbackDays * DAY) }
+    }).select('user department startAt endAt').lean();
+
+    const recorded = new Set((await Attendance.distinct('shift', { shift: { $in: shifts.map(shift => shift._id) } }))
+        .map(id => id.toString()));
+    const unrecorded = shifts.filter(shift => !recorded.has(shift._id.toString()));
+
+    const employees = await Employee.find({ user: { $in: unrecorded.map(shift => shift.user) } }).select('user');
+    const employeeByUser = new Map(employees.map(employee => [employee.user.toString(), employee._id]));
+
+    let missed = 0;
+    let linked = 0;
+    for (const shift of unrecorded) {
+        const worked = await findOverlappingRecord(shift);
+        if (worked) {
+            if (await linkToShift(worked, shift)) linked++;
+            continue;
+        }
+
+        // Upsert on the shift so a clock-in that just landed wins
+        const result = await Attendance.updateOne(
+            { shift: shift._id },
+            {
+                $setOnInsert: {
+                    user: shift.user,
+                    employee: employeeByUser.get(shift.user.toString()),
+                    department: shift.department,
+                    scheduledStartAt: shift.startAt,
+                    scheduledEndAt: shift.endAt,
+                    workDate: shift.startAt,
+                    status: 'missed',
+                    flags: ['missed']
+                }
+            },
+            { upsert: true }
+        );
+        if (result.upsertedCount > 0) missed++;
+    }
+
+    const unclosed = await Attendance.updateMany(
+        {
+            status: 'open',
+            clockInAt: { $lte: new Date(now.getTime() - maxOpenHours * 60 * MINUTE) },
+            flags: { $ne: 'no_clock_out' }
+        },
+        { $addToSet: { flags: 'no_clock_out' } }
+    );
+
+    if (missed > 0 || linked > 0 || unclosed.modifiedCount > 0) {
+        console.log(`Attendance: ${missed} missed shifts, ${linked} unscheduled clock-ins linked, ${unclosed.modifiedCount} open clock-ins flagged`);
+    }
+
+    return { missed, linked, unclosed: unclosed.modifiedCount };
+};
+
+// First and last instant of a 'YYYY-MM' month in server time
+const monthRange = (month) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+
+    const from = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+    const to = new Date(Number(match[1]), Number(match[2]), 1);
+    return { from, to };
+};
+
+// One row per employee for the month: scheduled against worked hours and
+// attendance exceptions. Records still open have no worked time yet and are
+// counted under `openRecords` so payroll can chase them.
+const getMonthlyReport = async ({ from, to }, { department } = {}) => {
+    const employees = await Employee.find({
+        $or: [{ isActive: true }, { terminationDate: { $gte: from } }],
+        createdAt: { $lt: to }
+    })
+        .populate('user', 'firstName lastName employeeId department')
+        .select('user position workSchedule isActive terminationDate');
+
+    const inScope = employees.filter(employee => employee.user && (!department || employee.user.department === department));
+    const userIds = inScope.map(employee => employee.user._id);
+
+    const [records, shifts] = await Promise.all([
+        Attendance.find({ user: { $in: userIds }, workDate: { $gte: from, $lt: to } }).lean(),
+        Shift.find({ user: { $in: userIds }, status: 'published', startAt: { $gte: from, $lt: to } }).lean()
+    ]);
+
+    const rows = inScope.map(employee => {
+        const userId = employee.user._id.toString();
+        const own = records.filter(record => record.user.toString() === userId);
+        const closed = own.filter(record => record.status === 'closed');
+        const ownShifts = shifts.filter(shift => shift.user.toString() === userId);
+        const has = (record, flag) => (record.flags || []).includes(flag);
+
+        const workedMinutes = closed.reduce((sum, record) => sum + record.workedMinutes, 0);
+        const scheduledHours = round2(ownShifts.reduce((sum, shift) => sum + paidHours(shift), 0));
+        const workedHours = round2(workedMinutes / 60);
+
+        return {
+            employee: employee._id,
+            user: employee.user._id,
+            employeeId: employee.user.employeeId,
+            name: `${employee.user.firstName} ${employee.user.lastName}`,
+            department: employee.user.department,
+            position: employee.position,
+            employmentType: employee.workSchedule && employee.workSchedule.type,
+            scheduledShifts: ownShifts.length,
+            scheduledHours,
+            daysWorked: new Set(closed.map(record => new Date(record.workDate).toDateString())).size,
+            workedHours,
+            breakHours: round2(closed.reduce((sum, record) => sum + record.breakMinutes, 0) / 60),
+            unscheduledHours: round2(closed.filter(record => has(record, 'unscheduled'))
+                .reduce((sum, record) => sum + record.workedMinutes, 0) / 60),
+            hoursOverSchedule: round2(Math.max(workedHours - scheduledHours, 0)),
+            lateCount: own.filter(record => has(record, 'late')).length,
+            lateMinutes: own.reduce((sum, record) => sum + (record.lateMinutes || 0), 0),
+            leftEarlyCount: own.filter(record => has(record, 'left_early')).length,
+            missedShifts: own.filter(record => record.status === 'missed').length,
+            openRecords: own.filter(record => record.status === 'open').length,
+            adjustedRecords: own.filter(record => has(record, 'adjusted')).length
+        };
+    });
+
+    const totals = ['scheduledShifts', 'scheduledHours', 'workedHours', 'breakHours', 'unscheduledHours', 'hoursOverSchedule', 'lateCount', 'lateMinutes', 'leftEarlyCount', 'missedShifts', 'openRecords']
+        .reduce((sum, field) => ({ ...sum, [field]: round2(rows.reduce((total, row) => total + row[field], 0)) }), {});
+
+    return { employees: rows, totals };
+};
+
+module.exports = {
+    reconcile,
+    findOpenRecord,
+    clockIn,
+    clockOut,
+    startBreak,
+    endBreak,
+    flagAttendanceIssues,
+    monthRange,
+    getMonthlyReport
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+
+// First entry in the chain points at this instead of a previous hash
+const GENESIS_HASH = '0'.repeat(64);
+
+const auditStorage = new AsyncLocalStorage();
+
+// Request details for the write in progress, or undefined outside a request
+const getAuditContext = () => auditStorage.getStore();
+
+const runWithAuditContext = (context, callback) => auditStorage.run(context, callback);
+
+// JSON with sorted keys, so the same entry always hashes the same way
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+const computeHash = (entry) => {
+    const payload = stableStringify({
+        seq: entry.seq,
+        prevHash: entry.prevHash,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        actor: entry.actor ? entry.actor.toString() : null,
+        actorRole: entry.actorRole || null,
+        ip: entry.ip || null,
+        userAgent: entry.userAgent || null,
+        requestId: entry.requestId || null,
+        method: entry.method || null,
+        path: entry.path || null,
+        entity: entry.entity,
+        entityId: entry.entityId,
+        action: entry.action,
+        changes: (entry.changes || []).map(change => ({
+            path: change.path,
+            before: change.before,
+            after: change.after
+        }))
+    });
+
+    return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+// Plain JSON copy of a document: ObjectIds and dates become strings
+const toSnapshot = (value) => value ? JSON.parse(JSON.stringify(value)) : null;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const flatten = (value, prefix = '', result = {}) => {
+    Object.keys(value || {}).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value[key]) && Object.keys(value[key]).length > 0) {
+            flatten(value[key], path, result);
+        } else {
+            result[path] = value[key];
+        }
+    });
+    return result;
+};
+
+const matchesPath = (path, paths) => paths.some(item => path === item || path.startsWith(`${item}.`));
+
+// Field-level changes between two snapshots. Arrays are compared whole.
+// `ignore` paths are dropped and `redact` paths are recorded without values.
+const diffSnapshots = (before, after, { ignore = [], redact = [] } = {}) => {
+    const flatBefore = flatten(before);
+    const flatAfter = flatten(after);
+    const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+    return paths
+        .filter(path => !matchesPath(path, ignore))
+        .filter(path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+        .map(path => {
+            if (matchesPath(path, redact)) {
+                return { path, before: '[redacted]', after: '[redacted]' };
+            }
+            return { path, before: flatBefore[path], after: flatAfter[path] };
+        });
+};
+
+// Appends run one at a time in this process; the unique `seq` index stops
+// two processes from both extending the chain from the same entry
+let appendQueue = Promise.resolve();
+
+const appendEntry = async (data) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+
+        const entry = {
+            ...data,
+            seq: last ? last.seq + 1 : 1,
+            prevHash: last ? last.hash : GENESIS_HASH,
+            createdAt: new Date()
+        };
+        entry.hash = computeHash(entry);
+
+        try {
+            return await AuditLog.create(entry);
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    throw new Error('Could not append to the audit log');
+};
+
+// Record a change made during the current request. Writes outside a request
+// (scripts, scheduled jobs) and writes that change nothing are skipped.
+const recordAudit = ({ entity, entityId, action, changes }) => {
+    const context = getAuditContext();
+    if (!context || changes.length === 0) {
+        return Promise.resolve(null);
+    }
+
+    const { req } = context;
+    const data = {
+        actor: req.user ? req.user._id : undefined,
+        actorRole: req.user ? req.user.role : 'anonymous',
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        requestId: context.requestId,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        entity,
+        entityId: entityId.toString(),
+        action,
+        changes
+    };
+
+    const result = appendQueue.then(() => appendEntry(data));
+    appendQueue = result.catch(() => {});
+
+    return result.catch(error => {
+        console.error('Audit log error:', error);
+        return null;
+    });
+};
+
+// Walk the chain in order and report the first entry that doesn't check out
+const verifyAuditChain = async () => {
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let checked = 0;
+
+    const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+
+    for await (const entry of cursor) {
+        let problem = null;
+        if (entry.seq !== expectedSeq) {
+            problem = `Expected entry ${expectedSeq} but found ${entry.seq}`;
+        } else if (entry.prevHash !== prevHash) {
+            problem = 'Previous hash does not match';
+        } else if (computeHash(entry) !== entry.hash) {
+            problem = 'Entry contents do not match its hash';
+        }
+
+        if (problem) {
+            await cursor.close();
+            return { valid: false, checked, brokenAt: { seq: entry.seq, id: entry._id, problem } };
+        }
+
+        prevHash = entry.hash;
+        expectedSeq = entry.seq + 1;
+        checked++;
+    }
+
+    return { valid: true, checked, lastHash: prevHash };
+};
+
+module.exports = {
+    getAuditContext,
+    runWithAuditContext,
+    toSnapshot,
+    diffSnapshots,
+    computeHash,
+    recordAudit,
+    verifyAuditChain
+};
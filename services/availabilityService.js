@@ -0,0 +1,225 @@
+const Room = require('../models/Room');
+const Booking = require('../models/Booking');
+const WorkOrder = require('../models/WorkOrder');
+
+// Booking statuses that hold a room for their dates
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'checked-in'];
+
+// How long a room stays locked while a booking for it is being written
+const RESERVATION_LOCK_MS = 15 * 1000;
+
+// Parse and validate a stay's check-in/check-out dates
+const parseStayDates = (checkInDate, checkOutDate) => {
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+
+    if (!checkInDate || !checkOutDate || isNaN(checkIn.getTime()) || isNaN(checkOut.getTime())) {
+        return { valid: false, error: 'Valid check-in and check-out dates are required' };
+    }
+
+    if (checkOut <= checkIn) {
+        return { valid: false, error: 'Check-out date must be after check-in date' };
+    }
+
+    return { valid: true, checkIn, checkOut };
+};
+
+// Two stays overlap when each one starts before the other ends
+const overlapQuery = (checkIn, checkOut) => ({
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    checkInDate: { $lt: checkOut },
+    checkOutDate: { $gt: checkIn }
+});
+
+// Find bookings that overlap the given stay for any of the rooms
+const findConflictingBookings = (roomIds, checkIn, checkOut, excludeBookingId = null) => {
+    const query = {
+        room: { $in: roomIds },
+        ...overlapQuery(checkIn, checkOut)
+    };
+
+    if (excludeBookingId) {
+        query._id = { $ne: excludeBookingId };
+    }
+
+    return Booking.find(query).select('room checkInDate checkOutDate status bookingNumber');
+};
+
+// Rooms (of those given) that a work order takes out of order during the stay
+const findOutOfOrderRoomIds = (roomIds, checkIn, checkOut) => {
+    return WorkOrder.distinct('room', {
+        room: { $in: roomIds },
+        status: { $ne: 'cancelled' },
+        'outOfOrder.from': { $lt: checkOut },
+        'outOfOrder.to': { $gt: checkIn }
+    });
+};
+
+// Check whether a room can physically take a stay (ignores other bookings)
+const checkRoomBookable = (room, guests = 1) => {
+    if (!room.isAvailable) {
+        return { bookable: false, reason: 'Room is not available for booking' };
+    }
+
+    if (room.maintenanceStatus === 'out_of_order') {
+        return { bookable: false, reason: 'Room is out of order' };
+    }
+
+    if (guests > room.maxOccupancy) {
+        return { bookable: false, reason: `Room allows a maximum of ${room.maxOccupancy} guests` };
+    }
+
+    return { bookable: true };
+};
+
+// Check a single room for a stay, including overlapping bookings
+const isRoomAvailable = async (room, checkIn, checkOut, { guests = 1, excludeBookingId = null } = {}) => {
+    const bookable = checkRoomBookable(room, guests);
+    if (!bookable.bookable) {
+        return { available: false, reason: bookable.reason };
+    }
+
+    const outOfOrder = await findOutOfOrderRoomIds([room._id], checkIn, checkOut);
+    if (outOfOrder.length > 0) {
+        return { available: false, reason: 'Room is out of order for the selected dates' };
+    }
+
+    const conflicts = await findConflictingBookings([room._id], checkIn, checkOut, excludeBookingId);
+    if (conflicts.length > 0) {
+        return { available: false, reason: 'Room is already booked for the selected dates', conflicts };
+    }
+
+    return { available: true };
+};
+
+// Search rooms that are free for the whole stay and fit the party
+const searchAvailableRooms = async ({ checkIn, checkOut, adults = 1, children = 0, category = null }) => {
+    const guests = adults + children;
+
+    const filter = {
+        isAvailable: true,
+        maintenanceStatus: { $ne: 'out_of_order' },
+        maxOccupancy: { $gte: guests }
+    };
+    if (category) filter.category = category;
+
+    const rooms = await Room.find(filter)
+        .populate('category', 'name description basePrice rateRules')
+        .sort({ price: 1, floor: 1, roomNumber: 1 });
+
+    if (rooms.length === 0) {
+        return [];
+    }
+
+    const roomIds = rooms.map(room => room._id);
+    const [conflicts, outOfOrder] = await Promise.all([
+        findConflictingBookings(roomIds, checkIn, checkOut),
+        findOutOfOrderRoomIds(roomIds, checkIn, checkOut)
+    ]);
+    const unavailableRoomIds = new Set([
+        ...conflicts.map(booking => booking.room.toString()),
+        ...outOfOrder.map(roomId => roomId.toString())
+    ]);
+
+    return rooms.filter(room => !unavailableRoomIds.has(room._id.toString()));
+};
+
+// Start of each night of a stay, from check-in up to (not including) check-out
+const getStayNights = (checkIn, checkOut) => {
+    const nights = [];
+    const night = new Date(checkIn);
+
+    while (night < checkOut) {
+        nights.push(new Date(night));
+        night.setDate(night.getDate() + 1);
+    }
+
+    return nights;
+};
+
+// Percentage of bookable rooms (optionally within a category) already booked each night
+const getNightlyOccupancy = async ({ checkIn, checkOut, category = null }) => {
+    const roomFilter = { isAvailable: true };
+    if (category) roomFilter.category = category;
+
+    const roomIds = await Room.find(roomFilter).distinct('_id');
+    const nights = getStayNights(checkIn, checkOut);
+
+    if (roomIds.length === 0) {
+        return nights.map(date => ({ date, occupancyPercentage: 0 }));
+    }
+
+    const bookings = await findConflictingBookings(roomIds, checkIn, checkOut);
+
+    return nights.map(date => {
+        const booked = bookings.filter(booking =>
+            booking.checkInDate <= date && booking.checkOutDate > date
+        ).length;
+
+        return {
+            date,
+            occupancyPercentage: Math.round((booked / roomIds.length) * 100)
+        };
+    });
+};
+
+// Take a short-lived lock on a room so only one booking for it is written at a time
+const acquireRoomLock = async (roomId) => {
+    const now = new Date();
+
+    return Room.findOneAndUpdate(
+        {
+            _id: roomId,
+            $or: [
+                { reservationLockedUntil: { $exists: false } },
+                { reservationLockedUntil: null },
+                { reservationLockedUntil: { $lte: now } }
+            ]
+        },
+        { $set: { reservationLockedUntil: new Date(now.getTime() + RESERVATION_LOCK_MS) } },
+        { new: true }
+    );
+};
+
+const releaseRoomLock = (roomId) => {
+    return Room.updateOne({ _id: roomId }, { $unset: { reservationLockedUntil: 1 } });
+};
+
+// Re-check availability and run `write` while holding the room lock, so that
+// two requests for overlapping stays can't both pass the check
+const reserveRoom = async (roomId, checkIn, checkOut, options, write) => {
+    const room = await acquireRoomLock(roomId);
+
+    if (!room) {
+        const exists = await Room.exists({ _id: roomId });
+        return exists
+            ? { reserved: false, status: 409, error: 'Room is being booked by another guest, please try again' }
+            : { reserved: false, status: 404, error: 'Room not found' };
+    }
+
+    try {
+        const availability = await isRoomAvailable(room, checkIn, checkOut, options);
+        if (!availability.available) {
+            return { reserved: false, status: 409, error: availability.reason };
+        }
+
+        const result = await write(room);
+        return { reserved: true, room, result };
+    } finally {
+        await releaseRoomLock(roomId);
+    }
+};
+
+module.exports = {
+    ACTIVE_BOOKING_STATUSES,
+    parseStayDates,
+    overlapQuery,
+    findConflictingBookings,
+    findOutOfOrderRoomIds,
+    checkRoomBookable,
+    isRoomAvailable,
+    searchAvailableRooms,
+    getStayNights,
+    getNightlyOccupancy,
+    reserveRoom
+};
@@ -0,0 +1,99 @@
+const Package = require('../models/Package');
+const Room = require('../models/Room');
+const RoomCategory = require('../models/RoomCategory');
+
+// Used when neither the package nor the room category defines a policy:
+// full refund up to 7 days before check-in, 50% up to 48 hours, none after
+const DEFAULT_CANCELLATION_POLICY = {
+    name: 'Standard',
+    tiers: [
+        { hoursBeforeCheckIn: 168, refundPercentage: 100 },
+        { hoursBeforeCheckIn: 48, refundPercentage: 50 }
+    ],
+    nonRefundable: false
+};
+
+const hasRules = (policy) => !!policy && (policy.nonRefundable || (policy.tiers && policy.tiers.length > 0));
+
+const toPlainPolicy = (policy) => ({
+    name: policy.name,
+    tiers: (policy.tiers || []).map(tier => ({
+        hoursBeforeCheckIn: tier.hoursBeforeCheckIn,
+        refundPercentage: tier.refundPercentage
+    })),
+    nonRefundable: !!policy.nonRefundable
+});
+
+// Pick the policy for a stay: package rules win over room category rules
+const resolveCancellationPolicy = ({ packageObj = null, roomCategory = null } = {}) => {
+    if (packageObj && hasRules(packageObj.cancellationRules)) {
+        return { source: 'package', policy: toPlainPolicy(packageObj.cancellationRules) };
+    }
+
+    if (roomCategory && hasRules(roomCategory.cancellationRules)) {
+        return { source: 'room-category', policy: toPlainPolicy(roomCategory.cancellationRules) };
+    }
+
+    return { source: 'default', policy: toPlainPolicy(DEFAULT_CANCELLATION_POLICY) };
+};
+
+// Policy for a booking: the snapshot taken at booking time, or the live rules
+// for bookings made before policies were recorded
+const getBookingCancellationPolicy = async (booking) => {
+    if (hasRules(booking.cancellationPolicy)) {
+        return {
+            source: booking.cancellationPolicySource || 'default',
+            policy: toPlainPolicy(booking.cancellationPolicy)
+        };
+    }
+
+    const packageObj = booking.selectedPackage && booking.selectedPackage.id
+        ? await Package.findById(booking.selectedPackage.id)
+        : null;
+
+    const room = await Room.findById(booking.room).select('category');
+    const roomCategory = room ? await RoomCategory.findById(room.category) : null;
+
+    return resolveCancellationPolicy({ packageObj, roomCategory });
+};
+
+// Refund percentage a policy grants for a given notice period
+const getRefundPercentage = (policy, hoursBeforeCheckIn) => {
+    if (!policy || policy.nonRefundable) return 0;
+
+    const tier = [...(policy.tiers || [])]
+        .sort((a, b) => b.hoursBeforeCheckIn - a.hoursBeforeCheckIn)
+        .find(t => hoursBeforeCheckIn >= t.hoursBeforeCheckIn);
+
+    return tier ? tier.refundPercentage : 0;
+};
+
+// Work out what a cancellation right now (or at `cancelledAt`) refunds.
+// Only money actually collected and not yet refunded can be returned.
+const calculateRefund = (booking, policy, { cancelledAt = new Date(), refundPercentage = null } = {}) => {
+    const hoursBeforeCheckIn = Math.max(
+        0,
+        (new Date(booking.checkInDate).getTime() - cancelledAt.getTime()) / (1000 * 60 * 60)
+    );
+
+    const percentage = refundPercentage !== null
+        ? refundPercentage
+        : getRefundPercentage(policy, hoursBeforeCheckIn);
+
+    const refundable = Math.max(0, (booking.payment.paidAmount || 0) - (booking.payment.refundAmount || 0));
+    const refundAmount = Math.round(refundable * percentage) / 100;
+
+    return {
+        hoursBeforeCheckIn: Math.floor(hoursBeforeCheckIn),
+        refundPercentage: percentage,
+        refundAmount
+    };
+};
+
+module.exports = {
+    DEFAULT_CANCELLATION_POLICY,
+    resolveCancellationPolicy,
+    getBookingCancellationPolicy,
+    getRefundPercentage,
+    calculateRefund
+};
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const includesId = (ids, id) => !!id && ids.some(item => item.toString() === id.toString());
+
+// Validate a coupon code and work out its discount.
+// `context.type` is 'booking' or 'order'. Bookings pass `room` (with its
+// category) and `packageId`; orders pass `items` with `category` and `subtotal`.
+// Returns { valid, error } or { valid, coupon, discountAmount, eligibleAmount }.
+const evaluateCoupon = async (code, context) => {
+    const { user, type, amount, room = null, packageId = null, items = [] } = context;
+
+    if (!code || typeof code !== 'string') {
+        return { valid: false, error: 'Coupon code is required' };
+    }
+
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (!coupon || !coupon.isCurrentlyValid()) {
+        return { valid: false, error: 'Coupon is invalid or has expired' };
+    }
+
+    if (!coupon.scope.appliesTo.includes(type)) {
+        return { valid: false, error: `Coupon cannot be used for ${type === 'order' ? 'food orders' : 'room bookings'}` };
+    }
+
+    if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+        return { valid: false, error: 'Coupon usage limit has been reached' };
+    }
+
+    if (user && coupon.redemptionsByUser(user) >= coupon.perUserLimit) {
+        return { valid: false, error: 'You have already used this coupon' };
+    }
+
+    if (amount < coupon.minimumSpend) {
+        return { valid: false, error: `A minimum spend of ${coupon.minimumSpend} is required for this coupon` };
+    }
+
+    let eligibleAmount = amount;
+
+    if (type === 'booking') {
+        const { rooms, roomCategories, packages } = coupon.scope;
+        const roomId = room && room._id;
+        const categoryId = room && (room.category && room.category._id ? room.category._id : room.category);
+
+        if ((rooms.length > 0 || roomCategories.length > 0) &&
+            !includesId(rooms, roomId) && !includesId(roomCategories, categoryId)) {
+            return { valid: false, error: 'Coupon does not apply to this room' };
+        }
+
+        if (packages.length > 0 && !includesId(packages, packageId)) {
+            return { valid: false, error: 'Coupon does not apply to the selected package' };
+        }
+    }
+
+    if (type === 'order' && coupon.scope.menuCategories.length > 0) {
+        // Only items from the listed menu categories are discounted
+        eligibleAmount = items
+            .filter(item => includesId(coupon.scope.menuCategories, item.category))
+            .reduce((sum, item) => sum + item.subtotal, 0);
+
+        if (eligibleAmount <= 0) {
+            return { valid: false, error: 'Coupon does not apply to any items in this order' };
+        }
+    }
+
+    let discountAmount = coupon.discountType === 'percentage'
+        ? eligibleAmount * coupon.value / 100
+        : coupon.value;
+
+    if (coupon.discountType === 'percentage' && coupon.maxDiscountAmount) {
+        discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
+    }
+
+    discountAmount = roundMoney(Math.min(discountAmount, eligibleAmount));
+
+    return { valid: true, coupon, discountAmount, eligibleAmount: roundMoney(eligibleAmount) };
+};
+
+// Record a redemption, re-checking that the coupon is still active and in
+// date and the global and per-user caps in the same atomic update, so a
+// coupon that expires, is switched off or fills up after the quote isn't used
+const redeemCoupon = async (coupon, { user, booking = null, order = null, discountAmount }) => {
+    // $expr comparisons aren't cast by mongoose
+    const userId = new mongoose.Types.ObjectId(String(user));
+    const now = new Date();
+
+    const updated = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            isActive: true,
+            $expr: {
+                $and: [
+                    {
+                        $or: [
+                            { $eq: [{ $ifNull: ['$validFrom', null] }, null] },
+                            { $lte: ['$validFrom', now] }
+                        ]
+                    },
+                    {
+                        $or: [
+                            { $eq: [{ $ifNull: ['$validUntil', null] }, null] },
+                            { $gte: ['$validUntil', now] }
+                        ]
+                    },
+                    {
+                        $or: [
+                            { $eq: [{ $ifNull: ['$usageLimit', null] }, null] },
+                            { $lt: ['$usageCount', '$usageLimit'] }
+                        ]
+                    },
+                    {
+                        $lt: [
+                            {
+                                $size: {
+                                    $filter: {
+                                        input: '$redemptions',
+                                        cond: { $eq: ['$$this.user', userId] }
+                                    }
+                                }
+                            },
+                            '$perUserLimit'
+                        ]
+                    }
+                ]
+            }
+        },
+        {
+            $inc: { usageCount: 1 },
+            $push: {
+                redemptions: { user: userId, booking, order, discountAmount, redeemedAt: new Date() }
+            }
+        },
+        { new: true }
+    );
+
+    return !!updated;
+};
+
+// Give a redemption back, e.g. when the booking or order is cancelled
+const releaseCoupon = async (couponId, { booking = null, order = null }) => {
+    const match = booking ? { booking } : { order };
+
+    const result = await Coupon.updateOne(
+        { _id: couponId, redemptions: { $elemMatch: match } },
+        {
+            $inc: { usageCount: -1 },
+            $pull: { redemptions: match }
+        }
+    );
+
+    return result.modifiedCount > 0;
+};
+
+module.exports = {
+    evaluateCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
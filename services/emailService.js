@@ -1,19 +1,212 @@
-// Empty email service as requested
-// This is a placeholder for future email functionality
+const User = require('../models/User');
+const templates = require('./emailTemplates');
+const { getTransport } = require('./emailTransport');
+const { renderInvoicePdf } = require('./invoiceService');
+const { hotel } = require('../config/billing');
+
+// Links in account emails point at the guest-facing site
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const getFromAddress = () => process.env.EMAIL_FROM || `"${hotel.name}" <${hotel.email || 'no-reply@localhost'}>`;
+
+// Send a rendered email. Never throws: a failed notification must not fail
+// the request that triggered it.
+const sendEmail = async ({ to, subject, html, text, attachments, replyTo }) => {
+    try {
+        await getTransport().sendMail({
+            from: getFromAddress(),
+            to,
+            replyTo,
+            subject,
+            html,
+            text,
+            attachments
+        });
+        return true;
+    } catch (error) {
+        console.error(`Failed to send email "${subject}" to ${to}:`, error.message);
+        return false;
+    }
+};
+
+// Resolve a guest from a user document or id. Returns null when the guest
+// has turned off email notifications.
+const getRecipient = async (userOrId) => {
+    if (!userOrId) return null;
+
+    const user = userOrId.email
+        ? userOrId
+        : await User.findById(userOrId).select('firstName lastName email preferences');
+
+    if (!user || !user.email) return null;
+
+    const preferences = user.preferences || {};
+    if (preferences.notifications && preferences.notifications.email === false) {
+        return null;
+    }
+
+    return {
+        email: user.email,
+        name: user.firstName || user.email,
+        language: preferences.language || 'en'
+    };
+};
+
+const getRoomName = (room) => room && typeof room === 'object' && room.roomNumber
+    ? `${room.name || 'Room'} (${room.roomNumber})`
+    : null;
 
 const sendBookingConfirmation = async (booking, room) => {
-    // This function is intentionally empty
-    console.log('Email would be sent for booking:', booking.id);
-    return true;
+    const recipient = await getRecipient(booking.user);
+    if (!recipient) return false;
+
+    const email = templates.bookingConfirmation({
+        name: recipient.name,
+        bookingNumber: booking.bookingNumber,
+        roomName: getRoomName(room || booking.room),
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        numberOfNights: booking.numberOfNights,
+        guests: booking.numberOfGuests.adults + (booking.numberOfGuests.children || 0),
+        totalAmount: booking.pricing.totalAmount,
+        balanceDue: booking.getBalance()
+    }, recipient.language);
+
+    return sendEmail({ to: recipient.email, ...email });
+};
+
+const sendBookingCancellation = async (booking) => {
+    const recipient = await getRecipient(booking.user);
+    if (!recipient) return false;
+
+    const cancellation = booking.cancellation || {};
+    const email = templates.bookingCancellation({
+        name: recipient.name,
+        bookingNumber: booking.bookingNumber,
+        checkInDate: booking.checkInDate,
+        refundAmount: cancellation.refundAmount || 0,
+        refundStatus: cancellation.refundStatus
+    }, recipient.language);
+
+    return sendEmail({ to: recipient.email, ...email });
+};
+
+const sendCheckInReminder = async (booking) => {
+    const recipient = await getRecipient(booking.user);
+    if (!recipient) return false;
+
+    const email = templates.checkInReminder({
+        name: recipient.name,
+        bookingNumber: booking.bookingNumber,
+        roomName: getRoomName(booking.room),
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        balanceDue: booking.getBalance()
+    }, recipient.language);
+
+    return sendEmail({ to: recipient.email, ...email });
+};
+
+// Email an issued invoice with its PDF attached
+const sendInvoice = async (invoice) => {
+    const recipient = await getRecipient(invoice.customer.user || null);
+    if (!recipient) return false;
+
+    const pdf = await renderInvoicePdf(invoice);
+    const email = templates.invoice({
+        name: recipient.name,
+        invoiceNumber: invoice.invoiceNumber,
+        reference: invoice.reference,
+        totalAmount: invoice.totalAmount,
+        balanceDue: invoice.balanceDue
+    }, recipient.language);
+
+    return sendEmail({
+        to: recipient.email,
+        ...email,
+        attachments: [{
+            filename: `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`,
+            content: pdf,
+            contentType: 'application/pdf'
+        }]
+    });
+};
+
+const sendOrderStatusUpdate = async (order) => {
+    const recipient = await getRecipient(order.customerId);
+    if (!recipient) return false;
+
+    const email = templates.orderStatus({
+        name: recipient.name,
+        orderId: order.orderId,
+        status: order.status,
+        finalAmount: order.finalAmount,
+        estimatedDeliveryTime: ['delivered', 'cancelled'].includes(order.status) ? null : order.estimatedDeliveryTime
+    }, recipient.language);
+
+    return sendEmail({ to: recipient.email, ...email });
+};
+
+// Account emails go out regardless of notification preferences
+const sendPasswordReset = async (user, token) => {
+    const language = (user.preferences && user.preferences.language) || 'en';
+    const email = templates.passwordReset({
+        name: user.firstName,
+        url: `${getFrontendUrl()}/reset-password?token=${token}`
+    }, language);
+
+    return sendEmail({ to: user.email, ...email });
+};
+
+const sendEmailVerification = async (user, token) => {
+    const language = (user.preferences && user.preferences.language) || 'en';
+    const email = templates.emailVerification({
+        name: user.firstName,
+        url: `${getFrontendUrl()}/verify-email?token=${token}`
+    }, language);
+
+    return sendEmail({ to: user.email, ...email });
 };
 
+// Forward a contact form submission to the front office
 const sendContactFormNotification = async (contactData) => {
-    // This function is intentionally empty
-    console.log('Email would be sent for contact form from:', contactData.email);
-    return true;
+    const to = process.env.CONTACT_EMAIL || hotel.email || getFromAddress();
+    const email = templates.contactForm(contactData);
+
+    return sendEmail({ to, replyTo: contactData.email, ...email });
+};
+
+// Tell the responsible managers that a guest service request is overdue
+const sendServiceRequestEscalation = async (managers, { booking, request, kind }) => {
+    const to = managers.map(manager => manager.email).filter(Boolean);
+    if (to.length === 0) return null;
+
+    const guest = booking.user && typeof booking.user === 'object' ? booking.user : null;
+    const email = templates.serviceRequestEscalation({
+        kind,
+        type: request.type,
+        priority: request.priority,
+        description: request.description,
+        status: request.status,
+        requestDate: request.requestDate,
+        dueAt: kind === 'acknowledge' ? request.sla.acknowledgeDueAt : request.sla.resolveDueAt,
+        bookingNumber: booking.bookingNumber,
+        roomName: getRoomName(booking.room),
+        guestName: guest ? `${guest.firstName || ''} ${guest.lastName || ''}`.trim() : null
+    });
+
+    return sendEmail({ to: to.join(', '), ...email });
 };
 
 module.exports = {
+    sendEmail,
     sendBookingConfirmation,
-    sendContactFormNotification
+    sendBookingCancellation,
+    sendCheckInReminder,
+    sendInvoice,
+    sendOrderStatusUpdate,
+    sendPasswordReset,
+    sendEmailVerification,
+    sendContactFormNotification,
+    sendServiceRequestEscalation
 };
@@ -0,0 +1,401 @@
+const { hotel } = require('../config/billing');
+
+// Copy for each supported language. Missing keys fall back to English.
+const strings = {
+    en: {
+        locale: 'en-IN',
+        greeting: (name) => `Dear ${name},`,
+        closing: 'We look forward to welcoming you.',
+        signOff: 'Warm regards',
+        labels: {
+            bookingNumber: 'Booking number',
+            room: 'Room',
+            checkIn: 'Check-in',
+            checkOut: 'Check-out',
+            nights: 'Nights',
+            guests: 'Guests',
+            total: 'Total',
+            balanceDue: 'Balance due',
+            refund: 'Refund',
+            refundStatus: 'Refund status',
+            invoiceNumber: 'Invoice number',
+            order: 'Order',
+            status: 'Status',
+            estimatedTime: 'Estimated time'
+        },
+        bookingConfirmation: {
+            subject: (data) => `Your booking ${data.bookingNumber} is confirmed`,
+            intro: 'Thank you for booking with us. Your stay details are below.'
+        },
+        bookingCancellation: {
+            subject: (data) => `Booking ${data.bookingNumber} has been cancelled`,
+            intro: 'Your booking has been cancelled.',
+            refund: (amount) => `A refund of ${amount} is being processed.`,
+            noRefund: 'No refund is due under the cancellation policy.'
+        },
+        checkInReminder: {
+            subject: (data) => `See you soon - check-in on ${data.checkIn}`,
+            intro: 'This is a reminder that your stay begins soon.',
+            balance: (amount) => `The outstanding balance of ${amount} can be settled at the front desk.`
+        },
+        invoice: {
+            subject: (data) => `Invoice ${data.invoiceNumber}`,
+            intro: 'Thank you for staying with us. Your invoice is attached.'
+        },
+        orderStatus: {
+            subject: (data) => `Order ${data.orderId}: ${data.statusLabel}`,
+            intro: (label) => `The status of your order is now: ${label}.`
+        },
+        passwordReset: {
+            subject: 'Reset your password',
+            intro: 'We received a request to reset your password. Use the link below within the next hour.',
+            action: 'Reset password',
+            ignore: 'If you did not ask for this, you can ignore this email and your password will stay the same.'
+        },
+        emailVerification: {
+            subject: 'Verify your email address',
+            intro: 'Please confirm your email address using the link below. The link is valid for 24 hours.',
+            action: 'Verify email'
+        },
+        orderStatuses: {
+            pending: 'Pending',
+            confirmed: 'Confirmed',
+            preparing: 'Being prepared',
+            ready: 'Ready',
+            out_for_delivery: 'Out for delivery',
+            delivered: 'Delivered',
+            cancelled: 'Cancelled'
+        },
+        refundStatuses: {
+            succeeded: 'Completed',
+            pending: 'Processing',
+            manual: 'To be settled at the front desk',
+            none: 'Not applicable'
+        }
+    },
+    hi: {
+        locale: 'hi-IN',
+        greeting: (name) => `प्रिय ${name},`,
+        closing: 'हम आपके स्वागत की प्रतीक्षा कर रहे हैं।',
+        signOff: 'सादर',
+        labels: {
+            bookingNumber: 'बुकिंग संख्या',
+            room: 'कमरा',
+            checkIn: 'चेक-इन',
+            checkOut: 'चेक-आउट',
+            nights: 'रातें',
+            guests: 'मेहमान',
+            total: 'कुल राशि',
+            balanceDue: 'बकाया राशि',
+            refund: 'रिफंड',
+            refundStatus: 'रिफंड की स्थिति',
+            invoiceNumber: 'इनवॉइस संख्या',
+            order: 'ऑर्डर',
+            status: 'स्थिति',
+            estimatedTime: 'अनुमानित समय'
+        },
+        bookingConfirmation: {
+            subject: (data) => `आपकी बुकिंग ${data.bookingNumber} की पुष्टि हो गई है`,
+            intro: 'हमारे साथ बुकिंग करने के लिए धन्यवाद। आपके ठहरने का विवरण नीचे है।'
+        },
+        bookingCancellation: {
+            subject: (data) => `बुकिंग ${data.bookingNumber} रद्द कर दी गई है`,
+            intro: 'आपकी बुकिंग रद्द कर दी गई है।',
+            refund: (amount) => `${amount} का रिफंड प्रक्रिया में है।`,
+            noRefund: 'रद्दीकरण नीति के अनुसार कोई रिफंड देय नहीं है।'
+        },
+        checkInReminder: {
+            subject: (data) => `जल्द मिलते हैं - ${data.checkIn} को चेक-इन`,
+            intro: 'यह याद दिलाने के लिए है कि आपका ठहराव जल्द शुरू हो रहा है।',
+            balance: (amount) => `${amount} की बकाया राशि फ्रंट डेस्क पर चुकाई जा सकती है।`
+        },
+        invoice: {
+            subject: (data) => `इनवॉइस ${data.invoiceNumber}`,
+            intro: 'हमारे साथ ठहरने के लिए धन्यवाद। आपका इनवॉइस संलग्न है।'
+        },
+        orderStatus: {
+            subject: (data) => `ऑर्डर ${data.orderId}: ${data.statusLabel}`,
+            intro: (label) => `आपके ऑर्डर की स्थिति: ${label}`
+        },
+        passwordReset: {
+            subject: 'अपना पासवर्ड रीसेट करें',
+            intro: 'हमें आपका पासवर्ड रीसेट करने का अनुरोध मिला है। अगले एक घंटे के भीतर नीचे दिए गए लिंक का उपयोग करें।',
+            action: 'पासवर्ड रीसेट करें',
+            ignore: 'यदि आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें। आपका पासवर्ड नहीं बदलेगा।'
+        },
+        emailVerification: {
+            subject: 'अपना ईमेल पता सत्यापित करें',
+            intro: 'कृपया नीचे दिए गए लिंक से अपने ईमेल पते की पुष्टि करें। यह लिंक 24 घंटे तक मान्य है।',
+            action: 'ईमेल सत्यापित करें'
+        },
+        orderStatuses: {
+            pending: 'लंबित',
+            confirmed: 'पुष्टि हो गई',
+            preparing: 'तैयार किया जा रहा है',
+            ready: 'तैयार',
+            out_for_delivery: 'डिलीवरी के लिए निकला',
+            delivered: 'डिलीवर हो गया',
+            cancelled: 'रद्द'
+        },
+        refundStatuses: {
+            succeeded: 'पूर्ण',
+            pending: 'प्रक्रिया में',
+            manual: 'फ्रंट डेस्क पर निपटाया जाएगा',
+            none: 'लागू नहीं'
+        }
+    }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(strings);
+
+// Strings for a language, filling gaps from English
+const getStrings = (language) => {
+    const base = strings.en;
+    const selected = strings[language] || base;
+
+    const merged = { ...base };
+    Object.keys(selected).forEach(key => {
+        merged[key] = typeof base[key] === 'object' && !Array.isArray(base[key])
+            ? { ...base[key], ...selected[key] }
+            : selected[key];
+    });
+    return merged;
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatMoney = (amount) => `₹${(amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date, t) => date
+    ? new Date(date).toLocaleDateString(t.locale, { day: 'numeric', month: 'short', year: 'numeric' })
+    : '';
+
+// Render the shared layout as HTML and plain text.
+// `details` is a list of [label, value] rows shown as a table and `action`
+// an optional { label, url } button.
+const renderLayout = ({ t, subject, name, paragraphs = [], details = [], action = null, closing = null }) => {
+    const rows = details.filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+    const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#333;">
+<table width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#fff;border-radius:6px;">
+<tr><td style="padding:24px;background:#1f2d3d;color:#fff;font-size:20px;font-weight:bold;border-radius:6px 6px 0 0;">${escapeHtml(hotel.name)}</td></tr>
+<tr><td style="padding:24px;">
+${name ? `<p>${escapeHtml(t.greeting(name))}</p>` : ''}
+${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n')}
+${rows.length > 0 ? `<table cellpadding="6" cellspacing="0" style="width:100%;border-collapse:collapse;margin:16px 0;">
+${rows.map(([label, value]) => `<tr><td style="border-bottom:1px solid #eee;color:#777;">${escapeHtml(label)}</td><td style="border-bottom:1px solid #eee;text-align:right;">${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>` : ''}
+${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#1f2d3d;color:#fff;padding:12px 20px;border-radius:4px;text-decoration:none;">${escapeHtml(action.label)}</a></p>` : ''}
+${closing ? `<p>${escapeHtml(closing)}</p>` : ''}
+<p>${escapeHtml(t.signOff)},<br>${escapeHtml(hotel.name)}</p>
+</td></tr>
+<tr><td style="padding:16px 24px;font-size:12px;color:#999;">${escapeHtml([hotel.address, hotel.phone, hotel.email].filter(Boolean).join(' | '))}</td></tr>
+</table>
+</body>
+</html>`;
+
+    const text = [
+        name ? t.greeting(name) : null,
+        ...paragraphs,
+        rows.length > 0 ? rows.map(([label, value]) => `${label}: ${value}`).join('\n') : null,
+        action ? `${action.label}: ${action.url}` : null,
+        closing,
+        `${t.signOff},\n${hotel.name}`
+    ].filter(Boolean).join('\n\n');
+
+    return { subject, html, text };
+};
+
+const bookingConfirmation = (data, language) => {
+    const t = getStrings(language);
+    const checkIn = formatDate(data.checkInDate, t);
+
+    return renderLayout({
+        t,
+        subject: t.bookingConfirmation.subject({ ...data, checkIn }),
+        name: data.name,
+        paragraphs: [t.bookingConfirmation.intro],
+        details: [
+            [t.labels.bookingNumber, data.bookingNumber],
+            [t.labels.room, data.roomName],
+            [t.labels.checkIn, checkIn],
+            [t.labels.checkOut, formatDate(data.checkOutDate, t)],
+            [t.labels.nights, data.numberOfNights],
+            [t.labels.guests, data.guests],
+            [t.labels.total, formatMoney(data.totalAmount)],
+            [t.labels.balanceDue, formatMoney(data.balanceDue)]
+        ],
+        closing: t.closing
+    });
+};
+
+const bookingCancellation = (data, language) => {
+    const t = getStrings(language);
+    const refundStatus = data.refundStatus || 'none';
+
+    return renderLayout({
+        t,
+        subject: t.bookingCancellation.subject(data),
+        name: data.name,
+        paragraphs: [
+            t.bookingCancellation.intro,
+            data.refundAmount > 0
+                ? t.bookingCancellation.refund(formatMoney(data.refundAmount))
+                : t.bookingCancellation.noRefund
+        ],
+        details: [
+            [t.labels.bookingNumber, data.bookingNumber],
+            [t.labels.checkIn, formatDate(data.checkInDate, t)],
+            [t.labels.refund, data.refundAmount > 0 ? formatMoney(data.refundAmount) : null],
+            [t.labels.refundStatus, data.refundAmount > 0 ? t.refundStatuses[refundStatus] : null]
+        ]
+    });
+};
+
+const checkInReminder = (data, language) => {
+    const t = getStrings(language);
+    const checkIn = formatDate(data.checkInDate, t);
+
+    return renderLayout({
+        t,
+        subject: t.checkInReminder.subject({ ...data, checkIn }),
+        name: data.name,
+        paragraphs: [
+            t.checkInReminder.intro,
+            data.balanceDue > 0 ? t.checkInReminder.balance(formatMoney(data.balanceDue)) : null
+        ].filter(Boolean),
+        details: [
+            [t.labels.bookingNumber, data.bookingNumber],
+            [t.labels.room, data.roomName],
+            [t.labels.checkIn, checkIn],
+            [t.labels.checkOut, formatDate(data.checkOutDate, t)]
+        ],
+        closing: t.closing
+    });
+};
+
+const invoice = (data, language) => {
+    const t = getStrings(language);
+
+    return renderLayout({
+        t,
+        subject: t.invoice.subject(data),
+        name: data.name,
+        paragraphs: [t.invoice.intro],
+        details: [
+            [t.labels.invoiceNumber, data.invoiceNumber],
+            [t.labels.bookingNumber, data.reference],
+            [t.labels.total, formatMoney(data.totalAmount)],
+            [t.labels.balanceDue, formatMoney(data.balanceDue)]
+        ]
+    });
+};
+
+const orderStatus = (data, language) => {
+    const t = getStrings(language);
+    const statusLabel = t.orderStatuses[data.status] || data.status;
+
+    return renderLayout({
+        t,
+        subject: t.orderStatus.subject({ ...data, statusLabel }),
+        name: data.name,
+        paragraphs: [t.orderStatus.intro(statusLabel)],
+        details: [
+            [t.labels.order, data.orderId],
+            [t.labels.status, statusLabel],
+            [t.labels.total, formatMoney(data.finalAmount)],
+            [t.labels.estimatedTime, data.estimatedDeliveryTime
+                ? new Date(data.estimatedDeliveryTime).toLocaleTimeString(t.locale, { hour: '2-digit', minute: '2-digit' })
+                : null]
+        ]
+    });
+};
+
+const passwordReset = (data, language) => {
+    const t = getStrings(language);
+
+    return renderLayout({
+        t,
+        subject: t.passwordReset.subject,
+        name: data.name,
+        paragraphs: [t.passwordReset.intro],
+        action: { label: t.passwordReset.action, url: data.url },
+        closing: t.passwordReset.ignore
+    });
+};
+
+const emailVerification = (data, language) => {
+    const t = getStrings(language);
+
+    return renderLayout({
+        t,
+        subject: t.emailVerification.subject,
+        name: data.name,
+        paragraphs: [t.emailVerification.intro],
+        action: { label: t.emailVerification.action, url: data.url }
+    });
+};
+
+// Internal alert for the front office, always in English
+const contactForm = (data) => {
+    const t = getStrings('en');
+
+    return renderLayout({
+        t,
+        subject: `Contact form: ${data.subject || 'New enquiry'}`,
+        paragraphs: [`New message from ${data.name || 'a guest'}:`, data.message].filter(Boolean),
+        details: [
+            ['Name', data.name],
+            ['Email', data.email],
+            ['Phone', data.phone],
+            ['Subject', data.subject]
+        ]
+    });
+};
+
+// Internal alert to department managers when a guest request misses its SLA
+const serviceRequestEscalation = (data) => {
+    const t = getStrings('en');
+    const missed = data.kind === 'acknowledge' ? 'has not been picked up' : 'has not been resolved';
+
+    return renderLayout({
+        t,
+        subject: `Service request overdue: ${data.type} (${data.priority}) - Room ${data.roomName || 'n/a'}`,
+        paragraphs: [
+            `A ${data.priority} ${data.type} request ${missed} within its SLA.`,
+            data.description
+        ].filter(Boolean),
+        details: [
+            ['Booking', data.bookingNumber],
+            ['Room', data.roomName],
+            ['Guest', data.guestName],
+            ['Requested', data.requestDate ? new Date(data.requestDate).toLocaleString('en-GB') : null],
+            ['Due', data.dueAt ? new Date(data.dueAt).toLocaleString('en-GB') : null],
+            ['Status', data.status]
+        ]
+    });
+};
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    getStrings,
+    bookingConfirmation,
+    bookingCancellation,
+    checkInReminder,
+    invoice,
+    orderStatus,
+    passwordReset,
+    emailVerification,
+    contactForm,
+    serviceRequestEscalation
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Messages captured by the 'memory' transport, newest last
+const sentEmails = [];
+
+let activeTransport = null;
+
+// Writes each message as an .eml file, handy for previewing templates locally
+const createFileTransport = () => {
+    const outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../logs/outbox');
+    const streamer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        sendMail: async (message) => {
+            const info = await streamer.sendMail(message);
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+
+            const filename = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`;
+            await fs.promises.writeFile(path.join(outboxDir, filename), info.message);
+
+            return { ...info, path: path.join(outboxDir, filename) };
+        }
+    };
+};
+
+// Keeps messages in `sentEmails` for tests and scripts
+const createMemoryTransport = () => ({
+    sendMail: async (message) => {
+        const messageId = `<${Date.now()}.${sentEmails.length}@memory>`;
+        sentEmails.push({ ...message, messageId, sentAt: new Date() });
+        return { messageId };
+    }
+});
+
+// Logs instead of sending; the default when no SMTP server is configured
+const createConsoleTransport = () => ({
+    sendMail: async (message) => {
+        console.log(`Email to ${message.to}: ${message.subject}`);
+        return { messageId: `<${Date.now()}@console>` };
+    }
+});
+
+const createSmtpTransport = () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    } : undefined
+});
+
+// Build a transport by name: smtp, file, memory or console
+const createTransport = (type) => {
+    switch (type) {
+        case 'smtp':
+            return createSmtpTransport();
+        case 'file':
+            return createFileTransport();
+        case 'memory':
+            return createMemoryTransport();
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown email transport: ${type}`);
+    }
+};
+
+const getTransport = () => {
+    if (!activeTransport) {
+        const type = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+        activeTransport = createTransport(type);
+    }
+    return activeTransport;
+};
+
+// Swap in a transport by name or any object with a sendMail(message) method
+const setTransport = (transport) => {
+    activeTransport = typeof transport === 'string' ? createTransport(transport) : transport;
+    return activeTransport;
+};
+
+const getSentEmails = () => sentEmails;
+
+const clearSentEmails = () => {
+    sentEmails.length = 0;
+};
+
+module.exports = {
+    createTransport,
+    getTransport,
+    setTransport,
+    getSentEmails,
+    clearSentEmails
+};
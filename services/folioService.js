@@ -0,0 +1,253 @@
+const Order = require('../models/Order');
+const { applyTaxBreakdown, applyOrderTaxBreakdown } = require('./taxService');
+const { BILLABLE_STATUSES } = require('./orderService');
+const { sacCodes } = require('../config/billing');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Shape a taxed line from taxService into an invoice line
+const toFolioLine = (line) => {
+    const netAmount = line.netAmount;
+    const exclusiveTax = line.mode === 'exclusive' ? line.taxAmount : 0;
+
+    return {
+        lineType: line.lineType,
+        description: line.description,
+        date: line.date,
+        sacCode: sacCodes[line.lineType] || '',
+        quantity: line.quantity || 1,
+        unitAmount: roundMoney(line.unitAmount !== undefined ? line.unitAmount : line.amount),
+        amount: roundMoney(line.amount),
+        discountAmount: roundMoney(line.amount - netAmount),
+        taxableAmount: roundMoney(line.taxableAmount),
+        taxRate: line.rate,
+        taxMode: line.mode,
+        cgst: roundMoney(line.cgst),
+        sgst: roundMoney(line.sgst),
+        igst: roundMoney(line.igst),
+        taxAmount: roundMoney(line.taxAmount),
+        total: roundMoney(netAmount + exclusiveTax)
+    };
+};
+
+const formatAddress = (address) => {
+    if (!address) return '';
+    return [address.street, address.city, address.state, address.zipCode, address.country]
+        .filter(Boolean)
+        .join(', ');
+};
+
+// Payments and refunds recorded against a booking
+const getBookingPayments = (booking) => {
+    const toEntry = (entry) => ({
+        date: entry.recordedAt,
+        method: entry.method,
+        reference: entry.refundId || entry.reference || entry.paymentIntentId,
+        amount: entry.amount
+    });
+
+    const entries = booking.getPaymentEntries();
+
+    return {
+        payments: entries.filter(entry => entry.kind === 'payment').map(toEntry),
+        refunds: entries.filter(entry => entry.kind === 'refund').map(toEntry)
+    };
+};
+
+const getOrderPayments = (order) => {
+    const paid = ['completed', 'refunded'].includes(order.paymentStatus);
+
+    const payments = paid ? [{
+        date: order.updatedAt,
+        method: order.paymentMethod,
+        reference: order.stripePaymentId || order.paymentIntentId,
+        amount: order.finalAmount
+    }] : [];
+
+    const refunds = order.paymentStatus === 'refunded' ? [{
+        date: order.updatedAt,
+        reference: order.stripePaymentId || order.paymentIntentId,
+        amount: order.finalAmount
+    }] : [];
+
+    return { payments, refunds };
+};
+
+const summarise = ({ lines, breakdown, discountAmount, payments, refunds }) => {
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+    const taxAmount = roundMoney(breakdown.reduce((sum, group) => sum + group.taxAmount, 0));
+    const totalAmount = roundMoney(lines.reduce((sum, line) => sum + line.total, 0));
+    const amountPaid = roundMoney(payments.reduce((sum, entry) => sum + entry.amount, 0));
+    const amountRefunded = roundMoney(refunds.reduce((sum, entry) => sum + entry.amount, 0));
+
+    return {
+        lines,
+        taxBreakdown: breakdown,
+        subtotal,
+        discountAmount: roundMoney(discountAmount),
+        taxAmount,
+        totalAmount,
+        payments,
+        refunds,
+        amountPaid,
+        amountRefunded,
+        balanceDue: roundMoney(totalAmount - amountPaid + amountRefunded)
+    };
+};
+
+// Add up tax breakdown rows for the same line type, rate and mode
+const mergeBreakdowns = (...breakdowns) => {
+    const groups = {};
+    breakdowns.flat().forEach(group => {
+        const key = `${group.lineType}|${group.rate}|${group.mode}|${group.supplyType}`;
+        if (!groups[key]) {
+            groups[key] = { ...group, taxableAmount: 0, cgst: 0, sgst: 0, igst: 0, taxAmount: 0 };
+        }
+        ['taxableAmount', 'cgst', 'sgst', 'igst', 'taxAmount'].forEach(field => {
+            groups[key][field] = roundMoney(groups[key][field] + group[field]);
+        });
+    });
+    return Object.values(groups);
+};
+
+// Food orders charged to a stay, each taxed as stored when it was placed so
+// the folio matches what the guest was charged
+const loadRoomCharges = async (bookingId) => {
+    const orders = await Order.find({
+        booking: bookingId,
+        paymentMethod: 'room_charge',
+        status: { $in: BILLABLE_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    const lines = [];
+    const breakdowns = [];
+
+    for (const order of orders) {
+        const taxes = applyOrderTaxBreakdown({
+            items: order.items,
+            deliveryFee: order.deliveryFee,
+            discountAmount: order.discountAmount || 0
+        }, order.taxBreakdown);
+
+        taxes.lines.forEach(line => lines.push({
+            ...line,
+            description: `${line.description} (order ${order.orderId})`,
+            date: order.createdAt
+        }));
+        breakdowns.push(taxes.breakdown);
+    }
+
+    return { lines, breakdown: mergeBreakdowns(...breakdowns) };
+};
+
+// Everything billed on a stay, taxed as stored on the booking when it was
+// last priced. `booking` should have `user` and `room` populated for the
+// guest and room details; `roomCharges` comes from loadRoomCharges().
+const buildBookingFolio = (booking, roomCharges = { lines: [], breakdown: [] }) => {
+    const discountAmount = booking.pricing.discountAmount || 0;
+    const stayTaxes = applyTaxBreakdown(booking.getChargeLines(), booking.pricing.taxBreakdown, { discountAmount });
+    const taxes = {
+        lines: [...stayTaxes.lines, ...roomCharges.lines],
+        breakdown: mergeBreakdowns(stayTaxes.breakdown, roomCharges.breakdown)
+    };
+    const user = booking.user && booking.user.email ? booking.user : null;
+
+    return {
+        type: 'booking',
+        booking: booking._id,
+        reference: booking.bookingNumber,
+        customer: {
+            user: user ? user._id : booking.user,
+            name: user ? `${user.firstName} ${user.lastName}` : '',
+            email: user ? user.email : '',
+            phone: user ? user.phone : '',
+            address: user ? formatAddress(user.address) : ''
+        },
+        stay: {
+            roomNumber: booking.room && booking.room.roomNumber,
+            checkInDate: booking.actualCheckIn || booking.checkInDate,
+            checkOutDate: booking.actualCheckOut || booking.checkOutDate,
+            numberOfNights: booking.numberOfNights
+        },
+        ...summarise({
+            lines: taxes.lines.map(toFolioLine),
+            breakdown: taxes.breakdown,
+            discountAmount: Math.min(discountAmount, stayTaxes.lines.reduce((sum, line) => sum + line.amount, 0)) +
+                roomCharges.lines.reduce((sum, line) => sum + line.amount - line.netAmount, 0),
+            ...getBookingPayments(booking)
+        })
+    };
+};
+
+// A standalone restaurant order, taxed as stored when it was placed
+const buildOrderFolio = (order) => {
+    const taxes = applyOrderTaxBreakdown({
+        items: order.items,
+        deliveryFee: order.deliveryFee,
+        discountAmount: order.discountAmount || 0
+    }, order.taxBreakdown);
+
+    return {
+        type: 'order',
+        order: order._id,
+        reference: order.orderId,
+        customer: {
+            user: order.customerId && order.customerId._id ? order.customerId._id : order.customerId,
+            name: order.customerInfo.name,
+            email: order.customerInfo.email,
+            phone: order.customerInfo.phone
+        },
+        stay: {
+            roomNumber: order.customerInfo.roomNumber || (order.deliveryAddress && order.deliveryAddress.roomNumber)
+        },
+        ...summarise({
+            lines: taxes.lines.map(toFolioLine),
+            breakdown: taxes.breakdown,
+            discountAmount: order.discountAmount || 0,
+            ...getOrderPayments(order)
+        })
+    };
+};
+
+// Charges, payments and refunds in date order with a running balance.
+// Takes a folio from buildBookingFolio().
+const buildRunningBalance = (folio, booking) => {
+    const fallbackDate = booking.createdAt;
+
+    const rows = [
+        ...folio.lines.map(line => ({
+            date: line.date || fallbackDate,
+            type: 'charge',
+            lineType: line.lineType,
+            description: line.description,
+            amount: line.total
+        })),
+        ...booking.getPaymentEntries().map(entry => ({
+            date: entry.recordedAt,
+            type: entry.kind,
+            method: entry.method,
+            description: entry.note || (entry.kind === 'payment' ? 'Payment' : 'Refund'),
+            reference: entry.refundId || entry.reference || entry.paymentIntentId,
+            recordedBy: entry.recordedBy,
+            source: entry.source,
+            amount: entry.kind === 'payment' ? -entry.amount : entry.amount
+        }))
+    ];
+
+    // Charges before payments made on the same day
+    const typeOrder = (row) => row.type === 'charge' ? 0 : 1;
+    rows.sort((a, b) => new Date(a.date) - new Date(b.date) || typeOrder(a) - typeOrder(b));
+
+    let balance = 0;
+    return rows.map(row => {
+        balance = roundMoney(balance + row.amount);
+        return { ...row, amount: roundMoney(row.amount), balance };
+    });
+};
+
+module.exports = {
+    loadRoomCharges,
+    buildBookingFolio,
+    buildRunningBalance,
+    buildOrderFolio
+};
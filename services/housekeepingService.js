@@ -0,0 +1,247 @@
+const Room = require('../models/Room');
+const Booking = require('../models/Booking');
+const HousekeepingTask = require('../models/HousekeepingTask');
+const { publishHousekeepingEvent } = require('./realtimeService');
+
+// Allowed moves; going back to dirty means the room failed its check
+const TRANSITIONS = {
+    dirty: ['cleaning'],
+    cleaning: ['inspected', 'dirty'],
+    inspected: ['ready', 'dirty'],
+    ready: []
+};
+
+// Moves that only a supervisor may make
+const SUPERVISOR_TRANSITIONS = ['inspected:ready', 'inspected:dirty'];
+
+const OPEN_STATUSES = ['dirty', 'cleaning', 'inspected'];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const isSupervisorTransition = (from, to) => SUPERVISOR_TRANSITIONS.includes(`${from}:${to}`);
+
+const endOfToday = () => {
+    const date = new Date();
+    date.setHours(23, 59, 59, 999);
+    return date;
+};
+
+// Keep the room's own status fields in step with its task
+const syncRoom = (roomId, status, at = new Date()) => {
+    const update = { housekeepingStatus: status, housekeepingUpdatedAt: at };
+
+    if (status === 'dirty') {
+        return Room.updateOne(
+            { _id: roomId },
+            [{
+                $set: {
+                    ...update,
+                    maintenanceStatus: {
+                        $cond: [{ $eq: ['$maintenanceStatus', 'good'] }, 'needs_cleaning', '$maintenanceStatus']
+                    }
+                }
+            }]
+        );
+    }
+
+    if (status === 'inspected') {
+        update.lastCleaned = at;
+    }
+
+    if (status === 'ready') {
+        return Room.updateOne(
+            { _id: roomId },
+            [{
+                $set: {
+                    ...update,
+                    maintenanceStatus: {
+                        $cond: [{ $eq: ['$maintenanceStatus', 'needs_cleaning'] }, 'good', '$maintenanceStatus']
+                    }
+                }
+            }]
+        );
+    }
+
+    return Room.updateOne({ _id: roomId }, { $set: update });
+};
+
+// Open a cleaning task for a room, or return the one already open.
+// Rooms with a guest arriving today jump the queue.
+const createCleaningTask = async ({ room, booking = null, type = 'checkout', priority, notes, createdBy }) => {
+    const roomId = room._id || room;
+
+    const existing = await HousekeepingTask.findOne({ room: roomId, status: { $in: OPEN_STATUSES } });
+    if (existing) {
+        return { task: existing, created: false };
+    }
+
+    let taskPriority = priority;
+    if (!taskPriority) {
+        const arrivingToday = await Booking.exists({
+            room: roomId,
+            status: 'confirmed',
+            checkInDate: { $lte: endOfToday() }
+        });
+        taskPriority = arrivingToday ? 'high' : 'normal';
+    }
+
+    let task;
+    try {
+        task = await HousekeepingTask.create({
+            room: roomId,
+            booking,
+            type,
+            priority: taskPriority,
+            notes,
+            createdBy,
+            history: [{ status: 'dirty', changedBy: createdBy, note: notes }]
+        });
+    } catch (error) {
+        // Lost a race with another request opening a task for the room
+        if (error.code === 11000) {
+            const open = await HousekeepingTask.findOne({ room: roomId, status: { $in: OPEN_STATUSES } });
+            if (open) return { task: open, created: false };
+        }
+        throw error;
+    }
+
+    await syncRoom(roomId, 'dirty', task.createdAt);
+    publishHousekeepingEvent(task);
+
+    return { task, created: true };
+};
+
+// Move a task (and its room) to a new status. Returns { task } or { error, status }.
+// The caller decides who may make the move.
+const transitionTask = async (task, status, { user, note }) => {
+    if (!canTransition(task.status, status)) {
+        return { error: `Cannot move a ${task.status} room to ${status}`, status: 400 };
+    }
+
+    const now = new Date();
+    const from = task.status;
+
+    // Claim the task in its current status so two people can't move it at once
+    const update = {
+        $set: { status },
+        $push: { history: { status, changedBy: user._id, changedAt: now, note } }
+    };
+
+    if (status === 'cleaning') {
+        update.$set.startedAt = now;
+        if (!task.assignedTo) {
+            update.$set.assignedTo = user._id;
+            update.$set.assignedAt = now;
+        }
+    }
+    if (status === 'inspected') {
+        update.$set.inspectedAt = now;
+        update.$set.inspectedBy = user._id;
+    }
+    if (status === 'ready') {
+        update.$set.readyAt = now;
+        update.$set.releasedBy = user._id;
+    }
+    if (status === 'dirty') {
+        // Failed check: clean it again from the start
+        update.$unset = { startedAt: 1, inspectedAt: 1, inspectedBy: 1 };
+    }
+
+    const updated = await HousekeepingTask.findOneAndUpdate(
+        { _id: task._id, status: from },
+        update,
+        { new: true }
+    );
+
+    if (!updated) {
+        return { error: 'Task was updated by someone else, please refresh', status: 409 };
+    }
+
+    await syncRoom(updated.room, status, now);
+    publishHousekeepingEvent(updated);
+
+    return { task: updated };
+};
+
+// Every room with its housekeeping state, occupancy and open task, by floor
+const getFloorBoard = async ({ floor } = {}) => {
+    const roomFilter = {};
+    if (floor !== undefined) roomFilter.floor = floor;
+
+    const rooms = await Room.find(roomFilter)
+        .select('roomNumber name floor isAvailable maintenanceStatus housekeepingStatus housekeepingUpdatedAt lastCleaned')
+        .sort({ floor: 1, roomNumber: 1 })
+        .lean();
+
+    const roomIds = rooms.map(room => room._id);
+
+    const [tasks, inHouse, arrivals] = await Promise.all([
+        HousekeepingTask.find({ room: { $in: roomIds }, status: { $in: OPEN_STATUSES } })
+            .populate('assignedTo', 'firstName lastName')
+            .lean(),
+        Booking.find({ room: { $in: roomIds }, status: 'checked-in' }).select('room checkOutDate').lean(),
+        Booking.find({
+            room: { $in: roomIds },
+            status: 'confirmed',
+            checkInDate: { $lte: endOfToday() }
+        }).select('room checkInDate').lean()
+    ]);
+
+    const byRoom = (list) => new Map(list.map(item => [item.room.toString(), item]));
+    const taskByRoom = byRoom(tasks);
+    const stayByRoom = byRoom(inHouse);
+    const arrivalByRoom = byRoom(arrivals);
+
+    const floors = new Map();
+    const summary = { dirty: 0, cleaning: 0, inspected: 0, ready: 0, occupied: 0 };
+
+    rooms.forEach(room => {
+        const id = room._id.toString();
+        const task = taskByRoom.get(id);
+        const stay = stayByRoom.get(id);
+        const status = room.housekeepingStatus || 'ready';
+
+        summary[status] = (summary[status] || 0) + 1;
+        if (stay) summary.occupied++;
+
+        if (!floors.has(room.floor)) {
+            floors.set(room.floor, { floor: room.floor, rooms: [] });
+        }
+
+        floors.get(room.floor).rooms.push({
+            id: room._id,
+            roomNumber: room.roomNumber,
+            name: room.name,
+            housekeepingStatus: status,
+            housekeepingUpdatedAt: room.housekeepingUpdatedAt,
+            maintenanceStatus: room.maintenanceStatus,
+            lastCleaned: room.lastCleaned,
+            occupied: !!stay,
+            departureDate: stay ? stay.checkOutDate : null,
+            arrivalDue: !!arrivalByRoom.get(id),
+            task: task ? {
+                id: task._id,
+                type: task.type,
+                status: task.status,
+                priority: task.priority,
+                assignedTo: task.assignedTo,
+                createdAt: task.createdAt
+            } : null
+        });
+    });
+
+    return {
+        summary,
+        floors: [...floors.values()]
+    };
+};
+
+module.exports = {
+    TRANSITIONS,
+    OPEN_STATUSES,
+    canTransition,
+    isSupervisorTransition,
+    createCleaningTask,
+    transitionTask,
+    getFloorBoard
+};
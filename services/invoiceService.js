@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const { buildBookingFolio, buildOrderFolio, loadRoomCharges } = require('./folioService');
+const { hotel, invoicePrefix } = require('../config/billing');
+
+// Indian financial year (April to March), e.g. '25-26'
+const getFinancialYear = (date = new Date()) => {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    const short = (year) => String(year).slice(-2);
+    return `${short(startYear)}-${short(startYear + 1)}`;
+};
+
+const nextInvoiceNumber = async (date, session) => {
+    const financialYear = getFinancialYear(date);
+    const seq = await Counter.next(`invoice:${financialYear}`, { session });
+    return {
+        financialYear,
+        invoiceNumber: `${invoicePrefix}/${financialYear}/${String(seq).padStart(5, '0')}`
+    };
+};
+
+// Number and store a folio. The number is taken in the same transaction as
+// the invoice is created, so a failed create gives it back and the series
+// stays gap-free; write conflicts between concurrent issues are retried. If
+// another request issued the same booking or order first, the existing
+// invoice is returned.
+const issueInvoice = async (folio, { issuedBy = null } = {}) => {
+    const session = await mongoose.startSession();
+
+    try {
+        let invoice;
+        await session.withTransaction(async () => {
+            const issuedAt = new Date();
+            const { financialYear, invoiceNumber } = await nextInvoiceNumber(issuedAt, session);
+
+            [invoice] = await Invoice.create([{
+                ...folio,
+                invoiceNumber,
+                financialYear,
+                supplier: hotel,
+                issuedAt,
+                issuedBy
+            }], { session });
+        });
+        return invoice;
+    } catch (error) {
+        if (error.code === 11000) {
+            const existing = await Invoice.findOne(folio.booking ? { booking: folio.booking } : { order: folio.order });
+            if (existing) return existing;
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Issue (or fetch) the invoice for a checked-out booking.
+// `booking` should have `user` and `room` populated.
+const issueBookingInvoice = async (booking, { issuedBy = null } = {}) => {
+    const existing = await Invoice.findOne({ booking: booking._id });
+    if (existing) return existing;
+
+    return issueInvoice(buildBookingFolio(booking, await loadRoomCharges(booking._id)), { issuedBy });
+};
+
+// Issue (or fetch) the invoice for a paid restaurant order
+const issueOrderInvoice = async (order, { issuedBy = null } = {}) => {
+    const existing = await Invoice.findOne({ order: order._id });
+    if (existing) return existing;
+
+    return issueInvoice(buildOrderFolio(order), { issuedBy });
+};
+
+const formatMoney = (amount) => (amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+const formatDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : '';
+
+// Draw one table row; columns are [{ text, width, align }]
+const drawRow = (doc, columns, { bold = false } = {}) => {
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + 20 > bottom) {
+        doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    let height = 0;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    columns.forEach(column => {
+        doc.text(String(column.text), x, y, { width: column.width - 4, align: column.align || 'left' });
+        height = Math.max(height, doc.y - y);
+        x += column.width;
+    });
+
+    doc.x = doc.page.margins.left;
+    doc.y = y + height + 4;
+};
+
+// Render an invoice (or an unissued folio, as a proforma) to a PDF buffer
+const renderInvoicePdf = (invoice, { proforma = false } = {}) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const supplier = invoice.supplier && invoice.supplier.name ? invoice.supplier : hotel;
+        const left = doc.page.margins.left;
+
+        // Supplier
+        doc.font('Helvetica-Bold').fontSize(16).text(supplier.name);
+        doc.font('Helvetica').fontSize(9);
+        if (supplier.address) doc.text(supplier.address);
+        if (supplier.phone || supplier.email) doc.text([supplier.phone, supplier.email].filter(Boolean).join(' | '));
+        if (supplier.gstin) doc.text(`GSTIN: ${supplier.gstin}${supplier.stateCode ? `  State code: ${supplier.stateCode}` : ''}`);
+        doc.moveDown();
+
+        doc.font('Helvetica-Bold').fontSize(13).text(proforma ? 'PROFORMA INVOICE' : 'TAX INVOICE', { align: 'center' });
+        doc.moveDown(0.5);
+
+        // Invoice and customer details
+        doc.font('Helvetica').fontSize(9);
+        if (!proforma) {
+            doc.text(`Invoice number: ${invoice.invoiceNumber}`);
+            doc.text(`Invoice date: ${formatDate(invoice.issuedAt)}`);
+        }
+        doc.text(`${invoice.type === 'booking' ? 'Booking' : 'Order'} reference: ${invoice.reference}`);
+        doc.moveDown(0.5);
+
+        const customer = invoice.customer || {};
+        doc.font('Helvetica-Bold').text('Billed to');
+        doc.font('Helvetica');
+        if (customer.name) doc.text(customer.name);
+        if (customer.address) doc.text(customer.address);
+        if (customer.email || customer.phone) doc.text([customer.email, customer.phone].filter(Boolean).join(' | '));
+        if (customer.gstin) doc.text(`GSTIN: ${customer.gstin}`);
+
+        const stay = invoice.stay || {};
+        if (invoice.type === 'booking') {
+            doc.text(`Room ${stay.roomNumber || '-'}: ${formatDate(stay.checkInDate)} to ${formatDate(stay.checkOutDate)} (${stay.numberOfNights} nights)`);
+        } else if (stay.roomNumber) {
+            doc.text(`Room ${stay.roomNumber}`);
+        }
+        doc.moveDown();
+
+        // Charges
+        const lineColumns = [
+            { label: 'Description', width: 145 },
+            { label: 'SAC', width: 45 },
+            { label: 'Qty', width: 30, align: 'right' },
+            { label: 'Rate', width: 55, align: 'right' },
+            { label: 'Discount', width: 50, align: 'right' },
+            { label: 'Taxable', width: 60, align: 'right' },
+            { label: 'GST %', width: 35, align: 'right' },
+            { label: 'GST', width: 45, align: 'right' },
+            { label: 'Total', width: 50, align: 'right' }
+        ];
+
+        drawRow(doc, lineColumns.map(column => ({ ...column, text: column.label })), { bold: true });
+        invoice.lines.forEach(line => {
+            const values = [
+                line.description + (line.taxMode === 'inclusive' ? ' (tax incl.)' : ''),
+                line.sacCode || '',
+                line.quantity,
+                formatMoney(line.unitAmount),
+                formatMoney(line.discountAmount),
+                formatMoney(line.taxableAmount),
+                line.taxRate,
+                formatMoney(line.taxAmount),
+                formatMoney(line.total)
+            ];
+            drawRow(doc, lineColumns.map((column, index) => ({ ...column, text: values[index] })));
+        });
+        doc.moveDown();
+
+        // GST summary
+        const taxColumns = [
+            { label: 'Tax summary', width: 120 },
+            { label: 'Rate', width: 50, align: 'right' },
+            { label: 'Taxable value', width: 85, align: 'right' },
+            { label: 'CGST', width: 70, align: 'right' },
+            { label: 'SGST', width: 70, align: 'right' },
+            { label: 'IGST', width: 70, align: 'right' }
+        ];
+
+        drawRow(doc, taxColumns.map(column => ({ ...column, text: column.label })), { bold: true });
+        invoice.taxBreakdown.forEach(group => {
+            const values = [
+                `${group.lineType} (${group.mode})`,
+                `${group.rate}%`,
+                formatMoney(group.taxableAmount),
+                formatMoney(group.cgst),
+                formatMoney(group.sgst),
+                formatMoney(group.igst)
+            ];
+            drawRow(doc, taxColumns.map((column, index) => ({ ...column, text: values[index] })));
+        });
+        doc.moveDown();
+
+        // Totals, payments and balance
+        const totals = [
+            ['Subtotal', invoice.subtotal],
+            ['Discount', -invoice.discountAmount],
+            ['GST', invoice.taxAmount],
+            [`Total (${invoice.currency || 'INR'})`, invoice.totalAmount]
+        ];
+        invoice.payments.forEach(payment => {
+            totals.push([`Paid ${formatDate(payment.date)} ${payment.method || ''}`.trim(), -payment.amount]);
+        });
+        invoice.refunds.forEach(refund => {
+            totals.push([`Refunded ${formatDate(refund.date)}`.trim(), refund.amount]);
+        });
+        totals.push(['Balance due', invoice.balanceDue]);
+
+        totals.forEach(([label, amount], index) => {
+            const bold = index === 3 || index === totals.length - 1;
+            drawRow(doc, [
+                { text: '', width: 275 },
+                { text: label, width: 150 },
+                { text: formatMoney(amount), width: 90, align: 'right' }
+            ], { bold });
+        });
+
+        doc.moveDown(2);
+        doc.font('Helvetica').fontSize(8).text(
+            proforma
+                ? 'This is a proforma statement and not a tax invoice. Charges may change until check-out.'
+                : 'This is a computer generated invoice.',
+            left,
+            doc.y,
+            { align: 'center' }
+        );
+
+        doc.end();
+    });
+};
+
+// Send an invoice PDF as the response
+const sendInvoicePdf = async (res, invoice, { proforma = false } = {}) => {
+    const pdf = await renderInvoicePdf(invoice, { proforma });
+    const filename = proforma
+        ? `proforma-${invoice.reference}.pdf`
+        : `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Content-Length': pdf.length
+    });
+    res.send(pdf);
+};
+
+module.exports = {
+    getFinancialYear,
+    issueBookingInvoice,
+    issueOrderInvoice,
+    renderInvoicePdf,
+    sendInvoicePdf
+};
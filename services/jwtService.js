@@ -1,15 +1,50 @@
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
-// Generate JWT token
-const generateToken = (userId, username, role) => {
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Generate JWT access token bound to a session
+const generateToken = (userId, username, role, sessionId) => {
+    return jwt.sign(
+        { id: userId, username, role, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Short-lived token proving the password step of a login, exchanged for a
+// session once the second factor is checked ('2fa') or enrolled ('2fa-setup')
+const generateChallengeToken = (userId, purpose) => {
+    return jwt.sign(
+        { id: userId, purpose },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+    );
+};
+
+// One-minute ticket for opening an event stream: EventSource can't send an
+// Authorization header, and a ticket in the URL is safer than the access token.
+// `ticketId` is recorded on the session so the ticket works only once.
+const STREAM_TICKET_TTL_SECONDS = 60;
+
+const generateStreamTicket = (userId, sessionId, ticketId) => {
     return jwt.sign(
-        { id: userId, username, role },
+        { id: userId, sid: sessionId, purpose: 'event-stream' },
         process.env.JWT_SECRET,
-        { expiresIn: '24h' }
+        { expiresIn: STREAM_TICKET_TTL_SECONDS, jwtid: ticketId }
     );
 };
 
+const verifyChallengeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
 // Verify JWT token
 const verifyToken = (token) => {
     try {
@@ -25,6 +60,11 @@ const verifyToken = (token) => {
 };
 
 module.exports = {
+    ACCESS_TOKEN_TTL,
+    STREAM_TICKET_TTL_SECONDS,
     generateToken,
+    generateChallengeToken,
+    generateStreamTicket,
+    verifyChallengeToken,
     verifyToken
 };
@@ -0,0 +1,262 @@
+const Order = require('../models/Order');
+const FoodCategory = require('../models/FoodCategory');
+const { awardOrderPoints } = require('./loyaltyService');
+const { stations, defaultStation, defaultPreparationMinutes, deliveryMinutes } = require('../config/kitchen');
+
+// Orders the kitchen is working on
+const ACTIVE_STATUSES = ['confirmed', 'preparing'];
+
+// Moves an order can make through PUT /api/orders/:orderId/status
+const TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['out_for_delivery', 'delivered'],
+    out_for_delivery: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Orders settled after they are served. Card and Stripe orders are
+// confirmed by the payment webhook once the money is in.
+const PAY_LATER_METHODS = ['cash', 'room_charge'];
+
+// Room service goes out for delivery; pickup and dine-in orders are handed
+// over straight from the pass
+const canTransition = (order, to) => {
+    if (!(TRANSITIONS[order.status] || []).includes(to)) return false;
+    if (order.status === 'pending' && to === 'confirmed') {
+        return PAY_LATER_METHODS.includes(order.paymentMethod) || order.paymentStatus === 'completed';
+    }
+    if (order.status === 'ready') {
+        return to === (order.deliveryType === 'room_service' ? 'out_for_delivery' : 'delivered');
+    }
+    return true;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const stationOf = (item) => item.station || defaultStation;
+
+// Send each item to its food category's station
+const routeOrderItems = async (items) => {
+    const categoryIds = [...new Set(items.map(item => item.category && item.category.toString()).filter(Boolean))];
+    const categories = await FoodCategory.find({ _id: { $in: categoryIds } }).select('station');
+    const stationByCategory = new Map(categories.map(category => [category._id.toString(), category.station]));
+
+    items.forEach(item => {
+        item.station = stationByCategory.get(item.category && item.category.toString()) || defaultStation;
+    });
+
+    return items;
+};
+
+// Cooking minutes each station still owes an order. A station cooks an
+// order's items together, so its slowest item sets the time.
+const remainingStationMinutes = (order, now) => {
+    const minutes = {};
+
+    order.items.forEach(item => {
+        if (item.readyAt) return;
+
+        let itemMinutes = item.preparationTime || defaultPreparationMinutes;
+        if (item.startedAt) {
+            itemMinutes = Math.max(itemMinutes - (now - item.startedAt) / 60000, 0);
+        }
+
+        const station = stationOf(item);
+        minutes[station] = Math.max(minutes[station] || 0, itemMinutes);
+    });
+
+    return minutes;
+};
+
+// Promise ready and delivery times from the order's own cooking time plus
+// the work already queued on each station it uses
+const estimateOrderTimes = async (order, now = new Date()) => {
+    const queued = await Order.find({ status: { $in: ACTIVE_STATUSES }, _id: { $ne: order._id } })
+        .select('items.station items.preparationTime items.startedAt items.readyAt');
+
+    const backlog = {};
+    queued.forEach(queuedOrder => {
+        Object.entries(remainingStationMinutes(queuedOrder, now)).forEach(([station, minutes]) => {
+            backlog[station] = (backlog[station] || 0) + minutes;
+        });
+    });
+
+    let cookingMinutes = 0;
+    let readyInMinutes = 0;
+    Object.entries(remainingStationMinutes(order, now)).forEach(([station, minutes]) => {
+        const capacity = (stations[station] || stations[defaultStation]).capacity;
+        cookingMinutes = Math.max(cookingMinutes, minutes);
+        readyInMinutes = Math.max(readyInMinutes, (backlog[station] || 0) / capacity + minutes);
+    });
+
+    order.preparationTime = Math.ceil(cookingMinutes);
+    order.estimatedReadyTime = addMinutes(now, Math.ceil(readyInMinutes));
+    order.estimatedDeliveryTime = addMinutes(order.estimatedReadyTime, deliveryMinutes[order.deliveryType] || 0);
+
+    return order;
+};
+
+// Payment received: promise times against the current queue and confirm
+const confirmPaidOrder = async (order, stripePaymentId, transactionId) => {
+    await estimateOrderTimes(order);
+    return order.completePayment(stripePaymentId, transactionId);
+};
+
+// Save a kitchen change only if nobody else changed the order since it was
+// loaded. Returns { order } or { error, status }.
+const saveClaimed = async (order, fromStatus) => {
+    order.$where = { status: fromStatus };
+    order.increment();
+
+    try {
+        await order.save();
+        return { order };
+    } catch (error) {
+        if (error.name === 'VersionError' || error.name === 'DocumentNotFoundError') {
+            return { error: 'Order was updated by someone else, please refresh', status: 409 };
+        }
+        throw error;
+    }
+};
+
+// Move an order to a new status. The caller decides who may make the move.
+const transitionOrder = async (order, status, { user, note } = {}) => {
+    if (!canTransition(order, status)) {
+        if (order.status === 'pending' && status === 'confirmed') {
+            return { error: 'Order is confirmed once its payment is received', status: 400 };
+        }
+        return { error: `Cannot move a ${order.status} order to ${status}`, status: 400 };
+    }
+
+    const now = new Date();
+    const from = order.status;
+
+    if (status === 'preparing') {
+        order.items.forEach(item => {
+            if (!item.startedAt) item.startedAt = now;
+        });
+    }
+    if (status === 'ready') {
+        order.items.forEach(item => {
+            if (!item.startedAt) item.startedAt = now;
+            if (!item.readyAt) item.readyAt = now;
+        });
+    }
+
+    order.recordStatus(status, { user, note, at: now });
+
+    const result = await saveClaimed(order, from);
+    if (result.error) return result;
+
+    // Points are earned on delivery; what a cancellation gives back is left
+    // to orderService.settleCancelledOrder
+    if (status === 'delivered') {
+        try {
+            await awardOrderPoints(order);
+        } catch (loyaltyError) {
+            console.error('Order loyalty error:', loyaltyError);
+        }
+    }
+
+    return result;
+};
+
+// A station starts or bumps (finishes) its items on an order. The first
+// start moves the order to preparing; the last bump makes it ready.
+const updateStation = async (order, station, action, { user } = {}) => {
+    if (!ACTIVE_STATUSES.includes(order.status)) {
+        return { error: `Order is ${order.status}`, status: 400 };
+    }
+
+    const items = order.items.filter(item => stationOf(item) === station);
+    if (items.length === 0) {
+        return { error: 'Order has no items for this station', status: 404 };
+    }
+
+    const now = new Date();
+    const from = order.status;
+    const stationName = stations[station] ? stations[station].name : station;
+
+    items.forEach(item => {
+        if (!item.startedAt) item.startedAt = now;
+        if (action === 'ready' && !item.readyAt) item.readyAt = now;
+    });
+
+    if (order.status === 'confirmed') {
+        order.recordStatus('preparing', { user, note: `${stationName} started`, at: now });
+    }
+    if (action === 'ready' && order.items.every(item => item.readyAt)) {
+        order.recordStatus('ready', { user, note: `${stationName} finished the order`, at: now });
+    }
+
+    return saveClaimed(order, from);
+};
+
+// Orders for the kitchen display, soonest promise first. With a station,
+// only orders with unfinished items there, showing just those items.
+const getKitchenQueue = async ({ station, statuses = ACTIVE_STATUSES, now = new Date() } = {}) => {
+    const query = { status: { $in: statuses } };
+    if (station) {
+        query.items = {
+            $elemMatch: {
+                station: station === defaultStation ? { $in: [station, null] } : station,
+                readyAt: null
+            }
+        };
+    }
+
+    const orders = await Order.find(query)
+        .select('orderId status deliveryType deliveryAddress customerInfo.roomNumber customerInfo.name notes items estimatedReadyTime estimatedDeliveryTime timeline createdAt')
+        .sort({ estimatedReadyTime: 1, createdAt: 1 });
+
+    return orders.map(order => {
+        const promisedAt = order.estimatedReadyTime || null;
+        const items = station ? order.items.filter(item => stationOf(item) === station) : order.items;
+
+        const stationProgress = {};
+        order.items.forEach(item => {
+            const key = stationOf(item);
+            stationProgress[key] = stationProgress[key] || { items: 0, ready: 0 };
+            stationProgress[key].items++;
+            if (item.readyAt) stationProgress[key].ready++;
+        });
+
+        return {
+            orderId: order.orderId,
+            status: order.status,
+            deliveryType: order.deliveryType,
+            roomNumber: (order.deliveryAddress && order.deliveryAddress.roomNumber) || (order.customerInfo && order.customerInfo.roomNumber) || null,
+            guestName: order.customerInfo ? order.customerInfo.name : null,
+            notes: order.notes,
+            promisedAt,
+            estimatedDeliveryTime: order.estimatedDeliveryTime || null,
+            minutesToPromise: promisedAt ? Math.round((promisedAt - now) / 60000) : null,
+            isLate: !!promisedAt && promisedAt < now,
+            confirmedAt: order.timeline && order.timeline.confirmedAt ? order.timeline.confirmedAt : order.createdAt,
+            items: items.map(item => ({
+                _id: item._id,
+                name: item.name,
+                quantity: item.quantity,
+                station: stationOf(item),
+                preparationTime: item.preparationTime || defaultPreparationMinutes,
+                startedAt: item.startedAt || null,
+                readyAt: item.readyAt || null
+            })),
+            stations: stationProgress
+        };
+    });
+};
+
+module.exports = {
+    ACTIVE_STATUSES,
+    canTransition,
+    routeOrderItems,
+    estimateOrderTimes,
+    confirmPaidOrder,
+    transitionOrder,
+    updateStation,
+    getKitchenQueue
+};
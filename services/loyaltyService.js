@@ -0,0 +1,373 @@
+const Booking = require('../models/Booking');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const {
+    earning,
+    redemption,
+    expiryMonths,
+    qualifyingMonths,
+    tiers,
+    getTier,
+    tierForNights
+} = require('../config/loyalty');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Entries that still hold spendable points, oldest expiry first
+const OPEN_LOTS = { points: { $gt: 0 }, remainingPoints: { $gt: 0 } };
+
+const tierSummary = (key) => {
+    const tier = getTier(key);
+    return { key: tier.key, name: tier.name, perks: tier.perks };
+};
+
+// Add points to the balance and record the entry that holds them
+const creditPoints = async (userId, points, entry) => {
+    const transaction = await LoyaltyTransaction.create({
+        user: userId,
+        points,
+        remainingPoints: points,
+        expiresAt: addMonths(new Date(), expiryMonths),
+        ...entry
+    });
+
+    const user = await User.findByIdAndUpdate(userId, { $inc: { loyaltyPoints: points } }, { new: true });
+    transaction.balanceAfter = user ? user.loyaltyPoints : points;
+    await transaction.save();
+
+    return transaction;
+};
+
+// Take points off the balance, drawing them from the oldest lots first.
+// Returns { transaction } or { error, status }.
+const debitPoints = async (userId, points, entry) => {
+    const user = await User.findOneAndUpdate(
+        { _id: userId, loyaltyPoints: { $gte: points } },
+        { $inc: { loyaltyPoints: -points } },
+        { new: true }
+    );
+    if (!user) {
+        return { error: 'Not enough loyalty points', status: 409 };
+    }
+
+    const consumed = [];
+    let needed = points;
+    while (needed > 0) {
+        const lot = await LoyaltyTransaction.findOne({ user: userId, ...OPEN_LOTS })
+            .sort({ expiresAt: 1, createdAt: 1 });
+        if (!lot) break; // Balance carried over from before the ledger
+
+        const take = Math.min(needed, lot.remainingPoints);
+        const claimed = await LoyaltyTransaction.updateOne(
+            { _id: lot._id, remainingPoints: { $gte: take } },
+            { $inc: { remainingPoints: -take } }
+        );
+        if (claimed.modifiedCount === 0) continue; // Spent concurrently, look again
+
+        consumed.push({ transaction: lot._id, points: take });
+        needed -= take;
+    }
+
+    try {
+        const transaction = await LoyaltyTransaction.create({
+            user: userId,
+            points: -points,
+            balanceAfter: user.loyaltyPoints,
+            consumed,
+            ...entry
+        });
+        return { transaction };
+    } catch (error) {
+        // Put everything back if the entry can't be written, e.g. a repeat reference
+        await User.updateOne({ _id: userId }, { $inc: { loyaltyPoints: points } });
+        await Promise.all(consumed.map(part => LoyaltyTransaction.updateOne(
+            { _id: part.transaction },
+            { $inc: { remainingPoints: part.points } }
+        )));
+        if (isDuplicateKey(error)) {
+            return { error: 'Points have already been used for this', status: 409 };
+        }
+        throw error;
+    }
+};
+
+// Check a points redemption against the balance and the bill it is for.
+// `eligibleAmount` is the pre-tax amount left after other discounts.
+// Returns { points, discountAmount } or { error, status }.
+const quoteRedemption = (user, requestedPoints, eligibleAmount) => {
+    const points = parseInt(requestedPoints);
+    if (!points || points < 1) {
+        return { error: 'Invalid number of loyalty points', status: 400 };
+    }
+
+    if (points < redemption.minimumPoints) {
+        return { error: `At least ${redemption.minimumPoints} loyalty points must be used at a time`, status: 400 };
+    }
+
+    if (points > (user.loyaltyPoints || 0)) {
+        return { error: 'Not enough loyalty points', status: 400 };
+    }
+
+    const maxDiscount = eligibleAmount * redemption.maxPercentageOfBill / 100;
+    const maxPoints = Math.floor(maxDiscount / redemption.pointValue);
+    if (points > maxPoints) {
+        return { error: `At most ${maxPoints} loyalty points can be used on this bill`, status: 400 };
+    }
+
+    return { points, discountAmount: roundMoney(points * redemption.pointValue) };
+};
+
+// Spend points on a booking or order priced with quoteRedemption
+const redeemPoints = (userId, { points, discountAmount }, { booking = null, order = null, createdBy } = {}) => {
+    const target = booking ? `booking:${booking}` : `order:${order}`;
+
+    return debitPoints(userId, points, {
+        type: 'redeem',
+        booking,
+        order,
+        reference: `redeem:${target}`,
+        discountAmount,
+        description: booking ? 'Used on a booking' : 'Used on a food order',
+        createdBy
+    });
+};
+
+// Give back the points used on a cancelled booking or order
+const reverseRedemption = async ({ booking = null, order = null }, { createdBy } = {}) => {
+    const target = booking ? `booking:${booking}` : `order:${order}`;
+
+    // Claim the redemption so a repeated cancel can't refund it twice
+    const redeemed = await LoyaltyTransaction.findOneAndUpdate(
+        { reference: `redeem:${target}`, reversedAt: null },
+        { $set: { reversedAt: new Date() } },
+        { new: true }
+    );
+    if (!redeemed) return null;
+
+    const points = -redeemed.points;
+    await Promise.all(redeemed.consumed.map(part => LoyaltyTransaction.updateOne(
+        { _id: part.transaction },
+        { $inc: { remainingPoints: part.points } }
+    )));
+    const user = await User.findByIdAndUpdate(redeemed.user, { $inc: { loyaltyPoints: points } }, { new: true });
+
+    return LoyaltyTransaction.create({
+        user: redeemed.user,
+        type: 'reverse',
+        points,
+        balanceAfter: user ? user.loyaltyPoints : undefined,
+        booking,
+        order,
+        reference: `reverse:${target}`,
+        description: booking ? 'Returned from a cancelled booking' : 'Returned from a cancelled food order',
+        createdBy
+    });
+};
+
+// Points for a pre-tax spend at the guest's current tier
+const calculateEarnedPoints = (amount, rule, tierKey) => {
+    const base = Math.floor(Math.max(amount, 0) / rule.unitAmount) * rule.pointsPerUnit;
+    const multiplier = getTier(tierKey).perks.pointsMultiplier || 1;
+    return { points: Math.floor(base * multiplier), multiplier };
+};
+
+// Earn once per booking or order; a repeat call returns null
+const earnPoints = async (userId, amount, rule, { booking = null, order = null, description }) => {
+    const user = await User.findById(userId).select('loyaltyTier');
+    if (!user) return null;
+
+    const { points, multiplier } = calculateEarnedPoints(amount, rule, user.loyaltyTier);
+    if (points <= 0) return null;
+
+    try {
+        return await creditPoints(userId, points, {
+            type: 'earn',
+            booking,
+            order,
+            reference: `earn:${booking ? `booking:${booking}` : `order:${order}`}`,
+            tier: user.loyaltyTier,
+            multiplier,
+            description
+        });
+    } catch (error) {
+        if (isDuplicateKey(error)) return null;
+        throw error;
+    }
+};
+
+// Nights stayed in the qualifying window decide the tier
+const refreshTier = async (userId, now = new Date()) => {
+    const user = await User.findById(userId).select('loyaltyTier qualifyingNights');
+    if (!user) return null;
+
+    const [stays] = await Booking.aggregate([
+        {
+            $match: {
+                user: user._id,
+                status: 'checked-out',
+                actualCheckOut: { $gte: addMonths(now, -qualifyingMonths) }
+            }
+        },
+        { $group: { _id: null, nights: { $sum: '$numberOfNights' } } }
+    ]);
+
+    const nights = stays ? stays.nights : 0;
+    const tier = tierForNights(nights);
+    const previous = user.loyaltyTier;
+
+    if (tier.key !== previous || nights !== user.qualifyingNights) {
+        const update = { qualifyingNights: nights, loyaltyTier: tier.key };
+        if (tier.key !== previous) update.loyaltyTierUpdatedAt = now;
+        await User.updateOne({ _id: user._id }, { $set: update });
+    }
+
+    return { tier: tier.key, previous, nights, changed: tier.key !== previous };
+};
+
+// Check-out: re-rate the tier with this stay counted, then earn on what
+// was spent on the stay itself before tax
+const awardStayPoints = async (booking) => {
+    const userId = booking.user._id || booking.user;
+    await refreshTier(userId);
+
+    const pricing = booking.pricing;
+    const spend = (pricing.roomTotal || 0) + (pricing.packagePrice || 0) + (pricing.servicesTotal || 0) -
+        (pricing.discountAmount || 0);
+
+    const transaction = await earnPoints(userId, spend, earning.stay, {
+        booking: booking._id,
+        description: `Stay ${booking.bookingNumber}`
+    });
+    if (transaction) {
+        booking.loyalty.pointsEarned = transaction.points;
+        await Booking.updateOne({ _id: booking._id }, { $set: { 'loyalty.pointsEarned': transaction.points } });
+    }
+
+    return transaction;
+};
+
+// A delivered food order earns on its food total after discounts
+const awardOrderPoints = async (order) => {
+    if (!order.customerId) return null;
+
+    const transaction = await earnPoints(order.customerId, order.totalAmount - (order.discountAmount || 0), earning.order, {
+        order: order._id,
+        description: `Food order ${order.orderId}`
+    });
+    if (transaction) {
+        order.loyalty.pointsEarned = transaction.points;
+        await Order.updateOne({ _id: order._id }, { $set: { 'loyalty.pointsEarned': transaction.points } });
+    }
+
+    return transaction;
+};
+
+// Manual correction by a manager. Positive adjustments expire like earned points.
+const adjustPoints = async (userId, points, { reason, createdBy }) => {
+    const entry = { type: 'adjust', description: reason, createdBy };
+
+    if (points > 0) {
+        return { transaction: await creditPoints(userId, points, entry) };
+    }
+    return debitPoints(userId, -points, entry);
+};
+
+// Lapse points whose expiry has passed, then re-rate tiers so guests drop
+// a tier once their qualifying stays fall out of the window
+const processLoyaltyExpiry = async (now = new Date()) => {
+    let expired = 0;
+
+    const lots = LoyaltyTransaction.find({ ...OPEN_LOTS, expiresAt: { $lte: now } })
+        .select('user remainingPoints')
+        .cursor();
+
+    for await (const lot of lots) {
+        const points = lot.remainingPoints;
+        const claimed = await LoyaltyTransaction.updateOne(
+            { _id: lot._id, remainingPoints: points },
+            { $set: { remainingPoints: 0 } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const user = await User.findByIdAndUpdate(
+            lot.user,
+            [{ $set: { loyaltyPoints: { $max: [0, { $subtract: ['$loyaltyPoints', points] }] } } }],
+            { new: true }
+        );
+
+        await LoyaltyTransaction.create({
+            user: lot.user,
+            type: 'expire',
+            points: -points,
+            balanceAfter: user ? user.loyaltyPoints : undefined,
+            consumed: [{ transaction: lot._id, points }],
+            description: 'Points expired'
+        });
+        expired += points;
+    }
+
+    let tierChanges = 0;
+    const members = User.find({ loyaltyTier: { $ne: tiers[0].key } }).select('_id').cursor();
+    for await (const member of members) {
+        const result = await refreshTier(member._id, now);
+        if (result && result.changed) tierChanges++;
+    }
+
+    if (expired > 0 || tierChanges > 0) {
+        console.log(`Loyalty: expired ${expired} points, ${tierChanges} tier changes`);
+    }
+
+    return { expired, tierChanges };
+};
+
+// Balance, tier, progress to the next tier and points about to lapse
+const getLoyaltySummary = async (user, now = new Date()) => {
+    const current = getTier(user.loyaltyTier);
+    const next = [...tiers]
+        .sort((a, b) => a.minNights - b.minNights)
+        .find(tier => tier.minNights > current.minNights);
+
+    const soon = addMonths(now, 1);
+    const [expiring] = await LoyaltyTransaction.aggregate([
+        { $match: { user: user._id, ...OPEN_LOTS, expiresAt: { $gt: now, $lte: soon } } },
+        { $group: { _id: null, points: { $sum: '$remainingPoints' }, firstExpiry: { $min: '$expiresAt' } } }
+    ]);
+
+    return {
+        points: user.loyaltyPoints || 0,
+        pointsValue: roundMoney((user.loyaltyPoints || 0) * redemption.pointValue),
+        tier: tierSummary(current.key),
+        qualifyingNights: user.qualifyingNights || 0,
+        qualifyingMonths,
+        nextTier: next ? {
+            key: next.key,
+            name: next.name,
+            nightsNeeded: Math.max(next.minNights - (user.qualifyingNights || 0), 0)
+        } : null,
+        expiringSoon: expiring ? { points: expiring.points, firstExpiry: expiring.firstExpiry } : null,
+        redemption
+    };
+};
+
+module.exports = {
+    tierSummary,
+    quoteRedemption,
+    redeemPoints,
+    reverseRedemption,
+    calculateEarnedPoints,
+    refreshTier,
+    awardStayPoints,
+    awardOrderPoints,
+    adjustPoints,
+    processLoyaltyExpiry,
+    getLoyaltySummary
+};
@@ -0,0 +1,178 @@
+const Room = require('../models/Room');
+const Booking = require('../models/Booking');
+const Counter = require('../models/Counter');
+const WorkOrder = require('../models/WorkOrder');
+const { findConflictingBookings } = require('./availabilityService');
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Moves a work order can make through PUT /:id/status. Assigning happens
+// through its own endpoint; cancelling is open to supervisors from any
+// status that isn't closed.
+const TRANSITIONS = {
+    open: ['in_progress', 'cancelled'],
+    assigned: ['in_progress', 'cancelled'],
+    in_progress: ['on_hold', 'completed', 'cancelled'],
+    on_hold: ['in_progress', 'cancelled'],
+    completed: [],
+    cancelled: []
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const nextWorkOrderNumber = async () => {
+    const seq = await Counter.next('workorder');
+    return `WO-${String(seq).padStart(6, '0')}`;
+};
+
+// Rooms with unfinished work need maintenance; clear the flag once the last
+// work order on the room is closed. A manual 'out_of_order' is left alone.
+const syncRoomMaintenance = async (roomId) => {
+    const hasOpenWork = await WorkOrder.exists({ room: roomId, status: { $nin: CLOSED_STATUSES } });
+
+    return Room.updateOne(
+        { _id: roomId },
+        [{
+            $set: {
+                maintenanceStatus: hasOpenWork
+                    ? { $cond: [{ $eq: ['$maintenanceStatus', 'good'] }, 'maintenance_required', '$maintenanceStatus'] }
+                    : { $cond: [{ $eq: ['$maintenanceStatus', 'maintenance_required'] }, 'good', '$maintenanceStatus'] }
+            }
+        }]
+    );
+};
+
+const createWorkOrder = async (data, { user }) => {
+    const workOrder = new WorkOrder({
+        ...data,
+        workOrderNumber: await nextWorkOrderNumber(),
+        reportedBy: user ? user._id : undefined,
+        history: [{ status: 'open', changedBy: user ? user._id : undefined, note: data.description }]
+    });
+    workOrder.applySla();
+    await workOrder.save();
+
+    await syncRoomMaintenance(workOrder.room);
+
+    return workOrder;
+};
+
+// Take the room out of order for [from, to) and flag bookings that overlap
+const setOutOfOrder = async (workOrder, { from, to, reason, user }) => {
+    const conflicts = await findConflictingBookings([workOrder.room], from, to);
+
+    // Bookings flagged for an earlier range that no longer overlap
+    await Booking.updateMany(
+        {
+            'roomConflict.workOrder': workOrder._id,
+            _id: { $nin: conflicts.map(booking => booking._id) }
+        },
+        { $unset: { roomConflict: 1 } }
+    );
+
+    if (conflicts.length > 0) {
+        await Booking.updateMany(
+            { _id: { $in: conflicts.map(booking => booking._id) } },
+            {
+                $set: {
+                    roomConflict: {
+                        workOrder: workOrder._id,
+                        reason: reason || workOrder.title,
+                        flaggedAt: new Date()
+                    }
+                }
+            }
+        );
+    }
+
+    workOrder.outOfOrder = {
+        from,
+        to,
+        reason,
+        setBy: user._id,
+        conflictingBookings: conflicts.map(booking => ({
+            booking: booking._id,
+            bookingNumber: booking.bookingNumber,
+            checkInDate: booking.checkInDate,
+            checkOutDate: booking.checkOutDate
+        }))
+    };
+    workOrder.history.push({ status: workOrder.status, changedBy: user._id, note: `Out of order ${from.toISOString()} to ${to.toISOString()}` });
+    await workOrder.save();
+
+    return conflicts;
+};
+
+// End the out-of-order range now (or drop it if it hadn't started) and
+// clear flags on bookings that no longer clash
+const releaseOutOfOrder = async (workOrder, { at = new Date() } = {}) => {
+    const range = workOrder.outOfOrder;
+    if (!range || !range.from || !range.to || range.to <= at) {
+        return workOrder;
+    }
+
+    if (range.from >= at) {
+        workOrder.outOfOrder = undefined;
+        await Booking.updateMany({ 'roomConflict.workOrder': workOrder._id }, { $unset: { roomConflict: 1 } });
+    } else {
+        workOrder.outOfOrder.to = at;
+        await Booking.updateMany(
+            { 'roomConflict.workOrder': workOrder._id, checkInDate: { $gte: at } },
+            { $unset: { roomConflict: 1 } }
+        );
+    }
+
+    await workOrder.save();
+    return workOrder;
+};
+
+// Keep the guest's service request in step with the work order raised from it
+const syncServiceRequest = async (workOrder) => {
+    if (!workOrder.booking || !workOrder.serviceRequestId) return;
+
+    const statusMap = {
+        assigned: 'assigned',
+        in_progress: 'in-progress',
+        on_hold: 'in-progress',
+        completed: 'resolved',
+        cancelled: 'closed'
+    };
+    const status = statusMap[workOrder.status];
+    if (!status) return;
+
+    const set = { 'serviceRequests.$.status': status };
+    if (workOrder.assignedTo) set['serviceRequests.$.assignedStaff'] = workOrder.assignedTo;
+    if (workOrder.status === 'completed') {
+        set['serviceRequests.$.resolution'] = workOrder.resolution;
+        set['serviceRequests.$.resolvedDate'] = workOrder.completedAt;
+    }
+
+    await Booking.updateOne(
+        { _id: workOrder.booking, 'serviceRequests.requestId': workOrder.serviceRequestId },
+        { $set: set }
+    );
+
+    // Picking up the work order acknowledges the guest's request
+    await Booking.updateOne(
+        {
+            _id: workOrder.booking,
+            serviceRequests: { $elemMatch: { requestId: workOrder.serviceRequestId, acknowledgedAt: null } }
+        },
+        {
+            $set: {
+                'serviceRequests.$.acknowledgedAt': new Date(),
+                'serviceRequests.$.acknowledgedBy': workOrder.assignedTo || workOrder.assignedBy
+            }
+        }
+    );
+};
+
+module.exports = {
+    CLOSED_STATUSES,
+    canTransition,
+    createWorkOrder,
+    setOutOfOrder,
+    releaseOutOfOrder,
+    syncRoomMaintenance,
+    syncServiceRequest
+};
@@ -0,0 +1,283 @@
+const Order = require('../models/Order');
+const Booking = require('../models/Booking');
+const MenuItem = require('../models/MenuItem');
+const User = require('../models/User');
+const { evaluateCoupon, releaseCoupon } = require('./couponService');
+const { getActiveTaxRules, computeOrderTaxes } = require('./taxService');
+const { routeOrderItems, estimateOrderTimes } = require('./kitchenService');
+const { quoteRedemption, reverseRedemption } = require('./loyaltyService');
+const { roomServiceFee, paymentTimeoutMinutes } = require('../config/billing');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Orders that count towards a bill
+const BILLABLE_STATUSES = ['confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered'];
+
+// Bookings whose bill can still change
+const OPEN_BOOKING_STATUSES = ['confirmed', 'checked-in'];
+
+// Price a basket the same way whether it is paid by card or charged to a
+// room: menu prices, coupon and loyalty points on the food only, room
+// service fee and taxes. `items` are [{ id, quantity }].
+// Returns the priced fields or { error, status }.
+const priceOrder = async ({ items, deliveryType = 'room_service', couponCode, pointsToRedeem, user }) => {
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        return { error: 'Invalid items data', status: 400 };
+    }
+
+    let subtotal = 0;
+    const orderItems = [];
+
+    for (const item of items) {
+        const quantity = parseInt(item.quantity);
+        if (!quantity || quantity < 1) {
+            return { error: 'Invalid item quantity', status: 400 };
+        }
+
+        const menuItem = await MenuItem.findById(item.id || item.menuItemId);
+        if (!menuItem) {
+            return { error: `Menu item ${item.name || item.menuItemName || item.id} not found`, status: 400 };
+        }
+
+        const itemSubtotal = menuItem.price * quantity;
+        subtotal += itemSubtotal;
+
+        orderItems.push({
+            menuItemId: menuItem._id,
+            name: menuItem.name,
+            price: menuItem.price,
+            quantity,
+            category: menuItem.category,
+            subtotal: itemSubtotal,
+            preparationTime: menuItem.preparationTime
+        });
+    }
+    await routeOrderItems(orderItems);
+
+    // Validate promo code against the items subtotal
+    let couponResult = null;
+    if (couponCode) {
+        couponResult = await evaluateCoupon(couponCode, {
+            user,
+            type: 'order',
+            amount: subtotal,
+            items: orderItems
+        });
+
+        if (!couponResult.valid) {
+            return { error: couponResult.error, status: 400 };
+        }
+    }
+    const couponDiscount = couponResult ? couponResult.discountAmount : 0;
+
+    let pointsRedemption = null;
+    if (pointsToRedeem) {
+        const guest = await User.findById(user).select('loyaltyPoints');
+        if (!guest) {
+            return { error: 'User not found', status: 404 };
+        }
+
+        pointsRedemption = quoteRedemption(guest, pointsToRedeem, subtotal - couponDiscount);
+        if (pointsRedemption.error) return pointsRedemption;
+    }
+    const discountAmount = roundMoney(couponDiscount + (pointsRedemption ? pointsRedemption.discountAmount : 0));
+
+    // Tax items and the room service fee with the configured rules.
+    // Discounts only apply to the food, not the fee.
+    const deliveryFee = deliveryType === 'room_service' ? roomServiceFee : 0;
+    const orderTaxes = computeOrderTaxes(
+        { items: orderItems, deliveryFee, discountAmount },
+        await getActiveTaxRules()
+    );
+
+    return {
+        items: orderItems,
+        subtotal,
+        couponResult,
+        pointsRedemption,
+        discountAmount,
+        deliveryFee,
+        tax: orderTaxes.exclusiveTax,
+        taxBreakdown: orderTaxes.breakdown,
+        finalAmount: roundMoney(subtotal - discountAmount + orderTaxes.exclusiveTax + deliveryFee)
+    };
+};
+
+// Keep the booking's food total in step with the orders charged to it.
+// Settled stays keep the totals they were invoiced and paid on.
+const syncBookingFoodTotal = async (bookingId) => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking || !OPEN_BOOKING_STATUSES.includes(booking.status)) return booking;
+
+    const [result] = await Order.aggregate([
+        { $match: { booking: booking._id, paymentMethod: 'room_charge', status: { $in: BILLABLE_STATUSES } } },
+        { $group: { _id: null, total: { $sum: '$finalAmount' } } }
+    ]);
+
+    booking.setFoodTotal(result ? result.total : 0);
+    await booking.save();
+
+    return booking;
+};
+
+// Place an order on an in-house guest's room bill. It goes straight to the
+// kitchen; the guest settles it with the rest of the folio at check-out.
+// Returns { order } or { error, status }.
+const createRoomChargeOrder = async ({ booking, items, deliveryType = 'room_service', notes, scheduledFor, deliveryAddress, placedBy }) => {
+    if (booking.status !== 'checked-in') {
+        return { error: 'Orders can only be charged to a checked-in stay', status: 400 };
+    }
+
+    const priced = await priceOrder({ items, deliveryType, user: booking.user });
+    if (priced.error) return priced;
+
+    await booking.populate([
+        { path: 'user', select: 'firstName lastName email phone' },
+        { path: 'room', select: 'roomNumber floor' }
+    ]);
+    const guest = booking.user;
+    const roomNumber = booking.room && booking.room.roomNumber;
+
+    const order = new Order({
+        orderId: Order.generateOrderId(),
+        customerId: guest._id,
+        customerInfo: {
+            email: guest.email,
+            name: `${guest.firstName} ${guest.lastName}`,
+            phone: guest.phone,
+            roomNumber
+        },
+        booking: booking._id,
+        items: priced.items,
+        totalAmount: priced.subtotal,
+        tax: priced.tax,
+        taxBreakdown: priced.taxBreakdown,
+        deliveryFee: priced.deliveryFee,
+        finalAmount: priced.finalAmount,
+        paymentMethod: 'room_charge',
+        paymentStatus: 'charged_to_room',
+        deliveryType,
+        deliveryAddress: {
+            roomNumber,
+            floor: booking.room && booking.room.floor !== undefined ? String(booking.room.floor) : undefined,
+            ...deliveryAddress
+        },
+        scheduledFor,
+        notes
+    });
+
+    await estimateOrderTimes(order);
+    order.recordStatus('confirmed', { user: placedBy, note: `Charged to booking ${booking.bookingNumber}` });
+    await order.save();
+
+    await syncBookingFoodTotal(booking._id);
+
+    return { order };
+};
+
+// Close a card order whose payment failed, was cancelled or never came:
+// the payment intent is cancelled so it can't be charged at the discounted
+// price later, and the coupon use and loyalty points go back to the guest.
+// The guest starts a new order to try again. Pass `cancelIntent: false` when
+// Stripe already cancelled it. Returns false if the order was paid or
+// already closed.
+const abandonUnpaidOrder = async (order, reason, { cancelIntent = true } = {}) => {
+    if (order.status !== 'pending' || !['pending', 'processing', 'failed'].includes(order.paymentStatus)) {
+        return false;
+    }
+
+    // Loaded here so scripts using this module don't need Stripe configured
+    const { cancelPaymentIntent } = require('./paymentService');
+    if (cancelIntent && order.paymentIntentId && !(await cancelPaymentIntent(order.paymentIntentId))) {
+        // Stripe refused: the payment may have gone through after all
+        return false;
+    }
+
+    order.paymentStatus = 'failed';
+    order.recordStatus('cancelled', { note: reason });
+    await order.save();
+
+    if (order.coupon && order.coupon.couponId) {
+        await releaseCoupon(order.coupon.couponId, { order: order._id });
+    }
+    if (order.loyalty && order.loyalty.pointsRedeemed) {
+        await reverseRedemption({ order: order._id });
+    }
+
+    return true;
+};
+
+// Undo what an order took when it is cancelled, whoever cancels it: the
+// coupon and points come back, a room charge comes off the stay's bill and
+// a card payment is refunded (or its unpaid intent cancelled). Call after
+// the order has been saved as cancelled. Returns what happened to the
+// payment: 'refunded', 'refund_failed', 'voided' or 'none'.
+const settleCancelledOrder = async (order, { user } = {}) => {
+    if (order.coupon && order.coupon.couponId) {
+        await releaseCoupon(order.coupon.couponId, { order: order._id });
+    }
+    if (order.loyalty && order.loyalty.pointsRedeemed > 0) {
+        await reverseRedemption({ order: order._id }, { createdBy: user && user._id });
+    }
+
+    if (order.paymentMethod === 'room_charge') {
+        if (order.booking) await syncBookingFoodTotal(order.booking);
+        return 'none';
+    }
+    if (!order.paymentIntentId) return 'none';
+
+    // Loaded here so scripts using this module don't need Stripe configured
+    const { createRefund, cancelPaymentIntent } = require('./paymentService');
+
+    if (order.paymentStatus === 'completed') {
+        try {
+            await createRefund(order.paymentIntentId, order.finalAmount, { orderId: order.orderId, reason: 'order_cancelled' });
+        } catch (error) {
+            // Left as paid so staff can see the refund is still owed
+            console.error(`Refund for cancelled order ${order.orderId} failed:`, error.message);
+            return 'refund_failed';
+        }
+        order.paymentStatus = 'refunded';
+        await order.save();
+        return 'refunded';
+    }
+
+    if (['pending', 'processing'].includes(order.paymentStatus) && await cancelPaymentIntent(order.paymentIntentId)) {
+        order.paymentStatus = 'failed';
+        await order.save();
+        return 'voided';
+    }
+
+    return 'none';
+};
+
+// Background job: close card orders left unpaid past the timeout
+const expireUnpaidOrders = async (now = new Date()) => {
+    const orders = await Order.find({
+        paymentMethod: { $in: ['stripe', 'card'] },
+        paymentStatus: { $in: ['pending', 'processing', 'failed'] },
+        status: 'pending',
+        createdAt: { $lte: new Date(now.getTime() - paymentTimeoutMinutes * 60 * 1000) }
+    });
+
+    let expired = 0;
+    for (const order of orders) {
+        if (await abandonUnpaidOrder(order, 'Payment not completed in time')) expired++;
+    }
+
+    if (expired > 0) {
+        console.log(`Orders: cancelled ${expired} unpaid card orders`);
+    }
+
+    return { expired };
+};
+
+module.exports = {
+    BILLABLE_STATUSES,
+    priceOrder,
+    createRoomChargeOrder,
+    syncBookingFoodTotal,
+    abandonUnpaidOrder,
+    settleCancelledOrder,
+    expireUnpaidOrders
+};
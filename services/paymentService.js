@@ -4,7 +4,7 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const createPaymentIntent = async (amount, currency = 'inr', metadata = {}) => {
     try {
         const paymentIntent = await stripe.paymentIntents.create({
-            amount: amount * 100, // Convert to cents/paisa
+            amount: Math.round(amount * 100), // Convert to cents/paisa
             currency,
             metadata,
             automatic_payment_methods: {
@@ -33,7 +33,52 @@ const confirmPayment = async (paymentIntentId) => {
     }
 };
 
+// Refund part or all of a succeeded payment intent
+const createRefund = async (paymentIntentId, amount, metadata = {}) => {
+    try {
+        const refund = await stripe.refunds.create({
+            payment_intent: paymentIntentId,
+            amount: Math.round(amount * 100), // Convert to cents/paisa
+            metadata
+        });
+
+        return {
+            id: refund.id,
+            status: refund.status,
+            amount: refund.amount / 100
+        };
+    } catch (error) {
+        console.error('Stripe refund error:', error);
+        throw new Error('Refund processing failed');
+    }
+};
+
+// Cancel an unpaid payment intent so it can no longer be charged. Returns
+// false if Stripe refuses, e.g. because the payment already went through.
+const cancelPaymentIntent = async (paymentIntentId) => {
+    try {
+        await stripe.paymentIntents.cancel(paymentIntentId);
+        return true;
+    } catch (error) {
+        console.error('Stripe cancel error:', error.message);
+        return false;
+    }
+};
+
+// Verify a webhook payload against the Stripe-Signature header
+// Throws if the signature is missing, invalid or too old
+const constructWebhookEvent = (payload, signature) => {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+    }
+
+    return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
+};
+
 module.exports = {
     createPaymentIntent,
-    confirmPayment
+    confirmPayment,
+    createRefund,
+    cancelPaymentIntent,
+    constructWebhookEvent
 };
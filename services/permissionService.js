@@ -0,0 +1,78 @@
+const Permission = require('../models/Permission');
+const { defaultPermissions, departmentExemptRoles } = require('../config/permissions');
+
+// Overrides are cached so a permission check doesn't hit the database on
+// every request. Other instances pick up admin edits within the TTL.
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let loadedAt = 0;
+
+// Registry with admin overrides applied, keyed by permission
+const getPermissions = async ({ refresh = false } = {}) => {
+    if (cache && !refresh && Date.now() - loadedAt < CACHE_TTL_MS) {
+        return cache;
+    }
+
+    const overrides = await Permission.find({ key: { $in: Object.keys(defaultPermissions) } }).lean();
+    const overridesByKey = new Map(overrides.map(override => [override.key, override]));
+
+    const permissions = {};
+    Object.entries(defaultPermissions).forEach(([key, permission]) => {
+        const override = overridesByKey.get(key);
+        permissions[key] = {
+            key,
+            description: permission.description,
+            roles: override ? override.roles : permission.roles,
+            departments: override ? override.departments : permission.departments || [],
+            isCustomised: !!override
+        };
+    });
+
+    cache = permissions;
+    loadedAt = Date.now();
+    return permissions;
+};
+
+const clearPermissionCache = () => {
+    cache = null;
+};
+
+const grants = (permission, user) => {
+    if (!permission || !user || !permission.roles.includes(user.role)) {
+        return false;
+    }
+
+    if (permission.departments.length === 0 || departmentExemptRoles.includes(user.role)) {
+        return true;
+    }
+
+    return permission.departments.includes(user.department);
+};
+
+// Whether a user holds a permission. Unknown keys are refused.
+const hasPermission = async (user, key) => {
+    const permissions = await getPermissions();
+
+    if (!permissions[key]) {
+        console.error(`Unknown permission checked: ${key}`);
+        return false;
+    }
+
+    return grants(permissions[key], user);
+};
+
+// Every permission key a user holds
+const getUserPermissions = async (user) => {
+    const permissions = await getPermissions();
+    return Object.values(permissions)
+        .filter(permission => grants(permission, user))
+        .map(permission => permission.key);
+};
+
+module.exports = {
+    getPermissions,
+    clearPermissionCache,
+    hasPermission,
+    getUserPermissions
+};
@@ -0,0 +1,125 @@
+const RoomCategory = require('../models/RoomCategory');
+const { getStayNights, getNightlyOccupancy } = require('./availabilityService');
+
+// Friday and Saturday nights by default
+const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isSet = (value) => Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null;
+
+// Room rules override category rules field by field
+const getEffectiveRateRules = (room, roomCategory) => {
+    const roomRules = room.rateRules || {};
+    const categoryRules = (roomCategory && roomCategory.rateRules) || {};
+
+    const pick = (field) => isSet(roomRules[field]) ? roomRules[field] : categoryRules[field];
+
+    return {
+        weekendRate: pick('weekendRate'),
+        weekendDays: pick('weekendDays') || DEFAULT_WEEKEND_DAYS,
+        seasons: pick('seasons') || [],
+        lengthOfStayDiscounts: pick('lengthOfStayDiscounts') || [],
+        occupancySurges: pick('occupancySurges') || [],
+        minimumStay: pick('minimumStay') || 1,
+        minimumStayRules: pick('minimumStayRules') || []
+    };
+};
+
+const isWithin = (date, startDate, endDate) =>
+    date >= new Date(startDate) && date <= new Date(endDate);
+
+// Minimum nights required for an arrival on `checkIn`
+const getMinimumStay = (rules, checkIn) => {
+    return rules.minimumStayRules
+        .filter(rule => isWithin(checkIn, rule.startDate, rule.endDate))
+        .reduce((min, rule) => Math.max(min, rule.minNights), rules.minimumStay);
+};
+
+// Highest tier whose threshold is met
+const findTier = (tiers, value, thresholdField) => {
+    return [...tiers]
+        .sort((a, b) => b[thresholdField] - a[thresholdField])
+        .find(tier => value >= tier[thresholdField]) || null;
+};
+
+// Price a single night before stay-level discounts
+const priceNight = (date, baseRate, rules, occupancyPercentage) => {
+    const weekend = rules.weekendDays.includes(date.getDay());
+    let rate = weekend && isSet(rules.weekendRate) ? rules.weekendRate : baseRate;
+
+    const season = rules.seasons.find(s => isWithin(date, s.startDate, s.endDate)) || null;
+    if (season) {
+        if (isSet(season.rate)) {
+            rate = season.rate;
+        } else if (isSet(season.multiplier)) {
+            rate = rate * season.multiplier;
+        }
+    }
+
+    const surge = findTier(rules.occupancySurges, occupancyPercentage, 'minOccupancyPercentage');
+    const surchargePercentage = surge ? surge.surchargePercentage : 0;
+    rate = rate * (1 + surchargePercentage / 100);
+
+    return {
+        date,
+        baseRate,
+        rate: roundMoney(rate),
+        weekend,
+        season: season ? season.name || 'Seasonal rate' : null,
+        occupancyPercentage,
+        surchargePercentage
+    };
+};
+
+// Build the nightly breakdown and totals for a stay in a room.
+// `occupancy` can be passed in when quoting many rooms of one category.
+const quoteStay = async (room, checkIn, checkOut, { roomCategory = null, occupancy = null } = {}) => {
+    let category = roomCategory;
+    if (!category) {
+        category = room.category && room.category.rateRules !== undefined
+            ? room.category
+            : await RoomCategory.findById(room.category).select('rateRules');
+    }
+
+    const rules = getEffectiveRateRules(room, category);
+    const categoryId = category ? category._id : room.category;
+
+    const nightlyOccupancy = occupancy || (rules.occupancySurges.length > 0
+        ? await getNightlyOccupancy({ checkIn, checkOut, category: categoryId })
+        : getStayNights(checkIn, checkOut).map(date => ({ date, occupancyPercentage: 0 })));
+
+    const nights = nightlyOccupancy.map(night =>
+        priceNight(night.date, room.price, rules, night.occupancyPercentage)
+    );
+
+    const subtotal = roundMoney(nights.reduce((sum, night) => sum + night.rate, 0));
+
+    const losTier = findTier(rules.lengthOfStayDiscounts, nights.length, 'minNights');
+    const discountPercentage = losTier ? losTier.discountPercentage : 0;
+    const discountAmount = roundMoney(subtotal * discountPercentage / 100);
+    const roomTotal = roundMoney(subtotal - discountAmount);
+
+    const minimumStay = getMinimumStay(rules, checkIn);
+
+    return {
+        nights,
+        numberOfNights: nights.length,
+        subtotal,
+        lengthOfStayDiscount: {
+            percentage: discountPercentage,
+            amount: discountAmount
+        },
+        roomTotal,
+        averageNightlyRate: nights.length > 0 ? roundMoney(roomTotal / nights.length) : 0,
+        minimumStay,
+        meetsMinimumStay: nights.length >= minimumStay
+    };
+};
+
+module.exports = {
+    getEffectiveRateRules,
+    getMinimumStay,
+    priceNight,
+    quoteStay
+};
@@ -0,0 +1,275 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { getUserPermissions } = require('./permissionService');
+const { departmentExemptRoles } = require('../config/permissions');
+const { defaultStation } = require('../config/kitchen');
+
+// Server-Sent Events gateway. Each event carries an audience:
+//   users       - ids that always receive it (the guest who owns the order)
+//   permission  - staff holding this registry permission receive it...
+//   departments - ...optionally only those in one of these departments
+// Clients live in this process only, so with several instances each one
+// pushes the events it produced itself.
+const HEARTBEAT_MS = 25 * 1000;
+const REVALIDATE_MS = 2 * 60 * 1000;
+const MAX_STREAMS_PER_USER = 5;
+
+// Recent events kept so a reconnecting client (Last-Event-ID) misses nothing
+const REPLAY_LIMIT = 500;
+const REPLAY_TTL_MS = 5 * 60 * 1000;
+
+const clients = new Map();
+const recentEvents = [];
+let nextClientId = 1;
+let nextEventId = 1;
+
+const toId = (value) => value && value._id ? value._id.toString() : value ? value.toString() : null;
+
+const canReceive = (client, audience) => {
+    if ((audience.users || []).some(user => toId(user) === client.userId)) {
+        return true;
+    }
+
+    if (!audience.permission || !client.permissions.has(audience.permission)) {
+        return false;
+    }
+
+    if (!audience.departments || audience.departments.length === 0 || departmentExemptRoles.includes(client.role)) {
+        return true;
+    }
+
+    return audience.departments.includes(client.department);
+};
+
+const write = (client, chunk) => {
+    try {
+        client.res.write(chunk);
+    } catch (error) {
+        disconnect(client.id);
+    }
+};
+
+const writeEvent = (client, event) => {
+    write(client, `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+const disconnect = (clientId) => {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    clients.delete(clientId);
+    clearInterval(client.heartbeat);
+    clearInterval(client.revalidate);
+    if (!client.res.writableEnded) {
+        client.res.end();
+    }
+};
+
+// Drop the stream once the session is revoked or the account disabled, and
+// pick up permission changes made in the registry
+const revalidateClient = async (client) => {
+    try {
+        const [session, user] = await Promise.all([
+            client.sessionId ? Session.findById(client.sessionId) : null,
+            User.findById(client.userId).select('role department isActive')
+        ]);
+
+        if (!session || !session.isActive() || !user || !user.isActive) {
+            writeEvent(client, { id: nextEventId++, type: 'session.ended', data: {} });
+            return disconnect(client.id);
+        }
+
+        client.role = user.role;
+        client.department = user.department;
+        client.permissions = new Set(await getUserPermissions(user));
+    } catch (error) {
+        console.error('Realtime revalidation error:', error.message);
+    }
+};
+
+const replaySince = (client, lastEventId) => {
+    const since = Number(lastEventId);
+    if (!Number.isInteger(since) || since <= 0) return;
+
+    recentEvents
+        .filter(event => event.id > since && canReceive(client, event.audience))
+        .forEach(event => writeEvent(client, event));
+};
+
+// Open an event stream for an authenticated request (req.user, req.authSession)
+const openStream = async (req, res) => {
+    const user = req.user;
+    const userId = user._id.toString();
+
+    // Oldest streams make way when a user opens too many tabs
+    const existing = [...clients.values()].filter(client => client.userId === userId);
+    existing.slice(0, Math.max(existing.length - MAX_STREAMS_PER_USER + 1, 0))
+        .forEach(client => disconnect(client.id));
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        // no-transform keeps the compression middleware from buffering events
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = {
+        id: nextClientId++,
+        res,
+        userId,
+        sessionId: req.authSession ? req.authSession._id : null,
+        role: user.role,
+        department: user.department,
+        permissions: new Set(await getUserPermissions(user))
+    };
+
+    client.heartbeat = setInterval(() => write(client, ': ping\n\n'), HEARTBEAT_MS);
+    client.revalidate = setInterval(() => revalidateClient(client), REVALIDATE_MS);
+    clients.set(client.id, client);
+
+    req.on('close', () => disconnect(client.id));
+
+    write(client, `retry: 5000\n\n`);
+    writeEvent(client, {
+        id: nextEventId - 1,
+        type: 'connected',
+        data: { role: client.role, department: client.department || null }
+    });
+    replaySince(client, req.get('Last-Event-ID') || req.query.lastEventId);
+};
+
+// Push an event to every connected client in its audience
+const publish = (type, data, audience) => {
+    const event = { id: nextEventId++, type, data, audience, createdAt: Date.now() };
+
+    recentEvents.push(event);
+    while (recentEvents.length > REPLAY_LIMIT || (recentEvents.length > 0 && Date.now() - recentEvents[0].createdAt > REPLAY_TTL_MS)) {
+        recentEvents.shift();
+    }
+
+    clients.forEach(client => {
+        if (canReceive(client, audience)) {
+            writeEvent(client, event);
+        }
+    });
+
+    return event.id;
+};
+
+const closeAllStreams = () => {
+    [...clients.keys()].forEach(disconnect);
+};
+
+const getConnectionStats = () => {
+    const byRole = {};
+    clients.forEach(client => {
+        byRole[client.role] = (byRole[client.role] || 0) + 1;
+    });
+
+    return { connections: clients.size, byRole, lastEventId: nextEventId - 1 };
+};
+
+// Domain events. Publishing never throws: a failed push must not fail the
+// request that triggered it.
+const safePublish = (type, build) => {
+    try {
+        const { data, audience } = build();
+        publish(type, data, audience);
+    } catch (error) {
+        console.error(`Failed to publish ${type}:`, error.message);
+    }
+};
+
+const KITCHEN_DEPARTMENTS = ['food_service', 'management'];
+
+// Food orders ('order.placed' once paid or charged to a room, 'order.status' afterwards)
+const publishOrderEvent = (type, order) => safePublish(type, () => ({
+    data: {
+        orderId: order.orderId,
+        bookingId: order.booking || null,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        deliveryType: order.deliveryType,
+        roomNumber: (order.deliveryAddress && order.deliveryAddress.roomNumber) || (order.customerInfo && order.customerInfo.roomNumber) || null,
+        items: order.items.map(item => ({ name: item.name, quantity: item.quantity })),
+        estimatedDeliveryTime: order.estimatedDeliveryTime || null,
+        updatedAt: order.updatedAt || new Date()
+    },
+    audience: { users: [order.customerId], permission: 'order.read.all', departments: KITCHEN_DEPARTMENTS }
+}));
+
+// A station started or finished its part of an order (kitchen displays only)
+const publishKitchenStationEvent = (order, station) => safePublish('kitchen.station', () => ({
+    data: {
+        orderId: order.orderId,
+        station,
+        status: order.status,
+        items: order.items
+            .filter(item => (item.station || defaultStation) === station)
+            .map(item => ({ _id: item._id, name: item.name, quantity: item.quantity, startedAt: item.startedAt || null, readyAt: item.readyAt || null })),
+        estimatedReadyTime: order.estimatedReadyTime || null
+    },
+    audience: { permission: 'kitchen.queue.read' }
+}));
+
+// 'servicerequest.created' / 'servicerequest.updated'
+const publishServiceRequestEvent = (type, booking, request) => safePublish(type, () => ({
+    data: {
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        room: toId(booking.room),
+        requestId: request._id,
+        type: request.type,
+        priority: request.priority,
+        status: request.status,
+        department: request.department || null,
+        assignedStaff: toId(request.assignedStaff),
+        resolveDueAt: request.sla ? request.sla.resolveDueAt : null
+    },
+    audience: {
+        users: [booking.user],
+        permission: 'servicerequest.read.all',
+        departments: request.department ? [request.department, 'management'] : []
+    }
+}));
+
+// 'booking.checked_in' / 'booking.checked_out'
+const publishBookingEvent = (type, booking) => safePublish(type, () => ({
+    data: {
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        room: toId(booking.room),
+        status: booking.status,
+        actualCheckIn: booking.actualCheckIn || null,
+        actualCheckOut: booking.actualCheckOut || null
+    },
+    audience: { users: [booking.user], permission: 'booking.read.all' }
+}));
+
+// 'housekeeping.task' whenever a cleaning task is created or changes hands or status
+const publishHousekeepingEvent = (task, { room } = {}) => safePublish('housekeeping.task', () => ({
+    data: {
+        taskId: task._id,
+        room: toId(task.room),
+        roomNumber: room ? room.roomNumber : undefined,
+        type: task.type,
+        priority: task.priority,
+        status: task.status,
+        assignedTo: toId(task.assignedTo)
+    },
+    audience: { permission: 'housekeeping.board.read' }
+}));
+
+module.exports = {
+    openStream,
+    publish,
+    closeAllStreams,
+    getConnectionStats,
+    publishOrderEvent,
+    publishKitchenStationEvent,
+    publishServiceRequestEvent,
+    publishBookingEvent,
+    publishHousekeepingEvent
+};
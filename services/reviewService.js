@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RoomCategory = require('../models/RoomCategory');
+const Package = require('../models/Package');
+
+// Reviews that count: written for a completed stay and not hidden by
+// management. Reviews from before moderation have no status.
+const PUBLISHED = {
+    status: 'checked-out',
+    'review.rating': { $gte: 1 },
+    'review.status': { $ne: 'hidden' }
+};
+
+// Which booking field each rating target is matched on
+const TARGETS = {
+    room: { field: 'room', model: Room },
+    roomCategory: { field: 'review.roomCategory', model: RoomCategory },
+    package: { field: 'review.package', model: Package }
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Average, count and star distribution for the reviews matching `match`
+const summariseRatings = async (match) => {
+    const rows = await Booking.aggregate([
+        { $match: { ...PUBLISHED, ...match } },
+        { $group: { _id: '$review.rating', count: { $sum: 1 } } }
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let total = 0;
+    rows.forEach(row => {
+        distribution[row._id] = row.count;
+        count += row.count;
+        total += row._id * row.count;
+    });
+
+    return {
+        average: count > 0 ? Math.round(total / count * 10) / 10 : 0,
+        count,
+        distribution
+    };
+};
+
+// Recompute the stored rating of one room, category or package
+const recomputeRating = async (target, id) => {
+    if (!id || !TARGETS[target]) return null;
+
+    const { field, model } = TARGETS[target];
+    const rating = await summariseRatings({ [field]: toObjectId(id) });
+
+    await model.updateOne({ _id: id }, { $set: { rating: { ...rating, updatedAt: new Date() } } });
+    return rating;
+};
+
+// Everything a booking's review feeds into
+const recomputeBookingRatings = async (booking) => {
+    const review = booking.review || {};
+
+    await Promise.all([
+        recomputeRating('room', booking.room && (booking.room._id || booking.room)),
+        recomputeRating('roomCategory', review.roomCategory),
+        recomputeRating('package', review.package)
+    ]);
+};
+
+// "Priya S." - reviews never show a guest's full name
+const displayName = (user) => {
+    if (!user || !user.firstName) return 'Guest';
+    return user.lastName ? `${user.firstName} ${user.lastName.charAt(0)}.` : user.firstName;
+};
+
+// Shape a reviewed booking for the public list; staff also see moderation details
+const formatReview = (booking, { staff = false } = {}) => {
+    const review = booking.review;
+
+    const formatted = {
+        bookingId: booking._id,
+        guestName: displayName(booking.user),
+        verifiedStay: true,
+        stayedIn: booking.checkInDate ? booking.checkInDate.toISOString().slice(0, 7) : null,
+        numberOfNights: booking.numberOfNights,
+        room: booking.room && booking.room.name ? { _id: booking.room._id, name: booking.room.name } : undefined,
+        rating: review.rating,
+        title: review.title,
+        comment: review.comment,
+        reviewDate: review.reviewDate,
+        editedAt: review.editedAt,
+        response: review.response && review.response.text ? {
+            text: review.response.text,
+            respondedAt: review.response.respondedAt
+        } : null
+    };
+
+    if (staff) {
+        formatted.bookingNumber = booking.bookingNumber;
+        formatted.status = review.status || 'published';
+        formatted.hiddenReason = review.hiddenReason;
+        formatted.hiddenAt = review.hiddenAt;
+        formatted.hiddenBy = review.hiddenBy;
+        if (review.response && review.response.respondedBy) {
+            formatted.response.respondedBy = review.response.respondedBy;
+        }
+    }
+
+    return formatted;
+};
+
+const SORTS = {
+    recent: { 'review.reviewDate': -1 },
+    highest: { 'review.rating': -1, 'review.reviewDate': -1 },
+    lowest: { 'review.rating': 1, 'review.reviewDate': -1 }
+};
+
+// Page through reviews. `filters` may hold room, roomCategory, package and rating.
+const listReviews = async (filters = {}, { sort = 'recent', page = 1, limit = 10, staff = false, status } = {}) => {
+    const query = staff
+        ? { status: 'checked-out', 'review.rating': { $gte: 1 } }
+        : { ...PUBLISHED };
+
+    if (staff && status === 'hidden') query['review.status'] = 'hidden';
+    if (staff && status === 'published') query['review.status'] = { $ne: 'hidden' };
+
+    Object.keys(TARGETS).forEach(target => {
+        if (filters[target]) query[TARGETS[target].field] = filters[target];
+    });
+    if (filters.rating) query['review.rating'] = Number(filters.rating);
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+    const [bookings, total] = await Promise.all([
+        Booking.find(query)
+            .select('user room bookingNumber checkInDate numberOfNights review')
+            .populate('user', 'firstName lastName')
+            .populate('room', 'name')
+            .sort(SORTS[sort] || SORTS.recent)
+            .limit(limitNum)
+            .skip((pageNum - 1) * limitNum),
+        Booking.countDocuments(query)
+    ]);
+
+    return {
+        reviews: bookings.map(booking => formatReview(booking, { staff })),
+        pagination: {
+            page: pageNum,
+            pages: Math.ceil(total / limitNum),
+            total
+        }
+    };
+};
+
+module.exports = {
+    TARGETS,
+    summariseRatings,
+    recomputeRating,
+    recomputeBookingRatings,
+    formatReview,
+    listReviews
+};
@@ -0,0 +1,286 @@
+const Shift = require('../models/Shift');
+const Employee = require('../models/Employee');
+const {
+    defaultHoursPerWeek,
+    minRestHours,
+    maxShiftHours,
+    overtimeToleranceHours
+} = require('../config/roster');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Monday 00:00 of the week `date` falls in
+const weekStartOf = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+};
+
+const paidHours = (shift) =>
+    round2(Math.max((shift.endAt - shift.startAt) / HOUR - (shift.breakMinutes || 0) / 60, 0));
+
+// Contracted weekly hours per user id
+const getContractHours = async (userIds) => {
+    const employees = await Employee.find({ user: { $in: userIds } }).select('user workSchedule');
+    const hours = new Map();
+
+    userIds.forEach(userId => hours.set(idOf(userId), defaultHoursPerWeek['full-time']));
+    employees.forEach(employee => {
+        const schedule = employee.workSchedule || {};
+        hours.set(idOf(employee.user), schedule.hoursPerWeek || defaultHoursPerWeek[schedule.type] || defaultHoursPerWeek['full-time']);
+    });
+
+    return hours;
+};
+
+// Problems in a set of shifts. Overlaps are conflicts that can't be
+// rostered; rest, long shift and overtime issues are warnings a manager can
+// publish over. `contractHours` maps user id to weekly hours.
+const findScheduleIssues = (shifts, contractHours) => {
+    const issues = [];
+    const byUser = new Map();
+
+    shifts.forEach(shift => {
+        const userId = idOf(shift.user);
+        if (!byUser.has(userId)) byUser.set(userId, []);
+        byUser.get(userId).push(shift);
+    });
+
+    byUser.forEach((userShifts, userId) => {
+        userShifts.sort((a, b) => a.startAt - b.startAt);
+
+        // Compare each shift with the latest-ending one before it
+        let latest = null;
+        userShifts.forEach(shift => {
+            if (latest) {
+                if (shift.startAt < latest.endAt) {
+                    issues.push({ type: 'conflict', severity: 'error', user: userId, shifts: [latest._id, shift._id] });
+                } else {
+                    const restHours = round2((shift.startAt - latest.endAt) / HOUR);
+                    if (restHours < minRestHours) {
+                        issues.push({ type: 'rest', severity: 'warning', user: userId, shifts: [latest._id, shift._id], restHours, minRestHours });
+                    }
+                }
+            }
+            if (!latest || shift.endAt > latest.endAt) latest = shift;
+
+            const hours = paidHours(shift);
+            if (hours > maxShiftHours) {
+                issues.push({ type: 'long_shift', severity: 'warning', user: userId, shifts: [shift._id], hours, maxShiftHours });
+            }
+        });
+
+        // Weekly hours against the contract
+        const weeks = new Map();
+        userShifts.forEach(shift => {
+            const week = weekStartOf(shift.startAt).getTime();
+            weeks.set(week, (weeks.get(week) || 0) + paidHours(shift));
+        });
+
+        const contract = contractHours.get(userId) || defaultHoursPerWeek['full-time'];
+        weeks.forEach((hours, week) => {
+            if (hours > contract + overtimeToleranceHours) {
+                issues.push({
+                    type: 'overtime',
+                    severity: 'warning',
+                    user: userId,
+                    weekStart: new Date(week),
+                    hours: round2(hours),
+                    contractHours: contract,
+                    overtimeHours: round2(hours - contract)
+                });
+            }
+        });
+    });
+
+    return issues;
+};
+
+// Live shifts (draft or published) for these users around a date range,
+// widened by a day so rest periods across the edges are checked too
+const loadShifts = (userIds, from, to) => Shift.find({
+    user: { $in: userIds },
+    status: { $ne: 'cancelled' },
+    startAt: { $lt: new Date(to.getTime() + DAY) },
+    endAt: { $gt: new Date(from.getTime() - DAY) }
+}).lean();
+
+// Issues the given shifts would cause, with `changes` (unsaved or edited
+// shifts) replacing their stored versions. Only issues touching a changed
+// shift, or the week one falls in, are returned.
+const checkShiftChanges = async (changes) => {
+    const userIds = [...new Set(changes.map(shift => idOf(shift.user)))];
+    const from = weekStartOf(new Date(Math.min(...changes.map(shift => shift.startAt.getTime()))));
+    const to = new Date(weekStartOf(new Date(Math.max(...changes.map(shift => shift.startAt.getTime())))).getTime() + 7 * DAY);
+
+    const changedIds = new Set(changes.map(shift => idOf(shift._id)));
+    const stored = (await loadShifts(userIds, from, to)).filter(shift => !changedIds.has(idOf(shift._id)));
+    const shifts = stored.concat(changes.map(shift => (shift.toObject ? shift.toObject() : shift)));
+
+    const issues = findScheduleIssues(shifts, await getContractHours(userIds));
+    const changedWeeks = new Set(changes.map(shift => `${idOf(shift.user)}:${weekStartOf(shift.startAt).getTime()}`));
+
+    return issues.filter(issue => issue.type === 'overtime'
+        ? changedWeeks.has(`${issue.user}:${issue.weekStart.getTime()}`)
+        : issue.shifts.some(id => changedIds.has(idOf(id))));
+};
+
+const splitIssues = (issues) => ({
+    conflicts: issues.filter(issue => issue.severity === 'error'),
+    warnings: issues.filter(issue => issue.severity === 'warning')
+});
+
+// A department's week with issues and hours per person. Staff only see
+// published shifts.
+const getRoster = async (department, weekStart, { includeDrafts = false } = {}) => {
+    const weekEnd = new Date(weekStart.getTime() + 7 * DAY);
+
+    const shifts = await Shift.find({
+        department,
+        weekStart,
+        status: includeDrafts ? { $ne: 'cancelled' } : 'published'
+    })
+        .populate('user', 'firstName lastName employeeId department')
+        .sort({ startAt: 1 });
+
+    const userIds = [...new Set(shifts.map(shift => idOf(shift.user)))];
+    const contractHours = await getContractHours(userIds);
+
+    // Check against everything the people on this roster work, including
+    // shifts in other departments
+    const context = userIds.length > 0 ? await loadShifts(userIds, weekStart, weekEnd) : [];
+    const issues = includeDrafts
+        ? findScheduleIssues(context, contractHours).filter(issue =>
+            issue.type !== 'overtime' || issue.weekStart.getTime() === weekStart.getTime())
+        : [];
+
+    const staff = userIds.map(userId => {
+        const hours = round2(context
+            .filter(shift => idOf(shift.user) === userId && weekStartOf(shift.startAt).getTime() === weekStart.getTime())
+            .filter(shift => includeDrafts || shift.status === 'published')
+            .reduce((sum, shift) => sum + paidHours(shift), 0));
+        const contract = contractHours.get(userId);
+        const person = shifts.find(shift => idOf(shift.user) === userId).user;
+
+        return {
+            user: person,
+            hours,
+            contractHours: contract,
+            overtimeHours: round2(Math.max(hours - contract - overtimeToleranceHours, 0))
+        };
+    });
+
+    return {
+        department,
+        weekStart,
+        weekEnd,
+        shifts,
+        staff,
+        ...splitIssues(issues)
+    };
+};
+
+// Publish a department's draft shifts for the week. Conflicts always block;
+// warnings block unless `force` is set. Returns the published shifts or
+// { error, status, conflicts, warnings }.
+const publishWeek = async (department, weekStart, user, { force = false } = {}) => {
+    const drafts = await Shift.find({ department, weekStart, status: 'draft' });
+    if (drafts.length === 0) {
+        return { error: 'No draft shifts to publish for this week', status: 400 };
+    }
+
+    const { conflicts, warnings } = splitIssues(await checkShiftChanges(drafts));
+    if (conflicts.length > 0) {
+        return { error: 'Resolve conflicting shifts before publishing', status: 409, conflicts, warnings };
+    }
+    if (warnings.length > 0 && !force) {
+        return { error: 'The roster has warnings; publish with force to accept them', status: 409, conflicts, warnings };
+    }
+
+    const now = new Date();
+    await Shift.updateMany(
+        { _id: { $in: drafts.map(shift => shift._id) }, status: 'draft' },
+        { $set: { status: 'published', publishedAt: now, publishedBy: user._id } }
+    );
+
+    return {
+        shifts: drafts.map(shift => Object.assign(shift, { status: 'published', publishedAt: now, publishedBy: user._id })),
+        warnings
+    };
+};
+
+// Hand the shifts over once a manager approves a swap. Both shifts must
+// still be published, upcoming and with the same people. Returns
+// { shift, targetShift, warnings } or { error, status, conflicts, warnings }.
+const applySwap = async (swap, { force = false } = {}) => {
+    const now = new Date();
+    const [shift, targetShift] = await Promise.all([
+        Shift.findById(swap.shift),
+        swap.targetShift ? Shift.findById(swap.targetShift) : null
+    ]);
+
+    const stillValid = (candidate, owner) => candidate && candidate.status === 'published' &&
+        idOf(candidate.user) === idOf(owner) && candidate.startAt > now;
+
+    if (!stillValid(shift, swap.requestedBy) || (swap.targetShift && !stillValid(targetShift, swap.targetUser))) {
+        return { error: 'The shifts in this swap have changed or already started', status: 409 };
+    }
+
+    // Check both people's schedules as they would be after the swap
+    const changes = [{ ...shift.toObject(), user: swap.targetUser }];
+    if (targetShift) {
+        changes.push({ ...targetShift.toObject(), user: swap.requestedBy });
+    }
+
+    const { conflicts, warnings } = splitIssues(await checkShiftChanges(changes));
+    if (conflicts.length > 0) {
+        return { error: 'The swap would double-book someone', status: 409, conflicts, warnings };
+    }
+    if (warnings.length > 0 && !force) {
+        return { error: 'The swap causes roster warnings; approve with force to accept them', status: 409, conflicts, warnings };
+    }
+
+    // Move each shift only if it is still with its original owner
+    const moved = await Shift.updateOne(
+        { _id: shift._id, user: swap.requestedBy, status: 'published' },
+        { $set: { user: swap.targetUser, swappedFrom: swap.requestedBy } }
+    );
+    if (moved.modifiedCount === 0) {
+        return { error: 'The shifts in this swap have changed or already started', status: 409 };
+    }
+
+    if (targetShift) {
+        const movedBack = await Shift.updateOne(
+            { _id: targetShift._id, user: swap.targetUser, status: 'published' },
+            { $set: { user: swap.requestedBy, swappedFrom: swap.targetUser } }
+        );
+        if (movedBack.modifiedCount === 0) {
+            // Hand the first shift back as it was, including an earlier swap
+            const restore = shift.swappedFrom
+                ? { $set: { user: swap.requestedBy, swappedFrom: shift.swappedFrom } }
+                : { $set: { user: swap.requestedBy }, $unset: { swappedFrom: 1 } };
+            await Shift.updateOne({ _id: shift._id, user: swap.targetUser }, restore);
+            return { error: 'The shifts in this swap have changed or already started', status: 409 };
+        }
+    }
+
+    return { shift, targetShift, warnings };
+};
+
+module.exports = {
+    weekStartOf,
+    paidHours,
+    getContractHours,
+    findScheduleIssues,
+    checkShiftChanges,
+    splitIssues,
+    getRoster,
+    publishWeek,
+    applySwap
+};
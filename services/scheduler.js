@@ -0,0 +1,77 @@
+// In-process runner for recurring background jobs. A job never overlaps
+// with itself: if a run is still going when the next tick comes, the tick
+// is skipped. Set SCHEDULER_ENABLED=false on instances that shouldn't run
+// jobs (e.g. all but one replica).
+const jobs = new Map();
+
+const registerJob = (name, intervalMs, handler) => {
+    if (jobs.has(name)) {
+        throw new Error(`Job already registered: ${name}`);
+    }
+
+    jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null });
+};
+
+const runJob = async (job) => {
+    if (job.running) return;
+
+    job.running = true;
+    try {
+        await job.handler(new Date());
+        job.lastError = null;
+    } catch (error) {
+        job.lastError = error.message;
+        console.error(`Scheduled job ${job.name} failed:`, error);
+    } finally {
+        job.running = false;
+        job.lastRunAt = new Date();
+    }
+};
+
+const startScheduler = () => {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+        console.log('Scheduler disabled');
+        return;
+    }
+
+    jobs.forEach(job => {
+        if (job.timer) return;
+
+        job.timer = setInterval(() => runJob(job), job.intervalMs);
+        // Don't keep the process alive just for the scheduler
+        job.timer.unref();
+        console.log(`Scheduled ${job.name} every ${Math.round(job.intervalMs / 1000)}s`);
+    });
+};
+
+const stopScheduler = () => {
+    jobs.forEach(job => {
+        clearInterval(job.timer);
+        job.timer = null;
+    });
+};
+
+// Run a job straight away, e.g. from a script
+const runJobNow = (name) => {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+    return runJob(job);
+};
+
+const getJobStatus = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt,
+    lastError
+}));
+
+module.exports = {
+    registerJob,
+    runJobNow,
+    startScheduler,
+    stopScheduler,
+    getJobStatus
+};
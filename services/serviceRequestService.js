@@ -0,0 +1,199 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { departments, getSla } = require('../config/serviceRequests');
+const { sendServiceRequestEscalation } = require('./emailService');
+
+const OPEN_STATUSES = ['open', 'assigned', 'in-progress'];
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// Route a new request to its department and start its SLA clock
+const applySla = (request, now = new Date()) => {
+    const target = getSla(request.type, request.priority);
+    const requestedAt = request.requestDate || now;
+
+    request.department = departments[request.type] || 'management';
+    request.sla = {
+        acknowledgeDueAt: minutesFrom(requestedAt, target.acknowledge),
+        resolveDueAt: minutesFrom(requestedAt, target.resolve)
+    };
+};
+
+// First pick-up by staff stops the acknowledgement clock
+const markAcknowledged = (request, user, now = new Date()) => {
+    if (!request.acknowledgedAt) {
+        request.acknowledgedAt = now;
+        request.acknowledgedBy = user._id;
+    }
+};
+
+// Which SLAs an open request has breached without being escalated yet
+const getPendingBreaches = (request, now = new Date()) => {
+    if (!OPEN_STATUSES.includes(request.status) || !request.sla) return [];
+
+    const escalated = new Set((request.escalations || []).map(escalation => escalation.kind));
+    const breaches = [];
+
+    if (!request.acknowledgedAt && request.sla.acknowledgeDueAt && request.sla.acknowledgeDueAt <= now && !escalated.has('acknowledge')) {
+        breaches.push('acknowledge');
+    }
+    if (request.sla.resolveDueAt && request.sla.resolveDueAt <= now && !escalated.has('resolve')) {
+        breaches.push('resolve');
+    }
+
+    return breaches;
+};
+
+// Active managers of a department, falling back to general management and
+// then admins so an escalation always reaches someone
+const findEscalationContacts = async (department) => {
+    const select = 'firstName lastName email preferences';
+
+    let contacts = await User.find({ role: 'manager', department, isActive: true }).select(select);
+    if (contacts.length === 0 && department !== 'management') {
+        contacts = await User.find({ role: 'manager', department: 'management', isActive: true }).select(select);
+    }
+    if (contacts.length === 0) {
+        contacts = await User.find({ role: 'admin', isActive: true }).select(select);
+    }
+
+    return contacts;
+};
+
+// Scheduler job: escalate every breached request once per kind of breach
+const escalateServiceRequestBreaches = async (now = new Date()) => {
+    const bookings = await Booking.find({
+        serviceRequests: {
+            $elemMatch: {
+                status: { $in: OPEN_STATUSES },
+                $or: [
+                    { acknowledgedAt: null, 'sla.acknowledgeDueAt': { $lte: now }, 'escalations.kind': { $ne: 'acknowledge' } },
+                    { 'sla.resolveDueAt': { $lte: now }, 'escalations.kind': { $ne: 'resolve' } }
+                ]
+            }
+        }
+    })
+        .select('bookingNumber room user serviceRequests')
+        .populate('room', 'name roomNumber')
+        .populate('user', 'firstName lastName');
+
+    let escalated = 0;
+
+    for (const booking of bookings) {
+        for (const request of booking.serviceRequests) {
+            for (const kind of getPendingBreaches(request, now)) {
+                const contacts = await findEscalationContacts(request.department || departments[request.type]);
+
+                // Claim the escalation so another instance doesn't send it too
+                const result = await Booking.updateOne(
+                    {
+                        _id: booking._id,
+                        serviceRequests: { $elemMatch: { _id: request._id, 'escalations.kind': { $ne: kind } } }
+                    },
+                    {
+                        $push: {
+                            'serviceRequests.$.escalations': {
+                                kind,
+                                escalatedAt: now,
+                                escalatedTo: contacts.map(contact => contact._id)
+                            }
+                        }
+                    }
+                );
+
+                if (result.modifiedCount === 0) continue;
+
+                escalated++;
+                await sendServiceRequestEscalation(contacts, { booking, request, kind });
+            }
+        }
+    }
+
+    return escalated;
+};
+
+const toMinutes = (milliseconds) => milliseconds === null ? null : Math.round(milliseconds / 6000) / 10;
+
+// Per-department response times, SLA breaches and guest ratings for
+// requests made in [from, to]
+const getServiceRequestReport = async ({ from, to }) => {
+    const match = {};
+    if (from || to) {
+        match['serviceRequests.requestDate'] = {};
+        if (from) match['serviceRequests.requestDate'].$gte = from;
+        if (to) match['serviceRequests.requestDate'].$lte = to;
+    }
+
+    const rows = await Booking.aggregate([
+        { $match: { 'serviceRequests.0': { $exists: true } } },
+        { $unwind: '$serviceRequests' },
+        { $match: match },
+        { $replaceRoot: { newRoot: '$serviceRequests' } },
+        {
+            $addFields: {
+                department: { $ifNull: ['$department', 'unassigned'] },
+                acknowledgeMs: {
+                    $cond: [{ $and: ['$acknowledgedAt', '$requestDate'] }, { $subtract: ['$acknowledgedAt', '$requestDate'] }, null]
+                },
+                resolveMs: {
+                    $cond: [{ $and: ['$resolvedDate', '$requestDate'] }, { $subtract: ['$resolvedDate', '$requestDate'] }, null]
+                },
+                acknowledgeBreached: {
+                    $cond: [
+                        { $ifNull: ['$sla.acknowledgeDueAt', false] },
+                        { $gt: [{ $ifNull: ['$acknowledgedAt', '$$NOW'] }, '$sla.acknowledgeDueAt'] },
+                        false
+                    ]
+                },
+                resolveBreached: {
+                    $cond: [
+                        { $ifNull: ['$sla.resolveDueAt', false] },
+                        { $gt: [{ $ifNull: ['$resolvedDate', '$$NOW'] }, '$sla.resolveDueAt'] },
+                        false
+                    ]
+                }
+            }
+        },
+        {
+            $group: {
+                _id: '$department',
+                total: { $sum: 1 },
+                open: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+                acknowledged: { $sum: { $cond: [{ $ne: ['$acknowledgeMs', null] }, 1, 0] } },
+                resolved: { $sum: { $cond: [{ $ne: ['$resolveMs', null] }, 1, 0] } },
+                meanAcknowledgeMs: { $avg: '$acknowledgeMs' },
+                meanResolveMs: { $avg: '$resolveMs' },
+                acknowledgeBreaches: { $sum: { $cond: ['$acknowledgeBreached', 1, 0] } },
+                resolveBreaches: { $sum: { $cond: ['$resolveBreached', 1, 0] } },
+                escalations: { $sum: { $size: { $ifNull: ['$escalations', []] } } },
+                averageRating: { $avg: '$rating' },
+                ratings: { $sum: { $cond: [{ $ifNull: ['$rating', false] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    return rows.map(row => ({
+        department: row._id,
+        total: row.total,
+        open: row.open,
+        acknowledged: row.acknowledged,
+        resolved: row.resolved,
+        meanMinutesToAcknowledge: toMinutes(row.meanAcknowledgeMs),
+        meanMinutesToResolve: toMinutes(row.meanResolveMs),
+        acknowledgeBreaches: row.acknowledgeBreaches,
+        resolveBreaches: row.resolveBreaches,
+        escalations: row.escalations,
+        averageRating: row.averageRating === null ? null : Math.round(row.averageRating * 100) / 100,
+        ratings: row.ratings
+    }));
+};
+
+module.exports = {
+    OPEN_STATUSES,
+    applySla,
+    markAcknowledged,
+    getPendingBreaches,
+    escalateServiceRequestBreaches,
+    getServiceRequestReport
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { generateToken, generateStreamTicket, ACCESS_TOKEN_TTL, STREAM_TICKET_TTL_SECONDS } = require('./jwtService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Guests stay signed in for weeks; staff on shared terminals for a shift
+const GUEST_SESSION_TTL = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * DAY;
+const STAFF_SESSION_TTL = Number(process.env.STAFF_REFRESH_TOKEN_TTL_HOURS || 12) * 60 * 60 * 1000;
+
+// Rotated hashes kept per session for reuse detection
+const MAX_ROTATED_HASHES = 20;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const getClientInfo = (req) => ({
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || (req.connection && req.connection.remoteAddress) || '',
+    deviceName: req.body && typeof req.body.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined
+});
+
+const issueTokens = (user, session, secret) => ({
+    token: generateToken(user._id, user.email, user.role, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session._id
+});
+
+// Start a session for a user who just authenticated
+const createSession = async (user, req) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const ttl = user.role === 'user' ? GUEST_SESSION_TTL : STAFF_SESSION_TTL;
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashSecret(secret),
+        ...getClientInfo(req),
+        expiresAt: new Date(Date.now() + ttl)
+    });
+
+    return issueTokens(user, session, secret);
+};
+
+// Swap a refresh token for a new access/refresh pair.
+// Returns { error, status } or { user, tokens }.
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        return { error: 'Invalid refresh token', status: 401 };
+    }
+
+    const session = await Session.findById(sessionId).populate('user');
+    if (!session || !session.isActive()) {
+        return { error: 'Session has expired, please log in again', status: 401 };
+    }
+
+    const presentedHash = hashSecret(secret);
+
+    if (!safeEqual(presentedHash, session.refreshTokenHash)) {
+        if (session.rotatedTokenHashes.includes(presentedHash)) {
+            await revokeSession(session._id, 'token-reuse');
+        }
+        return { error: 'Invalid refresh token', status: 401 };
+    }
+
+    const user = session.user;
+    if (!user || !user.isActive) {
+        await revokeSession(session._id, 'revoked');
+        return { error: 'Account is deactivated', status: 401 };
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('hex');
+
+    // Compare-and-swap on the current hash so two refreshes racing with the
+    // same token can't both win
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashSecret(nextSecret),
+                lastUsedAt: new Date(),
+                ...getClientInfo(req)
+            },
+            $push: {
+                rotatedTokenHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_HASHES }
+            }
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        return { error: 'Invalid refresh token', status: 401 };
+    }
+
+    return { user, tokens: issueTokens(user, rotated, nextSecret) };
+};
+
+const revokeSession = async (sessionId, reason = 'revoked') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Revoke every session a user has, optionally keeping one (the caller's)
+const revokeUserSessions = async (userId, reason = 'revoked', { except = null } = {}) => {
+    const query = { user: userId, revokedAt: null };
+    if (except) query._id = { $ne: except };
+
+    const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+// Issue a single-use event stream ticket, dropping the session's expired ones
+const issueStreamTicket = async (user, session) => {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const now = new Date();
+
+    await Session.updateOne({ _id: session._id }, { $pull: { streamTickets: { expiresAt: { $lte: now } } } });
+    await Session.updateOne(
+        { _id: session._id },
+        { $push: { streamTickets: { jti, expiresAt: new Date(now.getTime() + STREAM_TICKET_TTL_SECONDS * 1000) } } }
+    );
+
+    return generateStreamTicket(user._id.toString(), session._id.toString(), jti);
+};
+
+// Claim a verified stream ticket. False if it was already used.
+const consumeStreamTicket = async (decoded) => {
+    if (!decoded.jti || !mongoose.Types.ObjectId.isValid(decoded.sid)) return false;
+
+    const result = await Session.updateOne(
+        { _id: decoded.sid, 'streamTickets.jti': decoded.jti },
+        { $pull: { streamTickets: { jti: decoded.jti } } }
+    );
+    return result.modifiedCount > 0;
+};
+
+const getActiveSessions = (userId) => {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('deviceName userAgent ip createdAt lastUsedAt expiresAt')
+        .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    issueStreamTicket,
+    consumeStreamTicket,
+    getActiveSessions
+};
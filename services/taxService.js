@@ -0,0 +1,234 @@
+const TaxRule = require('../models/TaxRule');
+const { defaultTaxRules } = require('../config/billing');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Active rules for a date, falling back to the defaults for any line type
+// that has nothing configured
+const getActiveTaxRules = async (date = new Date()) => {
+    const configured = await TaxRule.find({
+        isActive: true,
+        $and: [
+            { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: date } }] },
+            { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }] }
+        ]
+    }).sort({ priority: -1 }).lean();
+
+    const configuredTypes = new Set(configured.map(rule => rule.lineType));
+
+    return [
+        ...configured,
+        ...defaultTaxRules.filter(rule => !configuredTypes.has(rule.lineType))
+    ];
+};
+
+const findRule = (rules, lineType) => {
+    return rules
+        .filter(rule => rule.lineType === lineType)
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0))[0] || null;
+};
+
+// Rate for a unit price: the first slab whose ceiling covers it, else the flat rate
+const getRate = (rule, unitAmount) => {
+    if (!rule) return 0;
+
+    if (rule.slabs && rule.slabs.length > 0) {
+        const slabs = [...rule.slabs].sort((a, b) =>
+            (a.upTo === null || a.upTo === undefined ? Infinity : a.upTo) -
+            (b.upTo === null || b.upTo === undefined ? Infinity : b.upTo)
+        );
+        const slab = slabs.find(s => s.upTo === null || s.upTo === undefined || unitAmount <= s.upTo);
+        return slab ? slab.rate : 0;
+    }
+
+    return rule.rate || 0;
+};
+
+// Tax one charge line at a resolved rate, after its share of a bill discount
+const taxLine = (line, { rate, mode, supplyType }, discountRatio) => {
+    const netAmount = line.amount * (1 - discountRatio);
+    const taxableAmount = mode === 'inclusive' ? netAmount / (1 + rate / 100) : netAmount;
+    const taxAmount = taxableAmount * rate / 100;
+
+    return {
+        ...line,
+        netAmount,
+        taxableAmount,
+        rate,
+        mode,
+        supplyType,
+        taxAmount,
+        cgst: supplyType === 'intra-state' ? taxAmount / 2 : 0,
+        sgst: supplyType === 'intra-state' ? taxAmount / 2 : 0,
+        igst: supplyType === 'inter-state' ? taxAmount : 0
+    };
+};
+
+const discountRatioFor = (lines, discountAmount) => {
+    const gross = lines.reduce((sum, line) => sum + line.amount, 0);
+    return gross > 0 ? Math.min(discountAmount, gross) / gross : 0;
+};
+
+// Totals for taxed lines and their breakdown
+const totalTaxes = (taxedLines, breakdown) => {
+    const netTotal = taxedLines.reduce((sum, line) => sum + line.netAmount, 0);
+    const totalTax = breakdown.reduce((sum, group) => sum + group.taxAmount, 0);
+    const exclusiveTax = breakdown
+        .filter(group => group.mode === 'exclusive')
+        .reduce((sum, group) => sum + group.taxAmount, 0);
+
+    return {
+        lines: taxedLines,
+        breakdown,
+        netTotal: roundMoney(netTotal),
+        totalTax: roundMoney(totalTax),
+        exclusiveTax: roundMoney(exclusiveTax),
+        // Amount payable: inclusive tax is already inside the line amounts
+        grandTotal: roundMoney(netTotal + exclusiveTax)
+    };
+};
+
+// Tax a list of charge lines.
+// Each line is { lineType, description, amount, unitAmount } where `unitAmount`
+// picks the slab (defaults to `amount`). A bill-level `discountAmount` is spread
+// over the lines in proportion to their amounts before tax is worked out.
+const computeTaxes = (lines, rules, { discountAmount = 0 } = {}) => {
+    const discountRatio = discountRatioFor(lines, discountAmount);
+
+    const taxedLines = lines.map(line => {
+        const rule = findRule(rules, line.lineType);
+        return taxLine(line, {
+            rate: getRate(rule, line.unitAmount !== undefined ? line.unitAmount : line.amount),
+            mode: rule ? rule.mode || 'exclusive' : 'exclusive',
+            supplyType: rule ? rule.supplyType || 'intra-state' : 'intra-state'
+        }, discountRatio);
+    });
+
+    // Summarise by line type, rate and mode so an invoice can print one row each
+    const groups = {};
+    taxedLines.forEach(line => {
+        const key = `${line.lineType}|${line.rate}|${line.mode}|${line.supplyType}`;
+        if (!groups[key]) {
+            groups[key] = {
+                lineType: line.lineType,
+                rate: line.rate,
+                mode: line.mode,
+                supplyType: line.supplyType,
+                taxableAmount: 0,
+                cgst: 0,
+                sgst: 0,
+                igst: 0,
+                taxAmount: 0
+            };
+        }
+        const group = groups[key];
+        group.taxableAmount += line.taxableAmount;
+        group.cgst += line.cgst;
+        group.sgst += line.sgst;
+        group.igst += line.igst;
+        group.taxAmount += line.taxAmount;
+    });
+
+    const breakdown = Object.values(groups).map(group => ({
+        ...group,
+        taxableAmount: roundMoney(group.taxableAmount),
+        cgst: roundMoney(group.cgst),
+        sgst: roundMoney(group.sgst),
+        igst: roundMoney(group.igst),
+        taxAmount: roundMoney(group.taxAmount)
+    }));
+
+    return totalTaxes(taxedLines, breakdown);
+};
+
+// Re-tax charge lines with the breakdown stored when they were charged, so a
+// bill can be reproduced after tax rules change. Each line takes a rate from
+// its line type's stored groups; where slabs gave one type several rates,
+// the cheapest lines fill the lowest-rate groups first. Documents from before
+// breakdowns were stored are taxed with the configured defaults.
+const applyTaxBreakdown = (lines, storedBreakdown, { discountAmount = 0 } = {}) => {
+    if (!storedBreakdown || storedBreakdown.length === 0) {
+        return computeTaxes(lines, defaultTaxRules, { discountAmount });
+    }
+
+    const lineTypes = new Set(lines.map(line => line.lineType));
+    const breakdown = storedBreakdown
+        .filter(group => lineTypes.has(group.lineType))
+        .map(group => ({
+            lineType: group.lineType,
+            rate: group.rate,
+            mode: group.mode || 'exclusive',
+            supplyType: group.supplyType || 'intra-state',
+            taxableAmount: group.taxableAmount,
+            cgst: group.cgst,
+            sgst: group.sgst,
+            igst: group.igst,
+            taxAmount: group.taxAmount
+        }));
+
+    const remaining = breakdown
+        .map(group => ({ group, taxable: group.taxableAmount }))
+        .sort((a, b) => a.group.rate - b.group.rate);
+
+    const discountRatio = discountRatioFor(lines, discountAmount);
+    const unitOf = (line) => line.unitAmount !== undefined ? line.unitAmount : line.amount;
+    const taxedLines = new Array(lines.length);
+
+    lines
+        .map((line, index) => ({ line, index }))
+        .sort((a, b) => unitOf(a.line) - unitOf(b.line))
+        .forEach(({ line, index }) => {
+            const candidates = remaining.filter(entry => entry.group.lineType === line.lineType);
+            const entry = candidates.find(candidate => candidate.taxable > 0.01) || candidates[candidates.length - 1];
+            const taxed = taxLine(line, entry ? entry.group : { rate: 0, mode: 'exclusive', supplyType: 'intra-state' }, discountRatio);
+
+            if (entry) entry.taxable -= taxed.taxableAmount;
+            taxedLines[index] = taxed;
+        });
+
+    return totalTaxes(taxedLines, breakdown);
+};
+
+// Tax a food order: items are discounted by the coupon, the room service
+// fee is taxed as its own 'delivery' line and never discounted. `tax` is
+// computeTaxes or applyTaxBreakdown with its rules or stored breakdown bound.
+const taxOrder = ({ items, deliveryFee = 0, discountAmount = 0 }, tax) => {
+    const foodTaxes = tax(
+        items.map(item => ({
+            lineType: 'food',
+            description: item.name,
+            quantity: item.quantity,
+            amount: item.subtotal,
+            unitAmount: item.price
+        })),
+        { discountAmount }
+    );
+    const feeTaxes = tax(
+        deliveryFee > 0 ? [{ lineType: 'delivery', description: 'Room service fee', amount: deliveryFee }] : [],
+        {}
+    );
+
+    return {
+        lines: [...foodTaxes.lines, ...feeTaxes.lines],
+        breakdown: [...foodTaxes.breakdown, ...feeTaxes.breakdown],
+        totalTax: roundMoney(foodTaxes.totalTax + feeTaxes.totalTax),
+        exclusiveTax: roundMoney(foodTaxes.exclusiveTax + feeTaxes.exclusiveTax)
+    };
+};
+
+const computeOrderTaxes = (order, rules) =>
+    taxOrder(order, (lines, options) => computeTaxes(lines, rules, options));
+
+// An order's taxes as charged, from its stored breakdown
+const applyOrderTaxBreakdown = (order, storedBreakdown) =>
+    taxOrder(order, (lines, options) => applyTaxBreakdown(lines, storedBreakdown, options));
+
+module.exports = {
+    getActiveTaxRules,
+    findRule,
+    getRate,
+    computeTaxes,
+    applyTaxBreakdown,
+    computeOrderTaxes,
+    applyOrderTaxBreakdown
+};
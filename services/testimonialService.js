@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const Testimonial = require('../models/Testimonial');
+const { throttle, duplicateWindowDays, bannedWords, allowLinks } = require('../config/testimonials');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Addresses are only kept hashed, keyed with a server secret so the small
+// IPv4 space can't be brute-forced back from a stored hash
+const getIpHashKey = () => process.env.TESTIMONIAL_IP_SECRET || `testimonial-ip:${process.env.JWT_SECRET}`;
+
+const hashIp = (ip) => (ip ? crypto.createHmac('sha256', getIpHashKey()).update(ip).digest('hex') : undefined);
+
+// Same text regardless of case, spacing and punctuation
+const contentHash = (comment) => sha256(
+    String(comment)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+);
+
+const BANNED_PATTERN = bannedWords.length > 0
+    ? new RegExp(`\\b(${bannedWords.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'i')
+    : null;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/i;
+
+// Reasons a submission should be refused before it reaches the queue.
+// Returns null, or { error, status }.
+const checkSubmission = async ({ name, comment, email, ip }) => {
+    const text = `${name} ${comment}`;
+
+    if (BANNED_PATTERN && BANNED_PATTERN.test(text)) {
+        return { error: 'Your testimonial contains language that is not allowed', status: 400 };
+    }
+
+    if (!allowLinks && LINK_PATTERN.test(text)) {
+        return { error: 'Links are not allowed in testimonials', status: 400 };
+    }
+
+    const ipHash = hashIp(ip);
+    if (ipHash) {
+        const recent = await Testimonial.countDocuments({
+            ipHash,
+            createdAt: { $gte: minutesAgo(throttle.perIp.windowMinutes) }
+        });
+        if (recent >= throttle.perIp.max) {
+            return { error: 'Too many testimonials submitted, please try again later', status: 429 };
+        }
+    }
+
+    if (email) {
+        const recent = await Testimonial.countDocuments({
+            email: email.trim().toLowerCase(),
+            createdAt: { $gte: minutesAgo(throttle.perEmail.windowMinutes) }
+        });
+        if (recent >= throttle.perEmail.max) {
+            return { error: 'Too many testimonials submitted, please try again later', status: 429 };
+        }
+    }
+
+    const duplicate = await Testimonial.exists({
+        contentHash: contentHash(comment),
+        createdAt: { $gte: minutesAgo(duplicateWindowDays * 24 * 60) }
+    });
+    if (duplicate) {
+        return { error: 'This testimonial has already been submitted', status: 409 };
+    }
+
+    return null;
+};
+
+module.exports = {
+    hashIp,
+    contentHash,
+    checkSubmission
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30 second steps), as used by
+// Google Authenticator, Authy and 1Password
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// New random base32 secret (160 bits)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getCounter = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = ((hmac[offset] & 127) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and `window` steps either side for
+// clock drift. Returns the matching counter (to block replays) or null.
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+    const normalised = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalised)) return null;
+
+    const current = getCounter(time);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = generateCode(secret, current + offset);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalised))) {
+            return current + offset;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI for authenticator apps (usually shown as a QR code)
+const buildOtpAuthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = [
+        `secret=${secret}`,
+        `issuer=${encodeURIComponent(issuer)}`,
+        'algorithm=SHA1',
+        `digits=${DIGITS}`,
+        `period=${STEP_SECONDS}`
+    ];
+    return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+// Secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => {
+    const configured = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    return crypto.createHash('sha256').update(configured || `2fa:${process.env.JWT_SECRET}`).digest();
+};
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// One-time recovery codes like 'a1b2-c3d4'; only hashes are stored
+const generateRecoveryCodes = (count = 10) => {
+    return Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(4).toString('hex');
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+};
+
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    getCounter,
+    buildOtpAuthUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
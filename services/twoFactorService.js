@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const {
+    generateSecret,
+    verifyCode,
+    buildOtpAuthUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} = require('./totpService');
+const { twoFactorIssuer } = require('../config/security');
+
+// Start enrollment: store a pending secret and return what the
+// authenticator app needs
+const beginEnrollment = async (user) => {
+    const secret = generateSecret();
+
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    return {
+        secret,
+        otpauthUri: buildOtpAuthUri(secret, user.email, twoFactorIssuer)
+    };
+};
+
+// Finish enrollment once the user proves the app is set up.
+// Returns the plain recovery codes (shown once) or null for a wrong code.
+const confirmEnrollment = async (user, code) => {
+    if (!user.twoFactor.pendingSecret) return null;
+
+    const counter = verifyCode(decryptSecret(user.twoFactor.pendingSecret), code);
+    if (counter === null) return null;
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedCounter = counter;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) }));
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return recoveryCodes;
+};
+
+// Check and use up a TOTP code or a recovery code. Each is accepted once:
+// the TOTP step and the recovery code are claimed with atomic updates.
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+    if (!user.twoFactor || !user.twoFactor.enabled) return false;
+
+    if (recoveryCode) {
+        const claimed = await User.findOneAndUpdate(
+            {
+                _id: user._id,
+                'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } }
+            },
+            { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+        );
+        return !!claimed;
+    }
+
+    const counter = verifyCode(decryptSecret(user.twoFactor.secret), code);
+    if (counter === null) return false;
+
+    const claimed = await User.findOneAndUpdate(
+        { _id: user._id, 'twoFactor.lastUsedCounter': { $lt: counter } },
+        { $set: { 'twoFactor.lastUsedCounter': counter } }
+    );
+    return !!claimed;
+};
+
+// Replace all recovery codes, returning the new plain codes
+const regenerateRecoveryCodes = async (user) => {
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(code => ({ hash: hashRecoveryCode(code) })) } }
+    );
+    return recoveryCodes;
+};
+
+const getRemainingRecoveryCodes = (user) => {
+    return (user.twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length;
+};
+
+// Remove the second factor (user opt-out or admin reset)
+const clearTwoFactor = (userId) => {
+    return User.updateOne(
+        { _id: userId },
+        {
+            $set: { 'twoFactor.enabled': false, 'twoFactor.lastUsedCounter': 0, 'twoFactor.recoveryCodes': [] },
+            $unset: { 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.enabledAt': 1 }
+        }
+    );
+};
+
+module.exports = {
+    beginEnrollment,
+    confirmEnrollment,
+    consumeSecondFactor,
+    regenerateRecoveryCodes,
+    getRemainingRecoveryCodes,
+    clearTwoFactor
+};
@@ -0,0 +1,370 @@
+const mongoose = require('mongoose');
+
+// In-memory stand-in for a mongoose model, covering the queries and update
+// operators the services under test use. The test run has no database, so
+// the services are exercised against this instead of MongoDB. Every call
+// runs to completion before the next, which is how a single mongod applies
+// one update to one document atomically.
+const registry = {};
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+    !Array.isArray(value) && !(value instanceof Date) && !isObjectId(value);
+
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, field]) => typeof field !== 'function')
+            .map(([key, field]) => [key, clone(field)]));
+    }
+    return value;
+};
+
+const comparable = (value) => {
+    if (isObjectId(value)) return value.toString();
+    if (value instanceof Date) return value.getTime();
+    if (isPlainObject(value) && value._id) return value._id.toString();
+    return value;
+};
+
+const equals = (a, b) => {
+    if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+    return comparable(a) === comparable(b);
+};
+
+// Values at a dotted path; arrays part-way down fan out like MongoDB does
+const valuesAt = (doc, path) => {
+    let values = [doc];
+    for (const key of path.split('.')) {
+        values = values.flatMap(value => {
+            if (value === null || value === undefined) return [undefined];
+            if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => item && item[key]);
+            return [value[key]];
+        });
+    }
+    return values;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+        if (target[key] === null || target[key] === undefined) target[key] = {};
+        return target[key];
+    }, doc);
+    parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = getPath(doc, keys.join('.')) || (keys.length === 0 ? doc : null);
+    if (parent) delete parent[last];
+};
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+
+const matchesCondition = (values, condition, context, path) => {
+    if (!isOperatorObject(condition)) {
+        const flat = values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+        if (condition === null) return flat.some(value => value === null || value === undefined);
+        return flat.some(value => equals(value, condition));
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        const present = values.flatMap(value => (Array.isArray(value) ? value : [value]))
+            .filter(value => value !== undefined && value !== null);
+
+        switch (operator) {
+            case '$gt': return present.some(value => comparable(value) > comparable(operand));
+            case '$gte': return present.some(value => comparable(value) >= comparable(operand));
+            case '$lt': return present.some(value => comparable(value) < comparable(operand));
+            case '$lte': return present.some(value => comparable(value) <= comparable(operand));
+            case '$ne': return !matchesCondition(values, operand, context, path);
+            case '$in': return operand.some(option => matchesCondition(values, option, context, path));
+            case '$exists': return operand ? present.length > 0 : present.length === 0;
+            case '$elemMatch': {
+                const array = values.find(Array.isArray) || [];
+                const index = array.findIndex(item => matches(item, operand));
+                if (index !== -1 && context) context.positional = index;
+                return index !== -1;
+            }
+            default: throw new Error(`memoryModel: unsupported operator ${operator} on ${path}`);
+        }
+    });
+};
+
+function matches(doc, filter = {}, context) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(part => matches(doc, part, context));
+        if (key === '$and') return condition.every(part => matches(doc, part, context));
+        return matchesCondition(valuesAt(doc, key), condition, context, key);
+    });
+}
+
+// Aggregation expressions used in pipeline updates
+const evaluate = (doc, expression) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+    if (!isPlainObject(expression)) return expression;
+
+    const [[operator, args]] = Object.entries(expression);
+    const values = args.map(arg => evaluate(doc, arg));
+    switch (operator) {
+        case '$max': return Math.max(...values);
+        case '$min': return Math.min(...values);
+        case '$subtract': return values[0] - values[1];
+        case '$add': return values.reduce((sum, value) => sum + value, 0);
+        default: throw new Error(`memoryModel: unsupported expression ${operator}`);
+    }
+};
+
+const applyUpdate = (doc, update, context = {}) => {
+    if (Array.isArray(update)) {
+        update.forEach(stage => Object.entries(stage.$set || {}).forEach(([path, expression]) => {
+            setPath(doc, path, evaluate(doc, expression));
+        }));
+        return;
+    }
+
+    const resolve = (path) => path.replace('.$.', `.${context.positional}.`);
+
+    Object.entries(update).forEach(([operator, fields]) => {
+        if (!operator.startsWith('$')) {
+            setPath(doc, operator, clone(fields));
+            return;
+        }
+        Object.entries(fields).forEach(([rawPath, value]) => {
+            const path = resolve(rawPath);
+            switch (operator) {
+                case '$set':
+                    setPath(doc, path, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc':
+                    setPath(doc, path, (getPath(doc, path) || 0) + value);
+                    break;
+                case '$push': {
+                    const list = getPath(doc, path) || [];
+                    const items = isPlainObject(value) && value.$each ? value.$each : [value];
+                    let next = [...list, ...clone(items)];
+                    if (isPlainObject(value) && value.$slice !== undefined) next = next.slice(value.$slice);
+                    setPath(doc, path, next);
+                    break;
+                }
+                case '$addToSet': {
+                    const list = getPath(doc, path) || [];
+                    if (!list.some(item => equals(item, value))) setPath(doc, path, [...list, clone(value)]);
+                    break;
+                }
+                case '$pull': {
+                    const list = getPath(doc, path) || [];
+                    setPath(doc, path, list.filter(item => (isPlainObject(value) ? !matches(item, value) : !equals(item, value))));
+                    break;
+                }
+                case '$setOnInsert':
+                    break;
+                default:
+                    throw new Error(`memoryModel: unsupported update operator ${operator}`);
+            }
+        });
+    });
+};
+
+const sortDocs = (docs, spec) => {
+    const fields = Object.entries(spec);
+    return [...docs].sort((a, b) => {
+        for (const [field, direction] of fields) {
+            const left = comparable(getPath(a, field));
+            const right = comparable(getPath(b, field));
+            if (left < right) return -direction;
+            if (left > right) return direction;
+        }
+        return 0;
+    });
+};
+
+const createModel = (name, { methods = {}, refs = {}, unique = [], defaults = () => ({}) } = {}) => {
+    let docs = [];
+
+    const findStored = (id) => docs.find(doc => equals(doc._id, id));
+
+    // A loaded document: a copy of the stored one with save() and the
+    // schema's instance methods
+    const hydrate = (stored) => {
+        if (!stored) return null;
+        const doc = clone(stored);
+
+        Object.entries(methods).forEach(([method, fn]) => {
+            Object.defineProperty(doc, method, { value: fn, enumerable: false, writable: true });
+        });
+        Object.defineProperty(doc, 'save', {
+            enumerable: false,
+            value: async function () {
+                const target = findStored(this._id);
+                const data = clone(this);
+                Object.keys(refs).forEach(path => {
+                    if (isPlainObject(data[path]) && data[path]._id) data[path] = data[path]._id;
+                });
+                data.updatedAt = new Date();
+                if (target) {
+                    Object.keys(target).forEach(key => delete target[key]);
+                    Object.assign(target, data);
+                } else {
+                    docs.push(data);
+                }
+                return this;
+            }
+        });
+        Object.defineProperty(doc, 'updateOne', {
+            enumerable: false,
+            value: function (update) { return model.updateOne({ _id: this._id }, update); }
+        });
+        Object.defineProperty(doc, 'toObject', { enumerable: false, value: function () { return clone(this); } });
+        return doc;
+    };
+
+    const populateDoc = (doc, paths) => {
+        if (!doc) return doc;
+        paths.forEach(path => {
+            const refModel = registry[refs[path]];
+            if (refModel && doc[path]) doc[path] = refModel.hydrateById(doc[path]);
+        });
+        return doc;
+    };
+
+    // Chainable, thenable query; runs when awaited
+    const query = (run) => {
+        let sortSpec = null;
+        let lean = false;
+        const paths = [];
+
+        const execute = () => {
+            let result = run(sortSpec);
+            if (Array.isArray(result)) {
+                return result.map(stored => (lean ? clone(stored) : populateDoc(hydrate(stored), paths)));
+            }
+            if (result && typeof result === 'object' && result.__stored) {
+                result = lean ? clone(result.__stored) : populateDoc(hydrate(result.__stored), paths);
+            }
+            return result;
+        };
+
+        const chain = {
+            sort(spec) { sortSpec = spec; return chain; },
+            select() { return chain; },
+            limit() { return chain; },
+            skip() { return chain; },
+            lean() { lean = true; return chain; },
+            populate(path) { paths.push(path); return chain; },
+            cursor() {
+                const results = execute();
+                return (async function* () { yield* results; })();
+            },
+            exec() { return Promise.resolve().then(execute); },
+            then(resolve, reject) { return Promise.resolve().then(execute).then(resolve, reject); },
+            catch(reject) { return chain.then(undefined, reject); }
+        };
+        return chain;
+    };
+
+    const findMatching = (filter, sortSpec) => {
+        const found = docs.filter(doc => matches(doc, filter));
+        return sortSpec ? sortDocs(found, sortSpec) : found;
+    };
+
+    const checkUnique = (candidate, self = null) => {
+        unique.forEach(field => {
+            const value = getPath(candidate, field);
+            if (value === undefined || value === null) return;
+            if (docs.some(doc => doc !== self && equals(getPath(doc, field), value))) {
+                throw Object.assign(new Error(`E11000 duplicate key error collection: ${name} index: ${field}_1`), { code: 11000 });
+            }
+        });
+    };
+
+    const insertOne = (data) => {
+        const now = new Date();
+        const stored = { _id: new mongoose.Types.ObjectId(), ...clone(defaults()), createdAt: now, updatedAt: now, ...clone(data) };
+        checkUnique(stored);
+        docs.push(stored);
+        return stored;
+    };
+
+    const updateFirst = (filter, update, sortSpec) => {
+        const context = {};
+        const candidates = findMatching(filter, sortSpec);
+        const target = candidates.find(doc => matches(doc, filter, context));
+        if (!target) return { before: null, after: null };
+
+        const before = clone(target);
+        const working = clone(target);
+        applyUpdate(working, update, context);
+        checkUnique(working, target);
+        Object.keys(target).forEach(key => delete target[key]);
+        Object.assign(target, working, { updatedAt: new Date() });
+        return { before, after: target };
+    };
+
+    const model = {
+        modelName: name,
+
+        // Test helpers
+        reset() { docs = []; },
+        insert(...items) { return items.map(item => hydrate(insertOne(item))); },
+        all() { return docs.map(clone); },
+        get(id) { return clone(findStored(id)); },
+        hydrateById(id) { return hydrate(findStored(id)); },
+
+        // Model API
+        create: jest.fn(async (data) => {
+            if (Array.isArray(data)) return data.map(item => hydrate(insertOne(item)));
+            return hydrate(insertOne(data));
+        }),
+        find: jest.fn((filter = {}) => query(sortSpec => findMatching(filter, sortSpec))),
+        findOne: jest.fn((filter = {}) => query(sortSpec => {
+            const [first] = findMatching(filter, sortSpec);
+            return first ? { __stored: first } : null;
+        })),
+        findById: jest.fn((id) => query(() => {
+            const stored = findStored(id);
+            return stored ? { __stored: stored } : null;
+        })),
+        exists: jest.fn(async (filter) => {
+            const [first] = findMatching(filter);
+            return first ? { _id: first._id } : null;
+        }),
+        countDocuments: jest.fn(async (filter = {}) => findMatching(filter).length),
+        findOneAndUpdate: jest.fn((filter, update, options = {}) => query(() => {
+            const { before, after } = updateFirst(filter, update, options.sort);
+            if (!after) return null;
+            return { __stored: options.new ? after : before };
+        })),
+        findByIdAndUpdate: jest.fn((id, update, options = {}) => model.findOneAndUpdate({ _id: id }, update, options)),
+        updateOne: jest.fn(async (filter, update) => {
+            const { after } = updateFirst(filter, update);
+            return { matchedCount: after ? 1 : 0, modifiedCount: after ? 1 : 0 };
+        }),
+        updateMany: jest.fn(async (filter, update) => {
+            const targets = findMatching(filter);
+            targets.forEach(target => applyUpdate(target, update));
+            return { matchedCount: targets.length, modifiedCount: targets.length };
+        }),
+        deleteOne: jest.fn(async (filter) => {
+            const [first] = findMatching(filter);
+            if (first) docs = docs.filter(doc => doc !== first);
+            return { deletedCount: first ? 1 : 0 };
+        }),
+        aggregate: jest.fn(async () => [])
+    };
+
+    registry[name] = model;
+    return model;
+};
+
+module.exports = { createModel };
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+
+jest.mock('../models/User', () => require('./helpers/memoryModel').createModel('User', {
+    defaults: () => ({ loyaltyPoints: 0, loyaltyTier: 'member', qualifyingNights: 0 })
+}));
+jest.mock('../models/LoyaltyTransaction', () => require('./helpers/memoryModel').createModel('LoyaltyTransaction', {
+    unique: ['reference'],
+    defaults: () => ({ consumed: [] })
+}));
+jest.mock('../models/Booking', () => require('./helpers/memoryModel').createModel('Booking'));
+jest.mock('../models/Order', () => require('./helpers/memoryModel').createModel('Order'));
+
+const User = require('../models/User');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { redeemPoints, reverseRedemption, processLoyaltyExpiry } = require('../services/loyaltyService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('loyalty points ledger', () => {
+    let user;
+    let soonerLot;
+    let laterLot;
+
+    // An earned lot as creditPoints would have written it
+    const earnLot = (points, expiresAt, extra = {}) => {
+        const [lot] = LoyaltyTransaction.insert({
+            user: user._id,
+            type: 'earn',
+            points,
+            remainingPoints: points,
+            expiresAt,
+            ...extra
+        });
+        return lot;
+    };
+
+    const remaining = (lot) => LoyaltyTransaction.get(lot._id).remainingPoints;
+    const balance = () => User.get(user._id).loyaltyPoints;
+
+    beforeEach(() => {
+        User.reset();
+        LoyaltyTransaction.reset();
+        jest.clearAllMocks();
+
+        [user] = User.insert({ loyaltyPoints: 500 });
+        laterLot = earnLot(300, new Date(Date.now() + 60 * DAY));
+        soonerLot = earnLot(200, new Date(Date.now() + 30 * DAY));
+    });
+
+    describe('redeem → cancel → re-cancel', () => {
+        const order = new mongoose.Types.ObjectId();
+
+        it('spends the lots that expire first and records where the points came from', async () => {
+            const { transaction, error } = await redeemPoints(user._id, { points: 250, discountAmount: 125 }, { order });
+
+            expect(error).toBeUndefined();
+            expect(transaction.points).toBe(-250);
+            expect(transaction.balanceAfter).toBe(250);
+            expect(transaction.reference).toBe(`redeem:order:${order}`);
+            expect(transaction.consumed).toEqual([
+                { transaction: soonerLot._id, points: 200 },
+                { transaction: laterLot._id, points: 50 }
+            ]);
+            expect(balance()).toBe(250);
+            expect(remaining(soonerLot)).toBe(0);
+            expect(remaining(laterLot)).toBe(250);
+        });
+
+        it('gives the points back to the same lots on cancel, and only once', async () => {
+            await redeemPoints(user._id, { points: 250, discountAmount: 125 }, { order });
+
+            const reversal = await reverseRedemption({ order });
+
+            expect(reversal.type).toBe('reverse');
+            expect(reversal.points).toBe(250);
+            expect(reversal.balanceAfter).toBe(500);
+            expect(balance()).toBe(500);
+            expect(remaining(soonerLot)).toBe(200);
+            expect(remaining(laterLot)).toBe(300);
+
+            const again = await reverseRedemption({ order });
+
+            expect(again).toBeNull();
+            expect(balance()).toBe(500);
+            expect(remaining(soonerLot)).toBe(200);
+            expect(remaining(laterLot)).toBe(300);
+            expect(LoyaltyTransaction.all().filter(entry => entry.type === 'reverse')).toHaveLength(1);
+        });
+
+        it('lets only one of two concurrent cancels give the points back', async () => {
+            await redeemPoints(user._id, { points: 250, discountAmount: 125 }, { order });
+
+            const results = await Promise.all([reverseRedemption({ order }), reverseRedemption({ order })]);
+
+            expect(results.filter(Boolean)).toHaveLength(1);
+            expect(balance()).toBe(500);
+        });
+
+        it('returns nothing when the order never used points', async () => {
+            expect(await reverseRedemption({ order })).toBeNull();
+            expect(balance()).toBe(500);
+        });
+    });
+
+    describe('redeeming past the balance', () => {
+        it('refuses without touching the balance or the lots', async () => {
+            const result = await redeemPoints(user._id, { points: 600, discountAmount: 300 }, {
+                order: new mongoose.Types.ObjectId()
+            });
+
+            expect(result).toEqual({ error: 'Not enough loyalty points', status: 409 });
+            expect(balance()).toBe(500);
+            expect(remaining(soonerLot)).toBe(200);
+            expect(remaining(laterLot)).toBe(300);
+            expect(LoyaltyTransaction.all()).toHaveLength(2);
+        });
+
+        it('refuses the second of two redemptions that together exceed the balance', async () => {
+            const [first, second] = await Promise.all([
+                redeemPoints(user._id, { points: 300, discountAmount: 150 }, { order: new mongoose.Types.ObjectId() }),
+                redeemPoints(user._id, { points: 300, discountAmount: 150 }, { order: new mongoose.Types.ObjectId() })
+            ]);
+
+            expect(first.transaction).toBeDefined();
+            expect(second).toEqual({ error: 'Not enough loyalty points', status: 409 });
+            expect(balance()).toBe(200);
+            expect(remaining(soonerLot) + remaining(laterLot)).toBe(200);
+        });
+
+        it('puts the balance and lots back when the order already used points', async () => {
+            const order = new mongoose.Types.ObjectId();
+            await redeemPoints(user._id, { points: 100, discountAmount: 50 }, { order });
+
+            const result = await redeemPoints(user._id, { points: 150, discountAmount: 75 }, { order });
+
+            expect(result).toEqual({ error: 'Points have already been used for this', status: 409 });
+            expect(balance()).toBe(400);
+            expect(remaining(soonerLot)).toBe(100);
+            expect(remaining(laterLot)).toBe(300);
+        });
+
+        it('looks for another lot when the one it picked was spent in the meantime', async () => {
+            LoyaltyTransaction.updateOne.mockImplementationOnce(async () => ({ matchedCount: 0, modifiedCount: 0 }));
+
+            const { transaction } = await redeemPoints(user._id, { points: 250, discountAmount: 125 }, {
+                order: new mongoose.Types.ObjectId()
+            });
+
+            expect(LoyaltyTransaction.updateOne).toHaveBeenCalledTimes(3);
+            expect(transaction.consumed).toEqual([
+                { transaction: soonerLot._id, points: 200 },
+                { transaction: laterLot._id, points: 50 }
+            ]);
+            expect(remaining(soonerLot)).toBe(0);
+            expect(remaining(laterLot)).toBe(250);
+        });
+    });
+
+    describe('processLoyaltyExpiry', () => {
+        let expiredLot;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            expiredLot = earnLot(200, new Date(Date.now() - DAY));
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+        });
+
+        it('lapses expired lots and leaves the others alone', async () => {
+            await User.updateOne({ _id: user._id }, { $set: { loyaltyPoints: 700 } });
+
+            const result = await processLoyaltyExpiry();
+
+            expect(result.expired).toBe(200);
+            expect(balance()).toBe(500);
+            expect(remaining(expiredLot)).toBe(0);
+            expect(remaining(soonerLot)).toBe(200);
+            expect(remaining(laterLot)).toBe(300);
+
+            const [entry] = LoyaltyTransaction.all().filter(item => item.type === 'expire');
+            expect(entry.points).toBe(-200);
+            expect(entry.balanceAfter).toBe(500);
+            expect(entry.consumed).toEqual([{ transaction: expiredLot._id, points: 200 }]);
+        });
+
+        it('never takes the balance below zero', async () => {
+            await User.updateOne({ _id: user._id }, { $set: { loyaltyPoints: 150 } });
+
+            await processLoyaltyExpiry();
+
+            expect(balance()).toBe(0);
+            const [entry] = LoyaltyTransaction.all().filter(item => item.type === 'expire');
+            expect(entry.points).toBe(-200);
+            expect(entry.balanceAfter).toBe(0);
+        });
+
+        it('expires a lot only once', async () => {
+            await User.updateOne({ _id: user._id }, { $set: { loyaltyPoints: 700 } });
+
+            await processLoyaltyExpiry();
+            const second = await processLoyaltyExpiry();
+
+            expect(second.expired).toBe(0);
+            expect(balance()).toBe(500);
+            expect(LoyaltyTransaction.all().filter(item => item.type === 'expire')).toHaveLength(1);
+        });
+
+        it('drops a guest whose qualifying stays have lapsed to the base tier', async () => {
+            await User.updateOne({ _id: user._id }, { $set: { loyaltyTier: 'silver', qualifyingNights: 12 } });
+
+            const result = await processLoyaltyExpiry();
+
+            expect(result.tierChanges).toBe(1);
+            expect(User.get(user._id).loyaltyTier).toBe('member');
+        });
+    });
+});
@@ -0,0 +1,124 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_webhook';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const express = require('express');
+const request = require('supertest');
+const Stripe = require('stripe');
+
+jest.mock('../models/PaymentEvent', () => ({ create: jest.fn(), deleteOne: jest.fn() }));
+jest.mock('../models/Order', () => ({ findOne: jest.fn() }));
+jest.mock('../models/Booking', () => ({ findById: jest.fn(), findOne: jest.fn() }));
+jest.mock('../services/kitchenService', () => ({ confirmPaidOrder: jest.fn() }));
+jest.mock('../services/orderService', () => ({ abandonUnpaidOrder: jest.fn(), settleCancelledOrder: jest.fn() }));
+jest.mock('../services/realtimeService', () => ({ publishOrderEvent: jest.fn() }));
+
+const PaymentEvent = require('../models/PaymentEvent');
+const Order = require('../models/Order');
+const { confirmPaidOrder } = require('../services/kitchenService');
+const paymentRoutes = require('../routes/paymentRoutes');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Same mounting as index.js: the webhook body stays raw for the signature check
+const app = express();
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+app.use('/api/payments', paymentRoutes);
+
+const succeededEvent = JSON.stringify({
+    id: 'evt_test_1',
+    object: 'event',
+    type: 'payment_intent.succeeded',
+    data: {
+        object: {
+            id: 'pi_test_1',
+            object: 'payment_intent',
+            amount_received: 125000,
+            latest_charge: 'ch_test_1',
+            metadata: { orderType: 'restaurant', orderId: 'ORD-1001' }
+        }
+    }
+});
+
+const sign = (payload, secret = process.env.STRIPE_WEBHOOK_SECRET) =>
+    stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+const postWebhook = (payload, signature) => request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+
+describe('POST /api/payments/webhook', () => {
+    let order;
+    let record;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        order = { _id: 'order-1', orderId: 'ORD-1001', paymentStatus: 'pending' };
+        record = { _id: 'event-record-1', save: jest.fn().mockResolvedValue() };
+
+        Order.findOne.mockResolvedValue(order);
+        PaymentEvent.create.mockResolvedValue(record);
+        confirmPaidOrder.mockResolvedValue(order);
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    it('confirms the order for a correctly signed event', async () => {
+        const res = await postWebhook(succeededEvent, sign(succeededEvent));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ received: true });
+        expect(PaymentEvent.create).toHaveBeenCalledWith({
+            eventId: 'evt_test_1',
+            type: 'payment_intent.succeeded',
+            paymentIntentId: 'pi_test_1'
+        });
+        expect(Order.findOne).toHaveBeenCalledWith({ orderId: 'ORD-1001' });
+        expect(confirmPaidOrder).toHaveBeenCalledWith(order, 'pi_test_1', 'ch_test_1');
+        expect(record.target).toEqual({ kind: 'order', id: 'order-1' });
+        expect(record.save).toHaveBeenCalled();
+    });
+
+    it('rejects an event signed with another secret', async () => {
+        const res = await postWebhook(succeededEvent, sign(succeededEvent, 'whsec_wrong_secret'));
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({ error: 'Invalid webhook signature' });
+        expect(PaymentEvent.create).not.toHaveBeenCalled();
+        expect(confirmPaidOrder).not.toHaveBeenCalled();
+    });
+
+    it('rejects a payload changed after signing', async () => {
+        const tampered = succeededEvent.replace('125000', '1');
+        const res = await postWebhook(tampered, sign(succeededEvent));
+
+        expect(res.status).toBe(400);
+        expect(PaymentEvent.create).not.toHaveBeenCalled();
+        expect(confirmPaidOrder).not.toHaveBeenCalled();
+    });
+
+    it('acknowledges a replayed event without applying it again', async () => {
+        PaymentEvent.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        const res = await postWebhook(succeededEvent, sign(succeededEvent));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ received: true, duplicate: true });
+        expect(Order.findOne).not.toHaveBeenCalled();
+        expect(confirmPaidOrder).not.toHaveBeenCalled();
+    });
+
+    it('releases the event claim when applying it fails so a retry can succeed', async () => {
+        confirmPaidOrder.mockRejectedValue(new Error('database unavailable'));
+
+        const res = await postWebhook(succeededEvent, sign(succeededEvent));
+
+        expect(res.status).toBe(500);
+        expect(PaymentEvent.deleteOne).toHaveBeenCalledWith({ _id: 'event-record-1' });
+    });
+});
@@ -0,0 +1,130 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../models/Session', () => require('./helpers/memoryModel').createModel('Session', {
+    refs: { user: 'User' },
+    defaults: () => ({ rotatedTokenHashes: [], streamTickets: [] }),
+    methods: { isActive: jest.requireActual('../models/Session').schema.methods.isActive }
+}));
+jest.mock('../models/User', () => require('./helpers/memoryModel').createModel('User', {
+    defaults: () => ({ role: 'user', isActive: true, isLocked: false }),
+    methods: { changedPasswordAfter: jest.requireActual('../models/User').schema.methods.changedPasswordAfter }
+}));
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createSession, rotateSession } = require('../services/sessionService');
+const { auth } = require('../middleware/auth');
+
+// Enough of a request for the client details stored on the session
+const fakeRequest = () => ({ get: () => 'jest', ip: '127.0.0.1', body: {} });
+
+const app = express();
+app.get('/me', auth, (req, res) => res.json({ email: req.user.email }));
+
+describe('refresh token rotation', () => {
+    let user;
+
+    beforeEach(() => {
+        User.reset();
+        Session.reset();
+        [user] = User.insert({ email: 'guest@example.com' });
+    });
+
+    it('swaps a refresh token for a new pair and retires the old one', async () => {
+        const first = await createSession(user, fakeRequest());
+
+        const result = await rotateSession(first.refreshToken, fakeRequest());
+
+        expect(result.error).toBeUndefined();
+        expect(result.user.email).toBe('guest@example.com');
+        expect(result.tokens.sessionId).toEqual(first.sessionId);
+        expect(result.tokens.refreshToken).not.toBe(first.refreshToken);
+        expect(Session.get(first.sessionId).rotatedTokenHashes).toHaveLength(1);
+
+        const next = await rotateSession(result.tokens.refreshToken, fakeRequest());
+        expect(next.tokens).toBeDefined();
+    });
+
+    it('revokes the session when a rotated-out token is presented again', async () => {
+        const first = await createSession(user, fakeRequest());
+        const { tokens } = await rotateSession(first.refreshToken, fakeRequest());
+
+        const reuse = await rotateSession(first.refreshToken, fakeRequest());
+
+        expect(reuse).toEqual({ error: 'Invalid refresh token', status: 401 });
+        expect(Session.get(first.sessionId).revokedReason).toBe('token-reuse');
+
+        // Whoever holds the newer token is signed out too
+        const current = await rotateSession(tokens.refreshToken, fakeRequest());
+        expect(current).toEqual({ error: 'Session has expired, please log in again', status: 401 });
+    });
+
+    it('lets only one of two refreshes racing with the same token win', async () => {
+        const first = await createSession(user, fakeRequest());
+
+        const results = await Promise.all([
+            rotateSession(first.refreshToken, fakeRequest()),
+            rotateSession(first.refreshToken, fakeRequest())
+        ]);
+
+        expect(results.filter(result => result.tokens)).toHaveLength(1);
+        expect(results.filter(result => result.error === 'Invalid refresh token')).toHaveLength(1);
+    });
+
+    it('rejects a token with the wrong secret without revoking the session', async () => {
+        const first = await createSession(user, fakeRequest());
+
+        const result = await rotateSession(`${first.sessionId}.not-the-secret`, fakeRequest());
+
+        expect(result).toEqual({ error: 'Invalid refresh token', status: 401 });
+        expect(Session.get(first.sessionId).revokedAt).toBeUndefined();
+    });
+});
+
+describe('access tokens and password changes', () => {
+    let user;
+    let token;
+    let issuedAt;
+
+    beforeEach(async () => {
+        User.reset();
+        Session.reset();
+        [user] = User.insert({ email: 'guest@example.com' });
+        ({ token } = await createSession(user, fakeRequest()));
+        issuedAt = jwt.decode(token).iat;
+    });
+
+    const setPasswordChangedAt = (seconds) =>
+        User.updateOne({ _id: user._id }, { $set: { passwordChangedAt: new Date(seconds * 1000) } });
+
+    it('accepts a token issued after the last password change', async () => {
+        await setPasswordChangedAt(issuedAt - 60);
+
+        const res = await request(app).get('/me').set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ email: 'guest@example.com' });
+    });
+
+    it('rejects a token issued before the password was changed', async () => {
+        await setPasswordChangedAt(issuedAt + 1);
+
+        const res = await request(app).get('/me').set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(401);
+        expect(res.body).toEqual({ error: 'Password was changed, please log in again' });
+    });
+
+    it('rejects a token whose session was revoked', async () => {
+        await Session.updateOne({ user: user._id }, { $set: { revokedAt: new Date(), revokedReason: 'logout' } });
+
+        const res = await request(app).get('/me').set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(401);
+        expect(res.body).toEqual({ error: 'Session has expired, please log in again' });
+    });
+});
@@ -0,0 +1,169 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../models/User', () => {
+    const { methods } = jest.requireActual('../models/User').schema;
+    return require('./helpers/memoryModel').createModel('User', {
+        defaults: () => ({ role: 'user', isActive: true, isLocked: false, loginAttempts: 0 }),
+        methods: {
+            comparePassword: methods.comparePassword,
+            incLoginAttempts: methods.incLoginAttempts,
+            resetLoginAttempts: methods.resetLoginAttempts
+        }
+    });
+});
+jest.mock('../models/Session', () => require('./helpers/memoryModel').createModel('Session', {
+    defaults: () => ({ rotatedTokenHashes: [], streamTickets: [] })
+}));
+
+const User = require('../models/User');
+const {
+    generateCode,
+    verifyCode,
+    getCounter,
+    encryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} = require('../services/totpService');
+const { consumeSecondFactor } = require('../services/twoFactorService');
+const { generateChallengeToken } = require('../services/jwtService');
+const { login, verifyTwoFactorLogin } = require('../controllers/authController');
+
+// The 20-byte ASCII secret "12345678901234567890" from RFC 6238, base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP codes', () => {
+    // RFC 6238 appendix B, SHA-1. The RFC prints 8 digits; a 6-digit code
+    // is the last 6 of them.
+    it.each([
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130']
+    ])('matches the RFC 6238 vector at T=%i', (seconds, rfcCode) => {
+        const counter = getCounter(seconds * 1000);
+
+        expect(generateCode(RFC_SECRET, counter)).toBe(rfcCode.slice(-6));
+        expect(verifyCode(RFC_SECRET, rfcCode.slice(-6), { time: seconds * 1000 })).toBe(counter);
+    });
+
+    it('accepts a code one step either side for clock drift, but not two', () => {
+        const time = 1111111111 * 1000;
+        const counter = getCounter(time);
+
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter - 1), { time })).toBe(counter - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 1), { time })).toBe(counter + 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter - 2), { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 2), { time })).toBeNull();
+    });
+
+    it('rejects input that is not six digits', () => {
+        const time = 59 * 1000;
+
+        expect(verifyCode(RFC_SECRET, '94287082', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, '28708', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+});
+
+describe('second factor login', () => {
+    let user;
+    let recoveryCodes;
+
+    const currentCode = () => generateCode(RFC_SECRET, getCounter());
+
+    const app = express();
+    app.use(express.json());
+    app.post('/login', login);
+    app.post('/login/2fa', verifyTwoFactorLogin);
+
+    beforeEach(() => {
+        User.reset();
+        recoveryCodes = generateRecoveryCodes(2);
+        [user] = User.insert({
+            email: 'guest@example.com',
+            password: bcrypt.hashSync('correct horse', 4),
+            twoFactor: {
+                enabled: true,
+                secret: encryptSecret(RFC_SECRET),
+                lastUsedCounter: 0,
+                recoveryCodes: recoveryCodes.map(code => ({ hash: hashRecoveryCode(code) }))
+            }
+        });
+    });
+
+    it('accepts a TOTP code only once', async () => {
+        const code = currentCode();
+
+        expect(await consumeSecondFactor(user, { code })).toBe(true);
+        expect(await consumeSecondFactor(user, { code })).toBe(false);
+        expect(User.get(user._id).twoFactor.lastUsedCounter).toBe(verifyCode(RFC_SECRET, code));
+    });
+
+    it('accepts a recovery code only once and leaves the others usable', async () => {
+        expect(await consumeSecondFactor(user, { recoveryCode: recoveryCodes[0] })).toBe(true);
+        expect(await consumeSecondFactor(user, { recoveryCode: recoveryCodes[0] })).toBe(false);
+
+        const [used, unused] = User.get(user._id).twoFactor.recoveryCodes;
+        expect(used.usedAt).toBeInstanceOf(Date);
+        expect(unused.usedAt).toBeUndefined();
+
+        expect(await consumeSecondFactor(user, { recoveryCode: recoveryCodes[1] })).toBe(true);
+    });
+
+    it('lets only one of two concurrent uses of a recovery code through', async () => {
+        const results = await Promise.all([
+            consumeSecondFactor(user, { recoveryCode: recoveryCodes[0] }),
+            consumeSecondFactor(user, { recoveryCode: recoveryCodes[0] })
+        ]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('asks for the second factor after the password, then signs in with it', async () => {
+        const first = await request(app).post('/login').send({ emailOrPhone: 'guest@example.com', password: 'correct horse' });
+
+        expect(first.status).toBe(200);
+        expect(first.body.twoFactorRequired).toBe(true);
+        expect(first.body.token).toBeUndefined();
+
+        const second = await request(app).post('/login/2fa').send({
+            challengeToken: first.body.challengeToken,
+            code: currentCode()
+        });
+
+        expect(second.status).toBe(200);
+        expect(second.body.token).toBeDefined();
+        expect(second.body.refreshToken).toBeDefined();
+    });
+
+    it('reports the recovery codes left after signing in with one, and refuses it the second time', async () => {
+        const challengeToken = generateChallengeToken(user._id, '2fa');
+
+        const first = await request(app).post('/login/2fa').send({ challengeToken, recoveryCode: recoveryCodes[0] });
+
+        expect(first.status).toBe(200);
+        expect(first.body.recoveryCodesRemaining).toBe(1);
+
+        const second = await request(app).post('/login/2fa').send({ challengeToken, recoveryCode: recoveryCodes[0] });
+
+        expect(second.status).toBe(401);
+        expect(second.body).toEqual({ error: 'Invalid authentication code' });
+        expect(User.get(user._id).loginAttempts).toBe(1);
+    });
+
+    it('refuses a challenge token issued for another step', async () => {
+        const res = await request(app).post('/login/2fa').send({
+            challengeToken: generateChallengeToken(user._id, '2fa-setup'),
+            code: currentCode()
+        });
+
+        expect(res.status).toBe(401);
+        expect(res.body).toEqual({ error: 'Login challenge is invalid or expired' });
+    });
+});